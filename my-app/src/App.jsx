@@ -1,14 +1,57 @@
-import { useState } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { InvertedPendulumStandaloneSimulator, DroneAltitudeStandaloneSimulator } from './simulators';
+import { listPlants, createSimulatorEntry } from './plants';
+import { CopyLinkButton } from './components';
+import { encodeUrlState, decodeUrlState } from './utils/urlState';
 import { fonts } from './utils/styles';
 
 const SIMULATORS = [
   { id: 'pendulum', label: 'Pendulum', component: InvertedPendulumStandaloneSimulator },
-  { id: 'drone', label: 'Drone', component: DroneAltitudeStandaloneSimulator }
+  { id: 'drone', label: 'Drone', component: DroneAltitudeStandaloneSimulator },
+  ...listPlants().map(createSimulatorEntry)
 ];
 
+const DEFAULT_SIMULATOR = 'drone';
+
+/**
+ * Simulator and its settings from the URL hash, falling back to the default simulator
+ */
+const readLocation = () => {
+  const { simulator, params } = decodeUrlState(window.location.hash);
+  return SIMULATORS.some(s => s.id === simulator)
+    ? { simulator, params }
+    : { simulator: DEFAULT_SIMULATOR, params: {} };
+};
+
 function App() {
-  const [activeSimulator, setActiveSimulator] = useState('drone');
+  const [initialLocation] = useState(readLocation);
+  const [activeSimulator, setActiveSimulator] = useState(initialLocation.simulator);
+  // Last known settings per simulator; seeds a simulator when it mounts
+  const [urlStates, setUrlStates] = useState({ [initialLocation.simulator]: initialLocation.params });
+  // Bumped when a pasted link replaces the hash, so the simulator remounts with it
+  const [locationVersion, setLocationVersion] = useState(0);
+
+  // Keep the hash in step with the active configuration (replaceState: no history spam)
+  useEffect(() => {
+    const hash = encodeUrlState(activeSimulator, urlStates[activeSimulator]);
+    if (hash !== window.location.hash) window.history.replaceState(null, '', hash);
+  }, [activeSimulator, urlStates]);
+
+  // Following a link to this page in the same tab only changes the hash
+  useEffect(() => {
+    const handleHashChange = () => {
+      const { simulator, params } = readLocation();
+      setActiveSimulator(simulator);
+      setUrlStates(prev => ({ ...prev, [simulator]: params }));
+      setLocationVersion(prev => prev + 1);
+    };
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const handleUrlStateChange = useCallback((params) => {
+    setUrlStates(prev => ({ ...prev, [activeSimulator]: params }));
+  }, [activeSimulator]);
 
   const ActiveComponent = SIMULATORS.find(s => s.id === activeSimulator)?.component;
 
@@ -19,12 +62,17 @@ function App() {
       fontFamily: fonts.mono,
       overflow: 'auto'
     }}>
+      <CopyLinkButton style={{ position: 'fixed', top: '12px', right: '12px', zIndex: 100 }} />
+
       {/* Active Simulator */}
       {ActiveComponent && (
         <ActiveComponent
+          key={`${activeSimulator}-${locationVersion}`}
           simulators={SIMULATORS}
           activeSimulator={activeSimulator}
           onSimulatorChange={setActiveSimulator}
+          urlState={urlStates[activeSimulator] || {}}
+          onUrlStateChange={handleUrlStateChange}
         />
       )}
     </div>
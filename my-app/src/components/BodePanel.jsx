@@ -0,0 +1,155 @@
+import React, { useMemo } from 'react';
+import { colors, fonts, panelStyles, buttonStyles } from '../utils/styles';
+import { MAX_TICKED_DECADES, formatFrequency } from '../utils/frequencyResponse';
+import DataChart from './DataChart';
+
+const smallButton = {
+  ...buttonStyles.base,
+  ...buttonStyles.ghost,
+  padding: '5px 10px',
+  fontSize: '10px',
+  letterSpacing: 0
+};
+
+const OPEN_LOOP_COLOR = '#00d4ff';
+const CLOSED_LOOP_COLOR = '#00ff88';
+const CROSSOVER_COLOR = colors.warning;
+
+const formatMargin = (margin, unit) => (Number.isFinite(margin.value) ? `${margin.value.toFixed(1)}${unit}` : '∞');
+const formatAt = (frequency) => (frequency === null ? '' : ` at ${formatFrequency(frequency)} rad/s`);
+
+const describeStability = ({ closedLoopUnstable, closedLoopMarginal }) => {
+  if (closedLoopUnstable > 0) return { text: `UNSTABLE (${closedLoopUnstable} RHP pole${closedLoopUnstable > 1 ? 's' : ''})`, color: colors.danger };
+  if (closedLoopMarginal > 0) return { text: 'Marginal (poles on the jω axis)', color: colors.warning };
+  return { text: 'Stable', color: colors.success };
+};
+
+const formatBandwidth = (bandwidth, maxDecade) => {
+  if (bandwidth === null) return '— (not low-pass)';
+  if (!Number.isFinite(bandwidth)) return `> ${formatFrequency(10 ** maxDecade)} rad/s`;
+  return `${formatFrequency(bandwidth)} rad/s`;
+};
+
+/**
+ * Bode Panel Component
+ * Plots open- and closed-loop magnitude and phase of the linearized loop
+ * against log frequency and reports its margins, bandwidth and stability
+ *
+ * @param {Object} props
+ * @param {Object} props.analysis - Result of analyzeLoop
+ * @param {string} props.note - How the plant was linearized
+ * @param {Function} props.onClose - Hides the panel
+ */
+const BodePanel = ({ analysis, note = '', onClose }) => {
+  const { frequencies, minDecade, maxDecade, openLoop, closedLoop, gainMargin, lowerGainMargin, phaseMargin, bandwidth } = analysis;
+
+  // The charts plot against log10(ω); a tick per decade, or every other decade on wide spans
+  const logFrequencies = useMemo(() => frequencies.map(Math.log10), [frequencies]);
+  const xAxis = useMemo(() => {
+    const decades = maxDecade - minDecade;
+    return {
+      min: minDecade,
+      max: maxDecade,
+      tickCount: (decades > MAX_TICKED_DECADES ? decades / 2 : decades) + 1,
+      format: (value) => `${formatFrequency(10 ** value)} rad/s`
+    };
+  }, [minDecade, maxDecade]);
+
+  const atFrequency = (values, frequency) => {
+    const index = logFrequencies.findIndex(value => value >= Math.log10(frequency));
+    return values[Math.max(0, index)];
+  };
+
+  const crossoverMarkers = (seriesValues) => [
+    ...(phaseMargin.frequency !== null ? [{
+      time: Math.log10(phaseMargin.frequency),
+      label: `PM ${formatMargin(phaseMargin, '°')}`,
+      color: CROSSOVER_COLOR,
+      value: atFrequency(seriesValues, phaseMargin.frequency)
+    }] : []),
+    ...(gainMargin.frequency !== null ? [{
+      time: Math.log10(gainMargin.frequency),
+      label: `GM ${formatMargin(gainMargin, ' dB')}`,
+      color: CROSSOVER_COLOR,
+      value: atFrequency(seriesValues, gainMargin.frequency)
+    }] : []),
+    ...(lowerGainMargin.frequency !== null ? [{
+      time: Math.log10(lowerGainMargin.frequency),
+      label: `LGM ${formatMargin(lowerGainMargin, ' dB')}`,
+      color: CROSSOVER_COLOR,
+      value: atFrequency(seriesValues, lowerGainMargin.frequency)
+    }] : [])
+  ];
+
+  const stability = describeStability(analysis);
+  const readouts = [
+    { label: 'Gain margin', value: formatMargin(gainMargin, ' dB') + formatAt(gainMargin.frequency) },
+    // Conditionally stable loops also go unstable if the gain drops this far
+    ...(lowerGainMargin.frequency !== null ? [{
+      label: 'Lower gain margin',
+      value: formatMargin(lowerGainMargin, ' dB') + formatAt(lowerGainMargin.frequency)
+    }] : []),
+    { label: 'Phase margin', value: formatMargin(phaseMargin, '°') + formatAt(phaseMargin.frequency) },
+    { label: 'Bandwidth (−3 dB)', value: formatBandwidth(bandwidth, maxDecade) },
+    { label: 'Closed loop', value: stability.text, color: stability.color }
+  ];
+
+  return (
+    <div style={{ ...panelStyles.base, padding: '15px', width: '100%', boxSizing: 'border-box' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ color: colors.text.secondary, fontSize: '12px', margin: 0 }}>FREQUENCY RESPONSE</h3>
+        <button onClick={onClose} style={smallButton}>✕ CLOSE</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '10px', flexWrap: 'wrap' }}>
+        {readouts.map(({ label, value, color }) => (
+          <div key={label} style={{ flex: 1, padding: '8px 10px', background: 'rgba(0, 0, 0, 0.3)', borderRadius: '6px' }}>
+            <div style={{ color: colors.text.muted, fontSize: '10px', marginBottom: '3px' }}>{label}</div>
+            <div style={{ color: color || colors.text.primary, fontSize: '12px', fontWeight: 'bold', fontFamily: fonts.mono }}>{value}</div>
+          </div>
+        ))}
+      </div>
+
+      {(note || analysis.openLoopUnstable > 0) && (
+        <div style={{ color: colors.text.muted, fontSize: '10px', fontFamily: fonts.mono, marginBottom: '10px' }}>
+          {note}
+          {analysis.openLoopUnstable > 0 && (
+            <div style={{ color: colors.warning, marginTop: '4px' }}>
+              The plant has {analysis.openLoopUnstable} unstable pole{analysis.openLoopUnstable > 1 ? 's' : ''}: the margins alone do not show whether the loop is stable; the closed-loop poles do.
+            </div>
+          )}
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gap: '10px' }}>
+        <DataChart
+          timeHistory={logFrequencies}
+          series={[
+            { data: openLoop.magnitude, label: 'Open loop |L| (dB)', color: OPEN_LOOP_COLOR, sharedAxis: 'magnitude' },
+            { data: closedLoop.magnitude, label: 'Closed loop |T| (dB)', color: CLOSED_LOOP_COLOR, dash: '6 3', sharedAxis: 'magnitude' }
+          ]}
+          markers={[
+            ...crossoverMarkers(openLoop.magnitude),
+            ...(Number.isFinite(bandwidth) ? [{ time: Math.log10(bandwidth), label: 'BW', color: CLOSED_LOOP_COLOR, value: closedLoop.magnitude[0] - 3, seriesIndex: 1 }] : [])
+          ]}
+          xAxis={xAxis}
+          width={1140}
+          height={200}
+        />
+        <DataChart
+          timeHistory={logFrequencies}
+          series={[
+            { data: openLoop.phase, label: 'Open loop ∠L (°)', color: OPEN_LOOP_COLOR, sharedAxis: 'phase' },
+            { data: closedLoop.phase, label: 'Closed loop ∠T (°)', color: CLOSED_LOOP_COLOR, dash: '6 3', sharedAxis: 'phase' }
+          ]}
+          markers={crossoverMarkers(openLoop.phase)}
+          xAxis={xAxis}
+          width={1140}
+          height={200}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default BodePanel;
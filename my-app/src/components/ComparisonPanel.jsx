@@ -0,0 +1,234 @@
+import React from 'react';
+import { colors, fonts, panelStyles, buttonStyles } from '../utils/styles';
+import { CONTROLLER_FORMS } from '../utils/pidController';
+import { MIN_VARIANTS, MAX_VARIANTS, COMPARISON_STYLES, variantChannel, createVariant } from '../utils/comparison';
+import DataChart from './DataChart';
+
+const smallButton = {
+  ...buttonStyles.base,
+  ...buttonStyles.ghost,
+  padding: '5px 10px',
+  fontSize: '10px',
+  letterSpacing: 0
+};
+
+const numberInput = {
+  width: '64px',
+  padding: '4px 6px',
+  background: 'rgba(0, 0, 0, 0.3)',
+  border: `1px solid ${colors.border}`,
+  borderRadius: '4px',
+  color: colors.text.primary,
+  fontFamily: fonts.mono,
+  fontSize: '11px'
+};
+
+const cell = { padding: '4px 8px', textAlign: 'right', fontFamily: fonts.mono, fontSize: '11px' };
+
+const formatSeconds = (value) => {
+  if (value === null || value === undefined) return '—';
+  return value >= 120 ? `${(value / 60).toFixed(1)}min` : `${value.toFixed(2)}s`;
+};
+
+const formatNumber = (value, decimals = 3) => (Number.isFinite(value) ? value.toFixed(decimals) : '—');
+
+/**
+ * Swatch showing a variant's line colour and dash pattern
+ */
+const LineSwatch = ({ index }) => {
+  const { color, dash } = COMPARISON_STYLES[index];
+  return (
+    <svg width="24" height="6" style={{ flexShrink: 0 }}>
+      <line x1="0" y1="3" x2="24" y2="3" stroke={color} strokeWidth="2" strokeDasharray={dash || undefined} />
+    </svg>
+  );
+};
+
+/**
+ * Comparison Panel Component
+ * Edits 2–4 gain sets, runs them against the same plant and setpoint, and
+ * overlays the measured traces with a table of their step metrics
+ *
+ * @param {Object} props
+ * @param {Array} props.variants - Variants from createVariant
+ * @param {Function} props.onVariantsChange - Called with the new variant list
+ * @param {Object} props.pidConfig - { kpMax, kiMax, kdMax } input limits
+ * @param {Object} props.currentGains - Gains a new set starts from
+ * @param {number} props.duration - Simulated seconds per run
+ * @param {Array} props.durationOptions - [{ value, label }] run lengths
+ * @param {Function} props.onDurationChange - Called with the selected duration
+ * @param {Function} props.onRun - Runs the comparison
+ * @param {Object} props.comparison - Result of runComparison (null before the first run)
+ * @param {string} props.unit - Unit of the measured variable
+ * @param {string} props.note - Describes the setpoint profile and disturbances every set sees
+ * @param {Function} props.onClose - Leaves comparison mode
+ */
+const ComparisonPanel = ({
+  variants,
+  onVariantsChange,
+  pidConfig,
+  currentGains,
+  duration,
+  durationOptions = [],
+  onDurationChange,
+  onRun,
+  comparison,
+  unit = '',
+  note = '',
+  onClose
+}) => {
+  const updateVariant = (index, changes) => {
+    onVariantsChange(variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const gainFields = [
+    { key: 'kp', label: 'Kp', max: pidConfig.kpMax },
+    { key: 'ki', label: 'Ki', max: pidConfig.kiMax },
+    { key: 'kd', label: 'Kd', max: pidConfig.kdMax }
+  ];
+
+  const chartSeries = comparison ? [
+    { channel: 'setpointHistory', label: `Setpoint (${unit})`, color: '#00d4ff', sharedAxis: 'output' },
+    ...comparison.results.map(({ variant }, index) => ({
+      channel: variantChannel(index),
+      label: `${variant.label} (${unit})`,
+      color: COMPARISON_STYLES[index].color,
+      dash: COMPARISON_STYLES[index].dash,
+      sharedAxis: 'output'
+    }))
+  ] : [];
+
+  return (
+    <div style={{ ...panelStyles.base, padding: '15px', width: '100%', boxSizing: 'border-box' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ color: colors.text.secondary, fontSize: '12px', margin: 0 }}>COMPARE GAIN SETS</h3>
+        <button onClick={onClose} style={smallButton}>✕ CLOSE</button>
+      </div>
+
+      {/* Variant editor */}
+      <div style={{ display: 'grid', gap: '6px', marginBottom: '12px' }}>
+        {variants.map((variant, index) => (
+          <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <LineSwatch index={index} />
+            <span style={{ color: COMPARISON_STYLES[index].color, fontSize: '11px', fontFamily: fonts.mono, width: '44px' }}>
+              {variant.label}
+            </span>
+            {gainFields.map(field => (
+              <label key={field.key} style={{ color: colors.text.muted, fontSize: '10px', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                {field.label}
+                <input
+                  type="number"
+                  min={0}
+                  max={field.max}
+                  value={variant[field.key]}
+                  onChange={e => updateVariant(index, { [field.key]: Math.max(0, Number(e.target.value)) })}
+                  style={numberInput}
+                />
+              </label>
+            ))}
+            <div style={{ display: 'flex', gap: '3px' }}>
+              {Object.values(CONTROLLER_FORMS).map(form => (
+                <button
+                  key={form}
+                  onClick={() => updateVariant(index, { controllerForm: form })}
+                  style={{
+                    ...smallButton,
+                    padding: '4px 6px',
+                    fontSize: '9px',
+                    ...(variant.controllerForm === form ? { border: `1px solid ${colors.proportional}`, color: colors.proportional } : {})
+                  }}
+                >
+                  {form.toUpperCase()}
+                </button>
+              ))}
+            </div>
+            {variants.length > MIN_VARIANTS && (
+              <button
+                onClick={() => onVariantsChange(variants.filter((_, i) => i !== index))}
+                style={{ ...smallButton, padding: '4px 8px' }}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+        {variants.length < MAX_VARIANTS && (
+          <button
+            onClick={() => onVariantsChange([...variants, createVariant(variants.length, currentGains)])}
+            style={smallButton}
+          >
+            + ADD SET
+          </button>
+        )}
+        <span style={{ color: colors.text.muted, fontSize: '10px', marginLeft: '8px' }}>Run length</span>
+        {durationOptions.map(option => (
+          <button
+            key={option.value}
+            onClick={() => onDurationChange(option.value)}
+            style={{
+              ...smallButton,
+              padding: '4px 8px',
+              ...(duration === option.value ? { border: `1px solid ${colors.info}`, color: colors.info } : {})
+            }}
+          >
+            {option.label}
+          </button>
+        ))}
+        <button onClick={onRun} style={{ ...smallButton, ...buttonStyles.primary, marginLeft: 'auto' }}>
+          ▶ RUN COMPARISON
+        </button>
+      </div>
+
+      {note && (
+        <div style={{ color: colors.text.muted, fontSize: '10px', fontFamily: fonts.mono, marginBottom: '10px' }}>{note}</div>
+      )}
+
+      {comparison && (
+        <>
+          <DataChart
+            key={comparison.telemetry.getVersion()}
+            telemetry={comparison.telemetry}
+            series={chartSeries}
+            width={1140}
+            height={220}
+          />
+
+          {/* Metrics of each set's first step, plus error integrals over the whole run */}
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '10px' }}>
+            <thead>
+              <tr style={{ color: colors.text.muted }}>
+                {['Set', 'Rise', 'Settling 2%', 'Overshoot', 'SS error', 'IAE', 'ISE', 'ITAE', 'Status'].map(title => (
+                  <th key={title} style={{ ...cell, fontWeight: 'normal', borderBottom: `1px solid ${colors.border}` }}>{title}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.results.map(({ variant, step, iae, ise, itae, failure, failureTime }, index) => (
+                <tr key={index} style={{ color: colors.text.primary }}>
+                  <td style={{ ...cell, textAlign: 'left', color: COMPARISON_STYLES[index].color }}>
+                    <LineSwatch index={index} /> {variant.label}
+                  </td>
+                  <td style={cell}>{formatSeconds(step?.riseTime)}</td>
+                  <td style={cell}>{formatSeconds(step?.settlingTimes[0.02])}</td>
+                  <td style={cell}>{step ? `${step.overshoot.toFixed(1)}%` : '—'}</td>
+                  <td style={cell}>{formatNumber(step?.steadyStateError)}</td>
+                  <td style={cell}>{formatNumber(iae)}</td>
+                  <td style={cell}>{formatNumber(ise)}</td>
+                  <td style={cell}>{formatNumber(itae)}</td>
+                  <td style={{ ...cell, color: failure ? colors.danger : colors.success }}>
+                    {failure ? `${failure} at ${formatSeconds(failureTime)}` : 'OK'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ComparisonPanel;
@@ -1,5 +1,24 @@
 import React from 'react';
 import { colors, fonts, panelStyles, getButtonStyle, sliderStyles } from '../utils/styles';
+import { ANTI_WINDUP_MODES, CONTROLLER_FORMS } from '../utils/pidController';
+import { TUNING_RULES } from '../utils/autotune';
+
+const ANTI_WINDUP_OPTIONS = [
+  { value: ANTI_WINDUP_MODES.CLAMP, label: 'CLAMP' },
+  { value: ANTI_WINDUP_MODES.BACK_CALCULATION, label: 'BACK-CALC' },
+  { value: ANTI_WINDUP_MODES.CONDITIONAL, label: 'COND.' }
+];
+
+const CONTROLLER_FORM_OPTIONS = [
+  { value: CONTROLLER_FORMS.POSITIONAL, label: 'POSITIONAL' },
+  { value: CONTROLLER_FORMS.VELOCITY, label: 'VELOCITY' }
+];
+
+const TUNING_RULE_OPTIONS = [
+  { value: TUNING_RULES.ZIEGLER_NICHOLS, label: 'Z-N' },
+  { value: TUNING_RULES.TYREUS_LUYBEN, label: 'T-L' },
+  { value: TUNING_RULES.PESSEN, label: 'PESSEN' }
+];
 
 /**
  * Control Panel Component
@@ -10,12 +29,26 @@ import { colors, fonts, panelStyles, getButtonStyle, sliderStyles } from '../uti
  * @param {Function} props.onModeChange - Called when mode changes
  * @param {Object} props.pidGains - { kp, ki, kd }
  * @param {Function} props.onPidChange - Called with { kp?, ki?, kd? } when gains change
- * @param {Object} props.pidConfig - { kpMax, kiMax, kdMax } for slider ranges
+ * @param {Object} props.pidConfig - { kpMax, kiMax, kdMax } for slider ranges, plus optional
+ *   { kpStep, kiStep, kdStep } slider steps (default: 1)
  * @param {Function} props.onResetGains - Called when reset gains is clicked
+ * @param {React.ReactNode} props.presets - Preset/profile selector shown above the gain sliders
+ * @param {Function} props.onAutotune - Starts or cancels a relay autotune (omit to hide AUTOTUNE)
+ * @param {boolean} props.autotuneRunning - Whether a relay experiment is in progress
+ * @param {string} props.tuningRule - Rule applied to the autotune result (one of TUNING_RULES)
+ * @param {Function} props.onTuningRuleChange - Called with the selected rule
+ * @param {string} props.autotuneMessage - Last autotune result or failure reason
+ * @param {boolean} props.derivativeOnMeasurement - Whether D acts on the measurement only
+ * @param {Function} props.onDerivativeOnMeasurementChange - Called with the new toggle value (omit to hide the toggle)
+ * @param {string} props.antiWindup - Active anti-windup mode (one of ANTI_WINDUP_MODES)
+ * @param {Function} props.onAntiWindupChange - Called with the selected mode (omit to hide the selector)
+ * @param {string} props.controllerForm - Active controller form (one of CONTROLLER_FORMS)
+ * @param {Function} props.onControllerFormChange - Called with the selected form (omit to hide the selector)
  * @param {number} props.accumulatedError - Current accumulated integral error
  * @param {Function} props.onResetError - Called when reset error is clicked
  * @param {React.ReactNode} props.manualControls - Custom content for manual mode
  * @param {React.ReactNode} props.statusDisplay - Status display content
+ * @param {React.ReactNode} props.stepMetrics - Step-response metrics content
  */
 const ControlPanel = ({
   controlMode,
@@ -24,15 +57,28 @@ const ControlPanel = ({
   onPidChange,
   pidConfig = { kpMax: 100, kiMax: 50, kdMax: 50 },
   onResetGains,
+  presets,
+  onAutotune,
+  autotuneRunning = false,
+  tuningRule = TUNING_RULES.ZIEGLER_NICHOLS,
+  onTuningRuleChange,
+  autotuneMessage = '',
+  derivativeOnMeasurement = false,
+  onDerivativeOnMeasurementChange,
+  antiWindup = ANTI_WINDUP_MODES.CLAMP,
+  onAntiWindupChange,
+  controllerForm = CONTROLLER_FORMS.POSITIONAL,
+  onControllerFormChange,
   accumulatedError = 0,
   onResetError,
   manualControls,
-  statusDisplay
+  statusDisplay,
+  stepMetrics
 }) => {
   const pidParams = [
-    { key: 'kp', label: 'Kp (Proportional)', color: colors.proportional, max: pidConfig.kpMax },
-    { key: 'ki', label: 'Ki (Integral)', color: colors.integral, max: pidConfig.kiMax },
-    { key: 'kd', label: 'Kd (Derivative)', color: colors.derivative, max: pidConfig.kdMax }
+    { key: 'kp', label: 'Kp (Proportional)', color: colors.proportional, max: pidConfig.kpMax, step: pidConfig.kpStep ?? 1 },
+    { key: 'ki', label: 'Ki (Integral)', color: colors.integral, max: pidConfig.kiMax, step: pidConfig.kiStep ?? 1 },
+    { key: 'kd', label: 'Kd (Derivative)', color: colors.derivative, max: pidConfig.kdMax, step: pidConfig.kdStep ?? 1 }
   ];
 
   return (
@@ -83,24 +129,46 @@ const ControlPanel = ({
         <>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
             <h3 style={{ color: colors.text.secondary, fontSize: '12px', margin: 0 }}>PID PARAMETERS</h3>
-            <button
-              onClick={onResetGains}
-              style={{
-                padding: '5px 12px',
-                fontSize: '10px',
-                fontWeight: '600',
-                borderRadius: '4px',
-                border: '1px solid rgba(100, 150, 200, 0.3)',
-                cursor: 'pointer',
-                background: 'rgba(45, 55, 72, 0.4)',
-                color: colors.text.secondary,
-                fontFamily: fonts.mono
-              }}
-            >
-              RESET GAINS
-            </button>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {onAutotune && (
+                <button
+                  onClick={onAutotune}
+                  style={{
+                    padding: '5px 8px',
+                    fontSize: '10px',
+                    fontWeight: '600',
+                    borderRadius: '4px',
+                    border: autotuneRunning ? `1px solid ${colors.warning}` : '1px solid rgba(100, 150, 200, 0.3)',
+                    cursor: 'pointer',
+                    background: autotuneRunning ? 'rgba(251, 191, 36, 0.2)' : 'rgba(45, 55, 72, 0.4)',
+                    color: autotuneRunning ? colors.warning : colors.text.secondary,
+                    fontFamily: fonts.mono
+                  }}
+                >
+                  {autotuneRunning ? 'CANCEL' : 'AUTOTUNE'}
+                </button>
+              )}
+              <button
+                onClick={onResetGains}
+                style={{
+                  padding: '5px 8px',
+                  fontSize: '10px',
+                  fontWeight: '600',
+                  borderRadius: '4px',
+                  border: '1px solid rgba(100, 150, 200, 0.3)',
+                  cursor: 'pointer',
+                  background: 'rgba(45, 55, 72, 0.4)',
+                  color: colors.text.secondary,
+                  fontFamily: fonts.mono
+                }}
+              >
+                RESET GAINS
+              </button>
+            </div>
           </div>
 
+          {presets}
+
           {pidParams.map(param => (
             <div key={param.key} style={{ marginBottom: '15px' }}>
               <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
@@ -113,6 +181,7 @@ const ControlPanel = ({
                 type="range"
                 min={0}
                 max={param.max}
+                step={param.step}
                 value={pidGains[param.key]}
                 onChange={e => onPidChange({ [param.key]: Number(e.target.value) })}
                 style={{
@@ -123,6 +192,119 @@ const ControlPanel = ({
             </div>
           ))}
 
+          {/* Derivative-on-measurement toggle */}
+          {onDerivativeOnMeasurementChange && (
+            <button
+              onClick={() => onDerivativeOnMeasurementChange(!derivativeOnMeasurement)}
+              style={{
+                width: '100%',
+                padding: '6px 12px',
+                fontSize: '10px',
+                fontWeight: '600',
+                borderRadius: '4px',
+                border: derivativeOnMeasurement ? `1px solid ${colors.info}` : '1px solid rgba(100, 150, 200, 0.3)',
+                cursor: 'pointer',
+                background: derivativeOnMeasurement ? 'rgba(99, 179, 237, 0.2)' : 'rgba(45, 55, 72, 0.4)',
+                color: derivativeOnMeasurement ? colors.info : colors.text.secondary,
+                fontFamily: fonts.mono
+              }}
+            >
+              D ON MEASUREMENT: {derivativeOnMeasurement ? 'ON' : 'OFF'}
+            </button>
+          )}
+
+          {/* Anti-windup strategy */}
+          {onAntiWindupChange && (
+            <div style={{ marginTop: '15px' }}>
+              <label style={{ color: colors.text.muted, fontSize: '11px' }}>Anti-Windup</label>
+              <div style={{ display: 'flex', gap: '4px', marginTop: '5px' }}>
+                {ANTI_WINDUP_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => onAntiWindupChange(option.value)}
+                    style={{
+                      flex: 1,
+                      padding: '5px 4px',
+                      fontSize: '9px',
+                      fontWeight: '600',
+                      borderRadius: '4px',
+                      border: antiWindup === option.value ? `1px solid ${colors.integral}` : '1px solid rgba(100, 150, 200, 0.3)',
+                      cursor: 'pointer',
+                      background: antiWindup === option.value ? 'rgba(104, 211, 145, 0.2)' : 'rgba(45, 55, 72, 0.4)',
+                      color: antiWindup === option.value ? colors.integral : colors.text.secondary,
+                      fontFamily: fonts.mono
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Controller form */}
+          {onControllerFormChange && (
+            <div style={{ marginTop: '15px' }}>
+              <label style={{ color: colors.text.muted, fontSize: '11px' }}>Controller Form</label>
+              <div style={{ display: 'flex', gap: '4px', marginTop: '5px' }}>
+                {CONTROLLER_FORM_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => onControllerFormChange(option.value)}
+                    style={{
+                      flex: 1,
+                      padding: '5px 4px',
+                      fontSize: '9px',
+                      fontWeight: '600',
+                      borderRadius: '4px',
+                      border: controllerForm === option.value ? `1px solid ${colors.proportional}` : '1px solid rgba(100, 150, 200, 0.3)',
+                      cursor: 'pointer',
+                      background: controllerForm === option.value ? 'rgba(102, 170, 255, 0.2)' : 'rgba(45, 55, 72, 0.4)',
+                      color: controllerForm === option.value ? colors.proportional : colors.text.secondary,
+                      fontFamily: fonts.mono
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Autotune rule + last result */}
+          {onAutotune && onTuningRuleChange && (
+            <div style={{ marginTop: '15px' }}>
+              <label style={{ color: colors.text.muted, fontSize: '11px' }}>Autotune Rule</label>
+              <div style={{ display: 'flex', gap: '4px', marginTop: '5px' }}>
+                {TUNING_RULE_OPTIONS.map(option => (
+                  <button
+                    key={option.value}
+                    onClick={() => onTuningRuleChange(option.value)}
+                    style={{
+                      flex: 1,
+                      padding: '5px 4px',
+                      fontSize: '9px',
+                      fontWeight: '600',
+                      borderRadius: '4px',
+                      border: tuningRule === option.value ? `1px solid ${colors.warning}` : '1px solid rgba(100, 150, 200, 0.3)',
+                      cursor: 'pointer',
+                      background: tuningRule === option.value ? 'rgba(251, 191, 36, 0.2)' : 'rgba(45, 55, 72, 0.4)',
+                      color: tuningRule === option.value ? colors.warning : colors.text.secondary,
+                      fontFamily: fonts.mono
+                    }}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              {autotuneMessage && (
+                <div style={{ color: colors.text.muted, fontSize: '10px', marginTop: '6px' }}>
+                  {autotuneMessage}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Accumulated Error Display */}
           <div style={{
             marginTop: '20px',
@@ -158,6 +340,27 @@ const ControlPanel = ({
       ) : (
         manualControls
       )}
+
+      {/* Status readouts (shown in both modes) */}
+      {statusDisplay && (
+        <div style={{
+          marginTop: '20px',
+          paddingTop: '15px',
+          borderTop: `1px solid ${colors.border}`
+        }}>
+          {statusDisplay}
+        </div>
+      )}
+
+      {stepMetrics && (
+        <div style={{
+          marginTop: '15px',
+          paddingTop: '15px',
+          borderTop: `1px solid ${colors.border}`
+        }}>
+          {stepMetrics}
+        </div>
+      )}
     </div>
   );
 };
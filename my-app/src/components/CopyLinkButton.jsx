@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { colors, fonts } from '../utils/styles';
+
+const COPIED_DURATION = 2000;
+
+const buttonStyle = {
+  padding: '6px 12px',
+  fontSize: '10px',
+  fontWeight: '600',
+  borderRadius: '4px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  cursor: 'pointer',
+  background: 'rgba(45, 55, 72, 0.9)',
+  color: colors.text.secondary,
+  fontFamily: fonts.mono
+};
+
+/**
+ * Copy Link Button Component
+ * Copies the current page URL (including the configuration hash) to the clipboard
+ *
+ * @param {Object} props
+ * @param {Object} props.style - Extra styles for positioning
+ */
+const CopyLinkButton = ({ style = {} }) => {
+  const [status, setStatus] = useState('idle');
+
+  useEffect(() => {
+    if (status === 'idle') return undefined;
+    const timer = setTimeout(() => setStatus('idle'), COPIED_DURATION);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setStatus('copied');
+    } catch {
+      setStatus('failed');
+    }
+  };
+
+  const label = { idle: '🔗 COPY LINK', copied: '✓ COPIED', failed: 'COPY FAILED' }[status];
+  const color = { idle: colors.text.secondary, copied: colors.success, failed: colors.danger }[status];
+
+  return (
+    <button onClick={handleCopy} style={{ ...buttonStyle, color, ...style }} title="Copy a link to this configuration">
+      {label}
+    </button>
+  );
+};
+
+export default CopyLinkButton;
@@ -1,26 +1,61 @@
-import React, { useMemo, useState } from 'react';
+import React, { useMemo, useState, useId } from 'react';
 import { colors, fonts } from '../utils/styles';
+import { getRange, buildPolylinePoints, applyFractionView, visibleSpan, nearestIndex } from '../utils/chartData';
+import { useTelemetry } from '../hooks/useTelemetry';
+import { useChartViewport } from '../hooks/useChartViewport';
 
 /**
  * Data Chart Component with multiple independent Y-axes
  * Supports up to 4 data series, each with its own Y-axis
  * Clickable legend to toggle series visibility
+ * Wheel zooms time (Shift + wheel zooms values), drag pans, Shift + drag
+ * box-zooms, double-click resets; hovering shows a crosshair readout
  *
  * @param {Object} props
  * @param {Array} props.timeHistory - Array of time values for x-axis
- * @param {Array} props.series - Array of { data, label, color, sharedAxis } objects
+ * @param {Array} props.series - Array of { data, label, color, sharedAxis, dash? } objects; with telemetry, { channel } replaces data
+ * @param {Object} props.telemetry - Telemetry store to read timeHistory and series channels from
+ * @param {number} props.timeOrigin - Time drawn as 0 on the x-axis (default: 0)
+ * @param {Array} props.markers - Array of { time, label?, color?, value?, seriesIndex? } vertical event markers, in axis time
+ * @param {Array} props.bands - Array of { seriesIndex, min, max, from?, to?, color? } shaded value ranges
+ * @param {Object} props.ghost - Recorded run { timeHistory, [channel]: values } drawn dashed behind the series with the same channel
+ * @param {Object} props.xAxis - { min, max, tickCount, format(value) } fixed x-axis for non-time data such as log frequency (default: seconds from 0 to the latest sample)
  * @param {number} props.width - Chart width (default: 300)
  * @param {number} props.height - Chart height (default: 200)
  */
 const DataChart = ({
-  timeHistory = [],
-  series = [],
+  timeHistory: timeHistoryProp = [],
+  series: seriesProp = [],
+  ghost = null,
+  telemetry = null,
+  timeOrigin = 0,
+  markers = [],
+  bands = [],
+  xAxis = null,
   width = 300,
   height = 200
 }) => {
+  const snapshot = useTelemetry(telemetry);
+
+  // Resolve telemetry channels and shift time to the origin
+  const timeHistory = useMemo(() => {
+    const times = telemetry ? snapshot.timeHistory : timeHistoryProp;
+    return timeOrigin === 0 ? times : times.map(time => time - timeOrigin);
+  }, [telemetry, snapshot, timeHistoryProp, timeOrigin]);
+  const series = useMemo(() => seriesProp.map(entry => (
+    telemetry && entry.channel ? { ...entry, data: snapshot[entry.channel] } : entry
+  )), [telemetry, snapshot, seriesProp]);
+
+  // Recorded run overlaid as dashed ghost lines on the series sharing its channels
+  const ghostTimes = ghost ? ghost.timeHistory : null;
+  const ghostData = useMemo(
+    () => seriesProp.map(entry => (ghost && entry.channel ? ghost[entry.channel] : undefined)),
+    [ghost, seriesProp]
+  );
+
   // Track visibility of each series
   const [visibleSeries, setVisibleSeries] = useState(
-    series.reduce((acc, _, i) => ({ ...acc, [i]: true }), {})
+    seriesProp.reduce((acc, _, i) => ({ ...acc, [i]: true }), {})
   );
 
   const toggleSeries = (index) => {
@@ -39,7 +74,7 @@ const DataChart = ({
   const plotHeight = height - topPadding - bottomPadding;
 
   // Calculate bounds for each series independently or shared
-  const seriesBounds = useMemo(() => {
+  const autoSeriesBounds = useMemo(() => {
     // Group series by sharedAxis identifier
     const sharedAxisGroups = {};
     series.forEach(({ sharedAxis }, index) => {
@@ -52,16 +87,14 @@ const DataChart = ({
     });
 
     return series.map(({ data, label, sharedAxis }, index) => {
-      if (!data || data.length === 0) return { min: 0, max: 1 };
+      if ((!data || data.length === 0) && !ghostData[index]?.length) return { min: 0, max: 1 };
 
       const margin = 0.1; // 10% margin
 
       // If this series shares an axis, compute combined bounds
       if (sharedAxis && sharedAxisGroups[sharedAxis]) {
         const groupIndices = sharedAxisGroups[sharedAxis];
-        const allValues = groupIndices.flatMap(i => series[i].data || []);
-        let min = Math.min(...allValues);
-        let max = Math.max(...allValues);
+        let { min, max } = getRange(...groupIndices.flatMap(i => [series[i].data, ghostData[i]]));
 
         // Center Error (index 2) and Control (index 3) at 0
         const isErrorOrControl = label.includes('Error') || label.includes('Control');
@@ -80,8 +113,7 @@ const DataChart = ({
       }
 
       // Independent bounds
-      let min = Math.min(...data);
-      let max = Math.max(...data);
+      let { min, max } = getRange(data, ghostData[index]);
 
       // Center Error (index 2) and Control (index 3) at 0
       const isErrorOrControl = label.includes('Error') || label.includes('Control');
@@ -98,28 +130,51 @@ const DataChart = ({
 
       return { min, max };
     });
-  }, [series]);
+  }, [series, ghostData]);
 
   // X-axis bounds
-  const xBounds = useMemo(() => {
+  const autoXBounds = useMemo(() => {
+    if (xAxis) return { min: xAxis.min, max: xAxis.max };
     const xMin = 0;
-    const xMax = timeHistory.length > 0 ? Math.max(...timeHistory) : 10;
+    const xMax = timeHistory.length > 0 || ghostTimes?.length > 0 ? getRange(timeHistory, ghostTimes).max : 10;
     return { min: xMin, max: xMax };
-  }, [timeHistory]);
+  }, [timeHistory, ghostTimes, xAxis]);
+
+  // Zoom/pan overrides the auto-fit bounds; the value view scales every y-axis
+  const {
+    bindSvg,
+    xRange: xBounds,
+    yView,
+    isZoomed,
+    selection,
+    hoverX,
+    handlers: viewportHandlers
+  } = useChartViewport({ autoXBounds, leftPadding, topPadding, plotWidth, plotHeight });
+  const yZoomed = yView.from > 0 || yView.to < 1;
+  const seriesBounds = useMemo(
+    () => autoSeriesBounds.map(bounds => applyFractionView(bounds, yView)),
+    [autoSeriesBounds, yView]
+  );
+  const clipId = useId();
+
+  const timeToX = (time) => leftPadding + ((time - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
+  const valueToY = (value, bounds) => topPadding + plotHeight - ((value - bounds.min) / (bounds.max - bounds.min || 1)) * plotHeight;
 
   // Generate points for a data series
-  const generatePoints = (data, bounds) => {
-    if (!data || data.length < 2 || timeHistory.length < 2) return '';
+  const generatePoints = (data, bounds, times = timeHistory) => {
+    if (!data || data.length < 2 || times.length < 2) return '';
 
     const { min, max } = bounds;
     const range = max - min || 1;
 
-    return data.map((v, i) => {
-      const time = timeHistory[i] || 0;
-      const x = leftPadding + ((time - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
-      const y = topPadding + plotHeight - ((v - min) / range) * plotHeight;
-      return `${x},${y}`;
-    }).join(' ');
+    const { start, end } = visibleSpan(times, xBounds.min, xBounds.max);
+    return buildPolylinePoints(
+      times.slice(start, end),
+      data.slice(start, end),
+      timeToX,
+      v => topPadding + plotHeight - ((v - min) / range) * plotHeight,
+      plotWidth * 2
+    );
   };
 
   // Calculate decimal places needed for a value
@@ -145,7 +200,7 @@ const DataChart = ({
   };
 
   // Generate X-axis ticks
-  const generateXTicks = (count = 5) => {
+  const generateXTicks = (count = xAxis?.tickCount ?? 5) => {
     const { min, max } = xBounds;
     const range = max - min || 1;
     const ticks = [];
@@ -159,7 +214,16 @@ const DataChart = ({
 
   const xTicks = generateXTicks();
 
-  if (timeHistory.length < 2) {
+  // Crosshair snaps to the sample nearest the cursor
+  const hover = (() => {
+    if (hoverX === null || selection || timeHistory.length === 0) return null;
+    const time = xBounds.min + ((hoverX - leftPadding) / plotWidth) * (xBounds.max - xBounds.min || 1);
+    const index = nearestIndex(timeHistory, time);
+    const x = leftPadding + ((timeHistory[index] - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
+    return { index, time: timeHistory[index], x };
+  })();
+
+  if (timeHistory.length < 2 && !(ghostTimes?.length >= 2)) {
     return (
       <div style={{
         width,
@@ -179,8 +243,20 @@ const DataChart = ({
   }
 
   return (
-    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '10px' }}>
-      <svg width={width} height={height}>
+    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '10px', position: 'relative' }}>
+      <svg
+        ref={bindSvg}
+        width={width}
+        height={height}
+        style={{ cursor: selection ? 'crosshair' : 'grab', userSelect: 'none' }}
+        {...viewportHandlers}
+      >
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={leftPadding} y={topPadding} width={plotWidth} height={plotHeight} />
+          </clipPath>
+        </defs>
+
         {/* Grid lines (use first visible series for grid) */}
         {(() => {
           const firstVisibleIndex = series.findIndex((_, i) => visibleSeries[i]);
@@ -226,7 +302,7 @@ const DataChart = ({
               fontSize="10"
               fontFamily={fonts.mono}
             >
-              {tick.value.toFixed(1)}s
+              {xAxis ? xAxis.format(tick.value) : `${tick.value.toFixed(1)}s`}
             </text>
           </g>
         ))}
@@ -276,35 +352,173 @@ const DataChart = ({
           );
         })}
 
+        {/* Shaded value bands (e.g. settling band) in their series' y-scale */}
+        {bands.map((band, i) => {
+          const bandIndex = band.seriesIndex ?? 0;
+          if (!visibleSeries[bandIndex] || !seriesBounds[bandIndex]) return null;
+          const x0 = timeToX(band.from ?? xBounds.min);
+          const x1 = timeToX(band.to ?? xBounds.max);
+          const y0 = valueToY(band.max, seriesBounds[bandIndex]);
+          const y1 = valueToY(band.min, seriesBounds[bandIndex]);
+          return (
+            <rect
+              key={`band-${i}`}
+              x={Math.min(x0, x1)}
+              y={Math.min(y0, y1)}
+              width={Math.abs(x1 - x0)}
+              height={Math.max(1, Math.abs(y1 - y0))}
+              fill={band.color || 'rgba(255,255,255,0.08)'}
+              clipPath={`url(#${clipId})`}
+            />
+          );
+        })}
+
+        {/* Recorded run (ghost) lines */}
+        {ghostTimes && series.map(({ color }, i) => {
+          if (!visibleSeries[i] || !ghostData[i]) return null;
+
+          return (
+            <polyline
+              key={`ghost-${i}`}
+              points={generatePoints(ghostData[i], seriesBounds[i], ghostTimes)}
+              clipPath={`url(#${clipId})`}
+              fill="none"
+              stroke={color}
+              strokeWidth="1.5"
+              strokeDasharray="5 4"
+              opacity="0.45"
+            />
+          );
+        })}
+
         {/* Data lines */}
-        {series.map(({ data, color }, i) => {
+        {series.map(({ data, color, dash }, i) => {
           if (!visibleSeries[i]) return null;
 
           return (
             <polyline
               key={`line-${i}`}
               points={generatePoints(data, seriesBounds[i])}
+              clipPath={`url(#${clipId})`}
               fill="none"
               stroke={color}
               strokeWidth="2"
+              strokeDasharray={dash || undefined}
             />
           );
         })}
 
-        {/* Zero line (if any series crosses zero) */}
-        {series.some((_, i) => visibleSeries[i] && seriesBounds[i].min < 0 && seriesBounds[i].max > 0) && (
+        {/* Event markers (e.g. MANUAL/AUTO transfers, step peaks); value + seriesIndex adds a dot */}
+        {markers.map((marker, i) => {
+          if (marker.time < xBounds.min || marker.time > xBounds.max) return null;
+          const x = timeToX(marker.time);
+          const color = marker.color || colors.text.secondary;
+          const dotIndex = marker.seriesIndex ?? 0;
+          const showDot = marker.value !== undefined && visibleSeries[dotIndex] && seriesBounds[dotIndex];
+          return (
+            <g key={`marker-${i}`}>
+              <line
+                x1={x}
+                y1={topPadding}
+                x2={x}
+                y2={topPadding + plotHeight}
+                stroke={color}
+                strokeWidth="1"
+                strokeDasharray="3 3"
+              />
+              {marker.label && (
+                <text x={x + 3} y={topPadding + 10 + (i % 2) * 11} fill={color} fontSize="9" fontFamily={fonts.mono}>
+                  {marker.label}
+                </text>
+              )}
+              {showDot && (
+                <circle cx={x} cy={valueToY(marker.value, seriesBounds[dotIndex])} r="4" fill={color} clipPath={`url(#${clipId})`} />
+              )}
+            </g>
+          );
+        })}
+
+        {/* Zero line at the zero of the first visible series that crosses it */}
+        {!yZoomed && (() => {
+          const zeroIndex = series.findIndex((_, i) => visibleSeries[i] && seriesBounds[i].min < 0 && seriesBounds[i].max > 0);
+          if (zeroIndex === -1) return null;
+          const zeroY = valueToY(0, seriesBounds[zeroIndex]);
+          return (
+            <line
+              x1={leftPadding}
+              y1={zeroY}
+              x2={width - rightPadding}
+              y2={zeroY}
+              stroke="rgba(255,255,255,0.15)"
+              strokeWidth="1"
+              strokeDasharray="4"
+            />
+          );
+        })()}
+
+        {/* Zoom box (Shift + drag) */}
+        {selection && (
+          <rect
+            x={Math.min(selection.x0, selection.x1)}
+            y={Math.min(selection.y0, selection.y1)}
+            width={Math.abs(selection.x1 - selection.x0)}
+            height={Math.abs(selection.y1 - selection.y0)}
+            fill="rgba(106, 159, 212, 0.15)"
+            stroke={colors.primary}
+            strokeDasharray="4 2"
+          />
+        )}
+
+        {/* Crosshair */}
+        {hover && (
           <line
-            x1={leftPadding}
-            y1={topPadding + plotHeight / 2}
-            x2={width - rightPadding}
-            y2={topPadding + plotHeight / 2}
-            stroke="rgba(255,255,255,0.15)"
+            x1={hover.x}
+            y1={topPadding}
+            x2={hover.x}
+            y2={topPadding + plotHeight}
+            stroke="rgba(255,255,255,0.5)"
             strokeWidth="1"
-            strokeDasharray="4"
           />
         )}
+
+        {isZoomed && (
+          <text x={width - rightPadding} y={topPadding - 6} textAnchor="end" fill={colors.text.muted} fontSize="9" fontFamily={fonts.mono}>
+            double-click to reset zoom
+          </text>
+        )}
       </svg>
 
+      {/* Crosshair readout */}
+      {hover && (
+        <div style={{
+          position: 'absolute',
+          top: `${topPadding + 10}px`,
+          left: `${hover.x + 10}px`,
+          transform: hover.x > width / 2 ? 'translateX(calc(-100% - 12px))' : 'translateX(12px)',
+          background: 'rgba(10, 15, 26, 0.9)',
+          border: `1px solid ${colors.border}`,
+          borderRadius: '4px',
+          padding: '6px 8px',
+          fontSize: '10px',
+          fontFamily: fonts.mono,
+          color: colors.text.primary,
+          pointerEvents: 'none',
+          whiteSpace: 'nowrap'
+        }}>
+          <div style={{ color: colors.text.muted, marginBottom: '3px' }}>{xAxis ? xAxis.format(hover.time) : `t = ${hover.time.toFixed(2)}s`}</div>
+          {series.map(({ data, label, color }, i) => {
+            const value = data ? data[hover.index] : undefined;
+            if (!visibleSeries[i] || !Number.isFinite(value)) return null;
+            const range = autoSeriesBounds[i].max - autoSeriesBounds[i].min;
+            return (
+              <div key={`readout-${i}`} style={{ color }}>
+                {label}: {value.toFixed(getDecimalPlaces(value, range) + 1)}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {/* Legend (clickable) */}
       <div style={{
         display: 'flex',
@@ -313,7 +527,7 @@ const DataChart = ({
         marginTop: '8px',
         flexWrap: 'wrap'
       }}>
-        {series.map(({ label, color }, i) => (
+        {series.map(({ label, color, dash }, i) => (
           <div
             key={`legend-${i}`}
             onClick={() => toggleSeries(i)}
@@ -329,7 +543,7 @@ const DataChart = ({
             <div style={{
               width: '20px',
               height: '3px',
-              background: color
+              background: dash ? `repeating-linear-gradient(90deg, ${color} 0 6px, transparent 6px 9px)` : color
             }} />
             <span style={{
               color: colors.text.muted,
@@ -341,6 +555,14 @@ const DataChart = ({
             </span>
           </div>
         ))}
+        {ghostTimes && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+            <div style={{ width: '20px', borderTop: `2px dashed ${colors.text.muted}` }} />
+            <span style={{ color: colors.text.muted, fontSize: '10px', fontFamily: fonts.mono, userSelect: 'none' }}>
+              Recorded run
+            </span>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,60 @@
+import React from 'react';
+import { colors, fonts } from '../utils/styles';
+import { INTEGRATORS } from '../utils/integrators';
+
+const INTEGRATOR_OPTIONS = [
+  { value: INTEGRATORS.EULER, label: 'Euler' },
+  { value: INTEGRATORS.SEMI_IMPLICIT_EULER, label: 'Semi-implicit Euler' },
+  { value: INTEGRATORS.RK4, label: 'RK4' },
+  { value: INTEGRATORS.RK45, label: 'RK45 (adaptive)' }
+];
+
+const selectStyle = {
+  width: '100%',
+  padding: '6px 8px',
+  fontSize: '11px',
+  borderRadius: '5px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  background: 'rgba(45, 55, 72, 0.9)',
+  color: colors.text.primary,
+  fontFamily: fonts.mono,
+  cursor: 'pointer'
+};
+
+/**
+ * Integrator Controls Component
+ * Integration method and physics timestep selectors
+ *
+ * @param {Object} props
+ * @param {string} props.integrator - Active method (one of INTEGRATORS)
+ * @param {Function} props.onIntegratorChange - Called with the selected method
+ * @param {number} props.timeStep - Active physics timestep in seconds
+ * @param {Function} props.onTimeStepChange - Called with the selected timestep
+ * @param {Array} props.timeStepOptions - Array of { value, label } timesteps to offer
+ */
+const IntegratorControls = ({
+  integrator,
+  onIntegratorChange,
+  timeStep,
+  onTimeStepChange,
+  timeStepOptions = []
+}) => {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      <label style={{ color: colors.text.muted, fontSize: '11px' }}>Integrator</label>
+      <select value={integrator} onChange={e => onIntegratorChange(e.target.value)} style={selectStyle}>
+        {INTEGRATOR_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <label style={{ color: colors.text.muted, fontSize: '11px' }}>Time Step</label>
+      <select value={timeStep} onChange={e => onTimeStepChange(Number(e.target.value))} style={selectStyle}>
+        {timeStepOptions.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default IntegratorControls;
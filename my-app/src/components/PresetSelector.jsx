@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { colors, fonts } from '../utils/styles';
+import { findMatchingProfile } from '../utils/gainProfiles';
+
+const smallButton = {
+  padding: '5px 8px',
+  fontSize: '10px',
+  fontWeight: '600',
+  borderRadius: '4px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  cursor: 'pointer',
+  background: 'rgba(45, 55, 72, 0.4)',
+  color: colors.text.secondary,
+  fontFamily: fonts.mono
+};
+
+const fieldStyle = {
+  padding: '5px 8px',
+  fontSize: '11px',
+  borderRadius: '4px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  background: 'rgba(45, 55, 72, 0.9)',
+  color: colors.text.primary,
+  fontFamily: fonts.mono
+};
+
+/**
+ * Preset Selector Component
+ * Applies built-in presets and saved profiles, saves the current gains under a
+ * name, and imports/exports profile files. Choosing an entry applies it at once,
+ * including mid-run.
+ *
+ * @param {Object} props
+ * @param {Array} props.presets - Built-in { name, kp, ki, kd } for this simulator
+ * @param {Array} props.profiles - User profiles { name, kp, ki, kd }
+ * @param {Object} props.gains - Current { kp, ki, kd }, used to show the matching entry
+ * @param {Function} props.onApply - Called with { kp, ki, kd } of the chosen entry
+ * @param {Function} props.onSave - Called with the profile name to save the current gains under
+ * @param {Function} props.onDelete - Called with the name of the profile to delete
+ * @param {Function} props.onImport - Called with the chosen profile File
+ * @param {Function} props.onExport - Downloads the profiles
+ * @param {string} props.error - Last storage or import error
+ */
+const PresetSelector = ({
+  presets = [],
+  profiles = [],
+  gains,
+  onApply,
+  onSave,
+  onDelete,
+  onImport,
+  onExport,
+  error = ''
+}) => {
+  const [name, setName] = useState('');
+
+  // Entries are keyed by source so a profile may reuse a preset's name
+  const matchingProfile = findMatchingProfile(profiles, gains);
+  const matchingPreset = findMatchingProfile(presets, gains);
+  const selected = matchingProfile ? `profile:${matchingProfile.name}` : matchingPreset ? `preset:${matchingPreset.name}` : '';
+
+  const handleSelect = (value) => {
+    const [source, ...rest] = value.split(':');
+    const entryName = rest.join(':');
+    const entry = (source === 'profile' ? profiles : presets).find(item => item.name === entryName);
+    if (entry) onApply({ kp: entry.kp, ki: entry.ki, kd: entry.kd });
+  };
+
+  const handleSave = () => {
+    if (name.trim() === '') return;
+    onSave(name);
+    setName('');
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '15px' }}>
+      <div style={{ display: 'flex', gap: '4px' }}>
+        <select value={selected} onChange={e => handleSelect(e.target.value)} style={{ ...fieldStyle, flex: 1, minWidth: 0, cursor: 'pointer' }}>
+          <option value="" disabled>Custom gains</option>
+          <optgroup label="Built-in">
+            {presets.map(preset => (
+              <option key={preset.name} value={`preset:${preset.name}`}>{preset.name}</option>
+            ))}
+          </optgroup>
+          {profiles.length > 0 && (
+            <optgroup label="My profiles">
+              {profiles.map(profile => (
+                <option key={profile.name} value={`profile:${profile.name}`}>{profile.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {matchingProfile && (
+          <button onClick={() => onDelete(matchingProfile.name)} style={smallButton} title={`Delete "${matchingProfile.name}"`}>
+            ✕
+          </button>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', gap: '4px' }}>
+        <input
+          type="text"
+          value={name}
+          placeholder="Profile name"
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') handleSave(); }}
+          style={{ ...fieldStyle, flex: 1, minWidth: 0 }}
+        />
+        <button onClick={handleSave} disabled={name.trim() === ''} style={{ ...smallButton, opacity: name.trim() === '' ? 0.5 : 1 }}>
+          SAVE
+        </button>
+        <label style={smallButton} title="Import profiles from a file">
+          IMPORT
+          <input
+            type="file"
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onImport(file);
+            }}
+          />
+        </label>
+        <button onClick={onExport} disabled={profiles.length === 0} style={{ ...smallButton, opacity: profiles.length === 0 ? 0.5 : 1 }}>
+          EXPORT
+        </button>
+      </div>
+
+      {error && <span style={{ color: colors.danger, fontSize: '10px' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default PresetSelector;
@@ -0,0 +1,119 @@
+import React from 'react';
+import { colors, fonts, buttonStyles } from '../utils/styles';
+import { REPLAY_SPEEDS } from '../hooks/useRunReplay';
+
+const smallButton = {
+  ...buttonStyles.base,
+  ...buttonStyles.ghost,
+  padding: '5px 10px',
+  fontSize: '10px',
+  letterSpacing: 0
+};
+
+// Playhead and ghost accents
+const REPLAY_COLOR = '#b794f4';
+
+// Seconds below two minutes, minutes above (slow plants record hours)
+const formatReplayTime = (seconds) => (
+  seconds >= 120 ? `${(seconds / 60).toFixed(1)}min` : `${seconds.toFixed(2)}s`
+);
+
+/**
+ * Replay Controls Component
+ * LOAD RUN file picker plus play/pause, scrub and speed for a loaded run
+ *
+ * @param {Object} props
+ * @param {Object} props.run - Loaded run from useRunReplay (null hides the playback controls)
+ * @param {string} props.simulator - Current simulator id, to flag runs recorded elsewhere
+ * @param {number} props.time - Playback position in seconds
+ * @param {boolean} props.playing - Whether playback is running
+ * @param {number} props.speed - Playback speed multiplier
+ * @param {string} props.error - Last load error
+ * @param {Function} props.onLoad - Called with the chosen File
+ * @param {Function} props.onTogglePlay - Called when play/pause is clicked
+ * @param {Function} props.onSeek - Called with the scrubbed time
+ * @param {Function} props.onSpeedChange - Called with the selected speed
+ * @param {Function} props.onClose - Called when the run is closed
+ */
+const ReplayControls = ({
+  run,
+  simulator,
+  time = 0,
+  playing = false,
+  speed = 1,
+  error = '',
+  onLoad,
+  onTogglePlay,
+  onSeek,
+  onSpeedChange,
+  onClose
+}) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px', flexWrap: 'wrap' }}>
+    <label style={{ ...smallButton, display: 'inline-block' }}>
+      LOAD RUN
+      <input
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          // Clear so choosing the same file again still fires onChange
+          e.target.value = '';
+          if (file) onLoad(file);
+        }}
+      />
+    </label>
+
+    {run && (
+      <>
+        <button
+          onClick={onTogglePlay}
+          style={{ ...smallButton, color: playing ? colors.warning : colors.success }}
+        >
+          {playing ? '❚❚ PAUSE' : '▶ PLAY'}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={run.duration}
+          step={run.duration / 1000 || 0.01}
+          value={time}
+          onChange={(e) => onSeek(Number(e.target.value))}
+          style={{ flex: 1, minWidth: '120px', accentColor: REPLAY_COLOR, cursor: 'pointer' }}
+        />
+        <span style={{ color: colors.text.secondary, fontSize: '10px', fontFamily: fonts.mono, minWidth: '110px' }}>
+          {formatReplayTime(time)} / {formatReplayTime(run.duration)}
+        </span>
+        <div style={{ display: 'flex', gap: '3px' }}>
+          {REPLAY_SPEEDS.map(value => (
+            <button
+              key={value}
+              onClick={() => onSpeedChange(value)}
+              style={{
+                ...smallButton,
+                padding: '5px 6px',
+                ...(speed === value ? { border: `1px solid ${colors.info}`, color: colors.info } : {})
+              }}
+            >
+              {value}×
+            </button>
+          ))}
+        </div>
+        <button onClick={onClose} style={smallButton}>
+          ✕ CLOSE
+        </button>
+        {run.simulator && simulator && run.simulator !== simulator && (
+          <span style={{ color: colors.warning, fontSize: '10px', fontFamily: fonts.mono }}>
+            Recorded in {run.simulator}
+          </span>
+        )}
+      </>
+    )}
+
+    {error && (
+      <span style={{ color: colors.danger, fontSize: '10px', fontFamily: fonts.mono }}>{error}</span>
+    )}
+  </div>
+);
+
+export default ReplayControls;
@@ -0,0 +1,239 @@
+import React, { useMemo, useId } from 'react';
+import { colors, fonts, panelStyles, buttonStyles } from '../utils/styles';
+import { LOCUS_GAINS, dampingRatio, formatPole } from '../utils/rootLocus';
+
+const smallButton = {
+  ...buttonStyles.base,
+  ...buttonStyles.ghost,
+  padding: '5px 10px',
+  fontSize: '10px',
+  letterSpacing: 0
+};
+
+const WIDTH = 1140;
+const HEIGHT = 360;
+const PADDING = { left: 60, right: 20, top: 20, bottom: 35 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const TICK_COUNT = 5;
+
+const BRANCH_COLORS = ['#00d4ff', '#00ff88', '#ff6b9d', '#ffd93d', '#c084fc', '#fb923c'];
+const LIVE_COLOR = '#ffffff';
+const UNSTABLE_REGION = 'rgba(255, 68, 68, 0.07)';
+
+// Poles and zeros this many times further out than the rest (e.g. the
+// derivative filter's) are listed instead of plotted, so the loop's own poles stay readable
+const SCALE_GAP = 10;
+
+const magnitude = (root) => Math.hypot(root.re, root.im);
+// One entry per conjugate pair
+const upperHalf = (roots) => roots.filter(root => root.im >= 0);
+const formatTick = (value) => String(+value.toPrecision(2));
+
+/**
+ * Fit the plotted poles and zeros into the plot with equal scales on both axes
+ * (so damping reads as an angle), dropping far-out outliers
+ * @returns {Object} { re: { min, max }, im: { min, max }, offScale }
+ */
+const frameLocus = ({ startPoles, endZeros, livePoles }) => {
+  const points = [...startPoles, ...endZeros, ...livePoles];
+  const magnitudes = points.map(magnitude).sort((a, b) => a - b);
+  let limit = Infinity;
+  // Only the outer half may be dropped, and roots at the origin (within round-off) don't open a gap
+  const roundOff = 1e-6 * magnitudes[magnitudes.length - 1];
+  for (let i = magnitudes.length - 1; i >= Math.ceil(magnitudes.length / 2) && i > 0; i--) {
+    if (magnitudes[i - 1] > roundOff && magnitudes[i] > SCALE_GAP * magnitudes[i - 1]) {
+      limit = magnitudes[i - 1];
+      break;
+    }
+  }
+
+  const shown = points.filter(root => magnitude(root) <= limit);
+  const reMin = Math.min(0, ...shown.map(root => root.re));
+  const reMax = Math.max(0, ...shown.map(root => root.re));
+  const imMax = Math.max(0, ...shown.map(root => Math.abs(root.im)));
+  const extent = Math.max(reMax - reMin, 2 * imMax) || 1;
+  const pad = 0.15 * extent;
+
+  const scale = Math.min(PLOT_WIDTH / (reMax - reMin + 2 * pad), PLOT_HEIGHT / (2 * (imMax + pad)));
+  const reCenter = (reMin + reMax) / 2;
+  const reHalf = PLOT_WIDTH / (2 * scale);
+  const imHalf = PLOT_HEIGHT / (2 * scale);
+
+  const offScale = upperHalf(points.filter(root => magnitude(root) > limit));
+  return {
+    re: { min: reCenter - reHalf, max: reCenter + reHalf },
+    im: { min: -imHalf, max: imHalf },
+    offScale
+  };
+};
+
+const describeStability = ({ unstable, marginal }) => {
+  if (unstable > 0) return { text: `UNSTABLE (${unstable} RHP pole${unstable > 1 ? 's' : ''})`, color: colors.danger };
+  if (marginal > 0) return { text: 'Marginal (poles on the jω axis)', color: colors.warning };
+  return { text: 'Stable', color: colors.success };
+};
+
+/**
+ * Root Locus Panel Component
+ * Plots the closed-loop poles of the linearized loop in the s-plane as one
+ * gain sweeps from zero to its slider maximum, with the poles at the current
+ * gains marked so they move as the sliders are dragged
+ *
+ * @param {Object} props
+ * @param {Object} props.locus - Result of computeRootLocus
+ * @param {Function} props.onGainChange - Called with the gain key ('kp', 'ki', 'kd') to sweep
+ * @param {string} props.note - How the plant was linearized
+ * @param {Function} props.onClose - Hides the panel
+ */
+const RootLocusPanel = ({ locus, onGainChange, note = '', onClose }) => {
+  const clipId = useId();
+  const frame = useMemo(() => frameLocus(locus), [locus]);
+  const gainLabel = LOCUS_GAINS.find(({ key }) => key === locus.gain).label;
+
+  const toX = (re) => PADDING.left + ((re - frame.re.min) / (frame.re.max - frame.re.min)) * PLOT_WIDTH;
+  const toY = (im) => PADDING.top + ((frame.im.max - im) / (frame.im.max - frame.im.min)) * PLOT_HEIGHT;
+  const ticks = (range) => Array.from({ length: TICK_COUNT }, (_, i) => range.min + (i / (TICK_COUNT - 1)) * (range.max - range.min));
+
+  const { slowestPole, leastDampedPole } = locus;
+  const stability = describeStability(locus);
+  const readouts = [
+    { label: 'Sweep', value: `${gainLabel} 0 → ${formatTick(locus.maxGain)}` },
+    {
+      label: 'Slowest pole',
+      value: slowestPole ? `${formatPole(slowestPole)}${dampingRatio(slowestPole) > 0 ? ` (settles ~${formatTick(4 / -slowestPole.re)} s)` : ''}` : '—'
+    },
+    {
+      label: 'Least damped',
+      value: leastDampedPole ? `${formatPole(leastDampedPole)} (ζ ${dampingRatio(leastDampedPole).toFixed(2)})` : '—'
+    },
+    { label: 'Closed loop', value: stability.text, color: stability.color }
+  ];
+
+  const zeroX = toX(0);
+
+  return (
+    <div style={{ ...panelStyles.base, padding: '15px', width: '100%', boxSizing: 'border-box' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ color: colors.text.secondary, fontSize: '12px', margin: 0 }}>ROOT LOCUS</h3>
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+          <span style={{ color: colors.text.muted, fontSize: '10px' }}>Vary</span>
+          {LOCUS_GAINS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => onGainChange(key)}
+              style={{ ...smallButton, ...(key === locus.gain ? { color: colors.info, borderColor: colors.info } : {}) }}
+            >
+              {label}
+            </button>
+          ))}
+          <button onClick={onClose} style={smallButton}>✕ CLOSE</button>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '10px', flexWrap: 'wrap' }}>
+        {readouts.map(({ label, value, color }) => (
+          <div key={label} style={{ flex: 1, padding: '8px 10px', background: 'rgba(0, 0, 0, 0.3)', borderRadius: '6px' }}>
+            <div style={{ color: colors.text.muted, fontSize: '10px', marginBottom: '3px' }}>{label}</div>
+            <div style={{ color: color || colors.text.primary, fontSize: '12px', fontWeight: 'bold', fontFamily: fonts.mono }}>{value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ color: colors.text.muted, fontSize: '10px', fontFamily: fonts.mono, marginBottom: '10px' }}>
+        {note && <div>{note}</div>}
+        <div>Closed-loop poles: {upperHalf(locus.livePoles).map(formatPole).join(', ')}</div>
+        {frame.offScale.length > 0 && (
+          <div>Off the plot: {frame.offScale.map(formatPole).join(', ')}</div>
+        )}
+      </div>
+
+      <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '10px' }}>
+        <svg width={WIDTH} height={HEIGHT}>
+          <defs>
+            <clipPath id={clipId}>
+              <rect x={PADDING.left} y={PADDING.top} width={PLOT_WIDTH} height={PLOT_HEIGHT} />
+            </clipPath>
+          </defs>
+
+          {/* Right half-plane: poles here grow without bound */}
+          {zeroX < PADDING.left + PLOT_WIDTH && (
+            <rect
+              x={Math.max(PADDING.left, zeroX)}
+              y={PADDING.top}
+              width={PADDING.left + PLOT_WIDTH - Math.max(PADDING.left, zeroX)}
+              height={PLOT_HEIGHT}
+              fill={UNSTABLE_REGION}
+            />
+          )}
+
+          {/* Grid and ticks */}
+          {ticks(frame.re).map((value, i) => (
+            <g key={`re-${i}`}>
+              <line x1={toX(value)} y1={PADDING.top} x2={toX(value)} y2={PADDING.top + PLOT_HEIGHT} stroke="rgba(255,255,255,0.05)" strokeWidth="1" />
+              <text x={toX(value)} y={PADDING.top + PLOT_HEIGHT + 18} textAnchor="middle" fill={colors.text.muted} fontSize="9" fontFamily={fonts.mono}>
+                {formatTick(value)}
+              </text>
+            </g>
+          ))}
+          {ticks(frame.im).map((value, i) => (
+            <g key={`im-${i}`}>
+              <line x1={PADDING.left} y1={toY(value)} x2={PADDING.left + PLOT_WIDTH} y2={toY(value)} stroke="rgba(255,255,255,0.05)" strokeWidth="1" />
+              <text x={PADDING.left - 6} y={toY(value) + 3} textAnchor="end" fill={colors.text.muted} fontSize="9" fontFamily={fonts.mono}>
+                {formatTick(value)}j
+              </text>
+            </g>
+          ))}
+          <text x={PADDING.left + PLOT_WIDTH} y={HEIGHT - 4} textAnchor="end" fill={colors.text.muted} fontSize="9" fontFamily={fonts.mono}>
+            Re (1/s)
+          </text>
+
+          {/* Real and imaginary axes */}
+          <line x1={PADDING.left} y1={toY(0)} x2={PADDING.left + PLOT_WIDTH} y2={toY(0)} stroke="rgba(255,255,255,0.3)" strokeWidth="1" />
+          {zeroX >= PADDING.left && zeroX <= PADDING.left + PLOT_WIDTH && (
+            <line x1={zeroX} y1={PADDING.top} x2={zeroX} y2={PADDING.top + PLOT_HEIGHT} stroke="rgba(255,255,255,0.3)" strokeWidth="1" />
+          )}
+
+          {/* Branches, from the gain at zero to the end of the sweep */}
+          <g clipPath={`url(#${clipId})`}>
+            {locus.branches.map((branch, i) => (
+              <polyline
+                key={`branch-${i}`}
+                points={branch.map(root => `${toX(root.re)},${toY(root.im)}`).join(' ')}
+                fill="none"
+                stroke={BRANCH_COLORS[i % BRANCH_COLORS.length]}
+                strokeWidth="2"
+                opacity="0.8"
+              />
+            ))}
+
+            {locus.startPoles.map((root, i) => (
+              <g key={`start-${i}`} stroke={colors.text.secondary} strokeWidth="2">
+                <line x1={toX(root.re) - 5} y1={toY(root.im) - 5} x2={toX(root.re) + 5} y2={toY(root.im) + 5} />
+                <line x1={toX(root.re) - 5} y1={toY(root.im) + 5} x2={toX(root.re) + 5} y2={toY(root.im) - 5} />
+              </g>
+            ))}
+
+            {locus.endZeros.map((root, i) => (
+              <circle key={`end-${i}`} cx={toX(root.re)} cy={toY(root.im)} r="5" fill="none" stroke={colors.text.secondary} strokeWidth="2" />
+            ))}
+
+            {locus.livePoles.map((root, i) => (
+              <circle key={`live-${i}`} cx={toX(root.re)} cy={toY(root.im)} r="5" fill={LIVE_COLOR} stroke={colors.background.dark} strokeWidth="1.5" />
+            ))}
+          </g>
+        </svg>
+
+        {/* Legend */}
+        <div style={{ display: 'flex', justifyContent: 'center', gap: '15px', marginTop: '8px', flexWrap: 'wrap', color: colors.text.muted, fontSize: '10px', fontFamily: fonts.mono }}>
+          <span>✕ {gainLabel} = 0</span>
+          <span>○ where the branches end as {gainLabel} → ∞</span>
+          <span style={{ color: LIVE_COLOR }}>● current gains</span>
+          <span>shaded: unstable (right half-plane)</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RootLocusPanel;
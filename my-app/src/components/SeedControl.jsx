@@ -0,0 +1,66 @@
+import React from 'react';
+import { colors, fonts } from '../utils/styles';
+import { generateSeed, parseSeed } from '../utils/random';
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '6px 8px',
+  fontSize: '11px',
+  borderRadius: '5px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  background: 'rgba(45, 55, 72, 0.9)',
+  color: colors.text.primary,
+  fontFamily: fonts.mono
+};
+
+const diceStyle = {
+  padding: '4px 8px',
+  fontSize: '13px',
+  borderRadius: '5px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  background: 'rgba(45, 55, 72, 0.9)',
+  cursor: 'pointer'
+};
+
+/**
+ * Seed Control Component
+ * Shows the random seed of the run and lets the user type one or roll a new one.
+ * A typed seed is applied on Enter or blur; invalid input reverts to the current seed.
+ *
+ * @param {Object} props
+ * @param {number} props.seed - Current seed
+ * @param {Function} props.onChange - Called with the new seed
+ */
+const SeedControl = ({ seed, onChange }) => {
+  const commit = (input) => {
+    const next = parseSeed(input.value);
+    if (next === null) {
+      input.value = String(seed);
+    } else if (next !== seed) {
+      onChange(next);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      <label style={{ color: colors.text.muted, fontSize: '11px' }}>Random Seed</label>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <input
+          key={seed}
+          type="text"
+          inputMode="numeric"
+          defaultValue={seed}
+          onBlur={e => commit(e.target)}
+          onKeyDown={e => { if (e.key === 'Enter') commit(e.target); }}
+          style={inputStyle}
+        />
+        <button onClick={() => onChange(generateSeed())} style={diceStyle} title="New random seed">
+          🎲
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SeedControl;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { colors } from '../utils/styles';
+import StatusDisplay from './StatusDisplay';
+
+/**
+ * Format a duration in seconds, switching to minutes for slow plants
+ */
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  if (seconds >= 120) return `${(seconds / 60).toFixed(1)} min`;
+  return `${seconds.toFixed(2)} s`;
+};
+
+/**
+ * Step Metrics Panel Component
+ * Shows the metrics of the latest setpoint step from createStepResponseAnalyzer
+ *
+ * @param {Object} props
+ * @param {Object} props.metrics - Summarized step (null before the first step)
+ * @param {string} props.unit - Unit of the measured variable
+ */
+const StepMetricsPanel = ({ metrics, unit = '' }) => {
+  const header = (
+    <h3 style={{ color: colors.text.secondary, fontSize: '12px', margin: '0 0 10px 0' }}>STEP RESPONSE</h3>
+  );
+
+  if (!metrics) {
+    return (
+      <div>
+        {header}
+        <div style={{ color: colors.text.muted, fontSize: '10px' }}>Change the setpoint to measure a step</div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {header}
+      <StatusDisplay items={[
+        { label: 'Rise time', value: formatDuration(metrics.riseTime), color: colors.proportional },
+        { label: 'Settling 2%', value: formatDuration(metrics.settlingTimes[0.02]), color: colors.integral },
+        { label: 'Settling 5%', value: formatDuration(metrics.settlingTimes[0.05]), color: colors.integral },
+        { label: 'Overshoot', value: metrics.overshoot, unit: '%', color: metrics.overshoot > 0 ? colors.setpoint : colors.text.primary },
+        { label: 'Peak time', value: formatDuration(metrics.peakTime), color: colors.text.primary },
+        { label: 'SS error', value: metrics.steadyStateError, unit, decimals: 3, color: colors.warning },
+        { label: 'IAE', value: metrics.iae, decimals: 3 },
+        { label: 'ISE', value: metrics.ise, decimals: 3 },
+        { label: 'ITAE', value: metrics.itae, decimals: 3 }
+      ]} />
+    </div>
+  );
+};
+
+export default StepMetricsPanel;
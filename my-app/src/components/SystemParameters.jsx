@@ -7,7 +7,7 @@ import { colors, fonts, panelStyles } from '../utils/styles';
  *
  * @param {Object} props
  * @param {Array} props.parameters - Array of { name, value, unit, min?, max?, step?, editable?, onChange? }
- * @param {string} props.equation - LaTeX-style equation string to display
+ * @param {string} props.equation - LaTeX-style equation string to display; newlines start new lines
  * @param {string} props.equationLabel - Label for the equation section
  * @param {string} props.title - Title for the panel
  */
@@ -46,6 +46,7 @@ const SystemParameters = ({
             fontFamily: fonts.mono,
             lineHeight: '1.6',
             textAlign: 'center',
+            whiteSpace: 'pre-line',
             overflowX: 'auto'
           }}>
             {equation}
@@ -5,3 +5,12 @@ export { default as ControlPanel } from './ControlPanel';
 export { default as SystemParameters } from './SystemParameters';
 export { default as Navigation } from './Navigation';
 export { default as StatusDisplay } from './StatusDisplay';
+export { default as IntegratorControls } from './IntegratorControls';
+export { default as StepMetricsPanel } from './StepMetricsPanel';
+export { default as ReplayControls } from './ReplayControls';
+export { default as ComparisonPanel } from './ComparisonPanel';
+export { default as SeedControl } from './SeedControl';
+export { default as CopyLinkButton } from './CopyLinkButton';
+export { default as PresetSelector } from './PresetSelector';
+export { default as BodePanel } from './BodePanel';
+export { default as RootLocusPanel } from './RootLocusPanel';
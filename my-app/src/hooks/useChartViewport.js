@@ -0,0 +1,167 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const FULL_Y_VIEW = { from: 0, to: 1 };
+const WHEEL_ZOOM_FACTOR = 1.2;
+// Box selections smaller than this (px) are treated as clicks
+const MIN_BOX_SIZE = 5;
+
+const clampFraction = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Zoom, pan and hover state for a time-series chart
+ * - Wheel zooms time around the cursor; Shift + wheel zooms the value axes
+ * - Drag pans; Shift + drag draws a zoom box
+ * - Double-click returns to auto-fit
+ * While zoomed out (auto) the time range follows autoXBounds as data arrives.
+ * The value view is a fraction of each series' own range, so it applies to
+ * every y-axis at once.
+ *
+ * @param {Object} config - Chart geometry
+ * @param {Object} config.autoXBounds - { min, max } time range when not zoomed
+ * @param {number} config.leftPadding - Plot area left edge in px
+ * @param {number} config.topPadding - Plot area top edge in px
+ * @param {number} config.plotWidth - Plot area width in px
+ * @param {number} config.plotHeight - Plot area height in px
+ * @returns {Object} { bindSvg, xRange, yView, isZoomed, selection, hoverX, handlers, reset }
+ */
+export function useChartViewport({ autoXBounds, leftPadding, topPadding, plotWidth, plotHeight }) {
+  const [svgElement, setSvgElement] = useState(null);
+  const [xView, setXView] = useState(null);
+  const [yView, setYView] = useState(FULL_Y_VIEW);
+  const [selection, setSelection] = useState(null);
+  const [hoverX, setHoverX] = useState(null);
+  const dragRef = useRef(null);
+
+  const xRange = xView || autoXBounds;
+  const xSpan = xRange.max - xRange.min || 1;
+  const ySpan = yView.to - yView.from;
+
+  const pointer = useCallback((event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }, []);
+
+  const insidePlot = (x, y) => (
+    x >= leftPadding && x <= leftPadding + plotWidth && y >= topPadding && y <= topPadding + plotHeight
+  );
+  const timeAt = useCallback((x) => xRange.min + ((x - leftPadding) / plotWidth) * xSpan, [xRange, leftPadding, plotWidth, xSpan]);
+  const fractionAt = useCallback(
+    (y) => yView.from + (1 - (y - topPadding) / plotHeight) * ySpan,
+    [yView, topPadding, plotHeight, ySpan]
+  );
+
+  // Wheel needs a non-passive listener so the page doesn't scroll while zooming
+  useEffect(() => {
+    if (!svgElement) return undefined;
+
+    const onWheel = (event) => {
+      const rect = svgElement.getBoundingClientRect();
+      const x = event.clientX - rect.left;
+      const y = event.clientY - rect.top;
+      if (!insidePlot(x, y)) return;
+      event.preventDefault();
+
+      const factor = event.deltaY > 0 ? WHEEL_ZOOM_FACTOR : 1 / WHEEL_ZOOM_FACTOR;
+      if (event.shiftKey) {
+        const anchor = fractionAt(y);
+        const from = clampFraction(anchor - (anchor - yView.from) * factor);
+        const to = clampFraction(anchor + (yView.to - anchor) * factor);
+        setYView(to - from >= 1 ? FULL_Y_VIEW : { from, to });
+      } else {
+        const anchor = timeAt(x);
+        setXView({
+          min: anchor - (anchor - xRange.min) * factor,
+          max: anchor + (xRange.max - anchor) * factor
+        });
+      }
+    };
+
+    svgElement.addEventListener('wheel', onWheel, { passive: false });
+    return () => svgElement.removeEventListener('wheel', onWheel);
+  });
+
+  const onMouseDown = (event) => {
+    if (event.button !== 0) return;
+    const { x, y } = pointer(event);
+    if (!insidePlot(x, y)) return;
+    event.preventDefault();
+    dragRef.current = { mode: event.shiftKey ? 'box' : 'pan', x, y, xRange, yView };
+    if (event.shiftKey) setSelection({ x0: x, y0: y, x1: x, y1: y });
+  };
+
+  const onMouseMove = (event) => {
+    const { x, y } = pointer(event);
+    setHoverX(insidePlot(x, y) ? x : null);
+
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.mode === 'box') {
+      setSelection({
+        x0: drag.x,
+        y0: drag.y,
+        x1: Math.max(leftPadding, Math.min(leftPadding + plotWidth, x)),
+        y1: Math.max(topPadding, Math.min(topPadding + plotHeight, y))
+      });
+      return;
+    }
+
+    const startSpan = drag.xRange.max - drag.xRange.min;
+    const shift = -((x - drag.x) / plotWidth) * startSpan;
+    setXView({ min: drag.xRange.min + shift, max: drag.xRange.max + shift });
+
+    // Vertical pan only once the value axes are zoomed
+    const dragYSpan = drag.yView.to - drag.yView.from;
+    if (dragYSpan < 1) {
+      const lift = ((y - drag.y) / plotHeight) * dragYSpan;
+      const from = Math.max(0, Math.min(1 - dragYSpan, drag.yView.from + lift));
+      setYView({ from, to: from + dragYSpan });
+    }
+  };
+
+  const endDrag = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.mode !== 'box' || !selection) return;
+    setSelection(null);
+
+    const { x0, y0, x1, y1 } = selection;
+    if (Math.abs(x1 - x0) >= MIN_BOX_SIZE) {
+      setXView({ min: timeAt(Math.min(x0, x1)), max: timeAt(Math.max(x0, x1)) });
+    }
+    if (Math.abs(y1 - y0) >= MIN_BOX_SIZE) {
+      setYView({
+        from: clampFraction(fractionAt(Math.max(y0, y1))),
+        to: clampFraction(fractionAt(Math.min(y0, y1)))
+      });
+    }
+  };
+
+  const reset = useCallback(() => {
+    dragRef.current = null;
+    setXView(null);
+    setYView(FULL_Y_VIEW);
+    setSelection(null);
+  }, []);
+
+  return {
+    bindSvg: setSvgElement,
+    xRange,
+    yView,
+    isZoomed: xView !== null || ySpan < 1,
+    selection,
+    hoverX,
+    reset,
+    handlers: {
+      onMouseDown,
+      onMouseMove,
+      onMouseUp: endDrag,
+      onMouseLeave: () => {
+        endDrag();
+        setHoverX(null);
+      },
+      onDoubleClick: reset
+    }
+  };
+}
+
+export default useChartViewport;
@@ -0,0 +1,54 @@
+import { useState, useCallback } from 'react';
+import { createProfile, loadProfiles, saveProfiles, mergeProfiles, parseProfilesFile, exportProfiles } from '../utils/gainProfiles';
+
+/**
+ * User-named gain profiles for one simulator, persisted in localStorage
+ *
+ * @param {string} simulator - Simulator id (profiles are stored per simulator)
+ * @returns {Object} { profiles, error, save, remove, importFile, exportFile }
+ */
+export function useGainProfiles(simulator) {
+  const [profiles, setProfiles] = useState(() => loadProfiles(simulator));
+  const [error, setError] = useState('');
+
+  const update = useCallback((next) => {
+    setProfiles(next);
+    setError(saveProfiles(simulator, next) ? '' : 'Profiles could not be saved in this browser');
+  }, [simulator]);
+
+  /**
+   * Save gains under a name, replacing a profile with the same name
+   */
+  const save = useCallback((name, gains) => {
+    if (name.trim() === '') return;
+    update(mergeProfiles(profiles, [createProfile(name, gains)]));
+  }, [profiles, update]);
+
+  const remove = useCallback((name) => {
+    update(profiles.filter(profile => profile.name !== name));
+  }, [profiles, update]);
+
+  /**
+   * Merge profiles from a file chosen by the user
+   * @param {File} file - JSON file from exportFile
+   */
+  const importFile = useCallback(async (file) => {
+    try {
+      const imported = parseProfilesFile(await file.text());
+      if (imported.simulator && imported.simulator !== simulator) {
+        throw new Error(`profiles are for ${imported.simulator}`);
+      }
+      update(mergeProfiles(profiles, imported.profiles));
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  }, [simulator, profiles, update]);
+
+  const exportFile = useCallback(() => {
+    exportProfiles(simulator, profiles);
+  }, [simulator, profiles]);
+
+  return { profiles, error, save, remove, importFile, exportFile };
+}
+
+export default useGainProfiles;
@@ -1,15 +1,23 @@
 import { useRef, useEffect, useCallback, useState } from 'react';
+import { createSimulationEngine } from '../utils/simulationEngine';
+import { useTelemetryStore, useTelemetry } from './useTelemetry';
 
 /**
  * Custom hook for physics simulation loop
- * Provides consistent timing, state management, and data recording
+ * Drives the headless simulation engine from requestAnimationFrame, providing
+ * consistent timing, state management, and data recording
  *
  * @param {Object} config - Configuration object
  * @param {number} config.dt - Physics timestep in seconds (default: 0.001)
  * @param {number} config.renderInterval - Render interval in ms (default: 16)
  * @param {number} config.timeScale - Time scaling factor (default: 1)
  * @param {number} config.plotInterval - How often to record plot data in simulated seconds (default: 0.05)
- * @param {Function} config.onPhysicsStep - Called each physics step with (state, dt) => controlSignal
+ * @param {Object} config.plant - Engine plant { initialState, step(state, control, dt) } (default: wraps onPhysicsStep)
+ * @param {Function} config.controller - Engine control law (state, dt) => control
+ * @param {Function} config.record - (state, control) => { key: value } recorded into plotData every plotInterval
+ * @param {number} config.retention - Seconds of plot history kept (default: Infinity)
+ * @param {number} config.capacity - Plot samples kept per channel (default: 20000)
+ * @param {Function} config.onPhysicsStep - Called each physics step with (state, dt) when no plant is given
  * @param {Function} config.onRender - Called each render frame with (state)
  * @param {Object} config.initialState - Initial physics state
  */
@@ -18,55 +26,95 @@ export function usePhysicsSimulation({
   renderInterval = 16,
   timeScale = 1,
   plotInterval = 0.05,
+  plant,
+  controller,
+  record,
+  retention = Infinity,
+  capacity = 20000,
   onPhysicsStep,
   onRender,
   initialState = {}
 }) {
   const [isRunning, setIsRunning] = useState(false);
-  const [plotData, setPlotData] = useState({ timeHistory: [] });
   const [displayState, setDisplayState] = useState({});
+  const [failure, setFailure] = useState(null);
 
-  const stateRef = useRef({ time: 0, ...initialState });
+  const telemetry = useTelemetryStore({ retention, capacity });
+  const plotData = useTelemetry(telemetry);
+
+  const [engine] = useState(() => createSimulationEngine({
+    plant: { initialState, step: () => null },
+    dt,
+    recordInterval: plotInterval,
+    telemetry
+  }));
+
+  const stateRef = useRef(engine.getState());
   const animationRef = useRef(null);
   const lastRenderRef = useRef(0);
-  const lastPlotTimeRef = useRef(0);
+
+  useEffect(() => {
+    telemetry.configure({ retention, capacity });
+  }, [telemetry, retention, capacity]);
+
+  // Keep the engine pointed at the latest plant, controller and callbacks
+  useEffect(() => {
+    engine.configure({
+      plant: plant || {
+        initialState,
+        step: (state, control, stepDt) => {
+          if (onPhysicsStep) onPhysicsStep(state, stepDt);
+          return null;
+        }
+      },
+      controller: controller || null,
+      record: record || null,
+      dt,
+      recordInterval: plotInterval
+    });
+  }, [engine, plant, controller, record, onPhysicsStep, initialState, dt, plotInterval]);
 
   // Reset simulation to initial state
   const reset = useCallback((newInitialState = initialState) => {
-    stateRef.current = { time: 0, ...newInitialState };
-    lastPlotTimeRef.current = 0;
-    setPlotData({ timeHistory: [] });
+    engine.reset(newInitialState);
+    stateRef.current = engine.getState();
     setDisplayState({});
-  }, [initialState]);
+    setFailure(null);
+  }, [engine, initialState]);
 
   // Get current state
   const getState = useCallback(() => {
-    return stateRef.current;
-  }, []);
+    return engine.getState();
+  }, [engine]);
 
   // Update state
   const updateState = useCallback((updates) => {
-    Object.assign(stateRef.current, updates);
-  }, []);
+    Object.assign(engine.getState(), updates);
+  }, [engine]);
 
   // Record data point for plotting
   const recordDataPoint = useCallback((dataPoint) => {
-    setPlotData(prev => {
-      const newData = { ...prev };
-      for (const [key, value] of Object.entries(dataPoint)) {
-        if (!newData[key]) newData[key] = [];
-        newData[key] = [...newData[key], value];
-      }
-      newData.timeHistory = [...(newData.timeHistory || []), stateRef.current.time];
-      return newData;
-    });
-  }, []);
+    telemetry.push(engine.getState().time, dataPoint);
+  }, [engine, telemetry]);
+
+  // Drop plot history without touching the simulation state
+  const clearPlotData = useCallback(() => {
+    engine.clearTrace();
+  }, [engine]);
 
   // Update display state (for UI updates)
   const updateDisplayState = useCallback((updates) => {
     setDisplayState(prev => ({ ...prev, ...updates }));
   }, []);
 
+  // Run a span of simulated time synchronously (e.g. "simulate 60 s instantly")
+  const runFor = useCallback((duration) => {
+    const result = engine.run(duration);
+    if (result.failure) setFailure(result.failure);
+    if (onRender) onRender(engine.getState());
+    return result;
+  }, [engine, onRender]);
+
   // Main animation loop
   useEffect(() => {
     if (!isRunning) {
@@ -85,27 +133,24 @@ export function usePhysicsSimulation({
       accumulator += deltaTime * timeScale;
 
       // Physics updates at fixed timestep
-      while (accumulator >= dt * 1000) {
-        if (onPhysicsStep) {
-          onPhysicsStep(stateRef.current, dt);
-        }
-        stateRef.current.time += dt;
-        accumulator -= dt * 1000;
-      }
-
-      // Record plot data at specified interval
-      if (stateRef.current.time - lastPlotTimeRef.current >= plotInterval) {
-        lastPlotTimeRef.current = stateRef.current.time;
-      }
+      const steps = Math.floor(accumulator / (dt * 1000));
+      const result = engine.advance(steps);
+      accumulator -= steps * dt * 1000;
 
       // Render at display refresh rate
       if (currentTime - lastRenderRef.current >= renderInterval) {
         if (onRender) {
-          onRender(stateRef.current);
+          onRender(engine.getState());
         }
         lastRenderRef.current = currentTime;
       }
 
+      if (result.failure) {
+        setFailure(result.failure);
+        setIsRunning(false);
+        return;
+      }
+
       animationRef.current = requestAnimationFrame(loop);
     };
 
@@ -116,20 +161,24 @@ export function usePhysicsSimulation({
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isRunning, dt, renderInterval, timeScale, plotInterval, onPhysicsStep, onRender]);
+  }, [isRunning, engine, dt, renderInterval, timeScale, onRender]);
 
   return {
     isRunning,
     setIsRunning,
     plotData,
-    setPlotData,
+    clearPlotData,
+    telemetry,
     displayState,
+    failure,
+    engine,
     stateRef,
     reset,
     getState,
     updateState,
     recordDataPoint,
-    updateDisplayState
+    updateDisplayState,
+    runFor
   };
 }
 
@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { parseRunFile, sampleRun } from '../utils/runReplay';
+
+/**
+ * Playback speeds offered by replay controls
+ */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Load a recorded run and play it back
+ * Playback time advances on requestAnimationFrame while playing; sample holds
+ * every recorded channel interpolated at the current time, for driving render.
+ *
+ * @param {Object} config - Replay configuration
+ * @param {Array} config.columns - Export columns of the simulator, used to read CSV headers
+ * @param {number} config.timeScale - Recorded seconds played per real second at 1× (default: 1)
+ * @returns {Object} { run, time, playing, speed, sample, error, load, close, seek, togglePlay, setSpeed }
+ */
+export function useRunReplay({ columns = [], timeScale = 1 } = {}) {
+  const [run, setRun] = useState(null);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [error, setError] = useState('');
+  const timeRef = useRef(0);
+
+  const seek = useCallback((value) => {
+    const next = Math.max(0, Math.min(run ? run.duration : 0, value));
+    timeRef.current = next;
+    setTime(next);
+  }, [run]);
+
+  useEffect(() => {
+    if (!run || !playing) return undefined;
+
+    let frame = null;
+    let lastTime = performance.now();
+    const tick = (now) => {
+      const next = timeRef.current + ((now - lastTime) / 1000) * speed * timeScale;
+      lastTime = now;
+      if (next >= run.duration) {
+        timeRef.current = run.duration;
+        setTime(run.duration);
+        setPlaying(false);
+        return;
+      }
+      timeRef.current = next;
+      setTime(next);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [run, playing, speed, timeScale]);
+
+  /**
+   * Read a run file chosen by the user
+   * @param {File} file - JSON or CSV export
+   * @returns {Promise<Object|null>} The parsed run, or null when the file is invalid
+   */
+  const load = useCallback(async (file) => {
+    try {
+      const loaded = parseRunFile(await file.text(), columns);
+      timeRef.current = 0;
+      setRun(loaded);
+      setTime(0);
+      setPlaying(false);
+      setError('');
+      return loaded;
+    } catch (err) {
+      setError(`Could not load ${file.name}: ${err.message}`);
+      return null;
+    }
+  }, [columns]);
+
+  const close = useCallback(() => {
+    timeRef.current = 0;
+    setRun(null);
+    setTime(0);
+    setPlaying(false);
+    setError('');
+  }, []);
+
+  const togglePlay = useCallback(() => {
+    if (!run) return;
+    // Restart from the beginning once the end has been reached
+    if (!playing && timeRef.current >= run.duration) seek(0);
+    setPlaying(prev => !prev);
+  }, [run, playing, seek]);
+
+  const sample = useMemo(() => (run ? sampleRun(run, time) : null), [run, time]);
+
+  return { run, time, playing, speed, sample, error, load, close, seek, togglePlay, setSpeed };
+}
+
+export default useRunReplay;
@@ -0,0 +1,27 @@
+import { useState, useSyncExternalStore } from 'react';
+import { createTelemetryStore } from '../utils/telemetry';
+
+const EMPTY_SNAPSHOT = { timeHistory: [] };
+const subscribeNone = () => () => {};
+const getEmptySnapshot = () => EMPTY_SNAPSHOT;
+
+/**
+ * Create a telemetry store that lives as long as the component
+ * @param {Object} config - createTelemetryStore config (read on first render only)
+ * @returns {Object} Telemetry store
+ */
+export function useTelemetryStore(config) {
+  const [store] = useState(() => createTelemetryStore(config));
+  return store;
+}
+
+/**
+ * Subscribe to a telemetry store and re-render on new samples
+ * @param {Object} store - Telemetry store, or null for an empty snapshot
+ * @returns {Object} Snapshot in plotData shape: { timeHistory, [channel]: Float64Array }
+ */
+export function useTelemetry(store) {
+  return useSyncExternalStore(store ? store.subscribe : subscribeNone, store ? store.snapshot : getEmptySnapshot);
+}
+
+export default useTelemetry;
@@ -0,0 +1,162 @@
+import { definePlant } from './plant';
+
+const GRAVITY = 9.81;
+const MAX_BEAM_ANGLE = 15; // degrees
+const M_TO_CM = 100;
+const BALL_RADIUS_PX = 12;
+// Pointer distance from the beam (px) that still grabs the setpoint
+const GRAB_DISTANCE = 40;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Beam pivot and scale on the canvas; the beam spans the width at its longest
+ */
+const beamGeometry = (width, height) => ({
+  pivotX: width / 2,
+  pivotY: height / 2 + 20,
+  scale: (width - 60) / 2 // px per metre for a 2 m beam
+});
+
+/**
+ * Ball and beam: a ball rolling without slipping along a beam whose tilt is
+ * the actuator. Rolling puts part of gravity's pull into spinning the ball,
+ * so it accelerates at g·sin α / (1 + J/(m·R²)).
+ */
+export default definePlant({
+  id: 'ballbeam',
+  label: 'Ball & Beam',
+
+  states: [
+    { key: 'position', label: 'Ball position', unit: 'm', initial: -0.25 },
+    { key: 'velocity', label: 'Ball velocity', unit: 'm/s', initial: 0 }
+  ],
+  velocityKeys: ['velocity'],
+  inputs: [
+    { key: 'angle', label: 'Beam angle', unit: '°', min: -MAX_BEAM_ANGLE, max: MAX_BEAM_ANGLE }
+  ],
+  outputs: [
+    { key: 'position', label: 'Position', unit: 'cm', color: '#00ff88', value: (state) => state.position * M_TO_CM }
+  ],
+  params: [
+    { key: 'beamLength', label: 'Beam length', unit: 'm', min: 1, max: 2, step: 0.05, default: 1 },
+    { key: 'inertiaRatio', label: 'Inertia J/(m·R²)', unit: '', min: 0.4, max: 1, step: 0.01, default: 0.4 },
+    { key: 'damping', label: 'Rolling damping', unit: '1/s', min: 0, max: 1, step: 0.01, default: 0.05 }
+  ],
+  setpoint: { min: -40, max: 40, step: 1, default: 0 },
+  defaultGains: { kp: 0.5, ki: 0, kd: 0.3 },
+  gainRanges: { kpMax: 3, kiMax: 2, kdMax: 2, kpStep: 0.05, kiStep: 0.05, kdStep: 0.05 },
+  presets: [
+    { name: 'P only', kp: 0.5, ki: 0, kd: 0 },
+    { name: 'Well tuned', kp: 0.5, ki: 0, kd: 0.3 },
+    { name: 'Oscillatory', kp: 1.5, ki: 0, kd: 0.1 },
+    { name: 'Sluggish', kp: 0.2, ki: 0, kd: 0.6 }
+  ],
+
+  equation: '(1 + J/(m·R²))·r̈ = g·sin α − b·ṙ',
+
+  derivatives: (state, { angle }, { inertiaRatio, damping }) => ({
+    position: state.velocity,
+    velocity: (GRAVITY * Math.sin(toRadians(angle)) - damping * state.velocity) / (1 + inertiaRatio)
+  }),
+
+  failures: [
+    { id: 'fell', message: 'Ball rolled off the beam', check: (state, { beamLength }) => Math.abs(state.position) > beamLength / 2 }
+  ],
+
+  setpointAt: (x, y, { state, width, height }) => {
+    const { pivotX, pivotY, scale } = beamGeometry(width, height);
+    const angle = toRadians(state.inputs?.angle ?? 0);
+    const dx = x - pivotX;
+    const dy = y - pivotY;
+    if (Math.abs(-dx * Math.sin(angle) + dy * Math.cos(angle)) > GRAB_DISTANCE) return null;
+    return ((dx * Math.cos(angle) + dy * Math.sin(angle)) / scale) * M_TO_CM;
+  },
+
+  render: (ctx, { state, inputs, params, setpoint, width, height }) => {
+    const angle = inputs?.angle ?? 0;
+    const { pivotX, pivotY, scale } = beamGeometry(width, height);
+    const halfLength = (params.beamLength / 2) * scale;
+
+    const background = ctx.createLinearGradient(0, 0, 0, height);
+    background.addColorStop(0, '#1a2035');
+    background.addColorStop(1, '#0a0f1a');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+
+    // Stand and servo
+    ctx.fillStyle = '#4a5568';
+    ctx.beginPath();
+    ctx.moveTo(pivotX, pivotY);
+    ctx.lineTo(pivotX - 30, height - 30);
+    ctx.lineTo(pivotX + 30, height - 30);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = '#2d3748';
+    ctx.fillRect(40, height - 30, width - 80, 8);
+
+    // Beam and ruler in beam coordinates (x along the beam, y down), tilted by the input
+    ctx.save();
+    ctx.translate(pivotX, pivotY);
+    ctx.rotate(toRadians(angle));
+
+    ctx.fillStyle = '#a0aec0';
+    ctx.fillRect(-halfLength, 0, halfLength * 2, 8);
+    ctx.fillStyle = '#e53e3e';
+    ctx.fillRect(-halfLength - 4, -10, 4, 18);
+    ctx.fillRect(halfLength, -10, 4, 18);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '9px "JetBrains Mono", monospace';
+    ctx.textAlign = 'center';
+    for (let cm = -Math.floor(params.beamLength * 5) * 10; cm <= params.beamLength * 50; cm += 10) {
+      const x = (cm / M_TO_CM) * scale;
+      ctx.fillRect(x - 0.5, 8, 1, cm % 50 === 0 ? 8 : 4);
+      if (cm % 50 === 0) ctx.fillText(String(cm), x, 26);
+    }
+
+    // Target marker (drag to move)
+    const targetX = (setpoint / M_TO_CM) * scale;
+    ctx.fillStyle = '#ff6b6b';
+    ctx.beginPath();
+    ctx.moveTo(targetX, -2);
+    ctx.lineTo(targetX - 7, -14);
+    ctx.lineTo(targetX + 7, -14);
+    ctx.closePath();
+    ctx.fill();
+
+    // Ball, rolled by its travel along the beam
+    const ballX = state.position * scale;
+    ctx.fillStyle = '#00ff88';
+    ctx.beginPath();
+    ctx.arc(ballX, -BALL_RADIUS_PX, BALL_RADIUS_PX, 0, Math.PI * 2);
+    ctx.fill();
+    const spin = (state.position * scale) / BALL_RADIUS_PX;
+    ctx.strokeStyle = '#0a0f1a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(ballX, -BALL_RADIUS_PX);
+    ctx.lineTo(ballX + Math.cos(spin) * (BALL_RADIUS_PX - 3), -BALL_RADIUS_PX + Math.sin(spin) * (BALL_RADIUS_PX - 3));
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.fillStyle = '#2d3748';
+    ctx.beginPath();
+    ctx.arc(pivotX, pivotY + 4, 6, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '14px "JetBrains Mono", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Ball: ${(state.position * M_TO_CM).toFixed(1)} cm`, 20, 25);
+    ctx.fillStyle = '#ff6b6b';
+    ctx.fillText(`Target: ${setpoint.toFixed(0)} cm`, 20, 45);
+    ctx.fillStyle = '#f6ad55';
+    ctx.textAlign = 'right';
+    ctx.fillText(`Beam: ${angle.toFixed(1)}°`, width - 20, 25);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.font = '10px "JetBrains Mono", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('Drag along the beam to move the target', width / 2, height - 8);
+  }
+});
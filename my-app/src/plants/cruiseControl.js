@@ -0,0 +1,247 @@
+import { definePlant } from './plant';
+
+const GRAVITY = 9.81;
+const AIR_DENSITY = 1.2; // kg/m³
+const MAX_DRIVE_FORCE = 4000;
+const MAX_BRAKE_FORCE = 8000;
+const MS_TO_KMH = 3.6;
+const SPEEDOMETER_MAX = 200; // km/h
+const INITIAL_SPEED = 25; // m/s
+
+/**
+ * Road grade (rise over run) at a distance along the road: rolling hills of
+ * the given peak grade and wavelength
+ */
+const roadGrade = (position, { hillGrade, hillLength }) => (hillGrade / 100) * Math.sin((2 * Math.PI * position) / hillLength);
+
+/**
+ * Road height at a distance along the road, the integral of roadGrade
+ */
+const roadHeight = (position, { hillGrade, hillLength }) => -(hillGrade / 100) * (hillLength / (2 * Math.PI)) * Math.cos((2 * Math.PI * position) / hillLength);
+
+/**
+ * Drag plus rolling resistance at a speed on a road at the given angle; both
+ * oppose the motion and vanish at a standstill (the car does not reverse)
+ */
+const resistance = (velocity, angle, { mass, dragArea, rollingResistance }) => {
+  const drag = 0.5 * AIR_DENSITY * dragArea * velocity * Math.abs(velocity);
+  const rolling = velocity > 0 ? rollingResistance * mass * GRAVITY * Math.cos(angle) : 0;
+  return drag + rolling;
+};
+
+/**
+ * Cruise control: a car on rolling hills driven by a saturating engine force
+ * (negative when braking) against quadratic aerodynamic drag, rolling
+ * resistance and the component of gravity along the road
+ */
+export default definePlant({
+  id: 'cruise',
+  label: 'Cruise Control',
+
+  states: [
+    { key: 'position', label: 'Distance', unit: 'm', initial: 0 },
+    { key: 'velocity', label: 'Speed', unit: 'm/s', initial: INITIAL_SPEED }
+  ],
+  velocityKeys: ['velocity'],
+  inputs: [
+    { key: 'force', label: 'Throttle / brake', unit: 'N', min: -MAX_BRAKE_FORCE, max: MAX_DRIVE_FORCE }
+  ],
+  outputs: [
+    { key: 'speed', label: 'Speed', unit: 'km/h', color: '#00ff88', value: (state) => state.velocity * MS_TO_KMH },
+    { key: 'grade', label: 'Road grade', unit: '%', color: '#c084fc', value: (state, params) => roadGrade(state.position, params) * 100 }
+  ],
+  params: [
+    { key: 'mass', label: 'Vehicle mass', unit: 'kg', min: 800, max: 3000, step: 50, default: 1500, decimals: 0 },
+    { key: 'dragArea', label: 'Drag area Cd·A', unit: 'm²', min: 0.3, max: 1.5, step: 0.05, default: 0.7 },
+    { key: 'rollingResistance', label: 'Rolling resistance', unit: '', min: 0.005, max: 0.03, step: 0.001, default: 0.012, decimals: 3 },
+    { key: 'hillGrade', label: 'Peak grade', unit: '%', min: 0, max: 10, step: 0.5, default: 4, decimals: 1 },
+    { key: 'hillLength', label: 'Hill wavelength', unit: 'm', min: 200, max: 3000, step: 50, default: 1000, decimals: 0 }
+  ],
+  setpoint: { min: 0, max: 160, step: 1, default: 100 },
+  defaultGains: { kp: 500, ki: 50, kd: 0 },
+  gainRanges: { kpMax: 2000, kiMax: 500, kdMax: 500 },
+  presets: [
+    { name: 'P only', kp: 500, ki: 0, kd: 0 },
+    { name: 'Well tuned', kp: 800, ki: 80, kd: 0 },
+    { name: 'Oscillatory', kp: 50, ki: 150, kd: 0 },
+    { name: 'Sluggish', kp: 100, ki: 5, kd: 0 }
+  ],
+
+  dt: 0.01,
+  plotInterval: 0.1,
+  equation: 'm·dv/dt = F − ½·ρ·CdA·v² − Crr·m·g·cos θ − m·g·sin θ',
+
+  derivatives: (state, { force }, params) => {
+    const angle = Math.atan(roadGrade(state.position, params));
+    return {
+      position: state.velocity,
+      velocity: (force - resistance(state.velocity, angle, params) - params.mass * GRAVITY * Math.sin(angle)) / params.mass
+    };
+  },
+
+  // The hills are a disturbance, not plant dynamics: linearized about them the
+  // grade's slope along the road adds a spring on position, a zero at the origin
+  // and no DC gain. Trim at the starting speed on a flat road instead.
+  operatingPoint: (params) => ({
+    params: { ...params, hillGrade: 0 },
+    state: { position: 0, velocity: INITIAL_SPEED },
+    control: resistance(INITIAL_SPEED, 0, params),
+    description: `a steady ${(INITIAL_SPEED * MS_TO_KMH).toFixed(0)} km/h on a flat road`
+  }),
+
+  // Brakes hold a stopped car rather than pushing it backwards
+  constrain: (state) => {
+    state.velocity = Math.max(0, state.velocity);
+  },
+
+  render: (ctx, { state, inputs, params, setpoint, width, height }) => {
+    const force = inputs?.force ?? 0;
+    const speed = state.velocity * MS_TO_KMH;
+
+    const skyGradient = ctx.createLinearGradient(0, 0, 0, height);
+    skyGradient.addColorStop(0, '#1e3a5f');
+    skyGradient.addColorStop(1, '#4a7ba6');
+    ctx.fillStyle = skyGradient;
+    ctx.fillRect(0, 0, width, height);
+
+    // Road seen from the side, 1 px per metre; heights exaggerated so gentle grades read as hills
+    const carX = 140;
+    const roadBase = height - 110;
+    const amplitude = (params.hillGrade / 100) * (params.hillLength / (2 * Math.PI));
+    const verticalScale = amplitude > 0 ? Math.min(5, 50 / amplitude) : 1;
+    const roadY = (screenX) => roadBase - roadHeight(state.position + (screenX - carX), params) * verticalScale;
+
+    ctx.fillStyle = '#3d5c3d';
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    for (let x = 0; x <= width; x += 4) ctx.lineTo(x, roadY(x));
+    ctx.lineTo(width, height);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.strokeStyle = '#4a4a4a';
+    ctx.lineWidth = 10;
+    ctx.beginPath();
+    for (let x = 0; x <= width; x += 4) {
+      if (x === 0) ctx.moveTo(x, roadY(x));
+      else ctx.lineTo(x, roadY(x));
+    }
+    ctx.stroke();
+
+    // Posts every 50 m scroll past so the speed is visible
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    const firstPost = Math.ceil((state.position - carX) / 50) * 50;
+    for (let post = firstPost; post - state.position + carX <= width; post += 50) {
+      const x = post - state.position + carX;
+      ctx.fillRect(x - 1, roadY(x) - 22, 2, 16);
+    }
+
+    // Car, tilted to the drawn slope
+    const slope = Math.atan2(roadY(carX + 10) - roadY(carX - 10), 20);
+    ctx.save();
+    ctx.translate(carX, roadY(carX) - 5);
+    ctx.rotate(slope);
+    ctx.fillStyle = '#e53e3e';
+    ctx.beginPath();
+    ctx.roundRect(-35, -22, 70, 16, 4);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.roundRect(-18, -34, 36, 14, 5);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(160, 210, 255, 0.8)';
+    ctx.fillRect(-13, -31, 12, 9);
+    ctx.fillRect(2, -31, 12, 9);
+    const wheelAngle = state.position / 0.3;
+    for (const wheelX of [-22, 22]) {
+      ctx.fillStyle = '#1a1a1a';
+      ctx.beginPath();
+      ctx.arc(wheelX, -5, 8, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = '#888';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(wheelX, -5);
+      ctx.lineTo(wheelX + Math.cos(wheelAngle) * 6, -5 + Math.sin(wheelAngle) * 6);
+      ctx.stroke();
+    }
+    // Brake lights while braking
+    if (force < 0) {
+      ctx.fillStyle = '#ff3333';
+      ctx.fillRect(-37, -20, 4, 6);
+    }
+    ctx.restore();
+
+    // Speedometer: 0 to SPEEDOMETER_MAX over a 240° arc, with the setpoint marked
+    const gaugeX = width - 85;
+    const gaugeY = 85;
+    const gaugeRadius = 60;
+    const toAngle = (kmh) => Math.PI * 0.75 + (Math.max(0, Math.min(SPEEDOMETER_MAX, kmh)) / SPEEDOMETER_MAX) * Math.PI * 1.5;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.beginPath();
+    ctx.arc(gaugeX, gaugeY, gaugeRadius + 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(gaugeX, gaugeY, gaugeRadius, toAngle(0), toAngle(SPEEDOMETER_MAX));
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.font = '9px "JetBrains Mono", monospace';
+    ctx.textAlign = 'center';
+    for (let kmh = 0; kmh <= SPEEDOMETER_MAX; kmh += 40) {
+      const angle = toAngle(kmh);
+      ctx.fillText(String(kmh), gaugeX + Math.cos(angle) * (gaugeRadius - 14), gaugeY + Math.sin(angle) * (gaugeRadius - 14) + 3);
+    }
+
+    ctx.strokeStyle = '#ff6b6b';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(gaugeX + Math.cos(toAngle(setpoint)) * (gaugeRadius - 6), gaugeY + Math.sin(toAngle(setpoint)) * (gaugeRadius - 6));
+    ctx.lineTo(gaugeX + Math.cos(toAngle(setpoint)) * (gaugeRadius + 6), gaugeY + Math.sin(toAngle(setpoint)) * (gaugeRadius + 6));
+    ctx.stroke();
+
+    ctx.strokeStyle = '#00ff88';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(gaugeX, gaugeY);
+    ctx.lineTo(gaugeX + Math.cos(toAngle(speed)) * (gaugeRadius - 8), gaugeY + Math.sin(toAngle(speed)) * (gaugeRadius - 8));
+    ctx.stroke();
+
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 16px "JetBrains Mono", monospace';
+    ctx.fillText(speed.toFixed(0), gaugeX, gaugeY + 32);
+    ctx.font = '9px "JetBrains Mono", monospace';
+    ctx.fillText('km/h', gaugeX, gaugeY + 44);
+
+    // Throttle / brake bar, centred on zero force
+    const barX = 20;
+    const barY = height - 40;
+    const barWidth = 160;
+    const barHeight = 14;
+    const zeroX = barX + barWidth * (MAX_BRAKE_FORCE / (MAX_BRAKE_FORCE + MAX_DRIVE_FORCE));
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(barX, barY, barWidth, barHeight);
+    const forceWidth = (force / (MAX_BRAKE_FORCE + MAX_DRIVE_FORCE)) * barWidth;
+    ctx.fillStyle = force >= 0 ? '#4ade80' : '#ef4444';
+    ctx.fillRect(Math.min(zeroX, zeroX + forceWidth), barY, Math.abs(forceWidth), barHeight);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(barX, barY, barWidth, barHeight);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(zeroX - 1, barY - 2, 2, barHeight + 4);
+    ctx.font = '11px "JetBrains Mono", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${force >= 0 ? 'Throttle' : 'Brake'}: ${(Math.abs(force) / 1000).toFixed(2)} kN`, barX, barY - 6);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '14px "JetBrains Mono", monospace';
+    ctx.fillText(`Grade: ${(roadGrade(state.position, params) * 100).toFixed(1)}%`, 20, 25);
+    ctx.fillStyle = '#ff6b6b';
+    ctx.fillText(`Set: ${setpoint.toFixed(0)} km/h`, 20, 45);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${(state.position / 1000).toFixed(2)} km`, width - 20, height - 20);
+  }
+});
@@ -0,0 +1,295 @@
+import { definePlant } from './plant';
+
+const MAX_VOLTAGE = 24;
+const MH_TO_H = 1e-3;
+const KG_CM2_TO_KG_M2 = 1e-4;
+const MNMS_TO_NMS = 1e-3;
+const RAD_S_TO_RPM = 60 / (2 * Math.PI);
+const RAD_TO_DEG = 180 / Math.PI;
+const LOAD_COLOR = '#f6ad55';
+
+/**
+ * Parameters in SI units
+ */
+const siParams = ({ resistance, inductance, inertia, friction, torqueConstant, backEmfConstant }) => ({
+  R: resistance,
+  L: inductance * MH_TO_H,
+  J: inertia * KG_CM2_TO_KG_M2,
+  b: friction * MNMS_TO_NMS,
+  Kt: torqueConstant,
+  Ke: backEmfConstant
+});
+
+const formatCoefficient = (value) => String(+value.toPrecision(3));
+
+/**
+ * Speed transfer function ω(s)/V(s) = Kt / ((L·s + R)(J·s + b) + Kt·Ke) as
+ * numerator and descending denominator coefficients
+ */
+const speedTransferFunction = (params) => {
+  const { R, L, J, b, Kt, Ke } = siParams(params);
+  return { num: Kt, den: [L * J, R * J + L * b, R * b + Kt * Ke] };
+};
+
+/**
+ * Shaft centre and flywheel radius on the canvas
+ */
+const shaftGeometry = (width, height) => ({
+  centerX: width / 2 + 90,
+  centerY: height / 2 - 5,
+  radius: 85
+});
+
+// Screen angle of a shaft angle: 0 points up, positive turns counter-clockwise
+const screenAngle = (radians) => -Math.PI / 2 - radians;
+
+/**
+ * Motor, shaft and flywheel with its angle indicator; the marker is the
+ * target angle in position mode and absent in speed mode
+ */
+const drawMotor = (ctx, { state, inputs, params, width, height, target }) => {
+  const voltage = inputs?.voltage ?? 0;
+  const { centerX, centerY, radius } = shaftGeometry(width, height);
+
+  const background = ctx.createLinearGradient(0, 0, 0, height);
+  background.addColorStop(0, '#1a2035');
+  background.addColorStop(1, '#0a0f1a');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  // Motor can, seen from the side, with the shaft running into the flywheel
+  ctx.fillStyle = '#a0aec0';
+  ctx.fillRect(150, centerY - 6, centerX - 150, 12);
+  const body = ctx.createLinearGradient(0, centerY - 50, 0, centerY + 50);
+  body.addColorStop(0, '#4a5568');
+  body.addColorStop(0.5, '#718096');
+  body.addColorStop(1, '#2d3748');
+  ctx.fillStyle = body;
+  ctx.beginPath();
+  ctx.roundRect(30, centerY - 50, 120, 100, 10);
+  ctx.fill();
+  ctx.fillStyle = '#2d3748';
+  ctx.fillRect(140, centerY - 30, 14, 60);
+
+  // Terminals glow with the applied voltage: red forward, blue reverse
+  const drive = Math.abs(voltage) / MAX_VOLTAGE;
+  ctx.fillStyle = voltage >= 0 ? `rgba(239, 68, 68, ${0.3 + drive * 0.7})` : `rgba(99, 179, 237, ${0.3 + drive * 0.7})`;
+  ctx.fillRect(60, centerY - 62, 12, 12);
+  ctx.fillRect(108, centerY - 62, 12, 12);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.font = '10px "JetBrains Mono", monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${MAX_VOLTAGE} V DC`, 90, centerY + 4);
+
+  // Fixed dial around the flywheel, labelled in degrees
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.font = '9px "JetBrains Mono", monospace';
+  ctx.lineWidth = 1;
+  for (let degrees = 0; degrees < 360; degrees += 15) {
+    const angle = screenAngle(degrees / RAD_TO_DEG);
+    const inner = radius + (degrees % 90 === 0 ? 4 : 8);
+    ctx.beginPath();
+    ctx.moveTo(centerX + Math.cos(angle) * inner, centerY + Math.sin(angle) * inner);
+    ctx.lineTo(centerX + Math.cos(angle) * (radius + 14), centerY + Math.sin(angle) * (radius + 14));
+    ctx.stroke();
+    if (degrees % 90 === 0) {
+      ctx.fillText(String(degrees), centerX + Math.cos(angle) * (radius + 24), centerY + Math.sin(angle) * (radius + 24) + 3);
+    }
+  }
+
+  if (target !== undefined) {
+    const angle = screenAngle(target / RAD_TO_DEG);
+    ctx.fillStyle = '#ff6b6b';
+    ctx.beginPath();
+    ctx.moveTo(centerX + Math.cos(angle) * (radius + 2), centerY + Math.sin(angle) * (radius + 2));
+    ctx.lineTo(centerX + Math.cos(angle + 0.08) * (radius + 16), centerY + Math.sin(angle + 0.08) * (radius + 16));
+    ctx.lineTo(centerX + Math.cos(angle - 0.08) * (radius + 16), centerY + Math.sin(angle - 0.08) * (radius + 16));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // Flywheel, spokes and angle indicator turn with the shaft
+  const shaftAngle = screenAngle(state.angle);
+  ctx.fillStyle = '#2d3748';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = '#4a5568';
+  ctx.lineWidth = 6;
+  for (let spoke = 1; spoke < 4; spoke++) {
+    const angle = shaftAngle + (spoke * Math.PI) / 2;
+    ctx.beginPath();
+    ctx.moveTo(centerX, centerY);
+    ctx.lineTo(centerX + Math.cos(angle) * (radius - 6), centerY + Math.sin(angle) * (radius - 6));
+    ctx.stroke();
+  }
+  ctx.strokeStyle = '#00ff88';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(centerX, centerY);
+  ctx.lineTo(centerX + Math.cos(shaftAngle) * (radius - 4), centerY + Math.sin(shaftAngle) * (radius - 4));
+  ctx.stroke();
+  ctx.fillStyle = '#a0aec0';
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, 10, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Load torque pulls against positive (counter-clockwise) rotation
+  if (params.loadTorque > 0) {
+    ctx.strokeStyle = LOAD_COLOR;
+    ctx.fillStyle = LOAD_COLOR;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius + 34, -Math.PI * 0.35, -Math.PI * 0.15);
+    ctx.stroke();
+    const tipAngle = -Math.PI * 0.15;
+    const tipX = centerX + Math.cos(tipAngle) * (radius + 34);
+    const tipY = centerY + Math.sin(tipAngle) * (radius + 34);
+    ctx.beginPath();
+    ctx.moveTo(tipX + 7, tipY - 4);
+    ctx.lineTo(tipX - 2, tipY + 9);
+    ctx.lineTo(tipX - 7, tipY - 5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.font = '11px "JetBrains Mono", monospace';
+    ctx.textAlign = 'right';
+    ctx.fillText(`Load ${params.loadTorque.toFixed(2)} N·m`, width - 12, height - 50);
+  }
+
+  // Voltage bar, centred on zero
+  const barX = 20;
+  const barY = height - 40;
+  const barWidth = 160;
+  const barHeight = 14;
+  const zeroX = barX + barWidth / 2;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(barX, barY, barWidth, barHeight);
+  const voltageWidth = (voltage / (2 * MAX_VOLTAGE)) * barWidth;
+  ctx.fillStyle = voltage >= 0 ? '#4ade80' : '#63b3ed';
+  ctx.fillRect(Math.min(zeroX, zeroX + voltageWidth), barY, Math.abs(voltageWidth), barHeight);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(barX, barY, barWidth, barHeight);
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(zeroX - 1, barY - 2, 2, barHeight + 4);
+  ctx.font = '11px "JetBrains Mono", monospace';
+  ctx.textAlign = 'left';
+  ctx.fillText(`Voltage: ${voltage.toFixed(1)} V   Current: ${state.current.toFixed(2)} A`, barX, barY - 6);
+};
+
+/**
+ * DC motor: armature circuit L·di/dt = V − R·i − Ke·ω driving a shaft
+ * J·dω/dt = Kt·i − b·ω − T_load. The load torque is constant and acts against
+ * positive rotation, like a weight hanging from a drum on the shaft.
+ *
+ * The two control modes are separate plants sharing the physics: speed
+ * control regulates ω in rpm, position control the shaft angle in degrees.
+ */
+const createDcMotor = ({ mode, label, output, setpoint, defaultGains, gainRanges, presets, equation, readout }) => definePlant({
+  id: `dcmotor-${mode}`,
+  label,
+
+  states: [
+    { key: 'current', label: 'Armature current', unit: 'A', initial: 0 },
+    { key: 'speed', label: 'Shaft speed', unit: 'rad/s', initial: 0 },
+    { key: 'angle', label: 'Shaft angle', unit: 'rad', initial: 0 }
+  ],
+  velocityKeys: ['current', 'speed'],
+  inputs: [
+    { key: 'voltage', label: 'Voltage', unit: 'V', min: -MAX_VOLTAGE, max: MAX_VOLTAGE }
+  ],
+  outputs: [
+    output,
+    { key: 'current', label: 'Current', unit: 'A', color: '#c084fc', value: (state) => state.current }
+  ],
+  params: [
+    { key: 'resistance', label: 'Resistance R', unit: 'Ω', min: 0.5, max: 10, step: 0.1, default: 2, decimals: 1 },
+    { key: 'inductance', label: 'Inductance L', unit: 'mH', min: 1, max: 20, step: 0.5, default: 5, decimals: 1 },
+    { key: 'inertia', label: 'Inertia J', unit: 'kg·cm²', min: 0.1, max: 10, step: 0.1, default: 1, decimals: 1 },
+    { key: 'friction', label: 'Friction b', unit: 'mN·m·s', min: 0, max: 1, step: 0.01, default: 0.1 },
+    { key: 'torqueConstant', label: 'Torque const. Kt', unit: 'N·m/A', min: 0.01, max: 0.2, step: 0.005, default: 0.05, decimals: 3 },
+    { key: 'backEmfConstant', label: 'Back-EMF const. Ke', unit: 'V·s/rad', min: 0.01, max: 0.2, step: 0.005, default: 0.05, decimals: 3 },
+    { key: 'loadTorque', label: 'Load torque', unit: 'N·m', min: 0, max: 0.3, step: 0.01, default: 0 }
+  ],
+  setpoint,
+  defaultGains,
+  gainRanges,
+  presets,
+
+  // Transients last tenths of a second: run in slow motion with a step short
+  // enough for the armature time constant L/R
+  dt: 0.0001,
+  timeScale: 0.1,
+  plotInterval: 0.002,
+  plotRetention: 20,
+  equation,
+
+  derivatives: (state, { voltage }, params) => {
+    const { R, L, J, b, Kt, Ke } = siParams(params);
+    return {
+      current: (voltage - R * state.current - Ke * state.speed) / L,
+      speed: (Kt * state.current - b * state.speed - params.loadTorque) / J,
+      angle: state.speed
+    };
+  },
+
+  render: (ctx, { state, inputs, params, setpoint: target, width, height }) => {
+    drawMotor(ctx, { state, inputs, params, width, height, target: mode === 'position' ? target : undefined });
+
+    ctx.font = '14px "JetBrains Mono", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillText(readout(state), 20, 25);
+    ctx.fillStyle = '#ff6b6b';
+    ctx.fillText(`Target: ${target.toFixed(0)} ${output.unit}`, 20, 45);
+  }
+});
+
+export const dcMotorSpeed = createDcMotor({
+  mode: 'speed',
+  label: 'DC Motor (Speed)',
+  output: { key: 'speed', label: 'Speed', unit: 'rpm', color: '#00ff88', value: (state) => state.speed * RAD_S_TO_RPM },
+  setpoint: { min: -4000, max: 4000, step: 50, default: 1500 },
+  defaultGains: { kp: 0.02, ki: 0.3, kd: 0 },
+  gainRanges: { kpMax: 0.1, kiMax: 2, kdMax: 0.001, kpStep: 0.001, kiStep: 0.01, kdStep: 0.00001 },
+  presets: [
+    { name: 'P only', kp: 0.02, ki: 0, kd: 0 },
+    { name: 'Well tuned', kp: 0.02, ki: 0.3, kd: 0 },
+    { name: 'Oscillatory', kp: 0.005, ki: 1, kd: 0 },
+    { name: 'Sluggish', kp: 0.002, ki: 0.05, kd: 0 }
+  ],
+  equation: (params) => {
+    const { num, den } = speedTransferFunction(params);
+    return [
+      'ω(s)/V(s) = Kt / ((L·s + R)(J·s + b) + Kt·Ke)',
+      `= ${formatCoefficient(num)} / (${formatCoefficient(den[0])}·s² + ${formatCoefficient(den[1])}·s + ${formatCoefficient(den[2])})`,
+      'ω in rad/s'
+    ].join('\n');
+  },
+  readout: (state) => `Speed: ${(state.speed * RAD_S_TO_RPM).toFixed(0)} rpm`
+});
+
+export const dcMotorPosition = createDcMotor({
+  mode: 'position',
+  label: 'DC Motor (Position)',
+  output: { key: 'angle', label: 'Angle', unit: '°', color: '#00ff88', value: (state) => state.angle * RAD_TO_DEG },
+  setpoint: { min: -360, max: 360, step: 5, default: 90 },
+  defaultGains: { kp: 0.04, ki: 0, kd: 0.002 },
+  gainRanges: { kpMax: 0.2, kiMax: 1, kdMax: 0.01, kpStep: 0.001, kiStep: 0.01, kdStep: 0.0001 },
+  presets: [
+    { name: 'P only', kp: 0.01, ki: 0, kd: 0 },
+    { name: 'Well tuned', kp: 0.04, ki: 0, kd: 0.002 },
+    { name: 'Oscillatory', kp: 0.1, ki: 0, kd: 0.0005 },
+    { name: 'Sluggish', kp: 0.005, ki: 0, kd: 0.002 }
+  ],
+  equation: (params) => {
+    const { num, den } = speedTransferFunction(params);
+    return [
+      'θ(s)/V(s) = Kt / (s·((L·s + R)(J·s + b) + Kt·Ke))',
+      `= ${formatCoefficient(num)} / (${formatCoefficient(den[0])}·s³ + ${formatCoefficient(den[1])}·s² + ${formatCoefficient(den[2])}·s)`,
+      'θ in rad'
+    ].join('\n');
+  },
+  readout: (state) => `Angle: ${(state.angle * RAD_TO_DEG).toFixed(1)}°`
+});
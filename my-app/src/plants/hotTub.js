@@ -0,0 +1,136 @@
+import { definePlant } from './plant';
+
+const SPECIFIC_HEAT = 4186; // J/(kg·K), water
+const MAX_HEATER_POWER = 15000;
+
+/**
+ * Hot tub: lumped thermal mass heated by an electric element and losing heat
+ * to ambient through its shell
+ */
+export default definePlant({
+  id: 'hottub',
+  label: 'Hot Tub',
+
+  states: [
+    { key: 'temperature', label: 'Water temperature', unit: '°C', initial: 38 }
+  ],
+  inputs: [
+    { key: 'power', label: 'Heater', unit: 'W', min: 0, max: MAX_HEATER_POWER }
+  ],
+  outputs: [
+    { key: 'temperature', label: 'Temperature', unit: '°C', color: '#00ff88', value: (state) => state.temperature }
+  ],
+  params: [
+    { key: 'ambient', label: 'Ambient', unit: '°C', min: -10, max: 35, step: 0.5, default: 20 },
+    { key: 'waterMass', label: 'Water mass', unit: 'kg', min: 500, max: 3000, step: 50, default: 1500 },
+    { key: 'heatLoss', label: 'Heat loss coeff.', unit: 'W/K', min: 100, max: 1500, step: 10, default: 500 }
+  ],
+  setpoint: { min: 30, max: 42, step: 0.5, default: 38 },
+  defaultGains: { kp: 5000, ki: 1, kd: 0 },
+  gainRanges: { kpMax: 5000, kiMax: 50, kdMax: 500000, kiStep: 0.1 },
+  presets: [
+    { name: 'P only', kp: 2500, ki: 0, kd: 0 },
+    { name: 'Well tuned', kp: 5000, ki: 1, kd: 0 },
+    { name: 'Oscillatory', kp: 1000, ki: 20, kd: 0 },
+    { name: 'Sluggish', kp: 5000, ki: 0.5, kd: 0 }
+  ],
+
+  dt: 0.1,
+  timeScale: 600,
+  plotInterval: 60,
+  plotRetention: 24 * 3600,
+  equation: 'm·c·dT/dt = P − k·(T − T_amb)',
+
+  derivatives: (state, { power }, { ambient, waterMass, heatLoss }) => ({
+    temperature: (power - heatLoss * (state.temperature - ambient)) / (waterMass * SPECIFIC_HEAT)
+  }),
+
+  constrain: (state) => {
+    state.temperature = Math.max(0, Math.min(50, state.temperature));
+  },
+
+  failures: [
+    { id: 'frozen', message: 'Water froze', check: (state) => state.temperature <= 0 }
+  ],
+
+  render: (ctx, { state, inputs, params, setpoint, width, height }) => {
+    const power = inputs?.power ?? 0;
+
+    // Sky brightens with ambient temperature
+    const skyBrightness = Math.max(0, Math.min(1, (params.ambient + 10) / 45));
+    const skyGradient = ctx.createLinearGradient(0, 0, 0, height);
+    skyGradient.addColorStop(0, `rgb(${30 + skyBrightness * 100}, ${50 + skyBrightness * 150}, ${100 + skyBrightness * 155})`);
+    skyGradient.addColorStop(1, `rgb(${40 + skyBrightness * 60}, ${80 + skyBrightness * 100}, ${60 + skyBrightness * 80})`);
+    ctx.fillStyle = skyGradient;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#3d5c3d';
+    ctx.fillRect(0, height - 80, width, 80);
+
+    // Tub shell and water tinted by temperature
+    const tubX = width / 2 - 120;
+    const tubY = height - 180;
+    const tubWidth = 240;
+    const tubHeight = 120;
+
+    ctx.fillStyle = '#5d4e37';
+    ctx.beginPath();
+    ctx.roundRect(tubX - 10, tubY - 10, tubWidth + 20, tubHeight + 30, 10);
+    ctx.fill();
+
+    const tempRatio = (state.temperature - 20) / 30;
+    const r = Math.min(255, 100 + tempRatio * 155);
+    const g = Math.min(255, 150 - tempRatio * 100);
+    const b = Math.max(100, 255 - tempRatio * 155);
+    ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.9)`;
+    ctx.beginPath();
+    ctx.roundRect(tubX, tubY, tubWidth, tubHeight, 5);
+    ctx.fill();
+
+    // Steam once the water is well above ambient
+    if (state.temperature > params.ambient + 10) {
+      const steamIntensity = Math.min(1, (state.temperature - params.ambient - 10) / 20);
+      ctx.fillStyle = `rgba(255, 255, 255, ${steamIntensity * 0.3})`;
+      for (let i = 0; i < 8; i++) {
+        ctx.beginPath();
+        ctx.arc(tubX + 30 + i * 25 + Math.sin(state.time * 0.5 + i) * 10, tubY - 20 - Math.sin(state.time * 0.3 + i * 0.5) * 15, 15, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    // Temperature readout
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.beginPath();
+    ctx.roundRect(tubX + tubWidth / 2 - 50, tubY + 30, 100, 50, 5);
+    ctx.fill();
+    ctx.fillStyle = state.temperature < setpoint - 2 ? '#63b3ed' : state.temperature > setpoint + 2 ? '#fc8181' : '#68d391';
+    ctx.font = 'bold 28px "JetBrains Mono", monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${state.temperature.toFixed(1)}°`, tubX + tubWidth / 2, tubY + 65);
+
+    // Heater glow scales with power
+    const glowIntensity = power / MAX_HEATER_POWER;
+    ctx.fillStyle = power > 100 ? '#ff6b35' : '#444';
+    ctx.beginPath();
+    ctx.roundRect(tubX + tubWidth + 15, tubY + 40, 30, 60, 5);
+    ctx.fill();
+    if (power > 100) {
+      ctx.fillStyle = `rgba(255, 100, 50, ${glowIntensity * 0.5})`;
+      ctx.beginPath();
+      ctx.arc(tubX + tubWidth + 30, tubY + 70, 25 + glowIntensity * 10, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.font = '18px "JetBrains Mono", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Ambient: ${params.ambient.toFixed(1)}°C`, 20, 30);
+    ctx.fillStyle = '#ff6b6b';
+    ctx.fillText(`Target: ${setpoint.toFixed(1)}°C`, 20, 55);
+
+    const simMinutes = Math.floor(state.time / 60);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'right';
+    ctx.fillText(`Time: ${Math.floor(simMinutes / 60)}h ${simMinutes % 60}m`, width - 20, height - 20);
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * Plant registry
+ * Plant modules register here and appear in the simulator selector through
+ * PlantSimulator; adding a plant needs no changes to App or the selector
+ */
+import { createElement } from 'react';
+import PlantSimulator from '../simulators/PlantSimulator';
+import hotTub from './hotTub';
+import cruiseControl from './cruiseControl';
+import ballBeam from './ballBeam';
+import { dcMotorSpeed, dcMotorPosition } from './dcMotor';
+import { singleTank, cascadeTanks } from './waterTanks';
+
+export { definePlant } from './plant';
+
+const registry = new Map();
+
+/**
+ * Add a plant definition to the registry
+ * @param {Object} plant - Plant from definePlant
+ * @returns {Object} The plant, for chaining in module scope
+ */
+export function registerPlant(plant) {
+  if (registry.has(plant.id)) {
+    throw new Error(`Plant "${plant.id}" is already registered`);
+  }
+  registry.set(plant.id, plant);
+  return plant;
+}
+
+/**
+ * @returns {Object|undefined} Registered plant with this id
+ */
+export function getPlant(id) {
+  return registry.get(id);
+}
+
+/**
+ * @returns {Array} Registered plants in registration order
+ */
+export function listPlants() {
+  return [...registry.values()];
+}
+
+/**
+ * Simulator selector entry ({ id, label, component }) for a plant
+ */
+export function createSimulatorEntry(plant) {
+  const component = (props) => createElement(PlantSimulator, { plant, ...props });
+  component.displayName = `PlantSimulator(${plant.id})`;
+  return { id: plant.id, label: plant.label, component };
+}
+
+registerPlant(hotTub);
+registerPlant(cruiseControl);
+registerPlant(ballBeam);
+registerPlant(dcMotorSpeed);
+registerPlant(dcMotorPosition);
+registerPlant(singleTank);
+registerPlant(cascadeTanks);
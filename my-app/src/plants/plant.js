@@ -0,0 +1,176 @@
+/**
+ * Plant model interface
+ * A plant module declares its physics and presentation; PlantSimulator builds
+ * the standard control/chart/parameters layout from it
+ */
+import { linearize, toTransferFunction } from '../utils/transferFunction';
+
+const REQUIRED_FIELDS = ['id', 'label', 'states', 'inputs', 'outputs', 'derivatives', 'render'];
+
+/**
+ * Validate a plant definition and fill in defaults
+ *
+ * @param {Object} spec - Plant definition
+ * @param {string} spec.id - Registry id (also the simulator selector value)
+ * @param {string} spec.label - Simulator selector label
+ * @param {Array} spec.states - [{ key, label, unit, initial }] integrated state variables
+ * @param {Array} spec.velocityKeys - State keys semi-implicit Euler updates first (default: [])
+ * @param {Array} spec.inputs - [{ key, label, unit, min, max }]; the first is driven by the controller
+ * @param {Array} spec.outputs - [{ key, label, unit, color, value(state, params) }]; the first is controlled
+ * @param {Array} spec.params - [{ key, label, unit, min, max, step, default }] adjustable parameters
+ * @param {Object} spec.setpoint - { min, max, step, default } range of the controlled output
+ * @param {Object} spec.defaultGains - { kp, ki, kd }
+ * @param {Object} spec.gainRanges - { kpMax, kiMax, kdMax, kpStep?, kiStep?, kdStep? } for slider ranges
+ * @param {Array} spec.presets - [{ name, kp, ki, kd }] built-in gain presets (default: [])
+ * @param {Function} spec.derivatives - (state, inputs, params) => { [stateKey]: rate }
+ * @param {Function} spec.constrain - (state, params) => void, clamps or wraps state after each step
+ * @param {Array} spec.failures - [{ id, message, check(state, params) }] conditions that end the run
+ * @param {Function} spec.render - (ctx, { state, inputs, params, setpoint, width, height }) => void
+ * @param {Function} spec.setpointAt - (x, y, { state, params, width, height }) => setpoint under a canvas point, or null;
+ *   makes the setpoint draggable on the canvas (default: null)
+ * @param {Function} spec.operatingPoint - params => { state, control, params, description } to linearize about
+ *   instead of the initial state with the control at zero; every field is optional (default: null)
+ * @param {string|Function} spec.equation - Model equation shown in the parameters panel, or
+ *   (params) => equation for one that shows the current parameter values
+ * @param {number} spec.dt - Physics timestep in seconds (default: 0.001)
+ * @param {number} spec.timeScale - Simulated seconds per real second (default: 1)
+ * @param {number} spec.plotInterval - Simulated seconds between chart samples (default: 0.05)
+ * @param {number} spec.plotRetention - Simulated seconds of chart history kept (default: 600)
+ * @returns {Object} Plant definition with defaults applied
+ */
+export function definePlant(spec) {
+  const missing = REQUIRED_FIELDS.filter(field => spec[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Plant "${spec.id}" is missing ${missing.join(', ')}`);
+  }
+
+  return {
+    velocityKeys: [],
+    params: [],
+    setpoint: { min: 0, max: 1, step: 0.01, default: 0 },
+    defaultGains: { kp: 1, ki: 0, kd: 0 },
+    gainRanges: { kpMax: 100, kiMax: 50, kdMax: 50 },
+    presets: [],
+    constrain: null,
+    failures: [],
+    setpointAt: null,
+    operatingPoint: null,
+    equation: '',
+    dt: 0.001,
+    timeScale: 1,
+    plotInterval: 0.05,
+    plotRetention: 600,
+    ...spec
+  };
+}
+
+/**
+ * @returns {Object} { [paramKey]: default }
+ */
+export function getDefaultParams(plant) {
+  return Object.fromEntries(plant.params.map(param => [param.key, param.default]));
+}
+
+/**
+ * Initial state may depend on parameters (e.g. a tank's starting level)
+ * @returns {Object} { [stateKey]: initial }
+ */
+export function getInitialState(plant, params) {
+  return Object.fromEntries(plant.states.map(({ key, initial }) => [
+    key,
+    typeof initial === 'function' ? initial(params) : initial ?? 0
+  ]));
+}
+
+/**
+ * @returns {string} Model equation for the current parameters
+ */
+export function getEquation(plant, params) {
+  return typeof plant.equation === 'function' ? plant.equation(params) : plant.equation;
+}
+
+/**
+ * @returns {Object} { [outputKey]: value }
+ */
+export function readOutputs(plant, state, params) {
+  return Object.fromEntries(plant.outputs.map(output => [output.key, output.value(state, params)]));
+}
+
+/**
+ * @returns {string|null} Message of the first failure condition that holds
+ */
+export function checkFailure(plant, state, params) {
+  const failure = plant.failures.find(condition => condition.check(state, params));
+  return failure ? failure.message : null;
+}
+
+/**
+ * Integrator model ({ keys, velocityKeys, derivatives }) for a parameter set
+ */
+export function createPlantModel(plant, params) {
+  return {
+    keys: plant.states.map(state => state.key),
+    velocityKeys: plant.velocityKeys,
+    derivatives: (state, inputs) => plant.derivatives(state, inputs, params)
+  };
+}
+
+/**
+ * Operating point the loop analysis linearizes about: the plant's own
+ * operatingPoint where it has one, else the initial state with the control at zero
+ * @returns {Object} { state, control, params, description }
+ */
+export function getOperatingPoint(plant, params) {
+  const point = plant.operatingPoint ? plant.operatingPoint(params) : {};
+  const pointParams = point.params ?? params;
+  return {
+    state: point.state ?? getInitialState(plant, pointParams),
+    control: point.control ?? 0,
+    params: pointParams,
+    description: point.description ?? 'the initial state'
+  };
+}
+
+/**
+ * Transfer function from the control input to the controlled output,
+ * linearized about the plant's operating point (see getOperatingPoint)
+ * @returns {Object} { num, den }
+ */
+export function getPlantTransferFunction(plant, params) {
+  const point = getOperatingPoint(plant, params);
+  const model = createPlantModel(plant, point.params);
+  const controlInput = plant.inputs[0];
+  return toTransferFunction(linearize({
+    keys: model.keys,
+    derivatives: (state, control) => model.derivatives(state, { [controlInput.key]: control }),
+    output: (state) => plant.outputs[0].value(state, point.params),
+    state: point.state,
+    control: point.control
+  }));
+}
+
+/**
+ * Adapt a plant to the simulation engine's { initialState, step } interface
+ * The control signal drives the first input, saturated to its range; the applied
+ * inputs are kept on state.inputs for renderers and status displays.
+ *
+ * @param {Object} plant - Plant definition
+ * @param {Object} params - Current parameter values
+ * @param {Object} integrator - createIntegrator instance
+ * @returns {Object} Engine plant
+ */
+export function createEnginePlant(plant, params, integrator) {
+  const model = createPlantModel(plant, params);
+  const controlInput = plant.inputs[0];
+
+  return {
+    initialState: { ...getInitialState(plant, params), inputs: { [controlInput.key]: 0 } },
+    step(state, control, dt) {
+      const inputs = { [controlInput.key]: Math.max(controlInput.min, Math.min(controlInput.max, control)) };
+      integrator.step(model, state, inputs, dt);
+      if (plant.constrain) plant.constrain(state, params);
+      state.inputs = inputs;
+      return checkFailure(plant, state, params);
+    }
+  };
+}
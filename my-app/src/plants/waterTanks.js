@@ -0,0 +1,325 @@
+import { definePlant } from './plant';
+
+const GRAVITY = 9.81;
+const DISCHARGE_COEFFICIENT = 0.6;
+const TANK_HEIGHT = 1; // m
+const MAX_PUMP_FLOW = 1; // L/s
+const L_TO_M3 = 1e-3;
+const CM2_TO_M2 = 1e-4;
+const M_TO_CM = 100;
+const WATER_COLOR = 'rgba(66, 153, 225, 0.75)';
+
+/**
+ * Torricelli outflow (m³/s) through an orifice of the given area (m²) at the
+ * bottom of a tank filled to level (m): Cd·a·√(2·g·h)
+ */
+const torricelliFlow = (level, area) => DISCHARGE_COEFFICIENT * area * Math.sqrt(2 * GRAVITY * Math.max(0, level));
+
+/**
+ * Flow out of the controlled tank through the outlet valve
+ */
+const outletFlow = (level, { outletArea, valveOpening }) => torricelliFlow(level, outletArea * CM2_TO_M2 * (valveOpening / 100));
+
+/**
+ * Tank outline, water and level scale; setpoint marks the target level on
+ * the controlled tank
+ */
+const drawTank = (ctx, { x, top, width, height, level, label, setpoint }) => {
+  const bottom = top + height;
+  const scale = height / TANK_HEIGHT;
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+  ctx.fillRect(x, top, width, height);
+  const waterHeight = Math.max(0, Math.min(TANK_HEIGHT, level)) * scale;
+  ctx.fillStyle = WATER_COLOR;
+  ctx.fillRect(x, bottom - waterHeight, width, waterHeight);
+
+  ctx.strokeStyle = '#a0aec0';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(x, top);
+  ctx.lineTo(x, bottom);
+  ctx.lineTo(x + width, bottom);
+  ctx.lineTo(x + width, top);
+  ctx.stroke();
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.font = '9px "JetBrains Mono", monospace';
+  ctx.textAlign = 'right';
+  for (let cm = 0; cm <= TANK_HEIGHT * M_TO_CM; cm += 25) {
+    const y = bottom - (cm / M_TO_CM) * scale;
+    ctx.fillRect(x - 6, y - 0.5, 6, 1);
+    ctx.fillText(String(cm), x - 8, y + 3);
+  }
+
+  if (setpoint !== undefined) {
+    const y = bottom - (setpoint / M_TO_CM) * scale;
+    ctx.strokeStyle = '#ff6b6b';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + width, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  ctx.fillStyle = '#fff';
+  ctx.font = '11px "JetBrains Mono", monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${label}: ${(level * M_TO_CM).toFixed(1)} cm`, x + width / 2, top - 6);
+};
+
+/**
+ * Falling stream of water, as wide as the flow is large
+ */
+const drawStream = (ctx, x, fromY, toY, flow) => {
+  if (flow <= 0) return;
+  ctx.fillStyle = WATER_COLOR;
+  const streamWidth = 1 + (flow / (MAX_PUMP_FLOW * L_TO_M3)) * 8;
+  ctx.fillRect(x - streamWidth / 2, fromY, streamWidth, toY - fromY);
+};
+
+/**
+ * Reservoir, pump and supply pipe, outlet pipe and valve around the tanks
+ * laid out by layout; tanks are drawn top-down in state order
+ */
+const drawPlant = (ctx, { levels, inputs, params, setpoint, width, height, layout }) => {
+  const pumpFlow = inputs?.flow ?? 0;
+  const tanks = layout.tanks;
+  const controlled = tanks[tanks.length - 1];
+
+  const background = ctx.createLinearGradient(0, 0, 0, height);
+  background.addColorStop(0, '#1a2035');
+  background.addColorStop(1, '#0a0f1a');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+
+  // Reservoir the pump draws from and the outlet drains into
+  ctx.fillStyle = WATER_COLOR;
+  ctx.fillRect(0, height - 18, width, 18);
+
+  // Supply pipe from the pump to the top of the first tank
+  const first = tanks[0];
+  const pipeY = first.top - 22;
+  const pourX = first.x + 25;
+  ctx.strokeStyle = '#718096';
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  ctx.moveTo(layout.pumpX, height - 18);
+  ctx.lineTo(layout.pumpX, pipeY);
+  ctx.lineTo(pourX, pipeY);
+  ctx.stroke();
+  drawStream(ctx, pourX, pipeY + 3, first.top + first.height - Math.max(0, levels[0]) * (first.height / TANK_HEIGHT), pumpFlow * L_TO_M3);
+
+  ctx.fillStyle = pumpFlow > 0 ? '#4ade80' : '#4a5568';
+  ctx.beginPath();
+  ctx.arc(layout.pumpX, height - 45, 14, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#0a0f1a';
+  ctx.font = 'bold 10px "JetBrains Mono", monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText('P', layout.pumpX, height - 41);
+
+  // Each upper tank drains freely into the one below it
+  tanks.slice(0, -1).forEach((tank, i) => {
+    const next = tanks[i + 1];
+    const outY = tank.top + tank.height - 5;
+    const dropX = next.x + 20;
+    ctx.strokeStyle = '#718096';
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    ctx.moveTo(tank.x + tank.width, outY);
+    ctx.lineTo(dropX, outY);
+    ctx.stroke();
+    drawStream(ctx, dropX, outY + 3, next.top + next.height - Math.max(0, levels[i + 1]) * (next.height / TANK_HEIGHT),
+      torricelliFlow(levels[i], params.linkArea * CM2_TO_M2));
+  });
+
+  // Outlet pipe and valve on the controlled tank, labelled with its opening
+  const outletY = controlled.top + controlled.height - 5;
+  const valveX = controlled.x + controlled.width + 25;
+  const dropX = valveX + 25;
+  ctx.strokeStyle = '#718096';
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  ctx.moveTo(controlled.x + controlled.width, outletY);
+  ctx.lineTo(dropX, outletY);
+  ctx.stroke();
+  drawStream(ctx, dropX, outletY + 3, height - 18, outletFlow(levels[levels.length - 1], params));
+  ctx.fillStyle = '#e53e3e';
+  ctx.beginPath();
+  ctx.moveTo(valveX - 8, outletY - 8);
+  ctx.lineTo(valveX + 8, outletY + 8);
+  ctx.lineTo(valveX + 8, outletY - 8);
+  ctx.lineTo(valveX - 8, outletY + 8);
+  ctx.closePath();
+  ctx.fill();
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.font = '10px "JetBrains Mono", monospace';
+  ctx.fillText(`${params.valveOpening.toFixed(0)}%`, valveX, outletY - 14);
+
+  tanks.forEach((tank, i) => drawTank(ctx, {
+    ...tank,
+    level: levels[i],
+    setpoint: tank === controlled ? setpoint : undefined
+  }));
+
+  ctx.fillStyle = '#ff6b6b';
+  ctx.font = '14px "JetBrains Mono", monospace';
+  ctx.textAlign = 'left';
+  ctx.fillText(`Target: ${setpoint.toFixed(0)} cm`, 20, 25);
+  ctx.fillStyle = '#f6ad55';
+  ctx.textAlign = 'right';
+  ctx.fillText(`Pump: ${pumpFlow.toFixed(2)} L/s`, width - 20, 25);
+};
+
+const levelOutput = { key: 'level', label: 'Level', unit: 'cm', color: '#00ff88', value: (state) => state.level * M_TO_CM };
+
+const commonParams = [
+  { key: 'tankArea', label: 'Tank area', unit: 'm²', min: 0.02, max: 0.2, step: 0.005, default: 0.05, decimals: 3 },
+  { key: 'outletArea', label: 'Outlet area', unit: 'cm²', min: 1, max: 10, step: 0.5, default: 5, decimals: 1 },
+  { key: 'valveOpening', label: 'Outlet valve', unit: '%', min: 0, max: 100, step: 1, default: 50, decimals: 0 }
+];
+
+const overflowed = { id: 'overflow', message: 'Tank overflowed' };
+const ranDry = { id: 'dry', message: 'Tank ran dry', check: (state) => state.level <= 0 };
+
+/**
+ * Single tank: a pump fills a tank that drains through a valve at the bottom.
+ * The Torricelli outflow grows with the square root of the level, so unlike
+ * the hot tub's linear heat loss the loop gain changes with the operating
+ * point. Opening or closing the outlet valve is the disturbance.
+ */
+export const singleTank = definePlant({
+  id: 'tank',
+  label: 'Water Tank',
+
+  states: [
+    { key: 'level', label: 'Level', unit: 'm', initial: 0.2 }
+  ],
+  inputs: [
+    { key: 'flow', label: 'Pump flow', unit: 'L/s', min: 0, max: MAX_PUMP_FLOW }
+  ],
+  outputs: [levelOutput],
+  params: commonParams,
+  setpoint: { min: 5, max: 95, step: 1, default: 50 },
+  defaultGains: { kp: 0.2, ki: 0.005, kd: 0 },
+  gainRanges: { kpMax: 1, kiMax: 0.05, kdMax: 1, kpStep: 0.01, kiStep: 0.0005, kdStep: 0.01 },
+  presets: [
+    { name: 'P only', kp: 0.2, ki: 0, kd: 0 },
+    { name: 'Well tuned', kp: 0.2, ki: 0.005, kd: 0 },
+    { name: 'Oscillatory', kp: 0.02, ki: 0.02, kd: 0 },
+    { name: 'Sluggish', kp: 0.02, ki: 0.0002, kd: 0 }
+  ],
+
+  dt: 0.01,
+  timeScale: 10,
+  plotInterval: 0.5,
+  plotRetention: 3600,
+  equation: 'A·dh/dt = Q − v·Cd·a·√(2·g·h)',
+
+  derivatives: (state, { flow }, params) => ({
+    level: (flow * L_TO_M3 - outletFlow(state.level, params)) / params.tankArea
+  }),
+
+  constrain: (state) => {
+    state.level = Math.max(0, Math.min(TANK_HEIGHT, state.level));
+  },
+
+  failures: [
+    { ...overflowed, check: (state) => state.level >= TANK_HEIGHT },
+    ranDry
+  ],
+
+  render: (ctx, { state, inputs, params, setpoint, width, height }) => drawPlant(ctx, {
+    levels: [state.level],
+    inputs,
+    params,
+    setpoint,
+    width,
+    height,
+    layout: {
+      pumpX: 100,
+      tanks: [{ x: 200, top: 65, width: 120, height: 215, label: 'Tank' }]
+    }
+  })
+});
+
+/**
+ * Two tanks in cascade: the pump fills the upper tank, which drains freely
+ * into the lower one; the lower tank's level is controlled. The second lag
+ * makes a plain PID loop slower and less damped, the setting for cascade
+ * control with an inner loop on the upper tank. Only the lower tank running
+ * dry ends the run; an empty upper tank just stops feeding it.
+ */
+export const cascadeTanks = definePlant({
+  id: 'tanks',
+  label: 'Coupled Tanks',
+
+  states: [
+    { key: 'upperLevel', label: 'Upper level', unit: 'm', initial: 0.2 },
+    { key: 'level', label: 'Lower level', unit: 'm', initial: 0.2 }
+  ],
+  inputs: [
+    { key: 'flow', label: 'Pump flow', unit: 'L/s', min: 0, max: MAX_PUMP_FLOW }
+  ],
+  outputs: [
+    { ...levelOutput, label: 'Lower level' },
+    { key: 'upperLevel', label: 'Upper level', unit: 'cm', color: '#c084fc', value: (state) => state.upperLevel * M_TO_CM }
+  ],
+  params: [
+    ...commonParams.slice(0, 2),
+    { key: 'linkArea', label: 'Link area', unit: 'cm²', min: 1, max: 10, step: 0.5, default: 5, decimals: 1 },
+    ...commonParams.slice(2)
+  ],
+  setpoint: { min: 5, max: 95, step: 1, default: 50 },
+  defaultGains: { kp: 0.05, ki: 0.0005, kd: 1 },
+  gainRanges: { kpMax: 1, kiMax: 0.05, kdMax: 2, kpStep: 0.01, kiStep: 0.0005, kdStep: 0.05 },
+  presets: [
+    { name: 'P only', kp: 0.05, ki: 0, kd: 0 },
+    { name: 'Well tuned', kp: 0.05, ki: 0.0005, kd: 1 },
+    { name: 'Oscillatory', kp: 0.2, ki: 0.005, kd: 0 },
+    { name: 'Sluggish', kp: 0.02, ki: 0.0002, kd: 0 }
+  ],
+
+  dt: 0.01,
+  timeScale: 10,
+  plotInterval: 0.5,
+  plotRetention: 3600,
+  equation: 'A·dh₁/dt = Q − Cd·a₁₂·√(2·g·h₁)\nA·dh₂/dt = Cd·a₁₂·√(2·g·h₁) − v·Cd·a·√(2·g·h₂)',
+
+  derivatives: (state, { flow }, params) => {
+    const linkFlow = torricelliFlow(state.upperLevel, params.linkArea * CM2_TO_M2);
+    return {
+      upperLevel: (flow * L_TO_M3 - linkFlow) / params.tankArea,
+      level: (linkFlow - outletFlow(state.level, params)) / params.tankArea
+    };
+  },
+
+  constrain: (state) => {
+    state.upperLevel = Math.max(0, Math.min(TANK_HEIGHT, state.upperLevel));
+    state.level = Math.max(0, Math.min(TANK_HEIGHT, state.level));
+  },
+
+  failures: [
+    { ...overflowed, check: (state) => state.upperLevel >= TANK_HEIGHT || state.level >= TANK_HEIGHT },
+    ranDry
+  ],
+
+  render: (ctx, { state, inputs, params, setpoint, width, height }) => drawPlant(ctx, {
+    levels: [state.upperLevel, state.level],
+    inputs,
+    params,
+    setpoint,
+    width,
+    height,
+    layout: {
+      pumpX: 60,
+      tanks: [
+        { x: 130, top: 60, width: 110, height: 110, label: 'Tank 1' },
+        { x: 290, top: 190, width: 110, height: 110, label: 'Tank 2' }
+      ]
+    }
+  })
+});
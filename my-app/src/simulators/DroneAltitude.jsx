@@ -1,6 +1,10 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { DataChart, SimulationControls, ControlPanel, StatusDisplay } from '../components';
-import { createPIDController } from '../utils/pidController';
+import { DataChart, SimulationControls, ControlPanel, StatusDisplay, IntegratorControls, SeedControl } from '../components';
+import { useTelemetryStore } from '../hooks/useTelemetry';
+import { createPIDController, switchControllerForm, ANTI_WINDUP_MODES, CONTROLLER_FORMS } from '../utils/pidController';
+import { createIntegrator, INTEGRATORS } from '../utils/integrators';
+import { createRandomStream, generateSeed } from '../utils/random';
+import { createRelayAutotuner, computeTuningGains, TUNING_RULES, AUTOTUNE_STATUS } from '../utils/autotune';
 import { colors, fonts, panelStyles, sliderStyles } from '../utils/styles';
 
 // Physics constants
@@ -10,7 +14,17 @@ const MASS_INCREMENT = 1.0;
 const MAX_THRUST = 500;
 const MIN_THRUST = -500;
 const DT = 0.001;
+// Timesteps offered next to the integrator; the larger ones expose integration error
+const TIME_STEP_OPTIONS = [
+  { value: 0.001, label: '1 ms' },
+  { value: 0.005, label: '5 ms' },
+  { value: 0.01, label: '10 ms' },
+  { value: 0.02, label: '20 ms' },
+  { value: 0.05, label: '50 ms' }
+];
 const RENDER_INTERVAL = 16;
+// Chart history kept, in seconds
+const PLOT_RETENTION = 600;
 const MAX_ALTITUDE = 100;
 const SETPOINT_MIN = 20;
 const SETPOINT_MAX = 80;
@@ -19,28 +33,56 @@ const SETPOINT_MAX = 80;
 const DEFAULT_PID = { kp: 25, ki: 0, kd: 0 };
 const PID_CONFIG = { kpMax: 100, kiMax: 50, kdMax: 50 };
 
+// Relay of ±30% of the drone's weight around hover; the 0.2 m band keeps the
+// double integrator from chattering at the physics rate
+const AUTOTUNE_RELAY = { amplitudeFraction: 0.3, hysteresis: 0.2, cycles: 3, maxDuration: 40 };
+const roundGain = (value) => Math.round(value * 100) / 100;
+
+// Plant as a state derivative: altitude' = velocity, velocity' = net force / mass.
+// The base drone's weight is pre-compensated, so thrust 0 hovers the unloaded drone.
+const DRONE_MODEL = {
+  keys: ['altitude', 'velocity'],
+  velocityKeys: ['velocity'],
+  derivatives: (state, thrust) => {
+    const netForce = BASE_DRONE_MASS * GRAVITY + thrust - state.mass * GRAVITY;
+    return {
+      altitude: state.velocity,
+      velocity: state.mass > 0 ? netForce / state.mass : 0
+    };
+  }
+};
+
 const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', onSimulatorChange = () => {} }) => {
   const [isRunning, setIsRunning] = useState(false);
   const [controlMode, setControlMode] = useState('pid');
+  const [transferMarkers, setTransferMarkers] = useState([]);
   const [userInput, setUserInput] = useState(0);
   const [pidGains, setPidGains] = useState(DEFAULT_PID);
+  const [controllerForm, setControllerForm] = useState(CONTROLLER_FORMS.POSITIONAL);
+  const [antiWindup, setAntiWindup] = useState(ANTI_WINDUP_MODES.CLAMP);
+  const [dOnMeasurement, setDOnMeasurement] = useState(false);
+  const [integrator, setIntegrator] = useState(INTEGRATORS.SEMI_IMPLICIT_EULER);
+  const [timeStep, setTimeStep] = useState(DT);
+  const [tuningRule, setTuningRule] = useState(TUNING_RULES.ZIEGLER_NICHOLS);
+  const [autotuneRunning, setAutotuneRunning] = useState(false);
+  const [autotuneMessage, setAutotuneMessage] = useState('');
   const [elapsedTime, setElapsedTime] = useState(0);
   const [currentMass, setCurrentMass] = useState(BASE_DRONE_MASS);
   const [setpointDisplay, setSetpointDisplay] = useState(50);
   const [cumulativeError, setCumulativeError] = useState(0);
-  const [plotData, setPlotData] = useState({
-    setpointHistory: [],
-    measuredHistory: [],
-    errorHistory: [],
-    thrustHistory: [],
-    timeHistory: []
-  });
+  const [seed, setSeed] = useState(generateSeed);
+  // NEW TARGET draws from the seed so a sequence of targets repeats exactly
+  const [setpointRandom, setSetpointRandom] = useState(() => createRandomStream(seed, 'setpoint'));
+  const telemetry = useTelemetryStore({ channels: ['setpointHistory', 'measuredHistory', 'errorHistory', 'thrustHistory'], retention: PLOT_RETENTION });
   const timeOffsetRef = useRef(0);
 
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const lastRenderRef = useRef(0);
-  const pidController = useRef(createPIDController());
+  const pidController = useRef(createPIDController({ outputMin: MIN_THRUST, outputMax: MAX_THRUST }));
+  const autotunerRef = useRef(null);
+  const autotuneSetpointRef = useRef(50);
+  const integratorRef = useRef(createIntegrator(INTEGRATORS.SEMI_IMPLICIT_EULER));
 
   const stateRef = useRef({
     altitude: 50,
@@ -52,7 +94,8 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
     crashed: false
   });
 
-  const resetSimulation = useCallback(() => {
+  const resetSimulation = useCallback((runSeed = seed) => {
+    setSetpointRandom(createRandomStream(runSeed, 'setpoint'));
     stateRef.current = {
       altitude: 50,
       velocity: 0,
@@ -63,22 +106,31 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
       crashed: false
     };
     pidController.current.reset();
+    integratorRef.current.reset();
+    autotunerRef.current = null;
     timeOffsetRef.current = 0;
-    setPlotData({ setpointHistory: [], measuredHistory: [], errorHistory: [], thrustHistory: [], timeHistory: [] });
+    telemetry.clear();
+    setTransferMarkers([]);
+    setAutotuneRunning(false);
     setElapsedTime(0);
     setCurrentMass(BASE_DRONE_MASS);
     setSetpointDisplay(50);
     setCumulativeError(0);
     setIsRunning(false);
-  }, []);
+  }, [telemetry, seed]);
+
+  const handleSeedChange = (value) => {
+    setSeed(value);
+    resetSimulation(value);
+  };
 
   const changeSetpoint = useCallback(() => {
     if (stateRef.current.crashed) return;
-    const newSetpoint = SETPOINT_MIN + Math.random() * (SETPOINT_MAX - SETPOINT_MIN);
+    const newSetpoint = setpointRandom.uniform(SETPOINT_MIN, SETPOINT_MAX);
     stateRef.current.setpoint = newSetpoint;
     pidController.current.resetIntegral();
     setSetpointDisplay(newSetpoint);
-  }, []);
+  }, [setpointRandom]);
 
   const addWeight = useCallback(() => {
     if (stateRef.current.crashed) return;
@@ -90,31 +142,54 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
     const state = stateRef.current;
     if (state.crashed) return;
 
-    controlSignal = Math.max(MIN_THRUST, Math.min(MAX_THRUST, controlSignal));
+    // Thrust limits are applied by the PID controller (manual input stays within them)
     state.thrust = controlSignal;
 
-    const baseHoverThrust = BASE_DRONE_MASS * GRAVITY;
-    const actualThrust = baseHoverThrust + controlSignal;
-    const gravityForce = state.mass * GRAVITY;
-    const netForce = actualThrust - gravityForce;
-    const acceleration = state.mass > 0 ? netForce / state.mass : 0;
-
-    state.velocity += acceleration * DT;
-    state.altitude += state.velocity * DT;
-    state.time += DT;
+    integratorRef.current.step(DRONE_MODEL, state, controlSignal, timeStep);
+    state.time += timeStep;
 
     if (state.altitude <= 0 || state.altitude >= MAX_ALTITUDE) {
       state.crashed = true;
       state.altitude = Math.max(0, Math.min(MAX_ALTITUDE, state.altitude));
       state.velocity = 0;
     }
-  }, []);
+  }, [timeStep]);
 
   const computePIDThrust = useCallback(() => {
     const state = stateRef.current;
-    const error = state.setpoint - state.altitude;
-    return pidController.current.compute(error, pidGains, DT);
-  }, [pidGains]);
+    const gains = { ...pidGains, c: dOnMeasurement ? 0 : 1 };
+    return pidController.current.computeTwoDOF(state.setpoint, state.altitude, gains, timeStep).output;
+  }, [pidGains, dOnMeasurement, timeStep]);
+
+  // Back-solve the PID integral while in manual so switching to auto is bumpless
+  const trackManualThrust = useCallback((thrust) => {
+    const state = stateRef.current;
+    const gains = { ...pidGains, c: dOnMeasurement ? 0 : 1 };
+    pidController.current.trackTwoDOF(thrust, state.setpoint, state.altitude, gains, timeStep);
+  }, [pidGains, dOnMeasurement, timeStep]);
+
+  // Apply the relay result (or report why it failed) and hand control back to the PID
+  const finishAutotune = useCallback(() => {
+    const tuner = autotunerRef.current;
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
+
+    const result = tuner.getResult();
+    if (!result) {
+      setAutotuneMessage(tuner.getMessage());
+      return;
+    }
+
+    const tuned = computeTuningGains(result.ku, result.tu, tuningRule);
+    const gains = { kp: roundGain(tuned.kp), ki: roundGain(tuned.ki), kd: roundGain(tuned.kd) };
+    setPidGains(gains);
+
+    // Seed the integral with the hover thrust so the new gains take over without a bump
+    const state = stateRef.current;
+    const hoverThrust = (state.mass - BASE_DRONE_MASS) * GRAVITY;
+    pidController.current.trackTwoDOF(hoverThrust, state.setpoint, state.altitude, { ...gains, c: dOnMeasurement ? 0 : 1 }, timeStep);
+    setAutotuneMessage(`${tuner.getMessage()} → Kp ${gains.kp}, Ki ${gains.ki}, Kd ${gains.kd}`);
+  }, [tuningRule, dOnMeasurement, timeStep]);
 
   const render = useCallback(() => {
     const canvas = canvasRef.current;
@@ -365,27 +440,42 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
       lastTime = currentTime;
       accumulator += deltaTime;
 
-      while (accumulator >= DT * 1000) {
-        let thrust = controlMode === 'pid' ? computePIDThrust() : userInput * 500;
+      while (accumulator >= timeStep * 1000) {
+        const tuner = autotunerRef.current;
+        let thrust;
+        if (tuner) {
+          thrust = tuner.step(autotuneSetpointRef.current, stateRef.current.altitude, timeStep);
+          trackManualThrust(thrust);
+        } else if (controlMode === 'pid') {
+          thrust = computePIDThrust();
+        } else {
+          thrust = userInput * 500;
+          trackManualThrust(thrust);
+        }
         simulateStep(thrust);
 
         const state = stateRef.current;
         const error = Math.abs(state.setpoint - state.altitude);
-        errorAccumulator += error * DT;
+        errorAccumulator += error * timeStep;
 
-        accumulator -= DT * 1000;
+        accumulator -= timeStep * 1000;
       }
 
       const state = stateRef.current;
+      const tuner = autotunerRef.current;
+      if (tuner) {
+        if (state.crashed) tuner.abort('Drone crashed during relay test');
+        if (tuner.getStatus() !== AUTOTUNE_STATUS.RUNNING) finishAutotune();
+      }
+
       if (state.time - lastPlotTime >= 0.05) {
         lastPlotTime = state.time;
-        setPlotData(prev => ({
-          setpointHistory: [...prev.setpointHistory, state.setpoint],
-          measuredHistory: [...prev.measuredHistory, state.altitude],
-          errorHistory: [...prev.errorHistory, state.setpoint - state.altitude],
-          thrustHistory: [...prev.thrustHistory, state.thrust],
-          timeHistory: [...prev.timeHistory, state.time - timeOffsetRef.current]
-        }));
+        telemetry.push(state.time - timeOffsetRef.current, {
+          setpointHistory: state.setpoint,
+          measuredHistory: state.altitude,
+          errorHistory: state.setpoint - state.altitude,
+          thrustHistory: state.thrust
+        });
         setElapsedTime(state.time);
         setCurrentMass(state.mass);
         setSetpointDisplay(state.setpoint);
@@ -402,10 +492,64 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
 
     animationRef.current = requestAnimationFrame(loop);
     return () => { if (animationRef.current) cancelAnimationFrame(animationRef.current); };
-  }, [isRunning, controlMode, userInput, computePIDThrust, simulateStep, render, cumulativeError]);
+  }, [isRunning, controlMode, userInput, computePIDThrust, trackManualThrust, finishAutotune, simulateStep, render, cumulativeError, timeStep, telemetry]);
 
   useEffect(() => { render(); }, [render]);
 
+  // Switch form mid-run by seeding the new controller from the old one's last output
+  const handleControllerFormChange = (form) => {
+    const state = stateRef.current;
+    const gains = { ...pidGains, c: dOnMeasurement ? 0 : 1 };
+    pidController.current = switchControllerForm(pidController.current, form, (next, output) =>
+      next.trackTwoDOF(output, state.setpoint, state.altitude, gains, timeStep));
+    setControllerForm(form);
+  };
+
+  useEffect(() => {
+    integratorRef.current = createIntegrator(integrator);
+  }, [integrator]);
+
+  useEffect(() => {
+    pidController.current.configure({ antiWindup });
+  }, [antiWindup]);
+
+  const handleAutotune = () => {
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+      return;
+    }
+
+    const state = stateRef.current;
+    if (state.crashed) return;
+    const hoverThrust = (state.mass - BASE_DRONE_MASS) * GRAVITY;
+    autotuneSetpointRef.current = state.setpoint;
+    autotunerRef.current = createRelayAutotuner({
+      amplitude: AUTOTUNE_RELAY.amplitudeFraction * state.mass * GRAVITY,
+      bias: hoverThrust,
+      hysteresis: AUTOTUNE_RELAY.hysteresis,
+      cycles: AUTOTUNE_RELAY.cycles,
+      maxDuration: AUTOTUNE_RELAY.maxDuration
+    });
+    setAutotuneRunning(true);
+    setAutotuneMessage('Relay test running…');
+    setIsRunning(true);
+  };
+
+  const handleModeChange = (mode) => {
+    if (mode === controlMode) return;
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+    }
+    setTransferMarkers(prev => [...prev, {
+      time: stateRef.current.time - timeOffsetRef.current,
+      label: mode === 'pid' ? 'AUTO' : 'MAN',
+      color: mode === 'pid' ? colors.success : colors.warning
+    }]);
+    setControlMode(mode);
+  };
+
   const handleToggle = () => {
     if (isRunning) {
       setIsRunning(false);
@@ -507,6 +651,17 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
               { label: '⚖️ ADD WEIGHT', onClick: addWeight, disabled: !isRunning || stateRef.current.crashed, variant: 'accent' }
             ]}
           />
+
+          {/* Integration method + timestep */}
+          <IntegratorControls
+            integrator={integrator}
+            onIntegratorChange={setIntegrator}
+            timeStep={timeStep}
+            onTimeStepChange={setTimeStep}
+            timeStepOptions={TIME_STEP_OPTIONS}
+          />
+
+          <SeedControl seed={seed} onChange={handleSeedChange} />
         </div>
 
         {/* Simulation Window */}
@@ -517,11 +672,22 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
         {/* Control Panel */}
         <ControlPanel
           controlMode={controlMode}
-          onModeChange={setControlMode}
+          onModeChange={handleModeChange}
           pidGains={pidGains}
           onPidChange={(changes) => setPidGains(prev => ({ ...prev, ...changes }))}
           pidConfig={PID_CONFIG}
           onResetGains={() => setPidGains(DEFAULT_PID)}
+          onAutotune={handleAutotune}
+          autotuneRunning={autotuneRunning}
+          tuningRule={tuningRule}
+          onTuningRuleChange={setTuningRule}
+          autotuneMessage={autotuneMessage}
+          controllerForm={controllerForm}
+          onControllerFormChange={handleControllerFormChange}
+          antiWindup={antiWindup}
+          onAntiWindupChange={setAntiWindup}
+          derivativeOnMeasurement={dOnMeasurement}
+          onDerivativeOnMeasurementChange={setDOnMeasurement}
           accumulatedError={pidController.current.getState().integral}
           onResetError={() => pidController.current.resetIntegral()}
           manualControls={manualControls}
@@ -541,7 +707,8 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
         <button
           onClick={() => {
             timeOffsetRef.current = stateRef.current.time;
-            setPlotData({ setpointHistory: [], measuredHistory: [], errorHistory: [], thrustHistory: [], timeHistory: [] });
+            setTransferMarkers([]);
+            telemetry.clear();
           }}
           style={{
             position: 'absolute',
@@ -562,12 +729,13 @@ const DroneAltitudeSimulator = ({ simulators = [], activeSimulator = 'drone', on
           CLEAR PLOT
         </button>
         <DataChart
-          timeHistory={plotData.timeHistory}
+          telemetry={telemetry}
+          markers={transferMarkers}
           series={[
-            { data: plotData.setpointHistory, label: 'Setpoint (m)', color: '#00d4ff', sharedAxis: 'altitude' },
-            { data: plotData.measuredHistory, label: 'Measured (m)', color: '#00ff88', sharedAxis: 'altitude' },
-            { data: plotData.errorHistory, label: 'Error (m)', color: '#ff3366' },
-            { data: plotData.thrustHistory, label: 'Control (N)', color: '#ffcc00' }
+            { channel: 'setpointHistory', label: 'Setpoint (m)', color: '#00d4ff', sharedAxis: 'altitude' },
+            { channel: 'measuredHistory', label: 'Measured (m)', color: '#00ff88', sharedAxis: 'altitude' },
+            { channel: 'errorHistory', label: 'Error (m)', color: '#ff3366' },
+            { channel: 'thrustHistory', label: 'Control (N)', color: '#ffcc00' }
           ]}
           width={1140}
           height={220}
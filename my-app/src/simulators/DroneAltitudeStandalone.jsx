@@ -1,4 +1,25 @@
-import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo, useId } from 'react';
+import BodePanel from '../components/BodePanel';
+import ComparisonPanel from '../components/ComparisonPanel';
+import PresetSelector from '../components/PresetSelector';
+import ReplayControls from '../components/ReplayControls';
+import RootLocusPanel from '../components/RootLocusPanel';
+import { useTelemetryStore, useTelemetry } from '../hooks/useTelemetry';
+import { useChartViewport } from '../hooks/useChartViewport';
+import { useRunReplay } from '../hooks/useRunReplay';
+import { useGainProfiles } from '../hooks/useGainProfiles';
+import { createPIDController, createController, switchControllerForm, DERIVATIVE_FILTERS, ANTI_WINDUP_MODES, CONTROLLER_FORMS } from '../utils/pidController';
+import { createIntegrator, INTEGRATORS } from '../utils/integrators';
+import { createSimulationEngine } from '../utils/simulationEngine';
+import { createRelayAutotuner, computeTuningGains, TUNING_RULES, AUTOTUNE_STATUS } from '../utils/autotune';
+import { getRange, buildPolylinePoints, applyFractionView, visibleSpan, nearestIndex } from '../utils/chartData';
+import { getExportColumns, exportRun } from '../utils/runExport';
+import { createStepResponseAnalyzer, getStepAnnotations } from '../utils/stepMetrics';
+import { createVariant, runComparison } from '../utils/comparison';
+import { readUrlNumber, readUrlChoice, readUrlGains } from '../utils/urlState';
+import { analyzeLoop } from '../utils/frequencyResponse';
+import { linearize, toTransferFunction } from '../utils/transferFunction';
+import { computeRootLocus } from '../utils/rootLocus';
 
 // ============================================================================
 // EMBEDDED STYLES (from utils/styles.js)
@@ -105,85 +126,36 @@ function getButtonStyle(variant = 'primary', isDisabled = false) {
   return { ...buttonStyles.base, ...(buttonStyles[variant] || buttonStyles.primary) };
 }
 
-// ============================================================================
-// EMBEDDED PID CONTROLLER (from utils/pidController.js)
-// ============================================================================
-function createPIDController(config = {}) {
-  let state = {
-    integral: 0,
-    prevError: 0,
-    initialized: false,
-    derivativeHistory: [] // Store last 5 derivative values for moving average
-  };
-
-  const defaults = {
-    integralMin: -Infinity,
-    integralMax: Infinity,
-    derivativeWindowSize: 5,
-    ...config
-  };
-
-  return {
-    compute(error, gains, dt) {
-      const newIntegral = Math.max(
-        defaults.integralMin,
-        Math.min(defaults.integralMax, state.integral + error * dt)
-      );
-
-      // Calculate raw derivative (avoid derivative kick on first call)
-      const rawDerivative = state.initialized ? (error - state.prevError) / dt : 0;
-
-      // Add to derivative history
-      state.derivativeHistory.push(rawDerivative);
-      if (state.derivativeHistory.length > defaults.derivativeWindowSize) {
-        state.derivativeHistory.shift();
-      }
-
-      // Calculate moving average of derivative
-      const derivative = state.derivativeHistory.reduce((sum, val) => sum + val, 0) / state.derivativeHistory.length;
-
-      const output = gains.kp * error + gains.ki * newIntegral + gains.kd * derivative;
-
-      state.integral = newIntegral;
-      state.prevError = error;
-      state.initialized = true;
-
-      return {
-        output,
-        errorP: error,
-        errorI: newIntegral,
-        errorD: derivative
-      };
-    },
-
-    reset() {
-      state.integral = 0;
-      state.prevError = 0;
-      state.initialized = false;
-      state.derivativeHistory = [];
-    },
-
-    resetIntegral() {
-      state.integral = 0;
-    },
-
-    getState() {
-      return { ...state };
-    }
-  };
-}
-
 // ============================================================================
 // EMBEDDED DATA CHART COMPONENT (from components/DataChart.jsx)
 // ============================================================================
 const DataChart = ({
-  timeHistory = [],
-  series = [],
+  telemetry = null,
+  timeHistory: timeHistoryProp = [],
+  series: seriesProp = [],
+  ghost = null,
+  markers = [],
+  bands = [],
+  xAxis = null,
   width = 300,
   height = 200
 }) => {
+  // Series name a telemetry channel, or carry data against the timeHistory prop
+  const snapshot = useTelemetry(telemetry);
+  const timeHistory = telemetry ? snapshot.timeHistory : timeHistoryProp;
+  const series = useMemo(() => seriesProp.map(entry => (
+    telemetry && entry.channel ? { ...entry, data: snapshot[entry.channel] } : entry
+  )), [telemetry, snapshot, seriesProp]);
+
+  // Recorded run overlaid as dashed ghost lines on the series sharing its channels
+  const ghostTimes = ghost ? ghost.timeHistory : null;
+  const ghostData = useMemo(
+    () => seriesProp.map(entry => (ghost && entry.channel ? ghost[entry.channel] : undefined)),
+    [ghost, seriesProp]
+  );
+
   const [visibleSeries, setVisibleSeries] = useState(
-    series.reduce((acc, _, i) => ({ ...acc, [i]: true }), {})
+    seriesProp.reduce((acc, _, i) => ({ ...acc, [i]: true }), {})
   );
 
   const toggleSeries = (index) => {
@@ -200,7 +172,7 @@ const DataChart = ({
   const plotWidth = width - leftPadding - rightPadding;
   const plotHeight = height - topPadding - bottomPadding;
 
-  const seriesBounds = useMemo(() => {
+  const autoSeriesBounds = useMemo(() => {
     const sharedAxisGroups = {};
     series.forEach(({ sharedAxis }, index) => {
       if (sharedAxis) {
@@ -211,21 +183,19 @@ const DataChart = ({
       }
     });
 
-    return series.map(({ data, label, sharedAxis, fixedBounds, clampedBounds }) => {
+    return series.map(({ data, label, sharedAxis, fixedBounds, clampedBounds }, index) => {
       // If fixedBounds are specified, use them
       if (fixedBounds) {
         return fixedBounds;
       }
 
-      if (!data || data.length === 0) return { min: 0, max: 1 };
+      if ((!data || data.length === 0) && !ghostData[index]?.length) return { min: 0, max: 1 };
 
       const margin = 0.1;
 
       if (sharedAxis && sharedAxisGroups[sharedAxis]) {
         const groupIndices = sharedAxisGroups[sharedAxis];
-        const allValues = groupIndices.flatMap(i => series[i].data || []);
-        let min = Math.min(...allValues);
-        let max = Math.max(...allValues);
+        let { min, max } = getRange(...groupIndices.flatMap(i => [series[i].data, ghostData[i]]));
 
         const isErrorOrControl = label.includes('Error') || label.includes('Control') || label.includes('E_');
         if (isErrorOrControl) {
@@ -248,8 +218,7 @@ const DataChart = ({
         return { min, max };
       }
 
-      let min = Math.min(...data);
-      let max = Math.max(...data);
+      let { min, max } = getRange(data, ghostData[index]);
 
       const isErrorOrControl = label.includes('Error') || label.includes('Control') || label.includes('E_');
       if (isErrorOrControl) {
@@ -271,26 +240,49 @@ const DataChart = ({
 
       return { min, max };
     });
-  }, [series]);
+  }, [series, ghostData]);
 
-  const xBounds = useMemo(() => {
+  const autoXBounds = useMemo(() => {
+    if (xAxis) return { min: xAxis.min, max: xAxis.max };
     const xMin = 0;
-    const xMax = timeHistory.length > 0 ? Math.max(...timeHistory) : 10;
+    const xMax = timeHistory.length > 0 || ghostTimes?.length > 0 ? getRange(timeHistory, ghostTimes).max : 10;
     return { min: xMin, max: xMax };
-  }, [timeHistory]);
+  }, [timeHistory, ghostTimes, xAxis]);
+
+  // Zoom/pan overrides the auto-fit bounds; the value view scales every y-axis
+  const {
+    bindSvg,
+    xRange: xBounds,
+    yView,
+    isZoomed,
+    selection,
+    hoverX,
+    handlers: viewportHandlers
+  } = useChartViewport({ autoXBounds, leftPadding, topPadding, plotWidth, plotHeight });
+  const yZoomed = yView.from > 0 || yView.to < 1;
+  const seriesBounds = useMemo(
+    () => autoSeriesBounds.map(bounds => applyFractionView(bounds, yView)),
+    [autoSeriesBounds, yView]
+  );
+  const clipId = useId();
+
+  const timeToX = (time) => leftPadding + ((time - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
+  const valueToY = (value, bounds) => topPadding + plotHeight - ((value - bounds.min) / (bounds.max - bounds.min || 1)) * plotHeight;
 
-  const generatePoints = (data, bounds) => {
-    if (!data || data.length < 2 || timeHistory.length < 2) return '';
+  const generatePoints = (data, bounds, times = timeHistory) => {
+    if (!data || data.length < 2 || times.length < 2) return '';
 
     const { min, max } = bounds;
     const range = max - min || 1;
 
-    return data.map((v, i) => {
-      const time = timeHistory[i] || 0;
-      const x = leftPadding + ((time - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
-      const y = topPadding + plotHeight - ((v - min) / range) * plotHeight;
-      return `${x},${y}`;
-    }).join(' ');
+    const { start, end } = visibleSpan(times, xBounds.min, xBounds.max);
+    return buildPolylinePoints(
+      times.slice(start, end),
+      data.slice(start, end),
+      timeToX,
+      v => topPadding + plotHeight - ((v - min) / range) * plotHeight,
+      plotWidth * 2
+    );
   };
 
   const getDecimalPlaces = (value, range) => {
@@ -313,7 +305,7 @@ const DataChart = ({
     return ticks;
   };
 
-  const generateXTicks = (count = 5) => {
+  const generateXTicks = (count = xAxis?.tickCount ?? 5) => {
     const { min, max } = xBounds;
     const range = max - min || 1;
     const ticks = [];
@@ -327,7 +319,16 @@ const DataChart = ({
 
   const xTicks = generateXTicks();
 
-  if (timeHistory.length < 2) {
+  // Crosshair snaps to the sample nearest the cursor
+  const hover = (() => {
+    if (hoverX === null || selection || timeHistory.length === 0) return null;
+    const time = xBounds.min + ((hoverX - leftPadding) / plotWidth) * (xBounds.max - xBounds.min || 1);
+    const index = nearestIndex(timeHistory, time);
+    const x = leftPadding + ((timeHistory[index] - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
+    return { index, time: timeHistory[index], x };
+  })();
+
+  if (timeHistory.length < 2 && !(ghostTimes?.length >= 2)) {
     return (
       <div style={{
         width,
@@ -347,8 +348,20 @@ const DataChart = ({
   }
 
   return (
-    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '10px' }}>
-      <svg width={width} height={height}>
+    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '10px', position: 'relative' }}>
+      <svg
+        ref={bindSvg}
+        width={width}
+        height={height}
+        style={{ cursor: selection ? 'crosshair' : 'grab', userSelect: 'none' }}
+        {...viewportHandlers}
+      >
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={leftPadding} y={topPadding} width={plotWidth} height={plotHeight} />
+          </clipPath>
+        </defs>
+
         {(() => {
           const firstVisibleIndex = series.findIndex((_, i) => visibleSeries[i]);
           if (firstVisibleIndex === -1) return null;
@@ -392,7 +405,7 @@ const DataChart = ({
               fontSize="10"
               fontFamily={fonts.mono}
             >
-              {tick.value.toFixed(1)}s
+              {xAxis ? xAxis.format(tick.value) : `${tick.value.toFixed(1)}s`}
             </text>
           </g>
         ))}
@@ -439,21 +452,92 @@ const DataChart = ({
           );
         })}
 
-        {series.map(({ data, color }, i) => {
+        {/* Shaded value bands (e.g. settling band) in their series' y-scale */}
+        {bands.map((band, i) => {
+          const bandIndex = band.seriesIndex ?? 0;
+          if (!visibleSeries[bandIndex] || !seriesBounds[bandIndex]) return null;
+          const x0 = timeToX(band.from ?? xBounds.min);
+          const x1 = timeToX(band.to ?? xBounds.max);
+          const y0 = valueToY(band.max, seriesBounds[bandIndex]);
+          const y1 = valueToY(band.min, seriesBounds[bandIndex]);
+          return (
+            <rect
+              key={`band-${i}`}
+              x={Math.min(x0, x1)}
+              y={Math.min(y0, y1)}
+              width={Math.abs(x1 - x0)}
+              height={Math.max(1, Math.abs(y1 - y0))}
+              fill={band.color || 'rgba(255,255,255,0.08)'}
+              clipPath={`url(#${clipId})`}
+            />
+          );
+        })}
+
+        {/* Recorded run (ghost) lines */}
+        {ghostTimes && series.map(({ color }, i) => {
+          if (!visibleSeries[i] || !ghostData[i]) return null;
+
+          return (
+            <polyline
+              key={`ghost-${i}`}
+              points={generatePoints(ghostData[i], seriesBounds[i], ghostTimes)}
+              clipPath={`url(#${clipId})`}
+              fill="none"
+              stroke={color}
+              strokeWidth="1.5"
+              strokeDasharray="5 4"
+              opacity="0.45"
+            />
+          );
+        })}
+
+        {series.map(({ data, color, dash }, i) => {
           if (!visibleSeries[i]) return null;
 
           return (
             <polyline
               key={`line-${i}`}
               points={generatePoints(data, seriesBounds[i])}
+              clipPath={`url(#${clipId})`}
               fill="none"
               stroke={color}
               strokeWidth="2"
+              strokeDasharray={dash || undefined}
             />
           );
         })}
 
-        {series.some((_, i) => visibleSeries[i] && seriesBounds[i].min < 0 && seriesBounds[i].max > 0) && (
+        {/* Event markers (e.g. MANUAL/AUTO transfers, step peaks); value + seriesIndex adds a dot */}
+        {markers.map((marker, i) => {
+          if (marker.time < xBounds.min || marker.time > xBounds.max) return null;
+          const x = timeToX(marker.time);
+          const color = marker.color || colors.text.secondary;
+          const dotIndex = marker.seriesIndex ?? 0;
+          const showDot = marker.value !== undefined && visibleSeries[dotIndex] && seriesBounds[dotIndex];
+          return (
+            <g key={`marker-${i}`}>
+              <line
+                x1={x}
+                y1={topPadding}
+                x2={x}
+                y2={topPadding + plotHeight}
+                stroke={color}
+                strokeWidth="1"
+                strokeDasharray="3 3"
+              />
+              {marker.label && (
+                <text x={x + 3} y={topPadding + 10 + (i % 2) * 11} fill={color} fontSize="9" fontFamily={fonts.mono}>
+                  {marker.label}
+                </text>
+              )}
+              {showDot && (
+                <circle cx={x} cy={valueToY(marker.value, seriesBounds[dotIndex])} r="4" fill={color} clipPath={`url(#${clipId})`} />
+              )}
+            </g>
+          );
+        })}
+
+        {!yZoomed && series.some((_, i) => visibleSeries[i] && seriesBounds[i].min < 0 && seriesBounds[i].max > 0) && (
           <line
             x1={leftPadding}
             y1={topPadding + plotHeight / 2}
@@ -464,8 +548,70 @@ const DataChart = ({
             strokeDasharray="4"
           />
         )}
+
+        {/* Zoom box (Shift + drag) */}
+        {selection && (
+          <rect
+            x={Math.min(selection.x0, selection.x1)}
+            y={Math.min(selection.y0, selection.y1)}
+            width={Math.abs(selection.x1 - selection.x0)}
+            height={Math.abs(selection.y1 - selection.y0)}
+            fill="rgba(106, 159, 212, 0.15)"
+            stroke={colors.primary}
+            strokeDasharray="4 2"
+          />
+        )}
+
+        {/* Crosshair */}
+        {hover && (
+          <line
+            x1={hover.x}
+            y1={topPadding}
+            x2={hover.x}
+            y2={topPadding + plotHeight}
+            stroke="rgba(255,255,255,0.5)"
+            strokeWidth="1"
+          />
+        )}
+
+        {isZoomed && (
+          <text x={width - rightPadding} y={topPadding - 6} textAnchor="end" fill={colors.text.muted} fontSize="9" fontFamily={fonts.mono}>
+            double-click to reset zoom
+          </text>
+        )}
       </svg>
 
+      {/* Crosshair readout */}
+      {hover && (
+        <div style={{
+          position: 'absolute',
+          top: `${topPadding + 10}px`,
+          left: `${hover.x + 10}px`,
+          transform: hover.x > width / 2 ? 'translateX(calc(-100% - 12px))' : 'translateX(12px)',
+          background: 'rgba(10, 15, 26, 0.9)',
+          border: `1px solid ${colors.border}`,
+          borderRadius: '4px',
+          padding: '6px 8px',
+          fontSize: '10px',
+          fontFamily: fonts.mono,
+          color: colors.text.primary,
+          pointerEvents: 'none',
+          whiteSpace: 'nowrap'
+        }}>
+          <div style={{ color: colors.text.muted, marginBottom: '3px' }}>{xAxis ? xAxis.format(hover.time) : `t = ${hover.time.toFixed(2)}s`}</div>
+          {series.map(({ data, label, color }, i) => {
+            const value = data ? data[hover.index] : undefined;
+            if (!visibleSeries[i] || !Number.isFinite(value)) return null;
+            const range = autoSeriesBounds[i].max - autoSeriesBounds[i].min;
+            return (
+              <div key={`readout-${i}`} style={{ color }}>
+                {label}: {value.toFixed(getDecimalPlaces(value, range) + 1)}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       <div style={{
         display: 'flex',
         justifyContent: 'center',
@@ -473,7 +619,7 @@ const DataChart = ({
         marginTop: '8px',
         flexWrap: 'wrap'
       }}>
-        {series.map(({ label, color }, i) => (
+        {series.map(({ label, color, dash }, i) => (
           <div
             key={`legend-${i}`}
             onClick={() => toggleSeries(i)}
@@ -489,7 +635,7 @@ const DataChart = ({
             <div style={{
               width: '20px',
               height: '3px',
-              background: color
+              background: dash ? `repeating-linear-gradient(90deg, ${color} 0 6px, transparent 6px 9px)` : color
             }} />
             <span style={{
               color: colors.text.muted,
@@ -501,6 +647,14 @@ const DataChart = ({
             </span>
           </div>
         ))}
+        {ghostTimes && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+            <div style={{ width: '20px', borderTop: `2px dashed ${colors.text.muted}` }} />
+            <span style={{ color: colors.text.muted, fontSize: '10px', fontFamily: fonts.mono, userSelect: 'none' }}>
+              Recorded run
+            </span>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -515,14 +669,161 @@ const MAX_MASS = 100.0;
 const DEFAULT_MASS = 10.0;
 const MAX_THRUST = 5000;  // Maximum upward thrust
 const MIN_THRUST = -5000; // Negative thrust for faster descent
+const MAX_THRUST_RATE = 50000; // Motor spin-up limit (N/s), applied only when switched on
 const DT = 0.001;
+// Timesteps offered next to the integrator; the larger ones expose integration error
+const TIME_STEP_OPTIONS = [
+  { value: 0.001, label: '1ms' },
+  { value: 0.005, label: '5ms' },
+  { value: 0.01, label: '10ms' },
+  { value: 0.02, label: '20ms' },
+  { value: 0.05, label: '50ms' }
+];
 const RENDER_INTERVAL = 16;
+// Chart history kept, in seconds
+const PLOT_RETENTION = 600;
 const MAX_ALTITUDE = 100;
+// Simulated seconds between chart samples and readout updates
+const PLOT_INTERVAL = 0.05;
+// Simulated seconds covered by the instant-run button
+const INSTANT_RUN_DURATION = 60;
+
+// Chart series; the labels double as export column headers
+const CHART_SERIES = [
+  { channel: 'setpointHistory', label: 'Setpoint (m)', color: '#00d4ff', fixedBounds: { min: 0, max: 100 } },
+  { channel: 'measuredHistory', label: 'Measured (m)', color: '#00ff88', fixedBounds: { min: 0, max: 100 } },
+  { channel: 'errorPHistory', label: 'E_P (m)', color: '#ff3366', sharedAxis: 'error', clampedBounds: { min: -100, max: 100 } },
+  { channel: 'errorIHistory', label: 'E_I (m·s)', color: '#9d4edd', sharedAxis: 'error', clampedBounds: { min: -100, max: 100 } },
+  { channel: 'errorDHistory', label: 'E_D (m/s)', color: '#ff6d00', sharedAxis: 'derivative', clampedBounds: { min: -100, max: 100 } },
+  { channel: 'errorDRawHistory', label: 'E_D raw (m/s)', color: 'rgba(255, 109, 0, 0.35)', sharedAxis: 'derivative', clampedBounds: { min: -100, max: 100 } },
+  { channel: 'thrustHistory', label: 'Thrust (N)', color: '#ffcc00', sharedAxis: 'thrust' },
+  { channel: 'thrustCommandHistory', label: 'Thrust cmd (N)', color: 'rgba(255, 204, 0, 0.35)', sharedAxis: 'thrust' }
+];
+
+// Raw state recorded alongside the chart channels so exported runs can be replayed
+const STATE_COLUMNS = [
+  { key: 'massHistory', label: 'Mass (kg)' },
+  { key: 'crashedHistory', label: 'Crashed (0/1)' }
+];
+const EXPORT_COLUMNS = [...getExportColumns(CHART_SERIES), ...STATE_COLUMNS];
+
+// Replay playhead on the chart
+const REPLAY_COLOR = '#b794f4';
+
+// Buttons in the chart's bottom-left corner (CLEAR PLOT, EXPORT)
+const PLOT_BUTTON_STYLE = {
+  padding: '6px 12px',
+  fontSize: '10px',
+  fontWeight: '600',
+  borderRadius: '4px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  cursor: 'pointer',
+  background: 'rgba(45, 55, 72, 0.8)',
+  color: colors.text.secondary,
+  fontFamily: fonts.mono
+};
+
+// PID AUTO / MANUAL toggle, styled like the shared ControlPanel
+const CONTROL_MODES = [
+  { value: 'pid', label: 'PID AUTO', color: colors.secondary, tint: 'rgba(246, 173, 85, 0.2)' },
+  { value: 'manual', label: 'MANUAL', color: colors.info, tint: 'rgba(99, 179, 237, 0.2)' }
+];
+const modeButtonStyle = (active, color, tint) => ({
+  flex: 1,
+  padding: '10px',
+  fontSize: '12px',
+  fontWeight: '600',
+  borderRadius: '5px',
+  border: active ? `2px solid ${color}` : '1px solid rgba(100, 150, 200, 0.3)',
+  cursor: 'pointer',
+  background: active ? tint : 'rgba(45, 55, 72, 0.3)',
+  color: active ? color : colors.text.muted,
+  fontFamily: fonts.mono
+});
 
 // Default PID values
 const DEFAULT_PID = { kp: 100, ki: 10, kd: 50 };
 const PID_CONFIG = { kpMax: 500, kiMax: 100, kdMax: 250 };
 
+// Built-in gain presets (50 m → 70 m step)
+const GAIN_PRESETS = [
+  { name: 'P only', kp: 100, ki: 0, kd: 0 },
+  { name: 'Well tuned', kp: 100, ki: 10, kd: 50 },
+  { name: 'Oscillatory', kp: 400, ki: 60, kd: 10 },
+  { name: 'Sluggish', kp: 50, ki: 2, kd: 60 }
+];
+
+// Derivative filter: the 5-sample moving average by default; the first-order
+// low-pass (5 ms) and the raw difference can be picked in the PID panel
+const PID_FILTER = { derivativeFilter: DERIVATIVE_FILTERS.MOVING_AVERAGE, derivativeWindowSize: 5, derivativeTimeConstant: 0.005 };
+const DERIVATIVE_FILTER_OPTIONS = [
+  { value: DERIVATIVE_FILTERS.MOVING_AVERAGE, label: 'MOV. AVG' },
+  { value: DERIVATIVE_FILTERS.LOW_PASS, label: 'LOW-PASS' },
+  { value: DERIVATIVE_FILTERS.NONE, label: 'NONE' }
+];
+
+// Anti-windup strategies selectable in the PID panel
+const ANTI_WINDUP_OPTIONS = [
+  { value: ANTI_WINDUP_MODES.CLAMP, label: 'CLAMP' },
+  { value: ANTI_WINDUP_MODES.BACK_CALCULATION, label: 'BACK-CALC' },
+  { value: ANTI_WINDUP_MODES.CONDITIONAL, label: 'COND.' }
+];
+
+// Controller forms selectable in the PID panel
+const CONTROLLER_FORM_OPTIONS = [
+  { value: CONTROLLER_FORMS.POSITIONAL, label: 'POSITIONAL' },
+  { value: CONTROLLER_FORMS.VELOCITY, label: 'VELOCITY' }
+];
+
+// Tuning rules applied to the relay autotune result
+const TUNING_RULE_OPTIONS = [
+  { value: TUNING_RULES.ZIEGLER_NICHOLS, label: 'Z-N' },
+  { value: TUNING_RULES.TYREUS_LUYBEN, label: 'T-L' },
+  { value: TUNING_RULES.PESSEN, label: 'PESSEN' }
+];
+
+// Relay of ±30% of the drone's weight around hover; the 0.2 m band keeps the
+// double integrator from chattering at the physics rate. A double integrator has
+// no phase crossover, so the cycle grows and the test reports that instead of a Ku
+const AUTOTUNE_RELAY = { amplitudeFraction: 0.3, hysteresis: 0.2, cycles: 3, maxDuration: 40 };
+const roundGain = (value) => Math.round(value * 100) / 100;
+const formatSeconds = (value) => (value === null ? '—' : `${value.toFixed(2)}s`);
+
+// Integration methods selectable in the left panel
+const INTEGRATOR_OPTIONS = [
+  { value: INTEGRATORS.EULER, label: 'EULER' },
+  { value: INTEGRATORS.SEMI_IMPLICIT_EULER, label: 'SEMI-IMP.' },
+  { value: INTEGRATORS.RK4, label: 'RK4' },
+  { value: INTEGRATORS.RK45, label: 'RK45' }
+];
+
+// Plant as a state derivative: altitude' = velocity, velocity' = (thrust − weight) / mass
+const DRONE_MODEL = {
+  keys: ['altitude', 'velocity'],
+  velocityKeys: ['velocity'],
+  derivatives: (state, thrust) => ({
+    altitude: state.velocity,
+    velocity: (thrust - state.mass * GRAVITY) / state.mass
+  })
+};
+
+// Level at 50m with the motors off
+const createInitialState = (mass, setpoint) => ({
+  altitude: 50,
+  velocity: 0,
+  mass,
+  setpoint,
+  thrust: 0,
+  crashed: false
+});
+
+// Comparison run lengths (seconds); constant setpoints step a tenth of the way in
+const COMPARISON_DURATION_OPTIONS = [
+  { value: 10, label: '10 s' },
+  { value: 20, label: '20 s' },
+  { value: 40, label: '40 s' }
+];
+
 // Setpoint modes
 const SETPOINT_MODES = {
   CONSTANT: 'constant',
@@ -554,49 +855,95 @@ const Slider = ({ label, value, onChange, min, max, step = 1, unit = '', color =
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
-const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimulatorChange = () => {} }) => {
+const DroneAltitudeStandalone = ({
+  simulators = [],
+  activeSimulator = '',
+  onSimulatorChange = () => {},
+  urlState = {},
+  onUrlStateChange = () => {}
+}) => {
   // Simulation state
   const [isRunning, setIsRunning] = useState(false);
-  const [pidGains, setPidGains] = useState(DEFAULT_PID);
+  const [pidGains, setPidGains] = useState(() => readUrlGains(urlState, DEFAULT_PID, PID_CONFIG));
+  const gainProfiles = useGainProfiles('drone');
+  const [controlMode, setControlMode] = useState('pid');
+  const [manualThrust, setManualThrust] = useState(() => Math.round(DEFAULT_MASS * GRAVITY));
+  const [transferMarkers, setTransferMarkers] = useState([]);
+  const [setpointWeight, setSetpointWeight] = useState(1);
+  const [dOnMeasurement, setDOnMeasurement] = useState(false);
+  const [controllerForm, setControllerForm] = useState(CONTROLLER_FORMS.POSITIONAL);
+  const [derivativeFilter, setDerivativeFilter] = useState(PID_FILTER.derivativeFilter);
+  const [antiWindup, setAntiWindup] = useState(ANTI_WINDUP_MODES.CLAMP);
+  const [slewLimited, setSlewLimited] = useState(false);
+  const [integrator, setIntegrator] = useState(INTEGRATORS.SEMI_IMPLICIT_EULER);
+  const [timeStep, setTimeStep] = useState(DT);
+  const [tuningRule, setTuningRule] = useState(TUNING_RULES.ZIEGLER_NICHOLS);
+  const [autotuneRunning, setAutotuneRunning] = useState(false);
+  const [autotuneMessage, setAutotuneMessage] = useState('');
   const [cumulativeError, setCumulativeError] = useState(0);
   const [currentThrust, setCurrentThrust] = useState(0);
+  const [thrustSaturated, setThrustSaturated] = useState(false);
+  const [stepMetrics, setStepMetrics] = useState(null);
+  const [comparisonOpen, setComparisonOpen] = useState(false);
+  const [variants, setVariants] = useState(() => [
+    createVariant(0, DEFAULT_PID),
+    createVariant(1, { ...DEFAULT_PID, kp: DEFAULT_PID.kp * 2 })
+  ]);
+  const [comparisonDuration, setComparisonDuration] = useState(20);
+  const [comparison, setComparison] = useState(null);
+  const [bodeOpen, setBodeOpen] = useState(false);
+  const [rootLocusOpen, setRootLocusOpen] = useState(false);
+  const [locusGain, setLocusGain] = useState('kd');
 
   // Drone mass
-  const [droneMass, setDroneMass] = useState(DEFAULT_MASS);
+  const [droneMass, setDroneMass] = useState(() => readUrlNumber(urlState, 'mass', DEFAULT_MASS, { min: MIN_MASS, max: MAX_MASS }));
 
   // Setpoint mode configuration
-  const [setpointMode, setSetpointMode] = useState(SETPOINT_MODES.CONSTANT);
-  const [constantSetpoint, setConstantSetpoint] = useState(50);
-  const [sineAmplitude, setSineAmplitude] = useState(20);
-  const [sineFrequency, setSineFrequency] = useState(0.1);
-  const [boxAmplitude, setBoxAmplitude] = useState(20);
-  const [boxFrequency, setBoxFrequency] = useState(0.1);
-
-  const [plotData, setPlotData] = useState({
-    setpointHistory: [],
-    measuredHistory: [],
-    errorPHistory: [],
-    errorIHistory: [],
-    errorDHistory: [],
-    thrustHistory: [],
-    timeHistory: []
-  });
+  const [setpointMode, setSetpointMode] = useState(() => readUrlChoice(urlState, 'setpoint', Object.values(SETPOINT_MODES), SETPOINT_MODES.CONSTANT));
+  const [constantSetpoint, setConstantSetpoint] = useState(() => readUrlNumber(urlState, 'target', 50, { min: 5, max: 95 }));
+  const [sineAmplitude, setSineAmplitude] = useState(() => readUrlNumber(urlState, 'sineAmp', 20, { min: 5, max: 40 }));
+  const [sineFrequency, setSineFrequency] = useState(() => readUrlNumber(urlState, 'sineFreq', 0.1, { min: 0.01, max: 0.5 }));
+  const [boxAmplitude, setBoxAmplitude] = useState(() => readUrlNumber(urlState, 'boxAmp', 20, { min: 5, max: 40 }));
+  const [boxFrequency, setBoxFrequency] = useState(() => readUrlNumber(urlState, 'boxFreq', 0.1, { min: 0.01, max: 0.5 }));
+
+  const telemetry = useTelemetryStore({ channels: ['setpointHistory', 'measuredHistory', 'errorPHistory', 'errorIHistory', 'errorDHistory', 'errorDRawHistory', 'thrustHistory', 'thrustCommandHistory', 'massHistory', 'crashedHistory'], retention: PLOT_RETENTION });
   const timeOffsetRef = useRef(0);
 
+  const {
+    run: replayRun,
+    time: replayTime,
+    playing: replayPlaying,
+    speed: replaySpeed,
+    sample: replaySample,
+    error: replayError,
+    load: loadRun,
+    close: closeRun,
+    seek: seekReplay,
+    togglePlay: toggleReplay,
+    setSpeed: setReplaySpeed
+  } = useRunReplay({ columns: EXPORT_COLUMNS });
+  // Setpoint jumps over half a metre (slider moves, box edges) count as steps
+  const [stepAnalyzer] = useState(() => createStepResponseAnalyzer({ threshold: 0.5 }));
+
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const lastRenderRef = useRef(0);
-  const pidController = useRef(createPIDController());
-
-  const stateRef = useRef({
-    altitude: 50,
-    velocity: 0,
-    mass: DEFAULT_MASS,
-    setpoint: 50,
-    time: 0,
-    thrust: 0,
-    crashed: false
-  });
+  const pidController = useRef(createPIDController({ ...PID_FILTER, outputMin: MIN_THRUST, outputMax: MAX_THRUST }));
+  const autotunerRef = useRef(null);
+  const autotuneSetpointRef = useRef(50);
+  const integratorRef = useRef(createIntegrator(INTEGRATORS.SEMI_IMPLICIT_EULER));
+
+  // Physics and control advance through the headless engine; the animation loop
+  // only chooses how many steps each frame takes, so a run can also jump ahead
+  const [engine] = useState(() => createSimulationEngine({
+    plant: { initialState: createInitialState(DEFAULT_MASS, 50), step: () => null },
+    dt: DT,
+    recordInterval: PLOT_INTERVAL
+  }));
+  const stateRef = useRef(engine.getState());
+  // Last controller result and ∫e dt, updated by the engine every step
+  const pidResultRef = useRef(null);
+  const errorIntegralRef = useRef(0);
 
   // Calculate setpoint based on mode and time
   const calculateSetpoint = useCallback((time) => {
@@ -622,63 +969,132 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
   }, [setpointMode, constantSetpoint, sineAmplitude, sineFrequency, boxAmplitude, boxFrequency]);
 
   const resetSimulation = useCallback(() => {
-    const initialSetpoint = calculateSetpoint(0);
-    stateRef.current = {
-      altitude: 50,
-      velocity: 0,
-      mass: droneMass,
-      setpoint: initialSetpoint,
-      time: 0,
-      thrust: 0,
-      crashed: false
-    };
+    engine.reset(createInitialState(droneMass, calculateSetpoint(0)));
+    stateRef.current = engine.getState();
+    pidResultRef.current = null;
+    errorIntegralRef.current = 0;
     pidController.current.reset();
+    integratorRef.current.reset();
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
     timeOffsetRef.current = 0;
-    setPlotData({ setpointHistory: [], measuredHistory: [], errorPHistory: [], errorIHistory: [], errorDHistory: [], thrustHistory: [], timeHistory: [] });
+    telemetry.clear();
+    stepAnalyzer.reset();
+    setStepMetrics(null);
+    setTransferMarkers([]);
     setCurrentThrust(0);
+    setThrustSaturated(false);
     setCumulativeError(0);
-  }, [droneMass, calculateSetpoint]);
-
-  const simulateStep = useCallback((controlSignal) => {
-    const state = stateRef.current;
-    if (state.crashed) return;
-
-    // Clamp thrust between 0 and MAX_THRUST
-    // 0 thrust means drone falls (no lift)
-    const thrust = Math.max(MIN_THRUST, Math.min(MAX_THRUST, controlSignal));
-    state.thrust = thrust;
-
-    // Physics: thrust provides upward force, gravity pulls down
-    const gravityForce = state.mass * GRAVITY;
-    const netForce = thrust - gravityForce;
-    const acceleration = netForce / state.mass;
+  }, [engine, droneMass, calculateSetpoint, telemetry, stepAnalyzer]);
+
+  // Live plant for the engine; a crash ends the run until RESET
+  const dronePlant = useMemo(() => ({
+    step(state, thrust, dt) {
+      // Thrust limits (MIN/MAX_THRUST, and MAX_THRUST_RATE when switched on) are applied by the PID controller
+      // 0 thrust means drone falls (no lift)
+      state.thrust = thrust;
+
+      // Physics: thrust provides upward force, gravity pulls down
+      integratorRef.current.step(DRONE_MODEL, state, thrust, dt);
+
+      // Setpoint for the time this step ends at
+      state.setpoint = calculateSetpoint(state.time + dt);
+
+      if (state.altitude <= 0 || state.altitude >= MAX_ALTITUDE) {
+        state.crashed = true;
+        state.altitude = Math.max(0, Math.min(MAX_ALTITUDE, state.altitude));
+        state.velocity = 0;
+        return 'crashed';
+      }
+      return null;
+    }
+  }), [calculateSetpoint]);
+
+  // PID output directly controls thrust - no hover thrust offset
+  // With only P gain and zero error, thrust will be zero and drone will fall
+  // Setpoint weights: b scales the setpoint in P, c = 0 takes D on measurement only
+  const controller = useCallback((state, dt) => {
+    const gains = { ...pidGains, b: setpointWeight, c: dOnMeasurement ? 0 : 1 };
+    const tuner = autotunerRef.current;
+    let thrust;
+    let pidResult;
+    if (tuner) {
+      // Relay drives the plant; the PID tracks it so the handover is bumpless
+      thrust = tuner.step(autotuneSetpointRef.current, state.altitude, dt);
+      pidResult = pidController.current.trackTwoDOF(thrust, state.setpoint, state.altitude, gains, dt);
+    } else if (controlMode === 'manual') {
+      // Operator sets the thrust; the PID tracks it for a bumpless return to AUTO
+      thrust = manualThrust;
+      pidResult = pidController.current.trackTwoDOF(manualThrust, state.setpoint, state.altitude, gains, dt);
+    } else {
+      pidResult = pidController.current.computeTwoDOF(state.setpoint, state.altitude, gains, dt);
+      thrust = pidResult.output;
+    }
 
-    state.velocity += acceleration * DT;
-    state.altitude += state.velocity * DT;
-    state.time += DT;
+    pidResultRef.current = pidResult;
+    errorIntegralRef.current += (state.setpoint - state.altitude) * dt;
+    stepAnalyzer.update(state.time, state.setpoint, state.altitude);
+    return thrust;
+  }, [pidGains, setpointWeight, dOnMeasurement, controlMode, manualThrust, stepAnalyzer]);
+
+  // Chart sample taken by the engine every PLOT_INTERVAL
+  const record = useCallback((state) => {
+    const pidResult = pidResultRef.current;
+    const { derivative, rawDerivative } = pidController.current.getState();
+    return {
+      setpointHistory: state.setpoint,
+      measuredHistory: state.altitude,
+      errorPHistory: pidResult.errorP,
+      errorIHistory: pidResult.errorI,
+      errorDHistory: derivative,
+      errorDRawHistory: rawDerivative,
+      thrustHistory: state.thrust,
+      thrustCommandHistory: pidResult.unsaturatedOutput,
+      massHistory: state.mass,
+      crashedHistory: state.crashed ? 1 : 0
+    };
+  }, []);
 
-    // Update setpoint based on mode
-    state.setpoint = calculateSetpoint(state.time);
+  // Engine samples land on the chart's clock, which CLEAR PLOT restarts
+  const chartTelemetry = useMemo(() => ({
+    push: (time, sample) => telemetry.push(time - timeOffsetRef.current, sample),
+    clear: () => telemetry.clear(),
+    snapshot: () => telemetry.snapshot()
+  }), [telemetry]);
 
-    if (state.altitude <= 0 || state.altitude >= MAX_ALTITUDE) {
-      state.crashed = true;
-      state.altitude = Math.max(0, Math.min(MAX_ALTITUDE, state.altitude));
-      state.velocity = 0;
+  useEffect(() => {
+    engine.configure({ plant: dronePlant, controller, record, dt: timeStep, telemetry: chartTelemetry });
+  }, [engine, dronePlant, controller, record, timeStep, chartTelemetry]);
+
+  // Apply the relay result (or report why it failed) and hand control back to the PID
+  const finishAutotune = useCallback(() => {
+    const tuner = autotunerRef.current;
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
+
+    const result = tuner.getResult();
+    if (!result) {
+      setAutotuneMessage(tuner.getMessage());
+      return;
     }
-  }, [calculateSetpoint]);
 
-  const computePIDThrust = useCallback(() => {
-    const state = stateRef.current;
-    const error = state.setpoint - state.altitude;
-
-    // PID output directly controls thrust - no hover thrust offset
-    // With only P gain and zero error, thrust will be zero and drone will fall
-    const pidResult = pidController.current.compute(error, pidGains, DT);
+    const tuned = computeTuningGains(result.ku, result.tu, tuningRule);
+    const gains = { kp: roundGain(tuned.kp), ki: roundGain(tuned.ki), kd: roundGain(tuned.kd) };
+    setPidGains(gains);
 
-    return pidResult;
-  }, [pidGains]);
+    // Seed the integral with the hover thrust so the new gains take over without a bump
+    const state = stateRef.current;
+    pidController.current.trackTwoDOF(
+      state.mass * GRAVITY,
+      state.setpoint,
+      state.altitude,
+      { ...gains, b: setpointWeight, c: dOnMeasurement ? 0 : 1 },
+      timeStep
+    );
+    setAutotuneMessage(`${tuner.getMessage()} → Kp ${gains.kp}, Ki ${gains.ki}, Kd ${gains.kd}`);
+  }, [tuningRule, setpointWeight, dOnMeasurement, timeStep]);
 
-  const render = useCallback(() => {
+  const render = useCallback((state = stateRef.current) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
@@ -694,7 +1110,6 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
     ctx.fillStyle = skyGradient;
     ctx.fillRect(0, 0, width, height);
 
-    const state = stateRef.current;
 
     // Altitude markers
     ctx.strokeStyle = 'rgba(100, 200, 150, 0.15)';
@@ -850,7 +1265,31 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
     }
   }, []);
 
-  // Animation loop
+  // A relay test ends when the drone crashes or the tuner reaches a verdict
+  const settleAutotune = useCallback(() => {
+    const tuner = autotunerRef.current;
+    if (!tuner) return;
+    if (stateRef.current.crashed) tuner.abort('Drone crashed during relay test');
+    if (tuner.getStatus() !== AUTOTUNE_STATUS.RUNNING) finishAutotune();
+  }, [finishAutotune]);
+
+  const updateReadouts = useCallback(() => {
+    const pidResult = pidResultRef.current;
+    if (!pidResult) return;
+    setCurrentThrust(stateRef.current.thrust);
+    setThrustSaturated(pidResult.saturated);
+    setCumulativeError(errorIntegralRef.current);
+
+    // Metrics in chart time, so annotations line up after CLEAR PLOT
+    const metrics = stepAnalyzer.getCurrent();
+    setStepMetrics(metrics && {
+      ...metrics,
+      startTime: metrics.startTime - timeOffsetRef.current,
+      endTime: metrics.endTime - timeOffsetRef.current
+    });
+  }, [stepAnalyzer]);
+
+  // Animation loop: real time decides how many engine steps each frame takes
   useEffect(() => {
     if (!isRunning) {
       if (animationRef.current) cancelAnimationFrame(animationRef.current);
@@ -859,42 +1298,23 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
 
     let lastTime = performance.now();
     let accumulator = 0;
-    let errorAccumulator = cumulativeError;
-    let lastPlotTime = 0;
+    let lastReadoutTime = -Infinity;
 
     const loop = (currentTime) => {
       const deltaTime = Math.min(currentTime - lastTime, 50);
       lastTime = currentTime;
       accumulator += deltaTime;
 
-      let latestPidResult = null;
-
-      while (accumulator >= DT * 1000) {
-        const pidResult = computePIDThrust();
-        latestPidResult = pidResult;
-        simulateStep(pidResult.output);
-
-        const state = stateRef.current;
-        const error = state.setpoint - state.altitude;
-        errorAccumulator += error * DT;
-
-        accumulator -= DT * 1000;
-      }
+      const steps = Math.floor(accumulator / (timeStep * 1000));
+      engine.advance(steps);
+      accumulator -= steps * timeStep * 1000;
 
+      settleAutotune();
       const state = stateRef.current;
-      if (latestPidResult && state.time - lastPlotTime >= 0.05) {
-        lastPlotTime = state.time;
-        setPlotData(prev => ({
-          setpointHistory: [...prev.setpointHistory, state.setpoint],
-          measuredHistory: [...prev.measuredHistory, state.altitude],
-          errorPHistory: [...prev.errorPHistory, latestPidResult.errorP],
-          errorIHistory: [...prev.errorIHistory, latestPidResult.errorI],
-          errorDHistory: [...prev.errorDHistory, latestPidResult.errorD],
-          thrustHistory: [...prev.thrustHistory, state.thrust],
-          timeHistory: [...prev.timeHistory, state.time - timeOffsetRef.current]
-        }));
-        setCurrentThrust(state.thrust);
-        setCumulativeError(errorAccumulator);
+      // Readouts refresh every PLOT_INTERVAL, and straight away after a reset
+      if (state.time < lastReadoutTime || state.time - lastReadoutTime >= PLOT_INTERVAL) {
+        lastReadoutTime = state.time;
+        updateReadouts();
       }
 
       if (currentTime - lastRenderRef.current >= RENDER_INTERVAL) {
@@ -907,9 +1327,65 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
 
     animationRef.current = requestAnimationFrame(loop);
     return () => { if (animationRef.current) cancelAnimationFrame(animationRef.current); };
-  }, [isRunning, computePIDThrust, simulateStep, render, cumulativeError]);
+  }, [isRunning, engine, settleAutotune, updateReadouts, render, timeStep]);
+
+  // Live state when idle; a loaded run takes over the canvas instead
+  useEffect(() => {
+    if (!replayRun) render();
+  }, [render, replayRun]);
+
+  // While stopped with a run loaded, the canvas shows the recorded state
+  useEffect(() => {
+    if (isRunning || !replaySample) return;
+    render({
+      altitude: replaySample.measuredHistory,
+      velocity: 0,
+      mass: Number.isFinite(replaySample.massHistory) ? replaySample.massHistory : droneMass,
+      setpoint: replaySample.setpointHistory,
+      time: replaySample.time,
+      thrust: replaySample.thrustHistory,
+      crashed: replaySample.crashedHistory >= 0.5
+    });
+  }, [isRunning, replaySample, droneMass, render]);
+
+  useEffect(() => {
+    pidController.current.configure({ antiWindup });
+  }, [antiWindup]);
 
-  useEffect(() => { render(); }, [render]);
+  useEffect(() => {
+    pidController.current.configure({ derivativeFilter });
+  }, [derivativeFilter]);
+
+  useEffect(() => {
+    pidController.current.configure({ maxRate: slewLimited ? MAX_THRUST_RATE : Infinity });
+  }, [slewLimited]);
+
+  // Switch form mid-run by seeding the new controller from the old one's last output
+  const handleControllerFormChange = (form) => {
+    const state = stateRef.current;
+    const gains = { ...pidGains, b: setpointWeight, c: dOnMeasurement ? 0 : 1 };
+    pidController.current = switchControllerForm(pidController.current, form, (next, output) =>
+      next.trackTwoDOF(output, state.setpoint, state.altitude, gains, timeStep));
+    setControllerForm(form);
+  };
+
+  useEffect(() => {
+    integratorRef.current = createIntegrator(integrator);
+  }, [integrator]);
+
+  // Mirror the shareable configuration into the URL
+  useEffect(() => {
+    onUrlStateChange({
+      ...pidGains,
+      mass: droneMass,
+      setpoint: setpointMode,
+      target: constantSetpoint,
+      sineAmp: sineAmplitude,
+      sineFreq: sineFrequency,
+      boxAmp: boxAmplitude,
+      boxFreq: boxFrequency
+    });
+  }, [pidGains, droneMass, setpointMode, constantSetpoint, sineAmplitude, sineFrequency, boxAmplitude, boxFrequency, onUrlStateChange]);
 
   // Update mass in state when droneMass changes
   useEffect(() => {
@@ -920,9 +1396,15 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
     if (stateRef.current.crashed) {
       resetSimulation();
     }
+    if (replayPlaying) toggleReplay();
     setIsRunning(true);
   };
 
+  const handleLoadRun = (file) => {
+    setIsRunning(false);
+    loadRun(file);
+  };
+
   const handleStop = () => {
     setIsRunning(false);
   };
@@ -934,9 +1416,163 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
 
   const handleResetIntegral = () => {
     pidController.current.resetIntegral();
+    errorIntegralRef.current = 0;
     setCumulativeError(0);
   };
 
+  // Jump the run ahead without animating it
+  const handleRunInstantly = () => {
+    if (stateRef.current.crashed) {
+      resetSimulation();
+    }
+    if (replayPlaying) toggleReplay();
+    engine.run(INSTANT_RUN_DURATION);
+    settleAutotune();
+    updateReadouts();
+    render();
+  };
+
+  // MANUAL starts from the thrust the PID was applying, so neither direction bumps
+  const handleModeChange = (mode) => {
+    if (mode === controlMode) return;
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+    }
+    if (mode === 'manual') setManualThrust(Math.round(stateRef.current.thrust));
+    setTransferMarkers(prev => [...prev, {
+      time: stateRef.current.time - timeOffsetRef.current,
+      label: mode === 'pid' ? 'AUTO' : 'MAN',
+      color: mode === 'pid' ? colors.success : colors.warning
+    }]);
+    setControlMode(mode);
+  };
+
+  const handleAutotune = () => {
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+      return;
+    }
+
+    if (stateRef.current.crashed) {
+      resetSimulation();
+    }
+    const state = stateRef.current;
+    autotuneSetpointRef.current = state.setpoint;
+    autotunerRef.current = createRelayAutotuner({
+      amplitude: AUTOTUNE_RELAY.amplitudeFraction * state.mass * GRAVITY,
+      bias: state.mass * GRAVITY,
+      hysteresis: AUTOTUNE_RELAY.hysteresis,
+      cycles: AUTOTUNE_RELAY.cycles,
+      maxDuration: AUTOTUNE_RELAY.maxDuration
+    });
+    setAutotuneRunning(true);
+    setAutotuneMessage('Relay test running…');
+    setIsRunning(true);
+  };
+
+  // The plant linearized about hover at the current mass: a double integrator 1 / (m·s²)
+  const loopPlant = useMemo(() => toTransferFunction(linearize({
+    keys: DRONE_MODEL.keys,
+    derivatives: DRONE_MODEL.derivatives,
+    output: (state) => state.altitude,
+    state: { altitude: MAX_ALTITUDE / 2, velocity: 0, mass: droneMass },
+    control: droneMass * GRAVITY
+  })), [droneMass]);
+
+  const pidFilter = useMemo(() => ({ ...PID_FILTER, derivativeFilter }), [derivativeFilter]);
+
+  // Frequency response of the linearized loop, following the live gains
+  const bodeAnalysis = useMemo(() => (bodeOpen ? analyzeLoop({
+    plant: loopPlant,
+    gains: { ...pidGains, b: setpointWeight, c: dOnMeasurement ? 0 : 1 },
+    filter: pidFilter,
+    dt: timeStep
+  }) : null), [bodeOpen, loopPlant, pidGains, setpointWeight, dOnMeasurement, pidFilter, timeStep]);
+
+  // Closed-loop poles as one gain sweeps its slider range, with the live gains marked
+  const rootLocus = useMemo(() => (rootLocusOpen ? computeRootLocus({
+    plant: loopPlant,
+    gains: { ...pidGains, c: dOnMeasurement ? 0 : 1 },
+    gain: locusGain,
+    maxGain: PID_CONFIG[`${locusGain}Max`],
+    filter: pidFilter,
+    dt: timeStep
+  }) : null), [rootLocusOpen, loopPlant, pidGains, dOnMeasurement, locusGain, pidFilter, timeStep]);
+
+  // Download the recorded run with the settings that produced it
+  const handleExport = (format) => {
+    exportRun(format, {
+      simulator: 'drone',
+      settings: {
+        gains: pidGains,
+        setpointWeight,
+        derivativeOnMeasurement: dOnMeasurement,
+        derivativeFilter,
+        antiWindup,
+        controllerForm,
+        integrator,
+        timeStep,
+        plant: { mass: droneMass, gravity: GRAVITY, minThrust: MIN_THRUST, maxThrust: MAX_THRUST, maxThrustRate: slewLimited ? MAX_THRUST_RATE : null },
+        setpoint: {
+          mode: setpointMode,
+          constant: constantSetpoint,
+          sine: { amplitude: sineAmplitude, frequency: sineFrequency },
+          box: { amplitude: boxAmplitude, frequency: boxFrequency }
+        },
+        disturbance: null,
+        seed: null
+      },
+      snapshot: telemetry.snapshot(),
+      columns: EXPORT_COLUMNS
+    });
+  };
+
+  // Every gain set starts level at 50m and follows the same setpoint profile;
+  // a constant setpoint holds 50m for the first tenth so there is a step to compare
+  const comparisonStepTime = comparisonDuration / 10;
+  const comparisonSetpoint = (time) => (
+    setpointMode === SETPOINT_MODES.CONSTANT && time < comparisonStepTime ? 50 : calculateSetpoint(time)
+  );
+
+  const handleRunComparison = () => {
+    setComparison(runComparison({
+      variants,
+      duration: comparisonDuration,
+      dt: timeStep,
+      recordInterval: 0.05,
+      threshold: 0.5,
+      createRun: (variant) => {
+        const pid = createController(variant.controllerForm, {
+          ...pidFilter,
+          outputMin: MIN_THRUST,
+          outputMax: MAX_THRUST,
+          maxRate: slewLimited ? MAX_THRUST_RATE : Infinity,
+          antiWindup
+        });
+        const gains = { kp: variant.kp, ki: variant.ki, kd: variant.kd, b: setpointWeight, c: dOnMeasurement ? 0 : 1 };
+        const stepIntegrator = createIntegrator(integrator);
+        return {
+          plant: {
+            initialState: { altitude: 50, velocity: 0, mass: droneMass, thrust: 0 },
+            step(state, thrust, dt) {
+              state.thrust = thrust;
+              stepIntegrator.step(DRONE_MODEL, state, thrust, dt);
+              if (state.altitude <= 0 || state.altitude >= MAX_ALTITUDE) return 'crashed';
+              return null;
+            }
+          },
+          controller: (state, dt) => pid.computeTwoDOF(comparisonSetpoint(state.time), state.altitude, gains, dt).output,
+          measure: (state) => ({ setpoint: comparisonSetpoint(state.time), measurement: state.altitude })
+        };
+      }
+    }));
+  };
+
+  // Peak / settling annotations on the measured series
+  const stepAnnotations = getStepAnnotations(stepMetrics, { seriesIndex: 1 });
+
   return (
     <div style={{
       display: 'flex',
@@ -1034,6 +1670,12 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
                 ↻
               </button>
             </div>
+            <button
+              onClick={handleRunInstantly}
+              style={{ ...getButtonStyle('ghost'), width: '100%', marginTop: '8px', padding: '6px 12px', fontSize: '10px' }}
+            >
+              ⏭ SIMULATE {INSTANT_RUN_DURATION} s INSTANTLY
+            </button>
           </div>
 
           {/* Drone Weight */}
@@ -1136,6 +1778,47 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
               </>
             )}
           </div>
+
+          {/* Integrator + Time Step */}
+          <div style={{ marginTop: '20px' }}>
+            <h3 style={{ color: colors.text.secondary, fontSize: '12px', marginBottom: '8px', letterSpacing: '2px' }}>
+              INTEGRATOR
+            </h3>
+            <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+              {INTEGRATOR_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setIntegrator(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(integrator === option.value ? buttonStyles.info : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {TIME_STEP_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setTimeStep(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(timeStep === option.value ? buttonStyles.info : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
         </div>
 
         {/* Center: Simulation Window */}
@@ -1151,8 +1834,43 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
         {/* Right Control Panel: PID + Status */}
         <div style={{ ...panelStyles.base, padding: '15px', width: '280px', flexShrink: 0, height: '360px', overflowY: 'auto', boxSizing: 'border-box' }}>
 
+          {/* Mode toggle (from components/ControlPanel.jsx) */}
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '15px' }}>
+            {CONTROL_MODES.map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => handleModeChange(mode.value)}
+                style={modeButtonStyle(controlMode === mode.value, mode.color, mode.tint)}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          {controlMode === 'manual' && (
+            <Slider
+              label="Manual Thrust"
+              value={manualThrust}
+              onChange={setManualThrust}
+              min={MIN_THRUST}
+              max={MAX_THRUST}
+              unit=" N"
+              color={colors.info}
+            />
+          )}
+
           {/* PID Gains */}
           <div style={{ marginBottom: '20px' }}>
+            <PresetSelector
+              presets={GAIN_PRESETS}
+              profiles={gainProfiles.profiles}
+              gains={pidGains}
+              onApply={setPidGains}
+              onSave={(name) => gainProfiles.save(name, pidGains)}
+              onDelete={gainProfiles.remove}
+              onImport={gainProfiles.importFile}
+              onExport={gainProfiles.exportFile}
+              error={gainProfiles.error}
+            />
             <Slider
               label="Proportional (Kp)"
               value={pidGains.kp}
@@ -1183,25 +1901,153 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
             <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
               <button
                 onClick={() => setPidGains(DEFAULT_PID)}
-                style={{ ...getButtonStyle('ghost'), padding: '6px 12px', fontSize: '10px', flex: 1 }}
+                style={{ ...getButtonStyle('ghost'), padding: '6px 4px', fontSize: '9px', flex: 1 }}
               >
                 RESET GAINS
               </button>
+              <button
+                onClick={handleAutotune}
+                style={{
+                  ...buttonStyles.base,
+                  padding: '6px 4px',
+                  fontSize: '9px',
+                  flex: 1,
+                  ...(autotuneRunning ? buttonStyles.secondary : buttonStyles.ghost)
+                }}
+              >
+                {autotuneRunning ? 'CANCEL TUNE' : 'AUTOTUNE'}
+              </button>
               <button
                 onClick={handleResetIntegral}
-                style={{ ...getButtonStyle('ghost'), padding: '6px 12px', fontSize: '10px', flex: 1 }}
+                style={{ ...getButtonStyle('ghost'), padding: '6px 4px', fontSize: '9px', flex: 1 }}
               >
                 RESET INTEGRAL
               </button>
             </div>
+            <div style={{ color: colors.text.secondary, fontSize: '11px', marginTop: '12px', marginBottom: '4px' }}>Autotune Rule</div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {TUNING_RULE_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setTuningRule(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(tuningRule === option.value ? buttonStyles.secondary : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {autotuneMessage && (
+              <div style={{ color: colors.text.muted, fontSize: '10px', marginTop: '6px' }}>
+                {autotuneMessage}
+              </div>
+            )}
+            <div style={{ marginTop: '12px' }}>
+              <Slider
+                label="Setpoint Weight (b)"
+                value={setpointWeight}
+                onChange={setSetpointWeight}
+                min={0}
+                max={1}
+                step={0.05}
+                color={colors.proportional}
+              />
+            </div>
+            <button
+              onClick={() => setDOnMeasurement(prev => !prev)}
+              style={{
+                ...buttonStyles.base,
+                padding: '6px 12px',
+                fontSize: '10px',
+                width: '100%',
+                marginTop: '10px',
+                ...(dOnMeasurement ? buttonStyles.info : buttonStyles.ghost)
+              }}
+            >
+              D ON MEASUREMENT: {dOnMeasurement ? 'ON' : 'OFF'}
+            </button>
+            <button
+              onClick={() => setSlewLimited(prev => !prev)}
+              style={{
+                ...buttonStyles.base,
+                padding: '6px 12px',
+                fontSize: '10px',
+                width: '100%',
+                marginTop: '6px',
+                ...(slewLimited ? buttonStyles.info : buttonStyles.ghost)
+              }}
+            >
+              THRUST SLEW LIMIT: {slewLimited ? `${MAX_THRUST_RATE / 1000} kN/s` : 'OFF'}
+            </button>
+            <div style={{ color: colors.text.secondary, fontSize: '11px', marginTop: '12px', marginBottom: '4px' }}>Derivative Filter</div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {DERIVATIVE_FILTER_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setDerivativeFilter(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(derivativeFilter === option.value ? buttonStyles.primary : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div style={{ color: colors.text.secondary, fontSize: '11px', marginTop: '12px', marginBottom: '4px' }}>Anti-Windup</div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {ANTI_WINDUP_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setAntiWindup(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(antiWindup === option.value ? buttonStyles.primary : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div style={{ color: colors.text.secondary, fontSize: '11px', marginTop: '12px', marginBottom: '4px' }}>Controller Form</div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {CONTROLLER_FORM_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleControllerFormChange(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(controllerForm === option.value ? buttonStyles.accent : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
           </div>
 
           {/* Status Display */}
           <div>
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
               <div style={{ background: 'rgba(0,0,0,0.3)', padding: '8px', borderRadius: '6px' }}>
-                <div style={{ color: colors.text.muted, fontSize: '9px' }}>THRUST</div>
-                <div style={{ color: colors.secondary, fontSize: '14px', fontWeight: 'bold' }}>
+                <div style={{ color: thrustSaturated ? colors.danger : colors.text.muted, fontSize: '9px' }}>
+                  {thrustSaturated ? 'THRUST · SATURATED' : 'THRUST'}
+                </div>
+                <div style={{ color: thrustSaturated ? colors.danger : colors.secondary, fontSize: '14px', fontWeight: 'bold' }}>
                   {currentThrust.toFixed(0)}N
                 </div>
               </div>
@@ -1212,49 +2058,138 @@ const DroneAltitudeStandalone = ({ simulators = [], activeSimulator = '', onSimu
                 </div>
               </div>
             </div>
+
+            {/* Step response metrics of the latest setpoint step */}
+            <div style={{ color: colors.text.muted, fontSize: '9px', margin: '12px 0 6px' }}>STEP RESPONSE</div>
+            {stepMetrics ? (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 12px' }}>
+                {[
+                  { label: 'Rise', value: formatSeconds(stepMetrics.riseTime), color: colors.proportional },
+                  { label: 'Overshoot', value: `${stepMetrics.overshoot.toFixed(1)}%`, color: stepMetrics.overshoot > 0 ? colors.setpoint : colors.text.primary },
+                  { label: 'Ts 2%', value: formatSeconds(stepMetrics.settlingTimes[0.02]), color: colors.integral },
+                  { label: 'Ts 5%', value: formatSeconds(stepMetrics.settlingTimes[0.05]), color: colors.integral },
+                  { label: 'Peak', value: formatSeconds(stepMetrics.peakTime), color: colors.text.primary },
+                  { label: 'SS err', value: `${stepMetrics.steadyStateError.toFixed(2)}m`, color: colors.warning },
+                  { label: 'IAE', value: stepMetrics.iae.toFixed(2), color: colors.text.primary },
+                  { label: 'ISE', value: stepMetrics.ise.toFixed(1), color: colors.text.primary },
+                  { label: 'ITAE', value: stepMetrics.itae.toFixed(1), color: colors.text.primary }
+                ].map(item => (
+                  <div key={item.label} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px' }}>
+                    <span style={{ color: colors.text.muted }}>{item.label}</span>
+                    <span style={{ color: item.color, fontWeight: 'bold' }}>{item.value}</span>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div style={{ color: colors.text.dark, fontSize: '10px' }}>Change the setpoint to measure a step</div>
+            )}
           </div>
         </div>
       </div>
 
       {/* Bottom Row: Data Tracking */}
       <div style={{ ...panelStyles.base, padding: '15px', width: '100%', boxSizing: 'border-box', position: 'relative' }}>
-        <button
-          onClick={() => {
-            timeOffsetRef.current = stateRef.current.time;
-            setPlotData({ setpointHistory: [], measuredHistory: [], errorPHistory: [], errorIHistory: [], errorDHistory: [], thrustHistory: [], timeHistory: [] });
-          }}
-          style={{
-            position: 'absolute',
-            bottom: '20px',
-            left: '20px',
-            padding: '6px 12px',
-            fontSize: '10px',
-            fontWeight: '600',
-            borderRadius: '4px',
-            border: '1px solid rgba(100, 150, 200, 0.3)',
-            cursor: 'pointer',
-            background: 'rgba(45, 55, 72, 0.8)',
-            color: colors.text.secondary,
-            fontFamily: fonts.mono,
-            zIndex: 10
-          }}
-        >
-          CLEAR PLOT
-        </button>
+        <div style={{ position: 'absolute', bottom: '20px', left: '20px', display: 'flex', gap: '6px', zIndex: 10 }}>
+          <button
+            onClick={() => {
+              timeOffsetRef.current = stateRef.current.time;
+              telemetry.clear();
+              stepAnalyzer.reset();
+              setStepMetrics(null);
+              setTransferMarkers([]);
+            }}
+            style={PLOT_BUTTON_STYLE}
+          >
+            CLEAR PLOT
+          </button>
+          <button onClick={() => handleExport('csv')} style={PLOT_BUTTON_STYLE}>
+            EXPORT CSV
+          </button>
+          <button onClick={() => handleExport('json')} style={PLOT_BUTTON_STYLE}>
+            EXPORT JSON
+          </button>
+          <button
+            onClick={() => setComparisonOpen(prev => !prev)}
+            style={{ ...PLOT_BUTTON_STYLE, ...(comparisonOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+          >
+            COMPARE
+          </button>
+          <button
+            onClick={() => setBodeOpen(prev => !prev)}
+            style={{ ...PLOT_BUTTON_STYLE, ...(bodeOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+          >
+            BODE
+          </button>
+          <button
+            onClick={() => setRootLocusOpen(prev => !prev)}
+            style={{ ...PLOT_BUTTON_STYLE, ...(rootLocusOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+          >
+            ROOT LOCUS
+          </button>
+        </div>
+        <ReplayControls
+          run={replayRun}
+          simulator="drone"
+          time={replayTime}
+          playing={replayPlaying}
+          speed={replaySpeed}
+          error={replayError}
+          onLoad={handleLoadRun}
+          onTogglePlay={toggleReplay}
+          onSeek={seekReplay}
+          onSpeedChange={setReplaySpeed}
+          onClose={closeRun}
+        />
         <DataChart
-          timeHistory={plotData.timeHistory}
-          series={[
-            { data: plotData.setpointHistory, label: 'Setpoint (m)', color: '#00d4ff', fixedBounds: { min: 0, max: 100 } },
-            { data: plotData.measuredHistory, label: 'Measured (m)', color: '#00ff88', fixedBounds: { min: 0, max: 100 } },
-            { data: plotData.errorPHistory, label: 'E_P (m)', color: '#ff3366', sharedAxis: 'error', clampedBounds: { min: -100, max: 100 } },
-            { data: plotData.errorIHistory, label: 'E_I (m·s)', color: '#9d4edd', sharedAxis: 'error', clampedBounds: { min: -100, max: 100 } },
-            { data: plotData.errorDHistory, label: 'E_D (m/s)', color: '#ff6d00', clampedBounds: { min: -100, max: 100 } },
-            { data: plotData.thrustHistory, label: 'Thrust (N)', color: '#ffcc00' }
+          telemetry={telemetry}
+          ghost={replayRun ? replayRun.data : null}
+          markers={[
+            ...stepAnnotations.markers,
+            ...transferMarkers,
+            ...(replayRun ? [{ time: replayTime, label: 'REPLAY', color: REPLAY_COLOR }] : [])
           ]}
+          bands={stepAnnotations.bands}
+          series={CHART_SERIES}
           width={1140}
           height={220}
         />
       </div>
+
+      {comparisonOpen && (
+        <ComparisonPanel
+          variants={variants}
+          onVariantsChange={setVariants}
+          pidConfig={PID_CONFIG}
+          currentGains={pidGains}
+          duration={comparisonDuration}
+          durationOptions={COMPARISON_DURATION_OPTIONS}
+          onDurationChange={setComparisonDuration}
+          onRun={handleRunComparison}
+          comparison={comparison}
+          unit="m"
+          note={setpointMode === SETPOINT_MODES.CONSTANT
+            ? `Setpoint steps from 50.0 to ${constantSetpoint.toFixed(1)} m at ${comparisonStepTime.toFixed(1)}s`
+            : `Setpoint follows the ${setpointMode} profile from t = 0`}
+          onClose={() => setComparisonOpen(false)}
+        />
+      )}
+
+      {bodeAnalysis && (
+        <BodePanel
+          analysis={bodeAnalysis}
+          note="Linearized about hover; the thrust limits (±5000 N) and the motor slew-rate limit are not modelled"
+          onClose={() => setBodeOpen(false)}
+        />
+      )}
+
+      {rootLocus && (
+        <RootLocusPanel
+          locus={rootLocus}
+          onGainChange={setLocusGain}
+          note={`Linearized about hover: a double integrator 1 / (m·s²) with m = ${droneMass.toFixed(1)} kg; the thrust limits and motor slew rate are not modelled`}
+          onClose={() => setRootLocusOpen(false)}
+        />
+      )}
     </div>
   );
 };
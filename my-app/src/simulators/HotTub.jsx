@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { DataChart, SimulationControls, ControlPanel, StatusDisplay } from '../components';
-import { createPIDController } from '../utils/pidController';
+import { DataChart, SimulationControls, ControlPanel, StatusDisplay, IntegratorControls, SeedControl } from '../components';
+import { useTelemetryStore } from '../hooks/useTelemetry';
+import { createPIDController, switchControllerForm, ANTI_WINDUP_MODES, CONTROLLER_FORMS } from '../utils/pidController';
+import { createIntegrator, INTEGRATORS } from '../utils/integrators';
+import { createRandomStream, generateSeed } from '../utils/random';
 import { colors, fonts, panelStyles, sliderStyles } from '../utils/styles';
 
 // Physics constants
@@ -11,7 +14,16 @@ const HEAT_LOSS_COEFFICIENT = 500;
 const MAX_HEATER_POWER = 15000;
 const MIN_HEATER_POWER = 0;
 const DT = 0.1;
+// Timesteps offered next to the integrator; the larger ones expose integration error
+const TIME_STEP_OPTIONS = [
+  { value: 0.1, label: '0.1 s' },
+  { value: 1, label: '1 s' },
+  { value: 10, label: '10 s' },
+  { value: 60, label: '60 s' }
+];
 const RENDER_INTERVAL = 16;
+// Chart history kept, in simulated seconds
+const PLOT_RETENTION = 24 * 3600;
 const TIME_SCALE = 600;
 const SETPOINT_MIN = 30;
 const SETPOINT_MAX = 42;
@@ -22,29 +34,46 @@ const AMBIENT_MAX = 35;
 const DEFAULT_PID = { kp: 2500, ki: 0, kd: 0 };
 const PID_CONFIG = { kpMax: 5000, kiMax: 50, kdMax: 500000 };
 
+// Plant as a state derivative: dT/dt = (heater power − loss to ambient) / thermal mass
+const HOT_TUB_MODEL = {
+  keys: ['temperature'],
+  derivatives: (state, power) => ({
+    temperature: (power - HEAT_LOSS_COEFFICIENT * (state.temperature - state.ambient)) / THERMAL_MASS
+  })
+};
+
+// NEW TARGET and CHANGE AMBIENT draw from separate streams of the run seed
+const createDisturbanceStreams = (seed) => ({
+  setpoint: createRandomStream(seed, 'setpoint'),
+  ambient: createRandomStream(seed, 'ambient')
+});
+
 const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimulatorChange = () => {} }) => {
   const [isRunning, setIsRunning] = useState(false);
   const [controlMode, setControlMode] = useState('pid');
+  const [transferMarkers, setTransferMarkers] = useState([]);
   const [userInput, setUserInput] = useState(0);
   const [pidGains, setPidGains] = useState(DEFAULT_PID);
+  const [controllerForm, setControllerForm] = useState(CONTROLLER_FORMS.POSITIONAL);
+  const [antiWindup, setAntiWindup] = useState(ANTI_WINDUP_MODES.CLAMP);
+  const [integrator, setIntegrator] = useState(INTEGRATORS.SEMI_IMPLICIT_EULER);
+  const [timeStep, setTimeStep] = useState(DT);
   const [elapsedTime, setElapsedTime] = useState(0);
   const [currentTemp, setCurrentTemp] = useState(38);
   const [setpointDisplay, setSetpointDisplay] = useState(38);
   const [ambientDisplay, setAmbientDisplay] = useState(20);
   const [heaterPower, setHeaterPower] = useState(0);
-  const [plotData, setPlotData] = useState({
-    setpointHistory: [],
-    measuredHistory: [],
-    errorHistory: [],
-    powerHistory: [],
-    timeHistory: []
-  });
+  const [heaterSaturated, setHeaterSaturated] = useState(false);
+  const [seed, setSeed] = useState(generateSeed);
+  const [disturbances, setDisturbances] = useState(() => createDisturbanceStreams(seed));
+  const telemetry = useTelemetryStore({ channels: ['setpointHistory', 'measuredHistory', 'errorHistory', 'powerHistory', 'powerCommandHistory'], retention: PLOT_RETENTION });
   const timeOffsetRef = useRef(0);
 
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const lastRenderRef = useRef(0);
-  const pidController = useRef(createPIDController());
+  const pidController = useRef(createPIDController({ outputMin: MIN_HEATER_POWER, outputMax: MAX_HEATER_POWER }));
+  const integratorRef = useRef(createIntegrator(INTEGRATORS.SEMI_IMPLICIT_EULER));
 
   const stateRef = useRef({
     temperature: 38,
@@ -54,7 +83,8 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
     heaterPower: 0
   });
 
-  const resetSimulation = useCallback(() => {
+  const resetSimulation = useCallback((runSeed = seed) => {
+    setDisturbances(createDisturbanceStreams(runSeed));
     stateRef.current = {
       temperature: 38,
       setpoint: 38,
@@ -63,47 +93,57 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
       heaterPower: 0
     };
     pidController.current.reset();
+    integratorRef.current.reset();
     timeOffsetRef.current = 0;
-    setPlotData({ setpointHistory: [], measuredHistory: [], errorHistory: [], powerHistory: [], timeHistory: [] });
+    telemetry.clear();
+    setTransferMarkers([]);
     setElapsedTime(0);
     setCurrentTemp(38);
     setSetpointDisplay(38);
     setAmbientDisplay(20);
     setHeaterPower(0);
+    setHeaterSaturated(false);
     setIsRunning(false);
-  }, []);
+  }, [telemetry, seed]);
+
+  const handleSeedChange = (value) => {
+    setSeed(value);
+    resetSimulation(value);
+  };
 
   const changeSetpoint = useCallback(() => {
-    const newSetpoint = SETPOINT_MIN + Math.random() * (SETPOINT_MAX - SETPOINT_MIN);
+    const newSetpoint = disturbances.setpoint.uniform(SETPOINT_MIN, SETPOINT_MAX);
     stateRef.current.setpoint = newSetpoint;
     setSetpointDisplay(newSetpoint);
-  }, []);
+  }, [disturbances]);
 
   const changeAmbient = useCallback(() => {
-    const newAmbient = AMBIENT_MIN + Math.random() * (AMBIENT_MAX - AMBIENT_MIN);
+    const newAmbient = disturbances.ambient.uniform(AMBIENT_MIN, AMBIENT_MAX);
     stateRef.current.ambient = newAmbient;
     setAmbientDisplay(newAmbient);
-  }, []);
+  }, [disturbances]);
 
   const simulateStep = useCallback((power) => {
     const state = stateRef.current;
-    power = Math.max(MIN_HEATER_POWER, Math.min(MAX_HEATER_POWER, power));
+    // Heater limits are applied by the PID controller (manual input stays within them)
     state.heaterPower = power;
 
-    const heatLoss = HEAT_LOSS_COEFFICIENT * (state.temperature - state.ambient);
-    const netPower = power - heatLoss;
-    const dT = (netPower * DT) / THERMAL_MASS;
-
-    state.temperature += dT;
-    state.time += DT;
+    integratorRef.current.step(HOT_TUB_MODEL, state, power, timeStep);
+    state.time += timeStep;
     state.temperature = Math.max(0, Math.min(50, state.temperature));
-  }, []);
+  }, [timeStep]);
 
   const computePIDPower = useCallback(() => {
     const state = stateRef.current;
     const error = state.setpoint - state.temperature;
-    return pidController.current.compute(error, pidGains, DT);
-  }, [pidGains]);
+    return pidController.current.compute(error, pidGains, timeStep).output;
+  }, [pidGains, timeStep]);
+
+  // Back-solve the PID integral while in manual so switching to auto is bumpless
+  const trackManualPower = useCallback((power) => {
+    const state = stateRef.current;
+    pidController.current.track(power, state.setpoint - state.temperature, pidGains, timeStep);
+  }, [pidGains, timeStep]);
 
   const render = useCallback(() => {
     const canvas = canvasRef.current;
@@ -269,27 +309,36 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
       lastTime = currentTime;
       accumulator += deltaTime * TIME_SCALE;
 
-      while (accumulator >= DT * 1000) {
-        let power = controlMode === 'pid' ? computePIDPower() : userInput * MAX_HEATER_POWER;
+      while (accumulator >= timeStep * 1000) {
+        let power;
+        if (controlMode === 'pid') {
+          power = computePIDPower();
+        } else {
+          power = userInput * MAX_HEATER_POWER;
+          trackManualPower(power);
+        }
         simulateStep(power);
-        accumulator -= DT * 1000;
+        accumulator -= timeStep * 1000;
       }
 
       const state = stateRef.current;
       if (state.time - lastPlotTime >= 60) {
         lastPlotTime = state.time;
-        setPlotData(prev => ({
-          setpointHistory: [...prev.setpointHistory, state.setpoint],
-          measuredHistory: [...prev.measuredHistory, state.temperature],
-          errorHistory: [...prev.errorHistory, state.setpoint - state.temperature],
-          powerHistory: [...prev.powerHistory, state.heaterPower / 1000],
-          timeHistory: [...prev.timeHistory, state.time - timeOffsetRef.current]
-        }));
+        const pidState = pidController.current.getState();
+        const commandedPower = controlMode === 'pid' ? pidState.unsaturatedOutput : state.heaterPower;
+        telemetry.push(state.time - timeOffsetRef.current, {
+          setpointHistory: state.setpoint,
+          measuredHistory: state.temperature,
+          errorHistory: state.setpoint - state.temperature,
+          powerHistory: state.heaterPower / 1000,
+          powerCommandHistory: commandedPower / 1000
+        });
         setElapsedTime(state.time);
         setCurrentTemp(state.temperature);
         setSetpointDisplay(state.setpoint);
         setAmbientDisplay(state.ambient);
         setHeaterPower(state.heaterPower);
+        setHeaterSaturated(controlMode === 'pid' && pidState.saturated);
       }
 
       if (currentTime - lastRenderRef.current >= RENDER_INTERVAL) {
@@ -302,10 +351,36 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
 
     animationRef.current = requestAnimationFrame(loop);
     return () => { if (animationRef.current) cancelAnimationFrame(animationRef.current); };
-  }, [isRunning, controlMode, userInput, computePIDPower, simulateStep, render]);
+  }, [isRunning, controlMode, userInput, computePIDPower, trackManualPower, simulateStep, render, timeStep, telemetry]);
 
   useEffect(() => { render(); }, [render]);
 
+  // Switch form mid-run by seeding the new controller from the old one's last output
+  const handleControllerFormChange = (form) => {
+    const state = stateRef.current;
+    pidController.current = switchControllerForm(pidController.current, form, (next, output) =>
+      next.track(output, state.setpoint - state.temperature, pidGains, timeStep));
+    setControllerForm(form);
+  };
+
+  useEffect(() => {
+    integratorRef.current = createIntegrator(integrator);
+  }, [integrator]);
+
+  useEffect(() => {
+    pidController.current.configure({ antiWindup });
+  }, [antiWindup]);
+
+  const handleModeChange = (mode) => {
+    if (mode === controlMode) return;
+    setTransferMarkers(prev => [...prev, {
+      time: stateRef.current.time - timeOffsetRef.current,
+      label: mode === 'pid' ? 'AUTO' : 'MAN',
+      color: mode === 'pid' ? colors.success : colors.warning
+    }]);
+    setControlMode(mode);
+  };
+
   const handleToggle = () => {
     if (isRunning) {
       setIsRunning(false);
@@ -413,6 +488,17 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
               { label: '🌡️ CHANGE AMBIENT', onClick: changeAmbient, variant: 'info' }
             ]}
           />
+
+          {/* Integration method + timestep */}
+          <IntegratorControls
+            integrator={integrator}
+            onIntegratorChange={setIntegrator}
+            timeStep={timeStep}
+            onTimeStepChange={setTimeStep}
+            timeStepOptions={TIME_STEP_OPTIONS}
+          />
+
+          <SeedControl seed={seed} onChange={handleSeedChange} />
         </div>
 
         {/* Simulation Window */}
@@ -423,11 +509,15 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
         {/* Control Panel */}
         <ControlPanel
           controlMode={controlMode}
-          onModeChange={setControlMode}
+          onModeChange={handleModeChange}
           pidGains={pidGains}
           onPidChange={(changes) => setPidGains(prev => ({ ...prev, ...changes }))}
           pidConfig={PID_CONFIG}
           onResetGains={() => setPidGains(DEFAULT_PID)}
+          controllerForm={controllerForm}
+          onControllerFormChange={handleControllerFormChange}
+          antiWindup={antiWindup}
+          onAntiWindupChange={setAntiWindup}
           accumulatedError={pidController.current.getState().integral}
           onResetError={() => pidController.current.resetIntegral()}
           manualControls={manualControls}
@@ -436,7 +526,7 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
               { label: 'Temperature', value: currentTemp, unit: '°C', color: colors.success },
               { label: 'Target', value: setpointDisplay, unit: '°C', color: colors.setpoint },
               { label: 'Ambient', value: ambientDisplay, unit: '°C', color: colors.info },
-              { label: 'Heater', value: heaterPower / 1000, unit: 'kW', color: colors.secondary },
+              { label: heaterSaturated ? 'Heater (saturated)' : 'Heater', value: heaterPower / 1000, unit: 'kW', color: heaterSaturated ? colors.danger : colors.secondary },
               { label: 'Time', value: formatTime(elapsedTime), color: colors.text.primary }
             ]} />
           }
@@ -448,7 +538,8 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
         <button
           onClick={() => {
             timeOffsetRef.current = stateRef.current.time;
-            setPlotData({ setpointHistory: [], measuredHistory: [], errorHistory: [], powerHistory: [], timeHistory: [] });
+            setTransferMarkers([]);
+            telemetry.clear();
           }}
           style={{
             position: 'absolute',
@@ -469,12 +560,14 @@ const HotTubSimulator = ({ simulators = [], activeSimulator = 'hottub', onSimula
           CLEAR PLOT
         </button>
         <DataChart
-          timeHistory={plotData.timeHistory}
+          telemetry={telemetry}
+          markers={transferMarkers}
           series={[
-            { data: plotData.setpointHistory, label: 'Setpoint (°C)', color: '#00d4ff', sharedAxis: 'temperature' },
-            { data: plotData.measuredHistory, label: 'Measured (°C)', color: '#00ff88', sharedAxis: 'temperature' },
-            { data: plotData.errorHistory, label: 'Error (°C)', color: '#ff3366' },
-            { data: plotData.powerHistory, label: 'Control (kW)', color: '#ffcc00' }
+            { channel: 'setpointHistory', label: 'Setpoint (°C)', color: '#00d4ff', sharedAxis: 'temperature' },
+            { channel: 'measuredHistory', label: 'Measured (°C)', color: '#00ff88', sharedAxis: 'temperature' },
+            { channel: 'errorHistory', label: 'Error (°C)', color: '#ff3366' },
+            { channel: 'powerHistory', label: 'Control (kW)', color: '#ffcc00', sharedAxis: 'power' },
+            { channel: 'powerCommandHistory', label: 'Control cmd (kW)', color: 'rgba(255, 204, 0, 0.35)', sharedAxis: 'power' }
           ]}
           width={1140}
           height={220}
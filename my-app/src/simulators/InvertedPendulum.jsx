@@ -1,6 +1,10 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { DataChart, SimulationControls, ControlPanel, StatusDisplay } from '../components';
-import { createPIDController } from '../utils/pidController';
+import { DataChart, SimulationControls, ControlPanel, StatusDisplay, IntegratorControls, SeedControl } from '../components';
+import { useTelemetryStore } from '../hooks/useTelemetry';
+import { createPIDController, switchControllerForm, CONTROLLER_FORMS } from '../utils/pidController';
+import { createIntegrator, INTEGRATORS } from '../utils/integrators';
+import { createRandomStream, generateSeed } from '../utils/random';
+import { createRelayAutotuner, computeTuningGains, TUNING_RULES, AUTOTUNE_STATUS } from '../utils/autotune';
 import { colors, fonts, panelStyles } from '../utils/styles';
 
 // Physics constants
@@ -11,39 +15,99 @@ const CART_MASS = 1.0;
 const FRICTION_CART = 0.1;
 const FRICTION_PENDULUM = 0.01;
 const NOISE_AMPLITUDE = 0.002;
+const MAX_FORCE = 50; // Cart motor limit (N), on the total of the PID and cart-centering terms
 const DT = 0.001;
+// Timesteps offered next to the integrator; the larger ones expose integration error
+const TIME_STEP_OPTIONS = [
+  { value: 0.001, label: '1 ms' },
+  { value: 0.005, label: '5 ms' },
+  { value: 0.01, label: '10 ms' },
+  { value: 0.02, label: '20 ms' },
+  { value: 0.05, label: '50 ms' }
+];
 const RENDER_INTERVAL = 16;
+// Chart history kept, in seconds
+const PLOT_RETENTION = 600;
 const TRACK_WIDTH = 20.0;
 const SCALE = 23;
 
+// Cart-centering feedback added outside the PID
+const cartCenteringForce = (state) => 20 * state.x + 10 * state.xDot;
+
+// The motor limit applies to the total force, so the PID is limited to what the
+// cart-centering term leaves; its saturated flag and anti-windup then see the real limit
+const limitPidToRemainder = (pid, positionForce) => {
+  pid.configure({ outputMin: -MAX_FORCE - positionForce, outputMax: MAX_FORCE - positionForce });
+};
+
 // Default PID values
 const DEFAULT_PID = { kp: 150, ki: 0, kd: 0 };
 const PID_CONFIG = { kpMax: 300, kiMax: 100, kdMax: 100 };
+// Relay of ±10 N on the PID's share of the force, switching outside a 0.01 rad band
+const AUTOTUNE_RELAY = { amplitude: 10, hysteresis: 0.01, cycles: 3, maxDuration: 20 };
+// Why a relay test ends when the run fails
+const AUTOTUNE_ABORT_MESSAGES = {
+  fallen: 'Pendulum fell during the relay test: it is open-loop unstable, so a bare relay cannot hold a limit cycle',
+  crashed: 'Cart hit the end of the track during the relay test'
+};
+const roundGain = (value) => Math.round(value * 100) / 100;
+
+// Cart-pole as a state derivative; input is { force, noise } so the per-step
+// noise sample stays fixed across integrator stages
+const PENDULUM_MODEL = {
+  keys: ['theta', 'thetaDot', 'x', 'xDot'],
+  velocityKeys: ['thetaDot', 'xDot'],
+  derivatives: (state, { force, noise }) => {
+    const m = PENDULUM_MASS;
+    const M = CART_MASS;
+    const l = PENDULUM_LENGTH;
+    const g = GRAVITY;
+    const b = FRICTION_CART;
+    const c = FRICTION_PENDULUM;
+    const { theta, thetaDot, xDot } = state;
+
+    const sinTheta = Math.sin(theta);
+    const cosTheta = Math.cos(theta);
+
+    const denom = l * (4.0 / 3.0 - (m * cosTheta * cosTheta) / (M + m));
+    const thetaDDot = (g * sinTheta +
+      cosTheta * ((-force - m * l * thetaDot * thetaDot * sinTheta + b * xDot) / (M + m)) -
+      c * thetaDot / (m * l) + noise) / denom;
+    const xDDot = (force + m * l * (thetaDot * thetaDot * sinTheta - thetaDDot * cosTheta) - b * xDot) / (M + m);
+
+    return { theta: thetaDot, thetaDot: thetaDDot, x: xDot, xDot: xDDot };
+  }
+};
 
 const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulum', onSimulatorChange = () => {} }) => {
   const [isRunning, setIsRunning] = useState(false);
   const [controlMode, setControlMode] = useState('pid');
+  const [transferMarkers, setTransferMarkers] = useState([]);
   const [userInput, setUserInput] = useState(0);
   const [pidGains, setPidGains] = useState(DEFAULT_PID);
+  const [controllerForm, setControllerForm] = useState(CONTROLLER_FORMS.POSITIONAL);
+  const [integrator, setIntegrator] = useState(INTEGRATORS.SEMI_IMPLICIT_EULER);
+  const [timeStep, setTimeStep] = useState(DT);
   const [nudgeForce, setNudgeForce] = useState(0);
   const [elapsedTime, setElapsedTime] = useState(0);
   const [bestTime, setBestTime] = useState(0);
   const [fallen, setFallen] = useState(false);
   const [failureType, setFailureType] = useState(null); // 'crashed' or 'fallen'
   const [accumulatedError, setAccumulatedError] = useState(0);
-  const [plotData, setPlotData] = useState({
-    setpointHistory: [],
-    measuredHistory: [],
-    errorHistory: [],
-    forceHistory: [],
-    timeHistory: []
-  });
+  const [seed, setSeed] = useState(generateSeed);
+  const [tuningRule, setTuningRule] = useState(TUNING_RULES.ZIEGLER_NICHOLS);
+  const [autotuneRunning, setAutotuneRunning] = useState(false);
+  const [autotuneMessage, setAutotuneMessage] = useState('');
+  const telemetry = useTelemetryStore({ channels: ['setpointHistory', 'measuredHistory', 'errorHistory', 'forceHistory'], retention: PLOT_RETENTION });
   const timeOffsetRef = useRef(0);
 
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const lastRenderRef = useRef(0);
   const pidController = useRef(createPIDController());
+  const autotunerRef = useRef(null);
+  const integratorRef = useRef(createIntegrator(INTEGRATORS.SEMI_IMPLICIT_EULER));
+  const noiseRef = useRef(null);
 
   const stateRef = useRef({
     theta: 0.05,
@@ -54,9 +118,11 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
     force: 0
   });
 
-  const resetSimulation = useCallback(() => {
+  // Initial tilt and sensor noise come from the seed, so a run repeats exactly
+  const resetSimulation = useCallback((runSeed = seed) => {
+    noiseRef.current = createRandomStream(runSeed, 'noise');
     stateRef.current = {
-      theta: (Math.random() - 0.5) * 0.1,
+      theta: createRandomStream(runSeed, 'initialState').uniform(-0.05, 0.05),
       thetaDot: 0,
       x: 0,
       xDot: 0,
@@ -64,15 +130,24 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
       force: 0
     };
     pidController.current.reset();
+    integratorRef.current.reset();
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
     timeOffsetRef.current = 0;
-    setPlotData({ setpointHistory: [], measuredHistory: [], errorHistory: [], forceHistory: [], timeHistory: [] });
+    telemetry.clear();
+    setTransferMarkers([]);
     setElapsedTime(0);
     setNudgeForce(0);
     setFallen(false);
     setFailureType(null);
     setAccumulatedError(0);
     setIsRunning(false);
-  }, []);
+  }, [telemetry, seed]);
+
+  const handleSeedChange = (value) => {
+    setSeed(value);
+    resetSimulation(value);
+  };
 
   const applyNudge = useCallback(() => {
     setNudgeForce(50); // fixed 50N nudge
@@ -83,29 +158,9 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
     const state = stateRef.current;
     if (currentFallen) return null;
 
-    const m = PENDULUM_MASS;
-    const M = CART_MASS;
-    const l = PENDULUM_LENGTH;
-    const g = GRAVITY;
-    const b = FRICTION_CART;
-    const c = FRICTION_PENDULUM;
-    const { theta, thetaDot, x, xDot } = state;
-
-    const noise = (Math.random() - 0.5) * 2 * NOISE_AMPLITUDE;
-    const sinTheta = Math.sin(theta);
-    const cosTheta = Math.cos(theta);
-
-    const denom = l * (4.0 / 3.0 - (m * cosTheta * cosTheta) / (M + m));
-    const thetaDDot = (g * sinTheta +
-      cosTheta * ((-force - m * l * thetaDot * thetaDot * sinTheta + b * xDot) / (M + m)) -
-      c * thetaDot / (m * l) + noise) / denom;
-    const xDDot = (force + m * l * (thetaDot * thetaDot * sinTheta - thetaDDot * cosTheta) - b * xDot) / (M + m);
-
-    state.thetaDot += thetaDDot * DT;
-    state.theta += state.thetaDot * DT;
-    state.xDot += xDDot * DT;
-    state.x += state.xDot * DT;
-    state.time += DT;
+    const noise = noiseRef.current.uniform(-NOISE_AMPLITUDE, NOISE_AMPLITUDE);
+    integratorRef.current.step(PENDULUM_MODEL, state, { force, noise }, timeStep);
+    state.time += timeStep;
     state.force = force;
 
     while (state.theta > Math.PI) state.theta -= 2 * Math.PI;
@@ -120,15 +175,47 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
     }
 
     return null;
-  }, []);
+  }, [timeStep]);
 
   const computePIDForce = useCallback(() => {
     const state = stateRef.current;
-    const error = state.theta;
-    const angleForce = pidController.current.compute(error, pidGains, DT);
-    const positionForce = 20 * state.x + 10 * state.xDot;
-    return Math.max(-50, Math.min(50, angleForce + positionForce));
-  }, [pidGains]);
+    // Upright setpoint (0) against -theta, so a positive error pushes the cart under the pendulum.
+    // The setpoint never moves, so setpoint weights (D on measurement) would change nothing
+    const positionForce = cartCenteringForce(state);
+    limitPidToRemainder(pidController.current, positionForce);
+    return pidController.current.computeTwoDOF(0, -state.theta, pidGains, timeStep).output + positionForce;
+  }, [pidGains, timeStep]);
+
+  // Back-solve the PID integral while in manual so switching to auto is bumpless.
+  // The cart-position term is outside the PID, so only the remainder is tracked.
+  const trackManualForce = useCallback((force) => {
+    const state = stateRef.current;
+    const positionForce = cartCenteringForce(state);
+    pidController.current.trackTwoDOF(force - positionForce, 0, -state.theta, pidGains, timeStep);
+  }, [pidGains, timeStep]);
+
+  // Apply the relay result (or report why it failed) and hand control back to the PID
+  const finishAutotune = useCallback(() => {
+    const tuner = autotunerRef.current;
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
+
+    const result = tuner.getResult();
+    if (!result) {
+      setAutotuneMessage(tuner.getMessage());
+      return;
+    }
+
+    const tuned = computeTuningGains(result.ku, result.tu, tuningRule);
+    const gains = { kp: roundGain(tuned.kp), ki: roundGain(tuned.ki), kd: roundGain(tuned.kd) };
+    setPidGains(gains);
+
+    // Upright needs no PID force, so the new gains start from a zero output
+    const state = stateRef.current;
+    limitPidToRemainder(pidController.current, cartCenteringForce(state));
+    pidController.current.trackTwoDOF(0, 0, -state.theta, gains, timeStep);
+    setAutotuneMessage(`${tuner.getMessage()} → Kp ${gains.kp}, Ki ${gains.ki}, Kd ${gains.kd}`);
+  }, [tuningRule, timeStep]);
 
   const render = useCallback(() => {
     const canvas = canvasRef.current;
@@ -306,8 +393,19 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
       lastTime = currentTime;
       accumulator += deltaTime;
 
-      while (accumulator >= DT * 1000) {
-        let force = controlMode === 'pid' ? computePIDForce() : userInput * 30;
+      while (accumulator >= timeStep * 1000) {
+        const tuner = autotunerRef.current;
+        let force;
+        if (tuner) {
+          // Relay drives the PID's share of the force, on top of the cart centering
+          force = tuner.step(0, -stateRef.current.theta, timeStep) + cartCenteringForce(stateRef.current);
+          trackManualForce(force);
+        } else if (controlMode === 'pid') {
+          force = computePIDForce();
+        } else {
+          force = userInput * 30;
+          trackManualForce(force);
+        }
         force += nudgeForce;
         const failureResult = simulateStep(force, localFallen);
 
@@ -316,6 +414,7 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
           setFallen(true);
           setFailureType(failureResult);
           setIsRunning(false);
+          if (tuner) tuner.abort(AUTOTUNE_ABORT_MESSAGES[failureResult]);
         }
 
         const state = stateRef.current;
@@ -323,13 +422,12 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
           lastPlotTime = state.time;
           const measured = state.theta * 180 / Math.PI;
           const setpoint = 0;
-          setPlotData(prev => ({
-            setpointHistory: [...prev.setpointHistory, setpoint],
-            measuredHistory: [...prev.measuredHistory, measured],
-            errorHistory: [...prev.errorHistory, setpoint - measured],
-            forceHistory: [...prev.forceHistory, state.force],
-            timeHistory: [...prev.timeHistory, state.time - timeOffsetRef.current]
-          }));
+          telemetry.push(state.time - timeOffsetRef.current, {
+            setpointHistory: setpoint,
+            measuredHistory: measured,
+            errorHistory: setpoint - measured,
+            forceHistory: state.force
+          });
 
           if (!localFallen) {
             setElapsedTime(state.time);
@@ -342,9 +440,12 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
           setBestTime(state.time);
         }
 
-        accumulator -= DT * 1000;
+        accumulator -= timeStep * 1000;
       }
 
+      const tuner = autotunerRef.current;
+      if (tuner && tuner.getStatus() !== AUTOTUNE_STATUS.RUNNING) finishAutotune();
+
       if (currentTime - lastRenderRef.current >= RENDER_INTERVAL) {
         render();
         lastRenderRef.current = currentTime;
@@ -355,10 +456,52 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
 
     animationRef.current = requestAnimationFrame(loop);
     return () => { if (animationRef.current) cancelAnimationFrame(animationRef.current); };
-  }, [isRunning, controlMode, userInput, nudgeForce, computePIDForce, simulateStep, render, bestTime]);
+  }, [isRunning, controlMode, userInput, nudgeForce, computePIDForce, trackManualForce, finishAutotune, simulateStep, render, bestTime, timeStep, telemetry]);
 
   useEffect(() => { render(); }, [render]);
 
+  // Switch form mid-run by seeding the new controller from the old one's last output
+  const handleControllerFormChange = (form) => {
+    const state = stateRef.current;
+    pidController.current = switchControllerForm(pidController.current, form, (next, output) => {
+      limitPidToRemainder(next, cartCenteringForce(state));
+      next.trackTwoDOF(output, 0, -state.theta, pidGains, timeStep);
+    });
+    setControllerForm(form);
+  };
+
+  useEffect(() => {
+    integratorRef.current = createIntegrator(integrator);
+  }, [integrator]);
+
+
+  const handleAutotune = () => {
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+      return;
+    }
+
+    resetSimulation();
+    autotunerRef.current = createRelayAutotuner(AUTOTUNE_RELAY);
+    setAutotuneRunning(true);
+    setAutotuneMessage('Relay test running…');
+    setIsRunning(true);
+  };
+
+  const handleModeChange = (mode) => {
+    if (mode === controlMode) return;
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+    }
+    setTransferMarkers(prev => [...prev, {
+      time: stateRef.current.time - timeOffsetRef.current,
+      label: mode === 'pid' ? 'AUTO' : 'MAN',
+      color: mode === 'pid' ? colors.success : colors.warning
+    }]);
+    setControlMode(mode);
+  };
 
   const handleToggle = () => {
     if (isRunning) {
@@ -460,6 +603,17 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
               { label: '⚡ NUDGE', onClick: applyNudge, disabled: !isRunning || fallen, variant: 'accent' }
             ]}
           />
+
+          {/* Integration method + timestep */}
+          <IntegratorControls
+            integrator={integrator}
+            onIntegratorChange={setIntegrator}
+            timeStep={timeStep}
+            onTimeStepChange={setTimeStep}
+            timeStepOptions={TIME_STEP_OPTIONS}
+          />
+
+          <SeedControl seed={seed} onChange={handleSeedChange} />
         </div>
 
         {/* Simulation Window */}
@@ -470,11 +624,18 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
         {/* Control Panel */}
         <ControlPanel
           controlMode={controlMode}
-          onModeChange={setControlMode}
+          onModeChange={handleModeChange}
           pidGains={pidGains}
           onPidChange={(changes) => setPidGains(prev => ({ ...prev, ...changes }))}
           pidConfig={PID_CONFIG}
           onResetGains={() => setPidGains(DEFAULT_PID)}
+          onAutotune={handleAutotune}
+          autotuneRunning={autotuneRunning}
+          tuningRule={tuningRule}
+          onTuningRuleChange={setTuningRule}
+          autotuneMessage={autotuneMessage}
+          controllerForm={controllerForm}
+          onControllerFormChange={handleControllerFormChange}
           accumulatedError={accumulatedError}
           onResetError={() => {
             pidController.current.resetIntegral();
@@ -495,7 +656,8 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
         <button
           onClick={() => {
             timeOffsetRef.current = stateRef.current.time;
-            setPlotData({ setpointHistory: [], measuredHistory: [], errorHistory: [], forceHistory: [], timeHistory: [] });
+            setTransferMarkers([]);
+            telemetry.clear();
           }}
           style={{
             position: 'absolute',
@@ -516,12 +678,13 @@ const InvertedPendulumSimulator = ({ simulators = [], activeSimulator = 'pendulu
           CLEAR PLOT
         </button>
         <DataChart
-          timeHistory={plotData.timeHistory}
+          telemetry={telemetry}
+          markers={transferMarkers}
           series={[
-            { data: plotData.setpointHistory, label: 'Setpoint (deg)', color: '#00d4ff', sharedAxis: 'angle' },
-            { data: plotData.measuredHistory, label: 'Measured (deg)', color: '#00ff88', sharedAxis: 'angle' },
-            { data: plotData.errorHistory, label: 'Error (deg)', color: '#ff3366' },
-            { data: plotData.forceHistory, label: 'Control (N)', color: '#ffcc00' }
+            { channel: 'setpointHistory', label: 'Setpoint (deg)', color: '#00d4ff', sharedAxis: 'angle' },
+            { channel: 'measuredHistory', label: 'Measured (deg)', color: '#00ff88', sharedAxis: 'angle' },
+            { channel: 'errorHistory', label: 'Error (deg)', color: '#ff3366' },
+            { channel: 'forceHistory', label: 'Control (N)', color: '#ffcc00' }
           ]}
           width={1140}
           height={220}
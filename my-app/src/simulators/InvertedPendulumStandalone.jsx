@@ -1,4 +1,26 @@
-import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo, useId } from 'react';
+import BodePanel from '../components/BodePanel';
+import ComparisonPanel from '../components/ComparisonPanel';
+import PresetSelector from '../components/PresetSelector';
+import ReplayControls from '../components/ReplayControls';
+import RootLocusPanel from '../components/RootLocusPanel';
+import SeedControl from '../components/SeedControl';
+import { useTelemetryStore, useTelemetry } from '../hooks/useTelemetry';
+import { useChartViewport } from '../hooks/useChartViewport';
+import { useRunReplay } from '../hooks/useRunReplay';
+import { useGainProfiles } from '../hooks/useGainProfiles';
+import { createPIDController, createController, switchControllerForm, DERIVATIVE_FILTERS, CONTROLLER_FORMS } from '../utils/pidController';
+import { createIntegrator, INTEGRATORS } from '../utils/integrators';
+import { createSimulationEngine } from '../utils/simulationEngine';
+import { getRange, buildPolylinePoints, applyFractionView, visibleSpan, nearestIndex } from '../utils/chartData';
+import { getExportColumns, exportRun } from '../utils/runExport';
+import { createRandomStream, generateSeed, parseSeed } from '../utils/random';
+import { readUrlNumber, readUrlChoice, readUrlGains } from '../utils/urlState';
+import { createVariant, runComparison } from '../utils/comparison';
+import { analyzeLoop } from '../utils/frequencyResponse';
+import { linearize, toTransferFunction } from '../utils/transferFunction';
+import { computeRootLocus } from '../utils/rootLocus';
+import { createRelayAutotuner, computeTuningGains, TUNING_RULES, AUTOTUNE_STATUS } from '../utils/autotune';
 
 // ============================================================================
 // EMBEDDED STYLES (from utils/styles.js)
@@ -105,82 +127,35 @@ function getButtonStyle(variant = 'primary', isDisabled = false) {
   return { ...buttonStyles.base, ...(buttonStyles[variant] || buttonStyles.primary) };
 }
 
-// ============================================================================
-// EMBEDDED PID CONTROLLER (from utils/pidController.js)
-// ============================================================================
-function createPIDController(config = {}) {
-  let state = {
-    integral: 0,
-    prevError: 0,
-    initialized: false,
-    derivativeHistory: []
-  };
-
-  const defaults = {
-    integralMin: -Infinity,
-    integralMax: Infinity,
-    derivativeWindowSize: 5,
-    ...config
-  };
-
-  return {
-    compute(error, gains, dt) {
-      const newIntegral = Math.max(
-        defaults.integralMin,
-        Math.min(defaults.integralMax, state.integral + error * dt)
-      );
-
-      const rawDerivative = state.initialized ? (error - state.prevError) / dt : 0;
-
-      state.derivativeHistory.push(rawDerivative);
-      if (state.derivativeHistory.length > defaults.derivativeWindowSize) {
-        state.derivativeHistory.shift();
-      }
-
-      const derivative = state.derivativeHistory.reduce((sum, val) => sum + val, 0) / state.derivativeHistory.length;
-
-      const output = gains.kp * error + gains.ki * newIntegral + gains.kd * derivative;
-
-      state.integral = newIntegral;
-      state.prevError = error;
-      state.initialized = true;
-
-      return {
-        output,
-        errorP: error,
-        errorI: newIntegral,
-        errorD: derivative
-      };
-    },
-
-    reset() {
-      state.integral = 0;
-      state.prevError = 0;
-      state.initialized = false;
-      state.derivativeHistory = [];
-    },
-
-    resetIntegral() {
-      state.integral = 0;
-    },
-
-    getState() {
-      return { ...state };
-    }
-  };
-}
-
 // ============================================================================
 // EMBEDDED DATA CHART COMPONENT (from components/DataChart.jsx)
 // ============================================================================
 const DataChart = ({
-  timeHistory = [],
-  series = [],
+  telemetry = null,
+  timeHistory: timeHistoryProp = [],
+  series: seriesProp = [],
+  ghost = null,
+  markers = [],
+  xAxis = null,
   width = 300,
   height = 200
 }) => {
+  // Series name a telemetry channel, or carry data against the timeHistory prop
+  const snapshot = useTelemetry(telemetry);
+  const timeHistory = telemetry ? snapshot.timeHistory : timeHistoryProp;
+  const series = useMemo(() => seriesProp.map(entry => (
+    telemetry && entry.channel ? { ...entry, data: snapshot[entry.channel] } : entry
+  )), [telemetry, snapshot, seriesProp]);
+
+  // Recorded run overlaid as dashed ghost lines on the series sharing its channels
+  const ghostTimes = ghost ? ghost.timeHistory : null;
+  const ghostData = useMemo(
+    () => seriesProp.map(entry => (ghost && entry.channel ? ghost[entry.channel] : undefined)),
+    [ghost, seriesProp]
+  );
+
   const [visibleSeries, setVisibleSeries] = useState(
-    series.reduce((acc, _, i) => ({ ...acc, [i]: true }), {})
+    seriesProp.reduce((acc, _, i) => ({ ...acc, [i]: true }), {})
   );
 
   const toggleSeries = (index) => {
@@ -197,7 +172,7 @@ const DataChart = ({
   const plotWidth = width - leftPadding - rightPadding;
   const plotHeight = height - topPadding - bottomPadding;
 
-  const seriesBounds = useMemo(() => {
+  const autoSeriesBounds = useMemo(() => {
     const sharedAxisGroups = {};
     series.forEach(({ sharedAxis }, index) => {
       if (sharedAxis) {
@@ -208,20 +183,18 @@ const DataChart = ({
       }
     });
 
-    return series.map(({ data, label, sharedAxis, fixedBounds, clampedBounds }) => {
+    return series.map(({ data, label, sharedAxis, fixedBounds, clampedBounds }, index) => {
       if (fixedBounds) {
         return fixedBounds;
       }
 
-      if (!data || data.length === 0) return { min: 0, max: 1 };
+      if ((!data || data.length === 0) && !ghostData[index]?.length) return { min: 0, max: 1 };
 
       const margin = 0.1;
 
       if (sharedAxis && sharedAxisGroups[sharedAxis]) {
         const groupIndices = sharedAxisGroups[sharedAxis];
-        const allValues = groupIndices.flatMap(i => series[i].data || []);
-        let min = Math.min(...allValues);
-        let max = Math.max(...allValues);
+        let { min, max } = getRange(...groupIndices.flatMap(i => [series[i].data, ghostData[i]]));
 
         const isErrorOrControl = label.includes('Error') || label.includes('Control') || label.includes('E_');
         if (isErrorOrControl) {
@@ -243,8 +216,7 @@ const DataChart = ({
         return { min, max };
       }
 
-      let min = Math.min(...data);
-      let max = Math.max(...data);
+      let { min, max } = getRange(data, ghostData[index]);
 
       const isErrorOrControl = label.includes('Error') || label.includes('Control') || label.includes('E_');
       if (isErrorOrControl) {
@@ -265,26 +237,49 @@ const DataChart = ({
 
       return { min, max };
     });
-  }, [series]);
+  }, [series, ghostData]);
 
-  const xBounds = useMemo(() => {
+  const autoXBounds = useMemo(() => {
+    if (xAxis) return { min: xAxis.min, max: xAxis.max };
     const xMin = 0;
-    const xMax = timeHistory.length > 0 ? Math.max(...timeHistory) : 10;
+    const xMax = timeHistory.length > 0 || ghostTimes?.length > 0 ? getRange(timeHistory, ghostTimes).max : 10;
     return { min: xMin, max: xMax };
-  }, [timeHistory]);
+  }, [timeHistory, ghostTimes, xAxis]);
+
+  // Zoom/pan overrides the auto-fit bounds; the value view scales every y-axis
+  const {
+    bindSvg,
+    xRange: xBounds,
+    yView,
+    isZoomed,
+    selection,
+    hoverX,
+    handlers: viewportHandlers
+  } = useChartViewport({ autoXBounds, leftPadding, topPadding, plotWidth, plotHeight });
+  const yZoomed = yView.from > 0 || yView.to < 1;
+  const seriesBounds = useMemo(
+    () => autoSeriesBounds.map(bounds => applyFractionView(bounds, yView)),
+    [autoSeriesBounds, yView]
+  );
+  const clipId = useId();
+
+  const timeToX = (time) => leftPadding + ((time - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
+  const valueToY = (value, bounds) => topPadding + plotHeight - ((value - bounds.min) / (bounds.max - bounds.min || 1)) * plotHeight;
 
-  const generatePoints = (data, bounds) => {
-    if (!data || data.length < 2 || timeHistory.length < 2) return '';
+  const generatePoints = (data, bounds, times = timeHistory) => {
+    if (!data || data.length < 2 || times.length < 2) return '';
 
     const { min, max } = bounds;
     const range = max - min || 1;
 
-    return data.map((v, i) => {
-      const time = timeHistory[i] || 0;
-      const x = leftPadding + ((time - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
-      const y = topPadding + plotHeight - ((v - min) / range) * plotHeight;
-      return `${x},${y}`;
-    }).join(' ');
+    const { start, end } = visibleSpan(times, xBounds.min, xBounds.max);
+    return buildPolylinePoints(
+      times.slice(start, end),
+      data.slice(start, end),
+      timeToX,
+      v => topPadding + plotHeight - ((v - min) / range) * plotHeight,
+      plotWidth * 2
+    );
   };
 
   const getDecimalPlaces = (value, range) => {
@@ -307,7 +302,7 @@ const DataChart = ({
     return ticks;
   };
 
-  const generateXTicks = (count = 5) => {
+  const generateXTicks = (count = xAxis?.tickCount ?? 5) => {
     const { min, max } = xBounds;
     const range = max - min || 1;
     const ticks = [];
@@ -321,7 +316,16 @@ const DataChart = ({
 
   const xTicks = generateXTicks();
 
-  if (timeHistory.length < 2) {
+  // Crosshair snaps to the sample nearest the cursor
+  const hover = (() => {
+    if (hoverX === null || selection || timeHistory.length === 0) return null;
+    const time = xBounds.min + ((hoverX - leftPadding) / plotWidth) * (xBounds.max - xBounds.min || 1);
+    const index = nearestIndex(timeHistory, time);
+    const x = leftPadding + ((timeHistory[index] - xBounds.min) / (xBounds.max - xBounds.min || 1)) * plotWidth;
+    return { index, time: timeHistory[index], x };
+  })();
+
+  if (timeHistory.length < 2 && !(ghostTimes?.length >= 2)) {
     return (
       <div style={{
         width,
@@ -341,8 +345,20 @@ const DataChart = ({
   }
 
   return (
-    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '10px' }}>
-      <svg width={width} height={height}>
+    <div style={{ background: 'rgba(0,0,0,0.3)', borderRadius: '8px', padding: '10px', position: 'relative' }}>
+      <svg
+        ref={bindSvg}
+        width={width}
+        height={height}
+        style={{ cursor: selection ? 'crosshair' : 'grab', userSelect: 'none' }}
+        {...viewportHandlers}
+      >
+        <defs>
+          <clipPath id={clipId}>
+            <rect x={leftPadding} y={topPadding} width={plotWidth} height={plotHeight} />
+          </clipPath>
+        </defs>
+
         {(() => {
           const firstVisibleIndex = series.findIndex((_, i) => visibleSeries[i]);
           if (firstVisibleIndex === -1) return null;
@@ -386,7 +402,7 @@ const DataChart = ({
               fontSize="10"
               fontFamily={fonts.mono}
             >
-              {tick.value.toFixed(1)}s
+              {xAxis ? xAxis.format(tick.value) : `${tick.value.toFixed(1)}s`}
             </text>
           </g>
         ))}
@@ -433,21 +449,71 @@ const DataChart = ({
           );
         })}
 
-        {series.map(({ data, color }, i) => {
+        {/* Recorded run (ghost) lines */}
+        {ghostTimes && series.map(({ color }, i) => {
+          if (!visibleSeries[i] || !ghostData[i]) return null;
+
+          return (
+            <polyline
+              key={`ghost-${i}`}
+              points={generatePoints(ghostData[i], seriesBounds[i], ghostTimes)}
+              clipPath={`url(#${clipId})`}
+              fill="none"
+              stroke={color}
+              strokeWidth="1.5"
+              strokeDasharray="5 4"
+              opacity="0.45"
+            />
+          );
+        })}
+
+        {series.map(({ data, color, dash }, i) => {
           if (!visibleSeries[i]) return null;
 
           return (
             <polyline
               key={`line-${i}`}
               points={generatePoints(data, seriesBounds[i])}
+              clipPath={`url(#${clipId})`}
               fill="none"
               stroke={color}
               strokeWidth="2"
+              strokeDasharray={dash || undefined}
             />
           );
         })}
 
-        {series.some((_, i) => visibleSeries[i] && seriesBounds[i].min < 0 && seriesBounds[i].max > 0) && (
+        {/* Event markers (e.g. MANUAL/AUTO transfers, step peaks); value + seriesIndex adds a dot */}
+        {markers.map((marker, i) => {
+          if (marker.time < xBounds.min || marker.time > xBounds.max) return null;
+          const x = timeToX(marker.time);
+          const color = marker.color || colors.text.secondary;
+          const dotIndex = marker.seriesIndex ?? 0;
+          const showDot = marker.value !== undefined && visibleSeries[dotIndex] && seriesBounds[dotIndex];
+          return (
+            <g key={`marker-${i}`}>
+              <line
+                x1={x}
+                y1={topPadding}
+                x2={x}
+                y2={topPadding + plotHeight}
+                stroke={color}
+                strokeWidth="1"
+                strokeDasharray="3 3"
+              />
+              {marker.label && (
+                <text x={x + 3} y={topPadding + 10 + (i % 2) * 11} fill={color} fontSize="9" fontFamily={fonts.mono}>
+                  {marker.label}
+                </text>
+              )}
+              {showDot && (
+                <circle cx={x} cy={valueToY(marker.value, seriesBounds[dotIndex])} r="4" fill={color} clipPath={`url(#${clipId})`} />
+              )}
+            </g>
+          );
+        })}
+
+        {!yZoomed && series.some((_, i) => visibleSeries[i] && seriesBounds[i].min < 0 && seriesBounds[i].max > 0) && (
           <line
             x1={leftPadding}
             y1={topPadding + plotHeight / 2}
@@ -458,8 +524,70 @@ const DataChart = ({
             strokeDasharray="4"
           />
         )}
+
+        {/* Zoom box (Shift + drag) */}
+        {selection && (
+          <rect
+            x={Math.min(selection.x0, selection.x1)}
+            y={Math.min(selection.y0, selection.y1)}
+            width={Math.abs(selection.x1 - selection.x0)}
+            height={Math.abs(selection.y1 - selection.y0)}
+            fill="rgba(106, 159, 212, 0.15)"
+            stroke={colors.primary}
+            strokeDasharray="4 2"
+          />
+        )}
+
+        {/* Crosshair */}
+        {hover && (
+          <line
+            x1={hover.x}
+            y1={topPadding}
+            x2={hover.x}
+            y2={topPadding + plotHeight}
+            stroke="rgba(255,255,255,0.5)"
+            strokeWidth="1"
+          />
+        )}
+
+        {isZoomed && (
+          <text x={width - rightPadding} y={topPadding - 6} textAnchor="end" fill={colors.text.muted} fontSize="9" fontFamily={fonts.mono}>
+            double-click to reset zoom
+          </text>
+        )}
       </svg>
 
+      {/* Crosshair readout */}
+      {hover && (
+        <div style={{
+          position: 'absolute',
+          top: `${topPadding + 10}px`,
+          left: `${hover.x + 10}px`,
+          transform: hover.x > width / 2 ? 'translateX(calc(-100% - 12px))' : 'translateX(12px)',
+          background: 'rgba(10, 15, 26, 0.9)',
+          border: `1px solid ${colors.border}`,
+          borderRadius: '4px',
+          padding: '6px 8px',
+          fontSize: '10px',
+          fontFamily: fonts.mono,
+          color: colors.text.primary,
+          pointerEvents: 'none',
+          whiteSpace: 'nowrap'
+        }}>
+          <div style={{ color: colors.text.muted, marginBottom: '3px' }}>{xAxis ? xAxis.format(hover.time) : `t = ${hover.time.toFixed(2)}s`}</div>
+          {series.map(({ data, label, color }, i) => {
+            const value = data ? data[hover.index] : undefined;
+            if (!visibleSeries[i] || !Number.isFinite(value)) return null;
+            const range = autoSeriesBounds[i].max - autoSeriesBounds[i].min;
+            return (
+              <div key={`readout-${i}`} style={{ color }}>
+                {label}: {value.toFixed(getDecimalPlaces(value, range) + 1)}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       <div style={{
         display: 'flex',
         justifyContent: 'center',
@@ -467,7 +595,7 @@ const DataChart = ({
         marginTop: '8px',
         flexWrap: 'wrap'
       }}>
-        {series.map(({ label, color }, i) => (
+        {series.map(({ label, color, dash }, i) => (
           <div
             key={`legend-${i}`}
             onClick={() => toggleSeries(i)}
@@ -483,7 +611,7 @@ const DataChart = ({
             <div style={{
               width: '20px',
               height: '3px',
-              background: color
+              background: dash ? `repeating-linear-gradient(90deg, ${color} 0 6px, transparent 6px 9px)` : color
             }} />
             <span style={{
               color: colors.text.muted,
@@ -495,6 +623,14 @@ const DataChart = ({
             </span>
           </div>
         ))}
+        {ghostTimes && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
+            <div style={{ width: '20px', borderTop: `2px dashed ${colors.text.muted}` }} />
+            <span style={{ color: colors.text.muted, fontSize: '10px', fontFamily: fonts.mono, userSelect: 'none' }}>
+              Recorded run
+            </span>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -510,15 +646,164 @@ const CART_MASS = 1.0;
 const FRICTION_CART = 0.1;
 const FRICTION_PENDULUM = 0.01;
 const NOISE_AMPLITUDE = 0.002;
+const MAX_FORCE = 50; // Cart motor limit (N), on the total of the PID and cart-centering terms
 const DT = 0.001;
+// Timesteps offered next to the integrator; the larger ones expose integration error
+const TIME_STEP_OPTIONS = [
+  { value: 0.001, label: '1ms' },
+  { value: 0.005, label: '5ms' },
+  { value: 0.01, label: '10ms' },
+  { value: 0.02, label: '20ms' },
+  { value: 0.05, label: '50ms' }
+];
 const RENDER_INTERVAL = 16;
+// Chart history kept, in seconds
+const PLOT_RETENTION = 600;
+// Simulated seconds between chart samples and readout updates
+const PLOT_INTERVAL = 0.05;
+// Simulated seconds covered by the instant-run button
+const INSTANT_RUN_DURATION = 60;
 const TRACK_WIDTH = 20.0;
 const SCALE = 23;
 
+// Cart-centering feedback added outside the PID
+const cartCenteringForce = (state) => 20 * state.x + 10 * state.xDot;
+
+// The motor limit applies to the total force, so the PID is limited to what the
+// cart-centering term leaves; its saturated flag and anti-windup then see the real limit
+const limitPidToRemainder = (pid, positionForce) => {
+  pid.configure({ outputMin: -MAX_FORCE - positionForce, outputMax: MAX_FORCE - positionForce });
+};
+
+// Chart series; the labels double as export column headers
+const CHART_SERIES = [
+  { channel: 'setpointHistory', label: 'Setpoint (°)', color: '#00d4ff', sharedAxis: 'angle' },
+  { channel: 'measuredHistory', label: 'Measured (°)', color: '#00ff88', sharedAxis: 'angle' },
+  { channel: 'errorPHistory', label: 'E_P (°)', color: '#ff3366', sharedAxis: 'error', clampedBounds: { min: -90, max: 90 } },
+  { channel: 'errorIHistory', label: 'E_I (°·s)', color: '#9d4edd', sharedAxis: 'error', clampedBounds: { min: -90, max: 90 } },
+  { channel: 'errorDHistory', label: 'E_D (°/s)', color: '#ff6d00', sharedAxis: 'derivative', clampedBounds: { min: -90, max: 90 } },
+  { channel: 'errorDRawHistory', label: 'E_D raw (°/s)', color: 'rgba(255, 109, 0, 0.35)', sharedAxis: 'derivative', clampedBounds: { min: -90, max: 90 } },
+  { channel: 'forceHistory', label: 'Force (N)', color: '#ffcc00' }
+];
+
+// Raw state recorded alongside the chart channels so exported runs can be replayed
+const STATE_COLUMNS = [
+  { key: 'cartPositionHistory', label: 'Cart position (m)' },
+  { key: 'floorTiltHistory', label: 'Floor tilt (rad)' }
+];
+const EXPORT_COLUMNS = [...getExportColumns(CHART_SERIES), ...STATE_COLUMNS];
+
+// Replay playhead on the chart
+const REPLAY_COLOR = '#b794f4';
+
+// Buttons in the chart's bottom-left corner (CLEAR PLOT, EXPORT)
+const PLOT_BUTTON_STYLE = {
+  padding: '6px 12px',
+  fontSize: '10px',
+  fontWeight: '600',
+  borderRadius: '4px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  cursor: 'pointer',
+  background: 'rgba(45, 55, 72, 0.8)',
+  color: colors.text.secondary,
+  fontFamily: fonts.mono
+};
+
+// PID AUTO / MANUAL toggle, styled like the shared ControlPanel
+const CONTROL_MODES = [
+  { value: 'pid', label: 'PID AUTO', color: colors.secondary, tint: 'rgba(246, 173, 85, 0.2)' },
+  { value: 'manual', label: 'MANUAL', color: colors.info, tint: 'rgba(99, 179, 237, 0.2)' }
+];
+const modeButtonStyle = (active, color, tint) => ({
+  flex: 1,
+  padding: '10px',
+  fontSize: '12px',
+  fontWeight: '600',
+  borderRadius: '5px',
+  border: active ? `2px solid ${color}` : '1px solid rgba(100, 150, 200, 0.3)',
+  cursor: 'pointer',
+  background: active ? tint : 'rgba(45, 55, 72, 0.3)',
+  color: active ? color : colors.text.muted,
+  fontFamily: fonts.mono
+});
+
 // Default PID values
 const DEFAULT_PID = { kp: 250, ki: 25, kd: 75 };
 const PID_CONFIG = { kpMax: 1000, kiMax: 200, kdMax: 200 };
 
+// Built-in gain presets; P only lets the pendulum fall, showing why I and D are needed
+const GAIN_PRESETS = [
+  { name: 'P only', kp: 250, ki: 0, kd: 0 },
+  { name: 'Well tuned', kp: 300, ki: 150, kd: 50 },
+  { name: 'Oscillatory', kp: 600, ki: 50, kd: 30 },
+  { name: 'Sluggish', kp: 150, ki: 5, kd: 60 }
+];
+
+// Derivative filter: 5-sample moving average rejects the angle noise
+const PID_FILTER = { derivativeFilter: DERIVATIVE_FILTERS.MOVING_AVERAGE, derivativeWindowSize: 5 };
+
+// Controller forms selectable in the PID panel
+const CONTROLLER_FORM_OPTIONS = [
+  { value: CONTROLLER_FORMS.POSITIONAL, label: 'POSITIONAL' },
+  { value: CONTROLLER_FORMS.VELOCITY, label: 'VELOCITY' }
+];
+
+// Tuning rules applied to the relay autotune result
+const TUNING_RULE_OPTIONS = [
+  { value: TUNING_RULES.ZIEGLER_NICHOLS, label: 'Z-N' },
+  { value: TUNING_RULES.TYREUS_LUYBEN, label: 'T-L' },
+  { value: TUNING_RULES.PESSEN, label: 'PESSEN' }
+];
+
+// Relay of ±10 N on the PID's share of the force, switching outside a 0.01 rad band
+const AUTOTUNE_RELAY = { amplitude: 10, hysteresis: 0.01, cycles: 3, maxDuration: 20 };
+// Why a relay test ends when the run fails
+const AUTOTUNE_ABORT_MESSAGES = {
+  fallen: 'Pendulum fell during the relay test: it is open-loop unstable, so a bare relay cannot hold a limit cycle',
+  crashed: 'Cart hit the end of the track during the relay test'
+};
+const roundGain = (value) => Math.round(value * 100) / 100;
+
+// Integration methods selectable in the left panel
+const INTEGRATOR_OPTIONS = [
+  { value: INTEGRATORS.EULER, label: 'EULER' },
+  { value: INTEGRATORS.SEMI_IMPLICIT_EULER, label: 'SEMI-IMP.' },
+  { value: INTEGRATORS.RK4, label: 'RK4' },
+  { value: INTEGRATORS.RK45, label: 'RK45' }
+];
+
+// Cart-pole as a state derivative; input is { force, noise, floorTilt } so the
+// per-step noise sample stays fixed across integrator stages
+const PENDULUM_MODEL = {
+  keys: ['theta', 'thetaDot', 'x', 'xDot'],
+  velocityKeys: ['thetaDot', 'xDot'],
+  derivatives: (state, { force, noise, floorTilt }) => {
+    const m = PENDULUM_MASS;
+    const M = CART_MASS;
+    const l = PENDULUM_LENGTH;
+    const g = GRAVITY;
+    const b = FRICTION_CART;
+    const c = FRICTION_PENDULUM;
+    const { theta, thetaDot, xDot } = state;
+
+    // Effective pendulum angle relative to true vertical (accounting for floor tilt)
+    const effectiveTheta = theta + floorTilt;
+    const sinTheta = Math.sin(effectiveTheta);
+    const cosTheta = Math.cos(effectiveTheta);
+
+    // Cart experiences a gravitational component along the tilted track
+    const cartGravityForce = (M + m) * g * Math.sin(floorTilt);
+
+    const denom = l * (4.0 / 3.0 - (m * cosTheta * cosTheta) / (M + m));
+    const thetaDDot = (g * sinTheta +
+      cosTheta * ((-force - cartGravityForce - m * l * thetaDot * thetaDot * sinTheta + b * xDot) / (M + m)) -
+      c * thetaDot / (m * l) + noise) / denom;
+    const xDDot = (force + cartGravityForce + m * l * (thetaDot * thetaDot * sinTheta - thetaDDot * cosTheta) - b * xDot) / (M + m);
+
+    return { theta: thetaDot, thetaDot: thetaDDot, x: xDot, xDot: xDDot };
+  }
+};
+
 // Disturbance types
 const DISTURBANCE_TYPES = {
   OFF: 'off',
@@ -529,6 +814,25 @@ const DISTURBANCE_TYPES = {
 // Impulse duration for nudges (seconds)
 const NUDGE_IMPULSE_DURATION = 0.5;
 
+// Cart at rest under a small tilt drawn from the run seed
+const createInitialState = (seed) => ({
+  theta: createRandomStream(seed, 'initialState').uniform(-0.05, 0.05),
+  thetaDot: 0,
+  x: 0,
+  xDot: 0,
+  time: 0,
+  force: 0,
+  floorTilt: 0
+});
+
+// Comparison runs start from a fixed tilt so every gain set recovers from the same offset
+const COMPARISON_INITIAL_THETA = 0.05;
+const COMPARISON_DURATION_OPTIONS = [
+  { value: 10, label: '10 s' },
+  { value: 20, label: '20 s' },
+  { value: 40, label: '40 s' }
+];
+
 // ============================================================================
 // SLIDER COMPONENT
 // ============================================================================
@@ -553,47 +857,84 @@ const Slider = ({ label, value, onChange, min, max, step = 1, unit = '', color =
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
-const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onSimulatorChange = () => {} }) => {
+const InvertedPendulumStandalone = ({
+  simulators = [],
+  activeSimulator = '',
+  onSimulatorChange = () => {},
+  urlState = {},
+  onUrlStateChange = () => {}
+}) => {
   // Simulation state
   const [isRunning, setIsRunning] = useState(false);
-  const [pidGains, setPidGains] = useState(DEFAULT_PID);
+  const [pidGains, setPidGains] = useState(() => readUrlGains(urlState, DEFAULT_PID, PID_CONFIG));
+  const gainProfiles = useGainProfiles('pendulum');
+  const [controlMode, setControlMode] = useState('pid');
+  const [manualForce, setManualForce] = useState(0);
+  const [transferMarkers, setTransferMarkers] = useState([]);
+  const [controllerForm, setControllerForm] = useState(CONTROLLER_FORMS.POSITIONAL);
+  const [integrator, setIntegrator] = useState(INTEGRATORS.SEMI_IMPLICIT_EULER);
+  const [timeStep, setTimeStep] = useState(DT);
   const [fallen, setFallen] = useState(false);
   const [failureType, setFailureType] = useState(null);
   const [accumulatedError, setAccumulatedError] = useState(0);
   const [currentForce, setCurrentForce] = useState(0);
 
   // Disturbance configuration
-  const [disturbanceType, setDisturbanceType] = useState(DISTURBANCE_TYPES.OFF);
-  const [nudgeAmplitude, setNudgeAmplitude] = useState(30);
-  const [nudgeFrequency, setNudgeFrequency] = useState(0.5);
-  const [tiltAmplitude, setTiltAmplitude] = useState(5); // degrees
-  const [tiltFrequency, setTiltFrequency] = useState(0.2);
-
-  const [plotData, setPlotData] = useState({
-    setpointHistory: [],
-    measuredHistory: [],
-    errorPHistory: [],
-    errorIHistory: [],
-    errorDHistory: [],
-    forceHistory: [],
-    timeHistory: []
-  });
+  const [disturbanceType, setDisturbanceType] = useState(() => readUrlChoice(urlState, 'disturbance', Object.values(DISTURBANCE_TYPES), DISTURBANCE_TYPES.OFF));
+  const [nudgeAmplitude, setNudgeAmplitude] = useState(() => readUrlNumber(urlState, 'nudgeAmp', 30, { min: 5, max: 50 }));
+  const [nudgeFrequency, setNudgeFrequency] = useState(() => readUrlNumber(urlState, 'nudgeFreq', 0.5, { min: 0.1, max: 2 }));
+  const [tiltAmplitude, setTiltAmplitude] = useState(() => readUrlNumber(urlState, 'tiltAmp', 5, { min: 1, max: 15 })); // degrees
+  const [tiltFrequency, setTiltFrequency] = useState(() => readUrlNumber(urlState, 'tiltFreq', 0.2, { min: 0.05, max: 1 }));
+  const [seed, setSeed] = useState(() => parseSeed(urlState.seed ?? '') ?? generateSeed());
+  const [comparisonOpen, setComparisonOpen] = useState(false);
+  const [variants, setVariants] = useState(() => [
+    createVariant(0, DEFAULT_PID),
+    createVariant(1, { ...DEFAULT_PID, kd: DEFAULT_PID.kd / 2 })
+  ]);
+  const [comparisonDuration, setComparisonDuration] = useState(20);
+  const [comparison, setComparison] = useState(null);
+  const [bodeOpen, setBodeOpen] = useState(false);
+  const [rootLocusOpen, setRootLocusOpen] = useState(false);
+  const [locusGain, setLocusGain] = useState('kd');
+  const [tuningRule, setTuningRule] = useState(TUNING_RULES.ZIEGLER_NICHOLS);
+  const [autotuneRunning, setAutotuneRunning] = useState(false);
+  const [autotuneMessage, setAutotuneMessage] = useState('');
+
+  const telemetry = useTelemetryStore({ channels: ['setpointHistory', 'measuredHistory', 'errorPHistory', 'errorIHistory', 'errorDHistory', 'errorDRawHistory', 'forceHistory', 'cartPositionHistory', 'floorTiltHistory'], retention: PLOT_RETENTION });
   const timeOffsetRef = useRef(0);
 
+  const {
+    run: replayRun,
+    time: replayTime,
+    playing: replayPlaying,
+    speed: replaySpeed,
+    sample: replaySample,
+    error: replayError,
+    load: loadRun,
+    close: closeRun,
+    seek: seekReplay,
+    togglePlay: toggleReplay,
+    setSpeed: setReplaySpeed
+  } = useRunReplay({ columns: EXPORT_COLUMNS });
+
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
   const lastRenderRef = useRef(0);
-  const pidController = useRef(createPIDController());
-
-  const stateRef = useRef({
-    theta: 0.05,
-    thetaDot: 0,
-    x: 0,
-    xDot: 0,
-    time: 0,
-    force: 0,
-    floorTilt: 0
-  });
+  const pidController = useRef(createPIDController(PID_FILTER));
+  const autotunerRef = useRef(null);
+  const integratorRef = useRef(createIntegrator(INTEGRATORS.SEMI_IMPLICIT_EULER));
+
+  // Physics and control advance through the headless engine; the animation loop
+  // only chooses how many steps each frame takes, so a run can also jump ahead
+  const [engine] = useState(() => createSimulationEngine({
+    plant: { initialState: createInitialState(seed), step: () => null },
+    dt: DT,
+    recordInterval: PLOT_INTERVAL
+  }));
+  const stateRef = useRef(engine.getState());
+  // Last controller result, updated by the engine every step
+  const pidResultRef = useRef(null);
+  const noiseRef = useRef(createRandomStream(seed, 'noise'));
 
   // Calculate nudge force based on time (short impulses, alternating left/right)
   const calculateNudgeForce = useCallback((time) => {
@@ -625,85 +966,142 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
     return amplitudeRad * Math.sin(2 * Math.PI * tiltFrequency * time);
   }, [disturbanceType, tiltAmplitude, tiltFrequency]);
 
-  const resetSimulation = useCallback(() => {
-    stateRef.current = {
-      theta: (Math.random() - 0.5) * 0.1,
-      thetaDot: 0,
-      x: 0,
-      xDot: 0,
-      time: 0,
-      force: 0,
-      floorTilt: 0
-    };
+  // Initial tilt and sensor noise restart from the seed, so a run repeats exactly
+  const resetSimulation = useCallback((runSeed = seed) => {
+    engine.reset(createInitialState(runSeed));
+    stateRef.current = engine.getState();
+    pidResultRef.current = null;
+    noiseRef.current = createRandomStream(runSeed, 'noise');
     pidController.current.reset();
+    integratorRef.current.reset();
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
     timeOffsetRef.current = 0;
-    setPlotData({ setpointHistory: [], measuredHistory: [], errorPHistory: [], errorIHistory: [], errorDHistory: [], forceHistory: [], timeHistory: [] });
+    telemetry.clear();
+    setTransferMarkers([]);
     setFallen(false);
     setFailureType(null);
     setAccumulatedError(0);
     setCurrentForce(0);
-  }, []);
-
-  const simulateStep = useCallback((force, currentFallen, floorTilt) => {
-    const state = stateRef.current;
-    if (currentFallen) return null;
-
-    const m = PENDULUM_MASS;
-    const M = CART_MASS;
-    const l = PENDULUM_LENGTH;
-    const g = GRAVITY;
-    const b = FRICTION_CART;
-    const c = FRICTION_PENDULUM;
-    const { theta, thetaDot, x, xDot } = state;
-
-    const noise = (Math.random() - 0.5) * 2 * NOISE_AMPLITUDE;
-
-    // Effective pendulum angle relative to true vertical (accounting for floor tilt)
-    const effectiveTheta = theta + floorTilt;
-    const sinTheta = Math.sin(effectiveTheta);
-    const cosTheta = Math.cos(effectiveTheta);
-
-    // Cart experiences a gravitational component along the tilted track
-    const cartGravityForce = (M + m) * g * Math.sin(floorTilt);
-
-    const denom = l * (4.0 / 3.0 - (m * cosTheta * cosTheta) / (M + m));
-    const thetaDDot = (g * sinTheta +
-      cosTheta * ((-force - cartGravityForce - m * l * thetaDot * thetaDot * sinTheta + b * xDot) / (M + m)) -
-      c * thetaDot / (m * l) + noise) / denom;
-    const xDDot = (force + cartGravityForce + m * l * (thetaDot * thetaDot * sinTheta - thetaDDot * cosTheta) - b * xDot) / (M + m);
+  }, [engine, telemetry, seed]);
+
+  // Live plant for the engine; nudges and floor tilt act on the cart outside the controller
+  const pendulumPlant = useMemo(() => ({
+    step(state, controlForce, dt) {
+      const force = controlForce + calculateNudgeForce(state.time);
+      const floorTilt = calculateTiltAngle(state.time);
+      const noise = noiseRef.current.uniform(-NOISE_AMPLITUDE, NOISE_AMPLITUDE);
+      integratorRef.current.step(PENDULUM_MODEL, state, { force, noise, floorTilt }, dt);
+      state.force = force;
+      state.floorTilt = floorTilt;
+
+      while (state.theta > Math.PI) state.theta -= 2 * Math.PI;
+      while (state.theta < -Math.PI) state.theta += 2 * Math.PI;
+
+      if (Math.abs(state.x) > TRACK_WIDTH / 2 - 0.2) {
+        return 'crashed';
+      }
 
-    state.thetaDot += thetaDDot * DT;
-    state.theta += state.thetaDot * DT;
-    state.xDot += xDDot * DT;
-    state.x += state.xDot * DT;
-    state.time += DT;
-    state.force = force;
-    state.floorTilt = floorTilt;
+      if (Math.abs(state.theta) > Math.PI / 2) {
+        return 'fallen';
+      }
 
-    while (state.theta > Math.PI) state.theta -= 2 * Math.PI;
-    while (state.theta < -Math.PI) state.theta += 2 * Math.PI;
+      return null;
+    }
+  }), [calculateNudgeForce, calculateTiltAngle]);
 
-    if (Math.abs(state.x) > TRACK_WIDTH / 2 - 0.2) {
-      return 'crashed';
+  const computePIDForce = useCallback(() => {
+    const state = stateRef.current;
+    // Upright setpoint (0) against -theta, so a positive error pushes the cart under the pendulum.
+    // The setpoint never moves, so setpoint weights (D on measurement) would change nothing
+    const positionForce = cartCenteringForce(state);
+    limitPidToRemainder(pidController.current, positionForce);
+    const pidResult = pidController.current.computeTwoDOF(0, -state.theta, pidGains, timeStep);
+    return { ...pidResult, totalForce: pidResult.output + positionForce };
+  }, [pidGains, timeStep]);
+
+  // Back-solve the PID integral while in manual so switching to auto is bumpless.
+  // The cart-position term is outside the PID, so only the remainder is tracked.
+  const trackManualForce = useCallback((force) => {
+    const state = stateRef.current;
+    const positionForce = cartCenteringForce(state);
+    const pidResult = pidController.current.trackTwoDOF(
+      force - positionForce,
+      0,
+      -state.theta,
+      pidGains,
+      timeStep
+    );
+    return { ...pidResult, totalForce: force };
+  }, [pidGains, timeStep]);
+
+  const controller = useCallback((state) => {
+    const tuner = autotunerRef.current;
+    let pidResult;
+    if (tuner) {
+      // Relay drives the PID's share of the force; the PID tracks it so the handover is bumpless
+      pidResult = trackManualForce(tuner.step(0, -state.theta, timeStep) + cartCenteringForce(state));
+    } else if (controlMode === 'manual') {
+      pidResult = trackManualForce(manualForce);
+    } else {
+      pidResult = computePIDForce();
     }
+    pidResultRef.current = pidResult;
+    return pidResult.totalForce;
+  }, [controlMode, manualForce, trackManualForce, computePIDForce, timeStep]);
+
+  // Chart sample taken by the engine every PLOT_INTERVAL
+  const record = useCallback((state) => {
+    const pidResult = pidResultRef.current;
+    const { derivative, rawDerivative } = pidController.current.getState();
+    return {
+      setpointHistory: 0,
+      measuredHistory: state.theta * 180 / Math.PI,
+      errorPHistory: pidResult.errorP * 180 / Math.PI,
+      errorIHistory: pidResult.errorI * 180 / Math.PI,
+      errorDHistory: derivative * 180 / Math.PI,
+      errorDRawHistory: rawDerivative * 180 / Math.PI,
+      forceHistory: state.force,
+      cartPositionHistory: state.x,
+      floorTiltHistory: state.floorTilt
+    };
+  }, []);
+
+  // Engine samples land on the chart's clock, which CLEAR PLOT restarts
+  const chartTelemetry = useMemo(() => ({
+    push: (time, sample) => telemetry.push(time - timeOffsetRef.current, sample),
+    clear: () => telemetry.clear(),
+    snapshot: () => telemetry.snapshot()
+  }), [telemetry]);
 
-    if (Math.abs(state.theta) > Math.PI / 2) {
-      return 'fallen';
+  useEffect(() => {
+    engine.configure({ plant: pendulumPlant, controller, record, dt: timeStep, telemetry: chartTelemetry });
+  }, [engine, pendulumPlant, controller, record, timeStep, chartTelemetry]);
+
+  // Apply the relay result (or report why it failed) and hand control back to the PID
+  const finishAutotune = useCallback(() => {
+    const tuner = autotunerRef.current;
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
+
+    const result = tuner.getResult();
+    if (!result) {
+      setAutotuneMessage(tuner.getMessage());
+      return;
     }
 
-    return null;
-  }, []);
+    const tuned = computeTuningGains(result.ku, result.tu, tuningRule);
+    const gains = { kp: roundGain(tuned.kp), ki: roundGain(tuned.ki), kd: roundGain(tuned.kd) };
+    setPidGains(gains);
 
-  const computePIDForce = useCallback(() => {
+    // Upright needs no PID force, so the new gains start from a zero output
     const state = stateRef.current;
-    const error = state.theta;
-    const pidResult = pidController.current.compute(error, pidGains, DT);
-    const positionForce = 20 * state.x + 10 * state.xDot;
-    const totalForce = Math.max(-50, Math.min(50, pidResult.output + positionForce));
-    return { ...pidResult, totalForce };
-  }, [pidGains]);
-
-  const render = useCallback(() => {
+    limitPidToRemainder(pidController.current, cartCenteringForce(state));
+    pidController.current.trackTwoDOF(0, 0, -state.theta, gains, timeStep);
+    setAutotuneMessage(`${tuner.getMessage()} → Kp ${gains.kp}, Ki ${gains.ki}, Kd ${gains.kd}`);
+  }, [tuningRule, timeStep]);
+
+  const render = useCallback((state = stateRef.current, showFailure = fallen) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
@@ -734,7 +1132,6 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
       ctx.stroke();
     }
 
-    const state = stateRef.current;
     const centerX = width / 2;
     const groundY = height * 0.7;
     const floorTilt = state.floorTilt || 0;
@@ -811,7 +1208,7 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
     ctx.stroke();
 
     const rodGradient = ctx.createLinearGradient(pivotX, pivotY, pendulumEndX, pendulumEndY);
-    if (fallen) {
+    if (showFailure) {
       rodGradient.addColorStop(0, '#aa4444');
       rodGradient.addColorStop(1, '#cc6666');
     } else {
@@ -833,7 +1230,7 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
     // Mass
     ctx.beginPath();
     const massGradient = ctx.createRadialGradient(pendulumEndX - 3, pendulumEndY - 3, 0, pendulumEndX, pendulumEndY, 10);
-    if (fallen) {
+    if (showFailure) {
       massGradient.addColorStop(0, '#dd6666');
       massGradient.addColorStop(1, '#aa4444');
     } else {
@@ -891,7 +1288,7 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
     }
 
     // Fallen/Crashed text
-    if (fallen) {
+    if (showFailure) {
       ctx.fillStyle = 'rgba(200, 50, 50, 0.9)';
       ctx.font = 'bold 36px "JetBrains Mono", monospace';
       ctx.textAlign = 'center';
@@ -902,7 +1299,26 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
     }
   }, [fallen, failureType]);
 
-  // Animation loop
+  // The run ends when the pendulum falls or the cart leaves the track
+  const handleFailure = useCallback((failure) => {
+    setFallen(true);
+    setFailureType(failure);
+    setIsRunning(false);
+    if (autotunerRef.current) autotunerRef.current.abort(AUTOTUNE_ABORT_MESSAGES[failure]);
+  }, []);
+
+  const settleAutotune = useCallback(() => {
+    const tuner = autotunerRef.current;
+    if (tuner && tuner.getStatus() !== AUTOTUNE_STATUS.RUNNING) finishAutotune();
+  }, [finishAutotune]);
+
+  const updateReadouts = useCallback(() => {
+    if (!pidResultRef.current) return;
+    setCurrentForce(stateRef.current.force);
+    setAccumulatedError(pidController.current.getState().integral * 180 / Math.PI);
+  }, []);
+
+  // Animation loop: real time decides how many engine steps each frame takes
   useEffect(() => {
     if (!isRunning) {
       if (animationRef.current) cancelAnimationFrame(animationRef.current);
@@ -911,80 +1327,129 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
 
     let lastTime = performance.now();
     let accumulator = 0;
-    let lastPlotTime = 0;
-    let localFallen = false;
+    let lastReadoutTime = -Infinity;
 
     const loop = (currentTime) => {
       const deltaTime = Math.min(currentTime - lastTime, 50);
       lastTime = currentTime;
       accumulator += deltaTime;
 
-      let latestPidResult = null;
-
-      while (accumulator >= DT * 1000) {
-        const state = stateRef.current;
-        const pidResult = computePIDForce();
-        latestPidResult = pidResult;
-        let force = pidResult.totalForce;
-
-        // Add nudge force based on current time and mode
-        force += calculateNudgeForce(state.time);
-
-        // Calculate floor tilt angle
-        const floorTilt = calculateTiltAngle(state.time);
-
-        const failureResult = simulateStep(force, localFallen, floorTilt);
-
-        if (failureResult && !localFallen) {
-          localFallen = true;
-          setFallen(true);
-          setFailureType(failureResult);
-          setIsRunning(false);
-        }
-
-        accumulator -= DT * 1000;
-      }
+      const steps = Math.floor(accumulator / (timeStep * 1000));
+      const { failure } = engine.advance(steps);
+      accumulator -= steps * timeStep * 1000;
 
+      if (failure) handleFailure(failure);
+      settleAutotune();
       const state = stateRef.current;
-      if (latestPidResult && state.time - lastPlotTime >= 0.05) {
-        lastPlotTime = state.time;
-        const measured = state.theta * 180 / Math.PI;
-        const setpoint = 0;
-        setPlotData(prev => ({
-          setpointHistory: [...prev.setpointHistory, setpoint],
-          measuredHistory: [...prev.measuredHistory, measured],
-          errorPHistory: [...prev.errorPHistory, latestPidResult.errorP * 180 / Math.PI],
-          errorIHistory: [...prev.errorIHistory, latestPidResult.errorI * 180 / Math.PI],
-          errorDHistory: [...prev.errorDHistory, latestPidResult.errorD * 180 / Math.PI],
-          forceHistory: [...prev.forceHistory, state.force],
-          timeHistory: [...prev.timeHistory, state.time - timeOffsetRef.current]
-        }));
-
-        setCurrentForce(state.force);
-        setAccumulatedError(pidController.current.getState().integral * 180 / Math.PI);
+      // Readouts refresh every PLOT_INTERVAL, and straight away after a reset
+      if (failure || state.time < lastReadoutTime || state.time - lastReadoutTime >= PLOT_INTERVAL) {
+        lastReadoutTime = state.time;
+        updateReadouts();
       }
 
-      if (currentTime - lastRenderRef.current >= RENDER_INTERVAL) {
+      if (failure || currentTime - lastRenderRef.current >= RENDER_INTERVAL) {
         render();
         lastRenderRef.current = currentTime;
       }
 
+      if (failure) return;
       animationRef.current = requestAnimationFrame(loop);
     };
 
     animationRef.current = requestAnimationFrame(loop);
     return () => { if (animationRef.current) cancelAnimationFrame(animationRef.current); };
-  }, [isRunning, calculateNudgeForce, calculateTiltAngle, computePIDForce, simulateStep, render]);
+  }, [isRunning, engine, handleFailure, settleAutotune, updateReadouts, render, timeStep]);
 
-  useEffect(() => { render(); }, [render]);
+  // Live state when idle; a loaded run takes over the canvas instead
+  useEffect(() => {
+    if (!replayRun) render();
+  }, [render, replayRun]);
+
+  // While stopped with a run loaded, the canvas shows the recorded state
+  useEffect(() => {
+    if (isRunning || !replaySample) return;
+    render({
+      theta: replaySample.measuredHistory * Math.PI / 180,
+      thetaDot: 0,
+      x: replaySample.cartPositionHistory,
+      xDot: 0,
+      time: replaySample.time,
+      force: replaySample.forceHistory,
+      floorTilt: Number.isFinite(replaySample.floorTiltHistory) ? replaySample.floorTiltHistory : 0
+    }, false);
+  }, [isRunning, replaySample, render]);
+
+  // Switch form mid-run by seeding the new controller from the old one's last output
+  const handleControllerFormChange = (form) => {
+    const state = stateRef.current;
+    pidController.current = switchControllerForm(pidController.current, form, (next, output) => {
+      limitPidToRemainder(next, cartCenteringForce(state));
+      next.trackTwoDOF(output, 0, -state.theta, pidGains, timeStep);
+    });
+    setControllerForm(form);
+  };
+
+  useEffect(() => {
+    integratorRef.current = createIntegrator(integrator);
+  }, [integrator]);
+
+  // Mirror the shareable configuration into the URL
+  useEffect(() => {
+    onUrlStateChange({
+      ...pidGains,
+      disturbance: disturbanceType,
+      nudgeAmp: nudgeAmplitude,
+      nudgeFreq: nudgeFrequency,
+      tiltAmp: tiltAmplitude,
+      tiltFreq: tiltFrequency,
+      seed
+    });
+  }, [pidGains, disturbanceType, nudgeAmplitude, nudgeFrequency, tiltAmplitude, tiltFrequency, seed, onUrlStateChange]);
 
   const handleStart = () => {
     if (fallen) {
       resetSimulation();
     }
+    if (replayPlaying) toggleReplay();
+    setIsRunning(true);
+  };
+
+  const handleModeChange = (mode) => {
+    if (mode === controlMode) return;
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+    }
+    setTransferMarkers(prev => [...prev, {
+      time: stateRef.current.time - timeOffsetRef.current,
+      label: mode === 'pid' ? 'AUTO' : 'MAN',
+      color: mode === 'pid' ? colors.success : colors.warning
+    }]);
+    setControlMode(mode);
+  };
+
+  const handleAutotune = () => {
+    if (autotunerRef.current) {
+      autotunerRef.current.abort();
+      finishAutotune();
+      return;
+    }
+
+    if (fallen) {
+      resetSimulation();
+    }
+    if (replayPlaying) toggleReplay();
+    autotunerRef.current = createRelayAutotuner(AUTOTUNE_RELAY);
+    setAutotuneRunning(true);
+    setAutotuneMessage('Relay test running…');
     setIsRunning(true);
   };
 
+  const handleLoadRun = (file) => {
+    setIsRunning(false);
+    loadRun(file);
+  };
+
   const handleStop = () => {
     setIsRunning(false);
   };
@@ -994,11 +1459,137 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
     resetSimulation();
   };
 
+  const handleSeedChange = (value) => {
+    setIsRunning(false);
+    setSeed(value);
+    resetSimulation(value);
+  };
+
   const handleResetIntegral = () => {
     pidController.current.resetIntegral();
     setAccumulatedError(0);
   };
 
+  // Jump the run ahead without animating it
+  const handleRunInstantly = () => {
+    if (fallen) {
+      resetSimulation();
+    }
+    if (replayPlaying) toggleReplay();
+    const { failure } = engine.run(INSTANT_RUN_DURATION);
+    if (failure) handleFailure(failure);
+    settleAutotune();
+    updateReadouts();
+    render();
+  };
+
+  // Every gain set sees the same nudges, floor tilt and sensor noise sample by sample:
+  // each run draws noise from its own copy of the seed's noise stream
+  const handleRunComparison = () => {
+    setComparison(runComparison({
+      variants,
+      duration: comparisonDuration,
+      dt: timeStep,
+      recordInterval: 0.05,
+      threshold: 1,
+      createRun: (variant) => {
+        const pid = createController(variant.controllerForm, PID_FILTER);
+        const gains = { kp: variant.kp, ki: variant.ki, kd: variant.kd };
+        const stepIntegrator = createIntegrator(integrator);
+        const noiseRandom = createRandomStream(seed, 'noise');
+        return {
+          plant: {
+            initialState: { theta: COMPARISON_INITIAL_THETA, thetaDot: 0, x: 0, xDot: 0, force: 0, floorTilt: 0 },
+            step(state, control, dt) {
+              const force = control + calculateNudgeForce(state.time);
+              const floorTilt = calculateTiltAngle(state.time);
+              const noise = noiseRandom.uniform(-NOISE_AMPLITUDE, NOISE_AMPLITUDE);
+              stepIntegrator.step(PENDULUM_MODEL, state, { force, noise, floorTilt }, dt);
+              state.force = force;
+              state.floorTilt = floorTilt;
+
+              while (state.theta > Math.PI) state.theta -= 2 * Math.PI;
+              while (state.theta < -Math.PI) state.theta += 2 * Math.PI;
+
+              if (Math.abs(state.x) > TRACK_WIDTH / 2 - 0.2) return 'crashed';
+              if (Math.abs(state.theta) > Math.PI / 2) return 'fallen';
+              return null;
+            }
+          },
+          controller: (state, dt) => {
+            const positionForce = cartCenteringForce(state);
+            limitPidToRemainder(pid, positionForce);
+            return pid.computeTwoDOF(0, -state.theta, gains, dt).output + positionForce;
+          },
+          measure: (state) => ({ setpoint: 0, measurement: state.theta * 180 / Math.PI })
+        };
+      }
+    }));
+  };
+
+  // The plant linearized about upright from the thetaDDot expression. The PID
+  // measures −θ and the cart-centering feedback is part of the plant it sees.
+  const loopPlant = useMemo(() => toTransferFunction(linearize({
+    keys: PENDULUM_MODEL.keys,
+    derivatives: (state, control) => PENDULUM_MODEL.derivatives(state, {
+      force: control + 20 * state.x + 10 * state.xDot,
+      noise: 0,
+      floorTilt: 0
+    }),
+    output: (state) => -state.theta,
+    state: { theta: 0, thetaDot: 0, x: 0, xDot: 0 }
+  })), []);
+
+  // Frequency response of the linearized loop, following the live gains
+  const bodeAnalysis = useMemo(() => (bodeOpen ? analyzeLoop({
+    plant: loopPlant,
+    gains: pidGains,
+    filter: PID_FILTER,
+    dt: timeStep
+  }) : null), [bodeOpen, loopPlant, pidGains, timeStep]);
+
+  // Closed-loop poles as one gain sweeps its slider range, with the live gains marked
+  const rootLocus = useMemo(() => (rootLocusOpen ? computeRootLocus({
+    plant: loopPlant,
+    gains: pidGains,
+    gain: locusGain,
+    maxGain: PID_CONFIG[`${locusGain}Max`],
+    filter: PID_FILTER,
+    dt: timeStep
+  }) : null), [rootLocusOpen, loopPlant, pidGains, locusGain, timeStep]);
+
+  // Download the recorded run with the settings that produced it
+  const handleExport = (format) => {
+    exportRun(format, {
+      simulator: 'pendulum',
+      settings: {
+        gains: pidGains,
+        controllerForm,
+        integrator,
+        timeStep,
+        plant: {
+          gravity: GRAVITY,
+          pendulumLength: PENDULUM_LENGTH,
+          pendulumMass: PENDULUM_MASS,
+          cartMass: CART_MASS,
+          cartFriction: FRICTION_CART,
+          pendulumFriction: FRICTION_PENDULUM,
+          trackWidth: TRACK_WIDTH
+        },
+        setpoint: { mode: 'constant', value: 0, unit: '°' },
+        disturbance: {
+          type: disturbanceType,
+          nudge: { amplitude: nudgeAmplitude, frequency: nudgeFrequency },
+          tilt: { amplitude: tiltAmplitude, frequency: tiltFrequency },
+          noiseAmplitude: NOISE_AMPLITUDE
+        },
+        seed
+      },
+      snapshot: telemetry.snapshot(),
+      columns: EXPORT_COLUMNS
+    });
+  };
+
   return (
     <div style={{
       display: 'flex',
@@ -1096,6 +1687,12 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
                 ↻
               </button>
             </div>
+            <button
+              onClick={handleRunInstantly}
+              style={{ ...getButtonStyle('ghost'), width: '100%', marginTop: '8px', padding: '6px 12px', fontSize: '10px' }}
+            >
+              ⏭ SIMULATE {INSTANT_RUN_DURATION} s INSTANTLY
+            </button>
           </div>
 
           {/* Disturbance Type */}
@@ -1173,6 +1770,50 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
                 />
               </>
             )}
+
+            {/* Sensor noise and the initial tilt are drawn from this seed */}
+            <SeedControl seed={seed} onChange={handleSeedChange} />
+          </div>
+
+          {/* Integrator + Time Step */}
+          <div style={{ marginTop: '20px' }}>
+            <h3 style={{ color: colors.text.secondary, fontSize: '12px', marginBottom: '8px', letterSpacing: '2px' }}>
+              INTEGRATOR
+            </h3>
+            <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+              {INTEGRATOR_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setIntegrator(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(integrator === option.value ? buttonStyles.info : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {TIME_STEP_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setTimeStep(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(timeStep === option.value ? buttonStyles.info : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
 
@@ -1189,8 +1830,43 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
         {/* Right Control Panel: PID + Force Status */}
         <div style={{ ...panelStyles.base, padding: '15px', width: '280px', flexShrink: 0, height: '360px', overflowY: 'auto', boxSizing: 'border-box' }}>
 
+          {/* Mode toggle (from components/ControlPanel.jsx) */}
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '15px' }}>
+            {CONTROL_MODES.map(mode => (
+              <button
+                key={mode.value}
+                onClick={() => handleModeChange(mode.value)}
+                style={modeButtonStyle(controlMode === mode.value, mode.color, mode.tint)}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          {controlMode === 'manual' && (
+            <Slider
+              label="Manual Cart Force"
+              value={manualForce}
+              onChange={setManualForce}
+              min={-MAX_FORCE}
+              max={MAX_FORCE}
+              unit=" N"
+              color={colors.info}
+            />
+          )}
+
           {/* PID Gains */}
           <div style={{ marginBottom: '20px' }}>
+            <PresetSelector
+              presets={GAIN_PRESETS}
+              profiles={gainProfiles.profiles}
+              gains={pidGains}
+              onApply={setPidGains}
+              onSave={(name) => gainProfiles.save(name, pidGains)}
+              onDelete={gainProfiles.remove}
+              onImport={gainProfiles.importFile}
+              onExport={gainProfiles.exportFile}
+              error={gainProfiles.error}
+            />
             <Slider
               label="Proportional (Kp)"
               value={pidGains.kp}
@@ -1225,6 +1901,18 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
               >
                 RESET GAINS
               </button>
+              <button
+                onClick={handleAutotune}
+                style={{
+                  ...buttonStyles.base,
+                  padding: '6px 12px',
+                  fontSize: '10px',
+                  flex: 1,
+                  ...(autotuneRunning ? buttonStyles.secondary : buttonStyles.ghost)
+                }}
+              >
+                {autotuneRunning ? 'CANCEL TUNE' : 'AUTOTUNE'}
+              </button>
               <button
                 onClick={handleResetIntegral}
                 style={{ ...getButtonStyle('ghost'), padding: '6px 12px', fontSize: '10px', flex: 1 }}
@@ -1232,6 +1920,47 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
                 RESET INTEGRAL
               </button>
             </div>
+            <div style={{ color: colors.text.secondary, fontSize: '11px', marginTop: '12px', marginBottom: '4px' }}>Autotune Rule</div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {TUNING_RULE_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => setTuningRule(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(tuningRule === option.value ? buttonStyles.secondary : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {autotuneMessage && (
+              <div style={{ color: colors.text.muted, fontSize: '10px', marginTop: '6px' }}>
+                {autotuneMessage}
+              </div>
+            )}
+            <div style={{ color: colors.text.secondary, fontSize: '11px', marginTop: '12px', marginBottom: '4px' }}>Controller Form</div>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {CONTROLLER_FORM_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  onClick={() => handleControllerFormChange(option.value)}
+                  style={{
+                    ...buttonStyles.base,
+                    padding: '6px 4px',
+                    fontSize: '9px',
+                    flex: 1,
+                    ...(controllerForm === option.value ? buttonStyles.accent : buttonStyles.ghost)
+                  }}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
           </div>
 
           {/* Force Status Display */}
@@ -1256,43 +1985,101 @@ const InvertedPendulumStandalone = ({ simulators = [], activeSimulator = '', onS
 
       {/* Bottom Row: Data Tracking */}
       <div style={{ ...panelStyles.base, padding: '15px', width: '100%', boxSizing: 'border-box', position: 'relative' }}>
-        <button
-          onClick={() => {
-            timeOffsetRef.current = stateRef.current.time;
-            setPlotData({ setpointHistory: [], measuredHistory: [], errorPHistory: [], errorIHistory: [], errorDHistory: [], forceHistory: [], timeHistory: [] });
-          }}
-          style={{
-            position: 'absolute',
-            bottom: '20px',
-            left: '20px',
-            padding: '6px 12px',
-            fontSize: '10px',
-            fontWeight: '600',
-            borderRadius: '4px',
-            border: '1px solid rgba(100, 150, 200, 0.3)',
-            cursor: 'pointer',
-            background: 'rgba(45, 55, 72, 0.8)',
-            color: colors.text.secondary,
-            fontFamily: fonts.mono,
-            zIndex: 10
-          }}
-        >
-          CLEAR PLOT
-        </button>
+        <div style={{ position: 'absolute', bottom: '20px', left: '20px', display: 'flex', gap: '6px', zIndex: 10 }}>
+          <button
+            onClick={() => {
+              timeOffsetRef.current = stateRef.current.time;
+              telemetry.clear();
+              setTransferMarkers([]);
+            }}
+            style={PLOT_BUTTON_STYLE}
+          >
+            CLEAR PLOT
+          </button>
+          <button onClick={() => handleExport('csv')} style={PLOT_BUTTON_STYLE}>
+            EXPORT CSV
+          </button>
+          <button onClick={() => handleExport('json')} style={PLOT_BUTTON_STYLE}>
+            EXPORT JSON
+          </button>
+          <button
+            onClick={() => setComparisonOpen(prev => !prev)}
+            style={{ ...PLOT_BUTTON_STYLE, ...(comparisonOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+          >
+            COMPARE
+          </button>
+          <button
+            onClick={() => setBodeOpen(prev => !prev)}
+            style={{ ...PLOT_BUTTON_STYLE, ...(bodeOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+          >
+            BODE
+          </button>
+          <button
+            onClick={() => setRootLocusOpen(prev => !prev)}
+            style={{ ...PLOT_BUTTON_STYLE, ...(rootLocusOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+          >
+            ROOT LOCUS
+          </button>
+        </div>
+        <ReplayControls
+          run={replayRun}
+          simulator="pendulum"
+          time={replayTime}
+          playing={replayPlaying}
+          speed={replaySpeed}
+          error={replayError}
+          onLoad={handleLoadRun}
+          onTogglePlay={toggleReplay}
+          onSeek={seekReplay}
+          onSpeedChange={setReplaySpeed}
+          onClose={closeRun}
+        />
         <DataChart
-          timeHistory={plotData.timeHistory}
-          series={[
-            { data: plotData.setpointHistory, label: 'Setpoint (°)', color: '#00d4ff', sharedAxis: 'angle' },
-            { data: plotData.measuredHistory, label: 'Measured (°)', color: '#00ff88', sharedAxis: 'angle' },
-            { data: plotData.errorPHistory, label: 'E_P (°)', color: '#ff3366', sharedAxis: 'error', clampedBounds: { min: -90, max: 90 } },
-            { data: plotData.errorIHistory, label: 'E_I (°·s)', color: '#9d4edd', sharedAxis: 'error', clampedBounds: { min: -90, max: 90 } },
-            { data: plotData.errorDHistory, label: 'E_D (°/s)', color: '#ff6d00', clampedBounds: { min: -90, max: 90 } },
-            { data: plotData.forceHistory, label: 'Force (N)', color: '#ffcc00' }
+          telemetry={telemetry}
+          ghost={replayRun ? replayRun.data : null}
+          markers={[
+            ...transferMarkers,
+            ...(replayRun ? [{ time: replayTime, label: 'REPLAY', color: REPLAY_COLOR }] : [])
           ]}
+          series={CHART_SERIES}
           width={1140}
           height={220}
         />
       </div>
+
+      {comparisonOpen && (
+        <ComparisonPanel
+          variants={variants}
+          onVariantsChange={setVariants}
+          pidConfig={PID_CONFIG}
+          currentGains={pidGains}
+          duration={comparisonDuration}
+          durationOptions={COMPARISON_DURATION_OPTIONS}
+          onDurationChange={setComparisonDuration}
+          onRun={handleRunComparison}
+          comparison={comparison}
+          unit="°"
+          note={`Starts tilted ${(COMPARISON_INITIAL_THETA * 180 / Math.PI).toFixed(1)}° with disturbance: ${disturbanceType}`}
+          onClose={() => setComparisonOpen(false)}
+        />
+      )}
+
+      {bodeAnalysis && (
+        <BodePanel
+          analysis={bodeAnalysis}
+          note="Linearized about upright with the cart-centering feedback (20·x + 10·ẋ) in the plant; the ±50 N force limit is not modelled"
+          onClose={() => setBodeOpen(false)}
+        />
+      )}
+
+      {rootLocus && (
+        <RootLocusPanel
+          locus={rootLocus}
+          onGainChange={setLocusGain}
+          note="Linearized about upright with the cart-centering feedback (20·x + 10·ẋ) in the plant; the ±50 N force limit is not modelled"
+          onClose={() => setRootLocusOpen(false)}
+        />
+      )}
     </div>
   );
 };
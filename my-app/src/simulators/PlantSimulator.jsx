@@ -0,0 +1,790 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { DataChart, SimulationControls, ControlPanel, StatusDisplay, StepMetricsPanel, SystemParameters, IntegratorControls, ReplayControls, ComparisonPanel, PresetSelector, BodePanel, RootLocusPanel } from '../components';
+import { usePhysicsSimulation } from '../hooks/usePhysicsSimulation';
+import { useRunReplay } from '../hooks/useRunReplay';
+import { useGainProfiles } from '../hooks/useGainProfiles';
+import { createPIDController, createController, switchControllerForm, ANTI_WINDUP_MODES, CONTROLLER_FORMS } from '../utils/pidController';
+import { createIntegrator, INTEGRATORS } from '../utils/integrators';
+import { createStepResponseAnalyzer, getStepAnnotations } from '../utils/stepMetrics';
+import { getExportColumns, exportRun } from '../utils/runExport';
+import { createVariant, runComparison } from '../utils/comparison';
+import { readUrlNumber, readUrlGains } from '../utils/urlState';
+import { createRelayAutotuner, computeTuningGains, TUNING_RULES, AUTOTUNE_STATUS } from '../utils/autotune';
+import { analyzeLoop } from '../utils/frequencyResponse';
+import { computeRootLocus } from '../utils/rootLocus';
+import { createEnginePlant, readOutputs, checkFailure, getEquation, getOperatingPoint, getPlantTransferFunction } from '../plants/plant';
+import { colors, fonts, panelStyles, sliderStyles } from '../utils/styles';
+
+// Timestep options as multiples of the plant's own dt
+const TIME_STEP_MULTIPLES = [1, 5, 10, 20, 50];
+const RENDER_INTERVAL = 16;
+const CANVAS_WIDTH = 498;
+const CANVAS_HEIGHT = 330;
+
+// Replay playhead on the chart
+const REPLAY_COLOR = '#b794f4';
+
+// Buttons in the chart's bottom-left corner (CLEAR PLOT, EXPORT)
+const PLOT_BUTTON_STYLE = {
+  padding: '6px 12px',
+  fontSize: '10px',
+  fontWeight: '600',
+  borderRadius: '4px',
+  border: '1px solid rgba(100, 150, 200, 0.3)',
+  cursor: 'pointer',
+  background: 'rgba(45, 55, 72, 0.8)',
+  color: colors.text.secondary,
+  fontFamily: fonts.mono
+};
+
+// Comparison run lengths as multiples of the plant's chart interval
+const COMPARISON_DURATION_MULTIPLES = [100, 200, 400];
+// Span of the instant-run button, likewise
+const INSTANT_RUN_MULTIPLE = 1200;
+
+// Relay of ±20% of the input range around the control being applied; the
+// hysteresis band is half a setpoint notch, the smallest change the UI treats as real
+const AUTOTUNE_RELAY = { amplitudeFraction: 0.2, durationMultiple: 1000 };
+// Plant gains span several decades, so round to significant figures
+const roundGain = (value) => +value.toPrecision(3);
+
+const formatStep = (seconds) => (seconds >= 1 ? `${seconds} s` : `${+(seconds * 1000).toFixed(3)} ms`);
+const formatDuration = (seconds) => (seconds >= 120 ? `${+(seconds / 60).toFixed(1)} min` : `${+seconds.toFixed(2)} s`);
+
+/**
+ * Generic simulator for a plant module (see plants/plant.js)
+ * Builds the standard layout: selector/run controls, canvas, PID panel,
+ * parameter sliders and data chart, all driven by usePhysicsSimulation
+ *
+ * @param {Object} props
+ * @param {Object} props.plant - Plant definition from definePlant
+ * @param {Array} props.simulators - Simulator selector entries
+ * @param {string} props.activeSimulator - Selected simulator id
+ * @param {Function} props.onSimulatorChange - Called with the new simulator id
+ * @param {Object} props.urlState - Settings read from the URL hash (gains, target, plant params)
+ * @param {Function} props.onUrlStateChange - Called with the settings to write back to the hash
+ */
+const PlantSimulator = ({
+  plant,
+  simulators = [],
+  activeSimulator,
+  onSimulatorChange = () => {},
+  urlState = {},
+  onUrlStateChange = () => {}
+}) => {
+  const controlInput = plant.inputs[0];
+  const controlledOutput = plant.outputs[0];
+
+  const [controlMode, setControlMode] = useState('pid');
+  const [transferMarkers, setTransferMarkers] = useState([]);
+  const [manualInput, setManualInput] = useState(0);
+  const [pidGains, setPidGains] = useState(() => readUrlGains(urlState, plant.defaultGains, plant.gainRanges));
+  const [params, setParams] = useState(() => Object.fromEntries(
+    plant.params.map(param => [param.key, readUrlNumber(urlState, param.key, param.default, param)])
+  ));
+  const [setpoint, setSetpoint] = useState(() => readUrlNumber(urlState, 'target', plant.setpoint.default, plant.setpoint));
+  const [derivativeOnMeasurement, setDerivativeOnMeasurement] = useState(false);
+  const [antiWindup, setAntiWindup] = useState(ANTI_WINDUP_MODES.CLAMP);
+  const [controllerForm, setControllerForm] = useState(CONTROLLER_FORMS.POSITIONAL);
+  const [integrator, setIntegrator] = useState(INTEGRATORS.SEMI_IMPLICIT_EULER);
+  const [timeStep, setTimeStep] = useState(plant.dt);
+  const [timeOffset, setTimeOffset] = useState(0);
+  // Setpoint slider moves count as steps once they exceed half a slider notch
+  const [stepAnalyzer] = useState(() => createStepResponseAnalyzer({ threshold: plant.setpoint.step / 2 }));
+  const [comparisonOpen, setComparisonOpen] = useState(false);
+  const [variants, setVariants] = useState(() => [
+    createVariant(0, plant.defaultGains),
+    createVariant(1, { ...plant.defaultGains, kp: plant.defaultGains.kp * 2 })
+  ]);
+  const [comparisonDuration, setComparisonDuration] = useState(plant.plotInterval * COMPARISON_DURATION_MULTIPLES[1]);
+  const [comparison, setComparison] = useState(null);
+  const [bodeOpen, setBodeOpen] = useState(false);
+  const [rootLocusOpen, setRootLocusOpen] = useState(false);
+  const [locusGain, setLocusGain] = useState('kd');
+  const [tuningRule, setTuningRule] = useState(TUNING_RULES.ZIEGLER_NICHOLS);
+  const [autotuneRunning, setAutotuneRunning] = useState(false);
+  const [autotuneMessage, setAutotuneMessage] = useState('');
+
+  const gainProfiles = useGainProfiles(plant.id);
+
+  const canvasRef = useRef(null);
+  const pidController = useRef(createPIDController({ outputMin: controlInput.min, outputMax: controlInput.max }));
+  const autotunerRef = useRef(null);
+  const autotuneBiasRef = useRef(0);
+
+  const timeStepOptions = useMemo(() => TIME_STEP_MULTIPLES.map(multiple => {
+    const value = +(plant.dt * multiple).toPrecision(6);
+    return { value, label: formatStep(value) };
+  }), [plant]);
+
+  const comparisonDurationOptions = useMemo(() => COMPARISON_DURATION_MULTIPLES.map(multiple => {
+    const value = plant.plotInterval * multiple;
+    return { value, label: formatDuration(value) };
+  }), [plant]);
+
+  const integratorInstance = useMemo(() => createIntegrator(integrator), [integrator]);
+  const enginePlant = useMemo(
+    () => createEnginePlant(plant, params, integratorInstance),
+    [plant, params, integratorInstance]
+  );
+
+  // The plant linearized about its operating point
+  const loopPlant = useMemo(() => getPlantTransferFunction(plant, params), [plant, params]);
+  const linearizationNote = `Linearized about ${getOperatingPoint(plant, params).description}; ${controlInput.label.toLowerCase()} limits (${controlInput.min} to ${controlInput.max} ${controlInput.unit}) are not modelled`;
+
+  // Frequency response of the linearized loop, following the live gains
+  const bodeAnalysis = useMemo(() => (bodeOpen ? analyzeLoop({
+    plant: loopPlant,
+    gains: { ...pidGains, c: derivativeOnMeasurement ? 0 : 1 },
+    dt: timeStep
+  }) : null), [bodeOpen, loopPlant, pidGains, derivativeOnMeasurement, timeStep]);
+
+  // Closed-loop poles as one gain sweeps its slider range, with the live gains marked
+  const rootLocus = useMemo(() => (rootLocusOpen ? computeRootLocus({
+    plant: loopPlant,
+    gains: { ...pidGains, c: derivativeOnMeasurement ? 0 : 1 },
+    gain: locusGain,
+    maxGain: plant.gainRanges[`${locusGain}Max`],
+    dt: timeStep
+  }) : null), [rootLocusOpen, loopPlant, plant, pidGains, derivativeOnMeasurement, locusGain, timeStep]);
+
+  // Manual slider spans the input range as a 0–1 fraction
+  const manualValue = controlInput.min + manualInput * (controlInput.max - controlInput.min);
+
+  const chartSeries = useMemo(() => [
+    { channel: 'setpointHistory', label: `Setpoint (${controlledOutput.unit})`, color: '#00d4ff', sharedAxis: 'output' },
+    ...plant.outputs.map((output, index) => ({
+      channel: `${output.key}History`,
+      label: `${output.label} (${output.unit})`,
+      color: output.color,
+      sharedAxis: index === 0 ? 'output' : undefined
+    })),
+    { channel: 'controlHistory', label: `Control (${controlInput.unit})`, color: '#ffcc00', sharedAxis: 'control' },
+    { channel: 'controlCommandHistory', label: `Control cmd (${controlInput.unit})`, color: 'rgba(255, 204, 0, 0.35)', sharedAxis: 'control' }
+  ], [plant, controlledOutput, controlInput]);
+
+  // Chart channels plus the raw state, so exports carry everything replay needs
+  const exportColumns = useMemo(() => [
+    ...getExportColumns(chartSeries),
+    ...plant.states.map(({ key, label, unit }) => ({ key: `${key}StateHistory`, label: `${label} state (${unit})` }))
+  ], [plant, chartSeries]);
+
+  // Apply the relay result (or report why it failed) and hand control back to the PID
+  const finishAutotune = useCallback((measurement) => {
+    const tuner = autotunerRef.current;
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
+
+    const result = tuner.getResult();
+    if (!result) {
+      setAutotuneMessage(tuner.getMessage());
+      return;
+    }
+
+    const tuned = computeTuningGains(result.ku, result.tu, tuningRule);
+    const gains = { kp: roundGain(tuned.kp), ki: roundGain(tuned.ki), kd: roundGain(tuned.kd) };
+    setPidGains(gains);
+
+    // Seed the integral with the relay's bias so the new gains take over without a bump
+    pidController.current.trackTwoDOF(
+      autotuneBiasRef.current,
+      setpoint,
+      measurement,
+      { ...gains, c: derivativeOnMeasurement ? 0 : 1 },
+      timeStep
+    );
+    setAutotuneMessage(`${tuner.getMessage()} → Kp ${gains.kp}, Ki ${gains.ki}, Kd ${gains.kd}`);
+  }, [tuningRule, setpoint, derivativeOnMeasurement, timeStep]);
+
+  const controller = useCallback((state, dt) => {
+    const measurement = controlledOutput.value(state, params);
+    stepAnalyzer.update(state.time, setpoint, measurement);
+    const gains = { ...pidGains, c: derivativeOnMeasurement ? 0 : 1 };
+    const tuner = autotunerRef.current;
+    if (tuner) {
+      // Relay drives the plant; the PID tracks it so the handover is bumpless
+      const relay = tuner.step(setpoint, measurement, dt);
+      pidController.current.trackTwoDOF(relay, setpoint, measurement, gains, dt);
+      if (tuner.getStatus() !== AUTOTUNE_STATUS.RUNNING) finishAutotune(measurement);
+      return relay;
+    }
+    if (controlMode === 'pid') {
+      return pidController.current.computeTwoDOF(setpoint, measurement, gains, dt).output;
+    }
+    // Back-solve the PID integral while in manual so switching to auto is bumpless
+    pidController.current.trackTwoDOF(manualValue, setpoint, measurement, gains, dt);
+    return manualValue;
+  }, [controlledOutput, params, pidGains, derivativeOnMeasurement, controlMode, setpoint, manualValue, stepAnalyzer, finishAutotune]);
+
+  const record = useCallback((state, control) => {
+    const sample = {
+      setpointHistory: setpoint,
+      controlHistory: state.inputs[controlInput.key],
+      controlCommandHistory: control,
+      integralHistory: pidController.current.getState().integral
+    };
+    for (const [key, value] of Object.entries(readOutputs(plant, state, params))) {
+      sample[`${key}History`] = value;
+    }
+    // Full state too, so exported runs can be replayed on the canvas
+    for (const { key } of plant.states) {
+      sample[`${key}StateHistory`] = state[key];
+    }
+    return sample;
+  }, [plant, params, setpoint, controlInput]);
+
+  // scene overrides the live parameters and setpoint when drawing a replayed state
+  const render = useCallback((state, scene = { params, setpoint }) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+
+    plant.render(ctx, { state, inputs: state.inputs, params: scene.params, setpoint: scene.setpoint, width, height });
+
+    const failure = checkFailure(plant, state, scene.params);
+    if (failure) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(0, 0, width, height);
+      ctx.fillStyle = colors.danger;
+      ctx.font = 'bold 28px "JetBrains Mono", monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText(failure.toUpperCase(), width / 2, height / 2);
+    }
+  }, [plant, params, setpoint]);
+
+  // A plant failure ends a running relay test along with the run
+  const simulatedPlant = useMemo(() => ({
+    ...enginePlant,
+    step(state, control, dt) {
+      const stepFailure = enginePlant.step(state, control, dt);
+      if (stepFailure && autotunerRef.current) {
+        autotunerRef.current.abort(`Relay test stopped: ${stepFailure}`);
+        finishAutotune(controlledOutput.value(state, params));
+      }
+      return stepFailure;
+    }
+  }), [enginePlant, finishAutotune, controlledOutput, params]);
+
+  const simulation = usePhysicsSimulation({
+    dt: timeStep,
+    renderInterval: RENDER_INTERVAL,
+    timeScale: plant.timeScale,
+    plotInterval: plant.plotInterval,
+    retention: plant.plotRetention,
+    plant: simulatedPlant,
+    controller,
+    record,
+    onRender: render,
+    initialState: enginePlant.initialState
+  });
+  const { isRunning, setIsRunning, plotData, clearPlotData, telemetry, failure, engine, reset, runFor } = simulation;
+
+  const {
+    run: replayRun,
+    time: replayTime,
+    playing: replayPlaying,
+    speed: replaySpeed,
+    sample: replaySample,
+    error: replayError,
+    load: loadRun,
+    close: closeRun,
+    seek: seekReplay,
+    togglePlay: toggleReplay,
+    setSpeed: setReplaySpeed
+  } = useRunReplay({ columns: exportColumns, timeScale: plant.timeScale });
+
+  const resetSimulation = useCallback(() => {
+    reset(enginePlant.initialState);
+    pidController.current.reset();
+    integratorInstance.reset();
+    stepAnalyzer.reset();
+    autotunerRef.current = null;
+    setAutotuneRunning(false);
+    setTransferMarkers([]);
+    setTimeOffset(0);
+    setIsRunning(false);
+  }, [reset, enginePlant, integratorInstance, stepAnalyzer, setIsRunning]);
+
+  // Plants with setpointAt let the setpoint be dragged on the canvas
+  const setpointDragRef = useRef(false);
+  const setpointFromPointer = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * canvas.width;
+    const y = ((event.clientY - rect.top) / rect.height) * canvas.height;
+    const value = plant.setpointAt(x, y, { state: engine.getState(), params, width: canvas.width, height: canvas.height });
+    if (value === null) return false;
+    const { min, max, step } = plant.setpoint;
+    setSetpoint(Math.max(min, Math.min(max, Math.round(value / step) * step)));
+    return true;
+  };
+  const canvasHandlers = plant.setpointAt ? {
+    onMouseDown: (event) => {
+      if (event.button !== 0) return;
+      setpointDragRef.current = setpointFromPointer(event);
+    },
+    onMouseMove: (event) => {
+      if (setpointDragRef.current) setpointFromPointer(event);
+    },
+    onMouseUp: () => { setpointDragRef.current = false; },
+    onMouseLeave: () => { setpointDragRef.current = false; }
+  } : {};
+
+  // Redraw when idle so parameter and setpoint changes show immediately
+  useEffect(() => {
+    if (!isRunning && !replayRun) render(engine.getState());
+  }, [isRunning, render, engine, replayRun]);
+
+  // While stopped with a run loaded, the canvas shows the recorded state
+  useEffect(() => {
+    if (isRunning || !replaySample) return;
+    const state = Object.fromEntries(plant.states.map(({ key }) => [key, replaySample[`${key}StateHistory`]]));
+    state.inputs = { [controlInput.key]: replaySample.controlHistory };
+    const recordedParams = replayRun.simulator === plant.id && replayRun.settings ? replayRun.settings.plant : params;
+    render(state, { params: { ...params, ...recordedParams }, setpoint: replaySample.setpointHistory });
+  }, [isRunning, replaySample, replayRun, plant, controlInput, params, render]);
+
+  // Switch form mid-run by seeding the new controller from the old one's last output
+  const handleControllerFormChange = (form) => {
+    const measurement = controlledOutput.value(engine.getState(), params);
+    const gains = { ...pidGains, c: derivativeOnMeasurement ? 0 : 1 };
+    pidController.current = switchControllerForm(pidController.current, form, (next, output) =>
+      next.trackTwoDOF(output, setpoint, measurement, gains, timeStep));
+    setControllerForm(form);
+  };
+
+  useEffect(() => {
+    pidController.current.configure({ antiWindup });
+  }, [antiWindup]);
+
+  // Mirror the shareable configuration into the URL
+  useEffect(() => {
+    onUrlStateChange({ ...pidGains, target: setpoint, ...params });
+  }, [pidGains, setpoint, params, onUrlStateChange]);
+
+  const cancelAutotune = () => {
+    autotunerRef.current.abort();
+    finishAutotune(controlledOutput.value(engine.getState(), params));
+  };
+
+  const handleModeChange = (mode) => {
+    if (mode === controlMode) return;
+    if (autotunerRef.current) cancelAutotune();
+    setTransferMarkers(prev => [...prev, {
+      time: engine.getState().time - timeOffset,
+      label: mode === 'pid' ? 'AUTO' : 'MAN',
+      color: mode === 'pid' ? colors.success : colors.warning
+    }]);
+    setControlMode(mode);
+  };
+
+  const handleToggle = () => {
+    if (isRunning) {
+      setIsRunning(false);
+    } else {
+      if (replayPlaying) toggleReplay();
+      // Resume from a pause; only a fresh run or a failed one starts over
+      if (failure || engine.getState().time === 0) resetSimulation();
+      setIsRunning(true);
+    }
+  };
+
+  const handleAutotune = () => {
+    if (autotunerRef.current) {
+      cancelAutotune();
+      return;
+    }
+
+    if (replayPlaying) toggleReplay();
+    if (failure) resetSimulation();
+    // Keep bias ± amplitude inside the input limits
+    const amplitude = AUTOTUNE_RELAY.amplitudeFraction * (controlInput.max - controlInput.min);
+    const applied = engine.getState().inputs[controlInput.key];
+    autotuneBiasRef.current = Math.max(controlInput.min + amplitude, Math.min(controlInput.max - amplitude, applied));
+    autotunerRef.current = createRelayAutotuner({
+      amplitude,
+      bias: autotuneBiasRef.current,
+      hysteresis: plant.setpoint.step / 2,
+      maxDuration: plant.plotInterval * AUTOTUNE_RELAY.durationMultiple
+    });
+    setAutotuneRunning(true);
+    setAutotuneMessage('Relay test running…');
+    setIsRunning(true);
+  };
+
+  // Jump the run ahead without animating it, from a fresh start like START
+  const instantRunDuration = plant.plotInterval * INSTANT_RUN_MULTIPLE;
+  const handleRunInstantly = () => {
+    if (replayPlaying) toggleReplay();
+    if (failure || engine.getState().time === 0) resetSimulation();
+    runFor(instantRunDuration);
+  };
+
+  const handleLoadRun = (file) => {
+    setIsRunning(false);
+    loadRun(file);
+  };
+
+  const clearPlot = () => {
+    clearPlotData();
+    setTimeOffset(engine.getState().time);
+    setTransferMarkers([]);
+    stepAnalyzer.reset();
+  };
+
+  const latest = (key) => (plotData.timeHistory.length > 0 ? telemetry.latest(key) : undefined);
+  const latestControl = latest('controlHistory') ?? 0;
+  const controlSaturated = controlMode === 'pid' && latestControl !== latest('controlCommandHistory');
+
+  // Annotate the latest step on the first output series (series 0 is the setpoint)
+  const stepMetrics = stepAnalyzer.getCurrent();
+  const stepAnnotations = getStepAnnotations(
+    stepMetrics && { ...stepMetrics, startTime: stepMetrics.startTime - timeOffset, endTime: stepMetrics.endTime - timeOffset },
+    { seriesIndex: 1 }
+  );
+
+  // Download the recorded run with the settings that produced it
+  const handleExport = (format) => {
+    exportRun(format, {
+      simulator: plant.id,
+      settings: {
+        controlMode,
+        gains: pidGains,
+        derivativeOnMeasurement,
+        antiWindup,
+        controllerForm,
+        integrator,
+        timeStep,
+        plant: params,
+        setpoint: { mode: 'constant', value: setpoint, unit: controlledOutput.unit },
+        disturbance: null,
+        seed: null
+      },
+      snapshot: telemetry.snapshot(),
+      columns: exportColumns,
+      timeOrigin: timeOffset
+    });
+  };
+
+  // Every gain set starts from the initial state and sees the same step from
+  // the initial output to the current setpoint, a tenth of the way into the run
+  const comparisonStepTime = comparisonDuration / 10;
+  const comparisonStart = controlledOutput.value(enginePlant.initialState, params);
+  const comparisonSetpoint = (time) => (time < comparisonStepTime ? comparisonStart : setpoint);
+
+  const handleRunComparison = () => {
+    setComparison(runComparison({
+      variants,
+      duration: comparisonDuration,
+      dt: timeStep,
+      recordInterval: plant.plotInterval,
+      threshold: plant.setpoint.step / 2,
+      createRun: (variant) => {
+        const pid = createController(variant.controllerForm, {
+          outputMin: controlInput.min,
+          outputMax: controlInput.max,
+          antiWindup
+        });
+        const gains = { kp: variant.kp, ki: variant.ki, kd: variant.kd, c: derivativeOnMeasurement ? 0 : 1 };
+        return {
+          plant: createEnginePlant(plant, params, createIntegrator(integrator)),
+          controller: (state, dt) => pid.computeTwoDOF(
+            comparisonSetpoint(state.time), controlledOutput.value(state, params), gains, dt
+          ).output,
+          measure: (state) => ({ setpoint: comparisonSetpoint(state.time), measurement: controlledOutput.value(state, params) })
+        };
+      }
+    }));
+  };
+
+  const manualControls = (
+    <div style={{ padding: '10px 0' }}>
+      <h3 style={{ color: colors.text.secondary, fontSize: '12px', marginBottom: '15px', textAlign: 'center' }}>
+        {controlInput.label.toUpperCase()} CONTROL
+      </h3>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', flex: 1 }}>
+          <span style={{ color: colors.secondary, fontSize: '10px', marginBottom: '5px' }}>MAX</span>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={manualInput * 100}
+            onChange={e => setManualInput(Number(e.target.value) / 100)}
+            style={{
+              ...sliderStyles.base,
+              accentColor: colors.secondary,
+              writingMode: 'vertical-lr',
+              direction: 'rtl',
+              height: '120px',
+              width: '30px'
+            }}
+          />
+          <span style={{ color: colors.info, fontSize: '10px', marginTop: '5px' }}>MIN</span>
+        </div>
+        <div style={{ padding: '10px 15px', background: 'rgba(0, 0, 0, 0.3)', borderRadius: '6px', textAlign: 'center' }}>
+          <div style={{ color: colors.text.muted, fontSize: '10px', marginBottom: '3px' }}>{controlInput.label.toUpperCase()}</div>
+          <div style={{ color: colors.secondary, fontSize: '18px', fontWeight: 'bold' }}>
+            {manualValue.toFixed(1)} {controlInput.unit}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '20px', maxWidth: '1300px', margin: '0 auto' }}>
+      {/* Top Row: Left Panel + Simulation + Control Panel */}
+      <div style={{ display: 'flex', gap: '20px', width: '100%' }}>
+        {/* Left Button Panel */}
+        <div style={{ ...panelStyles.base, padding: '15px', display: 'flex', flexDirection: 'column', gap: '15px', width: '175px', flexShrink: 0 }}>
+          {/* Simulator Selector */}
+          <div>
+            <select
+              value={activeSimulator}
+              onChange={(e) => onSimulatorChange(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '8px 12px',
+                fontSize: '12px',
+                fontWeight: '600',
+                borderRadius: '5px',
+                border: '1px solid rgba(100, 150, 200, 0.3)',
+                background: 'rgba(45, 55, 72, 0.9)',
+                color: colors.text.primary,
+                fontFamily: fonts.mono,
+                cursor: 'pointer'
+              }}
+            >
+              {simulators.map(sim => (
+                <option key={sim.id} value={sim.id}>{sim.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Setpoint */}
+          <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px' }}>
+              <span style={{ color: colors.text.muted, fontSize: '11px' }}>SETPOINT</span>
+              <span style={{ color: colors.setpoint, fontSize: '12px', fontWeight: 'bold' }}>
+                {setpoint.toFixed(2)} {controlledOutput.unit}
+              </span>
+            </div>
+            <input
+              type="range"
+              min={plant.setpoint.min}
+              max={plant.setpoint.max}
+              step={plant.setpoint.step}
+              value={setpoint}
+              onChange={e => setSetpoint(Number(e.target.value))}
+              style={{ ...sliderStyles.base, accentColor: colors.setpoint }}
+            />
+          </div>
+
+          {/* Simulation Controls */}
+          <SimulationControls
+            isRunning={isRunning}
+            onToggle={handleToggle}
+            actions={[
+              { label: '↺ RESET', onClick: resetSimulation, variant: 'info' },
+              { label: `⏭ ${formatDuration(instantRunDuration)}`, onClick: handleRunInstantly, variant: 'ghost' }
+            ]}
+          />
+
+          {/* Integration method + timestep */}
+          <IntegratorControls
+            integrator={integrator}
+            onIntegratorChange={setIntegrator}
+            timeStep={timeStep}
+            onTimeStepChange={setTimeStep}
+            timeStepOptions={timeStepOptions}
+          />
+        </div>
+
+        {/* Simulation Window */}
+        <div style={{ ...panelStyles.base, padding: '15px', flex: 1 }}>
+          <canvas
+            ref={canvasRef}
+            width={CANVAS_WIDTH}
+            height={CANVAS_HEIGHT}
+            style={{ display: 'block', width: '100%', height: 'auto', borderRadius: '8px', cursor: plant.setpointAt ? 'grab' : undefined }}
+            {...canvasHandlers}
+          />
+        </div>
+
+        {/* Control Panel */}
+        <ControlPanel
+          controlMode={controlMode}
+          onModeChange={handleModeChange}
+          pidGains={pidGains}
+          onPidChange={(changes) => setPidGains(prev => ({ ...prev, ...changes }))}
+          pidConfig={plant.gainRanges}
+          onResetGains={() => setPidGains(plant.defaultGains)}
+          onAutotune={handleAutotune}
+          autotuneRunning={autotuneRunning}
+          tuningRule={tuningRule}
+          onTuningRuleChange={setTuningRule}
+          autotuneMessage={autotuneMessage}
+          presets={
+            <PresetSelector
+              presets={plant.presets}
+              profiles={gainProfiles.profiles}
+              gains={pidGains}
+              onApply={setPidGains}
+              onSave={(name) => gainProfiles.save(name, pidGains)}
+              onDelete={gainProfiles.remove}
+              onImport={gainProfiles.importFile}
+              onExport={gainProfiles.exportFile}
+              error={gainProfiles.error}
+            />
+          }
+          derivativeOnMeasurement={derivativeOnMeasurement}
+          onDerivativeOnMeasurementChange={setDerivativeOnMeasurement}
+          controllerForm={controllerForm}
+          onControllerFormChange={handleControllerFormChange}
+          antiWindup={antiWindup}
+          onAntiWindupChange={setAntiWindup}
+          accumulatedError={latest('integralHistory') ?? 0}
+          onResetError={() => pidController.current.resetIntegral()}
+          manualControls={manualControls}
+          statusDisplay={
+            <StatusDisplay items={[
+              ...plant.outputs.map(output => ({
+                label: output.label,
+                value: latest(`${output.key}History`) ?? '—',
+                unit: output.unit,
+                color: output.color
+              })),
+              { label: 'Setpoint', value: setpoint, unit: controlledOutput.unit, color: colors.setpoint },
+              {
+                label: controlSaturated ? `${controlInput.label} (saturated)` : controlInput.label,
+                value: latestControl,
+                unit: controlInput.unit,
+                color: controlSaturated ? colors.danger : colors.secondary
+              },
+              { label: 'Time', value: latest('timeHistory') ?? 0, unit: 's', color: colors.text.primary },
+              ...(failure ? [{ label: 'Status', value: failure, color: colors.danger }] : [])
+            ]} />
+          }
+          stepMetrics={<StepMetricsPanel metrics={stepMetrics} unit={controlledOutput.unit} />}
+        />
+      </div>
+
+      {/* Bottom Row: System Parameters + Data Tracking */}
+      <div style={{ display: 'flex', gap: '20px', width: '100%' }}>
+        <SystemParameters
+          equation={getEquation(plant, params)}
+          parameters={plant.params.map(param => ({
+            name: param.label,
+            value: params[param.key],
+            unit: param.unit,
+            min: param.min,
+            max: param.max,
+            step: param.step,
+            decimals: param.decimals,
+            editable: true,
+            onChange: (value) => setParams(prev => ({ ...prev, [param.key]: value }))
+          }))}
+        />
+
+        <div style={{ ...panelStyles.base, padding: '15px', flex: 1, position: 'relative' }}>
+          <div style={{ position: 'absolute', bottom: '20px', left: '20px', display: 'flex', gap: '6px', zIndex: 10 }}>
+            <button onClick={clearPlot} style={PLOT_BUTTON_STYLE}>
+              CLEAR PLOT
+            </button>
+            <button onClick={() => handleExport('csv')} style={PLOT_BUTTON_STYLE}>
+              EXPORT CSV
+            </button>
+            <button onClick={() => handleExport('json')} style={PLOT_BUTTON_STYLE}>
+              EXPORT JSON
+            </button>
+            <button
+              onClick={() => setComparisonOpen(prev => !prev)}
+              style={{ ...PLOT_BUTTON_STYLE, ...(comparisonOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+            >
+              COMPARE
+            </button>
+            <button
+              onClick={() => setBodeOpen(prev => !prev)}
+              style={{ ...PLOT_BUTTON_STYLE, ...(bodeOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+            >
+              BODE
+            </button>
+            <button
+              onClick={() => setRootLocusOpen(prev => !prev)}
+              style={{ ...PLOT_BUTTON_STYLE, ...(rootLocusOpen ? { color: colors.info, borderColor: colors.info } : {}) }}
+            >
+              ROOT LOCUS
+            </button>
+          </div>
+          <ReplayControls
+            run={replayRun}
+            simulator={plant.id}
+            time={replayTime}
+            playing={replayPlaying}
+            speed={replaySpeed}
+            error={replayError}
+            onLoad={handleLoadRun}
+            onTogglePlay={toggleReplay}
+            onSeek={seekReplay}
+            onSpeedChange={setReplaySpeed}
+            onClose={closeRun}
+          />
+          <DataChart
+            telemetry={telemetry}
+            timeOrigin={timeOffset}
+            ghost={replayRun ? replayRun.data : null}
+            markers={[
+              ...transferMarkers,
+              ...stepAnnotations.markers,
+              ...(replayRun ? [{ time: replayTime, label: 'REPLAY', color: REPLAY_COLOR }] : [])
+            ]}
+            bands={stepAnnotations.bands}
+            series={chartSeries}
+            width={820}
+            height={260}
+          />
+        </div>
+      </div>
+
+      {comparisonOpen && (
+        <ComparisonPanel
+          variants={variants}
+          onVariantsChange={setVariants}
+          pidConfig={plant.gainRanges}
+          currentGains={pidGains}
+          duration={comparisonDuration}
+          durationOptions={comparisonDurationOptions}
+          onDurationChange={setComparisonDuration}
+          onRun={handleRunComparison}
+          comparison={comparison}
+          unit={controlledOutput.unit}
+          note={`Setpoint steps from ${comparisonStart.toFixed(2)} to ${setpoint.toFixed(2)} ${controlledOutput.unit} at ${formatDuration(comparisonStepTime)}`}
+          onClose={() => setComparisonOpen(false)}
+        />
+      )}
+
+      {bodeAnalysis && (
+        <BodePanel
+          analysis={bodeAnalysis}
+          note={linearizationNote}
+          onClose={() => setBodeOpen(false)}
+        />
+      )}
+
+      {rootLocus && (
+        <RootLocusPanel
+          locus={rootLocus}
+          onGainChange={setLocusGain}
+          note={linearizationNote}
+          onClose={() => setRootLocusOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PlantSimulator;
@@ -4,3 +4,4 @@ export { default as InvertedPendulumStandaloneSimulator } from './InvertedPendul
 export { default as DroneAltitudeSimulator } from './DroneAltitude';
 export { default as DroneAltitudeStandaloneSimulator } from './DroneAltitudeStandalone';
 export { default as HotTubSimulator } from './HotTub';
+export { default as PlantSimulator } from './PlantSimulator';
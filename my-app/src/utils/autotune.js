@@ -0,0 +1,247 @@
+/**
+ * Relay-feedback autotuner (Åström–Hägglund)
+ * Replaces the PID with a relay to find the ultimate gain Ku and period Tu
+ * from the limit cycle, then proposes gains from a classic tuning rule
+ */
+
+/**
+ * Tuning rules accepted by computeTuningGains
+ * - ZIEGLER_NICHOLS: classic quarter-decay PID
+ * - TYREUS_LUYBEN: more conservative, less overshoot
+ * - PESSEN: Pessen integral rule, aggressive with fast disturbance rejection
+ */
+export const TUNING_RULES = {
+  ZIEGLER_NICHOLS: 'zieglerNichols',
+  TYREUS_LUYBEN: 'tyreusLuyben',
+  PESSEN: 'pessen'
+};
+
+/**
+ * Autotuner lifecycle
+ */
+export const AUTOTUNE_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Kp as a fraction of Ku, Ti and Td as fractions of Tu
+const RULE_COEFFICIENTS = {
+  [TUNING_RULES.ZIEGLER_NICHOLS]: { kp: 0.6, ti: 0.5, td: 0.125 },
+  [TUNING_RULES.TYREUS_LUYBEN]: { kp: 0.45, ti: 2.2, td: 1 / 6.3 },
+  [TUNING_RULES.PESSEN]: { kp: 0.7, ti: 0.4, td: 0.15 }
+};
+
+/**
+ * Convert an ultimate gain and period into parallel-form PID gains
+ * @param {number} ku - Ultimate gain
+ * @param {number} tu - Ultimate period in seconds
+ * @param {string} rule - One of TUNING_RULES (default: ZIEGLER_NICHOLS)
+ * @returns {Object} { kp, ki, kd }
+ */
+export function computeTuningGains(ku, tu, rule = TUNING_RULES.ZIEGLER_NICHOLS) {
+  const coefficients = RULE_COEFFICIENTS[rule] || RULE_COEFFICIENTS[TUNING_RULES.ZIEGLER_NICHOLS];
+  const kp = coefficients.kp * ku;
+  const ti = coefficients.ti * tu;
+  const td = coefficients.td * tu;
+
+  return {
+    kp,
+    ki: kp / ti,
+    kd: kp * td
+  };
+}
+
+/**
+ * Create a relay experiment
+ * The relay output switches between bias ± amplitude whenever the error leaves
+ * the hysteresis band. Each rising switch closes one cycle; the first
+ * discardCycles are ignored while the oscillation settles. The result is only
+ * accepted once the last `cycles` periods and amplitudes agree within
+ * `tolerance`; a growing, decaying or chattering oscillation fails instead.
+ *
+ * @param {Object} config - Experiment configuration
+ * @param {number} config.amplitude - Relay amplitude d in output units (default: 1)
+ * @param {number} config.bias - Output the relay oscillates around (default: 0)
+ * @param {number} config.hysteresis - Error band ε that must be crossed to switch (default: 0)
+ * @param {number} config.cycles - Consecutive cycles that must agree, then averaged (default: 3)
+ * @param {number} config.tolerance - Allowed spread of those cycles, (max − min) / mean (default: 0.05)
+ * @param {number} config.discardCycles - Initial cycles to ignore (default: 1)
+ * @param {number} config.maxCycles - Give up after this many measured cycles (default: 12)
+ * @param {number} config.minPeriodSteps - Shorter periods, in time steps, count as chattering (default: 10)
+ * @param {number} config.maxDuration - Give up after this many seconds (default: 60)
+ * @returns {Object} Autotuner with step, abort and result accessors
+ */
+export function createRelayAutotuner(config = {}) {
+  const settings = {
+    amplitude: 1,
+    bias: 0,
+    hysteresis: 0,
+    cycles: 3,
+    tolerance: 0.05,
+    discardCycles: 1,
+    maxCycles: 12,
+    minPeriodSteps: 10,
+    maxDuration: 60,
+    ...config
+  };
+
+  const state = {
+    status: AUTOTUNE_STATUS.RUNNING,
+    message: '',
+    time: 0,
+    initialized: false,
+    relayHigh: true,
+    output: settings.bias,
+    lastRisingTime: null,
+    cycleCount: 0,
+    peakMax: -Infinity,
+    peakMin: Infinity,
+    periods: [],
+    amplitudes: [],
+    result: null
+  };
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const spread = (values) => (Math.max(...values) - Math.min(...values)) / mean(values);
+  const lastCycles = (values) => values.slice(-settings.cycles);
+
+  const fail = (message) => {
+    state.status = AUTOTUNE_STATUS.FAILED;
+    state.message = message;
+  };
+
+  const finish = () => {
+    const tu = mean(lastCycles(state.periods));
+    const a = mean(lastCycles(state.amplitudes));
+    const eps = settings.hysteresis;
+
+    // With hysteresis the relay finds the point where the phase is −180° + asin(ε/a); once
+    // a < 2ε that is more than 30° short, so the band rather than the plant set the cycle
+    if (!(a > 2 * eps) || !(tu > 0)) {
+      fail(`Oscillation barely leaves the hysteresis band (amplitude ${a.toPrecision(3)}, band ${eps}): no phase crossover found, so there is no Ku`);
+      return;
+    }
+
+    // Describing function of a relay with hysteresis: N(a) = 4d / (π·√(a² − ε²))
+    const ku = (4 * settings.amplitude) / (Math.PI * Math.sqrt(a * a - eps * eps));
+    state.result = { ku, tu, amplitude: a };
+    state.status = AUTOTUNE_STATUS.DONE;
+    state.message = `Ku = ${ku.toPrecision(3)}, Tu = ${tu.toPrecision(3)} s`;
+  };
+
+  const isSettled = () => state.periods.length >= settings.cycles &&
+    spread(lastCycles(state.periods)) <= settings.tolerance &&
+    spread(lastCycles(state.amplitudes)) <= settings.tolerance;
+
+  // Why the cycles measured so far don't form a limit cycle
+  const unsettledReason = () => {
+    if (state.amplitudes.length === 0) {
+      return `Relay completed no cycle in ${state.time.toFixed(1)} s: the plant may have no phase crossover, or the relay is too weak to move it`;
+    }
+    if (state.amplitudes.length < settings.cycles) {
+      return `Only ${state.amplitudes.length} of ${settings.cycles} cycles measured in ${state.time.toFixed(1)} s (period ≈ ${state.periods[state.periods.length - 1].toPrecision(3)} s)`;
+    }
+    const amplitudes = lastCycles(state.amplitudes);
+    const first = amplitudes[0];
+    const last = amplitudes[amplitudes.length - 1];
+    const range = `${first.toPrecision(3)} → ${last.toPrecision(3)}`;
+    if (last > first * (1 + settings.tolerance)) {
+      return `Oscillation is diverging (amplitude ${range}): no limit cycle, so no Ku to measure`;
+    }
+    if (last < first * (1 - settings.tolerance)) {
+      return `Oscillation is decaying (amplitude ${range}): no sustained limit cycle`;
+    }
+    const periods = lastCycles(state.periods);
+    return `Periods did not settle (${Math.min(...periods).toPrecision(3)}–${Math.max(...periods).toPrecision(3)} s)`;
+  };
+
+  const recordCycle = (period, amplitude, dt) => {
+    // A relay on a plant without a −180° phase crossover only switches as fast as the
+    // sampling allows, so a period of a few steps says nothing about the plant
+    if (period < settings.minPeriodSteps * dt) {
+      fail(`Relay is chattering (period ${period.toPrecision(3)} s): the plant has no phase crossover, so there is no Ku to find`);
+      return;
+    }
+
+    state.periods.push(period);
+    state.amplitudes.push(amplitude);
+
+    if (isSettled()) {
+      finish();
+    } else if (state.periods.length >= settings.maxCycles) {
+      fail(unsettledReason());
+    }
+  };
+
+  /**
+   * Advance the experiment one step
+   * @param {number} setpoint - Reference the relay oscillates around
+   * @param {number} measurement - Current process variable
+   * @param {number} dt - Time step in seconds
+   * @returns {number} Relay output to apply to the plant
+   */
+  const step = (setpoint, measurement, dt) => {
+    if (state.status !== AUTOTUNE_STATUS.RUNNING) return state.output;
+
+    const error = setpoint - measurement;
+    state.time += dt;
+
+    if (!state.initialized) {
+      state.relayHigh = error >= 0;
+      state.initialized = true;
+    }
+
+    state.peakMax = Math.max(state.peakMax, measurement);
+    state.peakMin = Math.min(state.peakMin, measurement);
+
+    if (state.relayHigh && error < -settings.hysteresis) {
+      state.relayHigh = false;
+    } else if (!state.relayHigh && error > settings.hysteresis) {
+      state.relayHigh = true;
+
+      if (state.lastRisingTime !== null) {
+        state.cycleCount += 1;
+        if (state.cycleCount > settings.discardCycles) {
+          recordCycle(state.time - state.lastRisingTime, (state.peakMax - state.peakMin) / 2, dt);
+        }
+      }
+      state.lastRisingTime = state.time;
+      state.peakMax = measurement;
+      state.peakMin = measurement;
+    }
+
+    if (state.status === AUTOTUNE_STATUS.RUNNING && state.time >= settings.maxDuration) {
+      fail(unsettledReason());
+    }
+
+    state.output = settings.bias + (state.relayHigh ? settings.amplitude : -settings.amplitude);
+    return state.output;
+  };
+
+  /**
+   * Stop the experiment early (e.g. the plant crashed or the user cancelled)
+   * @param {string} message - Reason shown to the user
+   */
+  const abort = (message = 'Cancelled') => {
+    if (state.status !== AUTOTUNE_STATUS.RUNNING) return;
+    fail(message);
+  };
+
+  return {
+    step,
+    abort,
+    getStatus: () => state.status,
+    getMessage: () => state.message,
+    getResult: () => state.result,
+    getState: () => ({ ...state, periods: [...state.periods], amplitudes: [...state.amplitudes] })
+  };
+}
+
+export default {
+  computeTuningGains,
+  createRelayAutotuner,
+  TUNING_RULES,
+  AUTOTUNE_STATUS
+};
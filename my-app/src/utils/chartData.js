@@ -0,0 +1,121 @@
+/**
+ * Chart data helpers
+ * Work on plain arrays and typed arrays alike, without spreading values into
+ * Math.min/Math.max (which overflows the call stack on long histories)
+ */
+
+/**
+ * Min and max over one or more value arrays, skipping NaN
+ * @param {...Array} arrays - Value arrays (missing ones are ignored)
+ * @returns {Object} { min, max }, both Infinity/-Infinity when there are no values
+ */
+export function getRange(...arrays) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const values of arrays) {
+    if (!values) continue;
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * SVG polyline points for a series, decimated to at most maxPoints
+ * Long histories are split into buckets that each contribute their min and max
+ * sample, so peaks survive the decimation.
+ *
+ * @param {Array} times - X values
+ * @param {Array} values - Y values (NaN samples are skipped)
+ * @param {Function} toX - Maps a time to an x pixel
+ * @param {Function} toY - Maps a value to a y pixel
+ * @param {number} maxPoints - Point budget, e.g. twice the plot width in pixels
+ * @returns {string} "x,y x,y …"
+ */
+export function buildPolylinePoints(times, values, toX, toY, maxPoints) {
+  const count = Math.min(times.length, values.length);
+  const points = [];
+  const addPoint = (i) => {
+    if (!Number.isNaN(values[i])) points.push(`${toX(times[i])},${toY(values[i])}`);
+  };
+
+  if (count <= maxPoints) {
+    for (let i = 0; i < count; i++) addPoint(i);
+    return points.join(' ');
+  }
+
+  const bucketSize = count / Math.max(1, Math.floor(maxPoints / 2));
+  for (let start = 0; start < count; start += bucketSize) {
+    const end = Math.min(count, Math.floor(start + bucketSize));
+    let minIndex = Math.floor(start);
+    let maxIndex = minIndex;
+    for (let i = minIndex + 1; i < end; i++) {
+      if (values[i] < values[minIndex]) minIndex = i;
+      if (values[i] > values[maxIndex]) maxIndex = i;
+    }
+    addPoint(Math.min(minIndex, maxIndex));
+    if (minIndex !== maxIndex) addPoint(Math.max(minIndex, maxIndex));
+  }
+  return points.join(' ');
+}
+
+/**
+ * First index whose time is >= target (times must be ascending)
+ * @returns {number} Index in [0, times.length]
+ */
+export function lowerBound(times, target) {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (times[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Index of the sample closest in time to target
+ * @returns {number} Index, or -1 when times is empty
+ */
+export function nearestIndex(times, target) {
+  if (times.length === 0) return -1;
+  const index = lowerBound(times, target);
+  if (index === 0) return 0;
+  if (index === times.length) return times.length - 1;
+  return target - times[index - 1] <= times[index] - target ? index - 1 : index;
+}
+
+/**
+ * Index span covering [min, max] plus one sample either side, so lines run
+ * to the plot edges when zoomed in
+ * @returns {Object} { start, end } with end exclusive
+ */
+export function visibleSpan(times, min, max) {
+  return {
+    start: Math.max(0, lowerBound(times, min) - 1),
+    end: Math.min(times.length, lowerBound(times, max) + 1)
+  };
+}
+
+/**
+ * Narrow value bounds to a fractional view, e.g. { from: 0.25, to: 0.75 }
+ * keeps the middle half of the range
+ * @returns {Object} { min, max }
+ */
+export function applyFractionView(bounds, view) {
+  const span = bounds.max - bounds.min;
+  return { min: bounds.min + view.from * span, max: bounds.min + view.to * span };
+}
+
+export default {
+  getRange,
+  applyFractionView,
+  buildPolylinePoints,
+  lowerBound,
+  nearestIndex,
+  visibleSpan
+};
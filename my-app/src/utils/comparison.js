@@ -0,0 +1,130 @@
+/**
+ * Gain-set comparison
+ * Runs the same plant, setpoint profile and disturbances under 2–4 controller
+ * variants in lockstep and collects their traces and step metrics
+ */
+import { createSimulationEngine } from './simulationEngine';
+import { createTelemetryStore } from './telemetry';
+import { createStepResponseAnalyzer } from './stepMetrics';
+import { CONTROLLER_FORMS } from './pidController';
+
+export const MIN_VARIANTS = 2;
+export const MAX_VARIANTS = 4;
+
+/**
+ * Per-variant line styles for overlaid traces
+ */
+export const COMPARISON_STYLES = [
+  { color: '#00ff88', dash: null },
+  { color: '#ffcc00', dash: '8 4' },
+  { color: '#ff6b9d', dash: '2 3' },
+  { color: '#63b3ed', dash: '10 3 2 3' }
+];
+
+/**
+ * Telemetry channel holding a variant's measured trace
+ */
+export const variantChannel = (index) => `variant${index}History`;
+
+/**
+ * A gain set to compare
+ * @param {number} index - Position in the list (names it A, B, C…)
+ * @param {Object} gains - { kp, ki, kd }
+ * @param {string} controllerForm - One of CONTROLLER_FORMS
+ * @returns {Object} { label, kp, ki, kd, controllerForm }
+ */
+export function createVariant(index, gains, controllerForm = CONTROLLER_FORMS.POSITIONAL) {
+  return {
+    label: `Set ${String.fromCharCode(65 + index)}`,
+    kp: gains.kp,
+    ki: gains.ki,
+    kd: gains.kd,
+    controllerForm
+  };
+}
+
+/**
+ * Run every variant over the same horizon
+ * createRun builds a fresh plant and controller for one variant; measure
+ * reads the setpoint and controlled variable from that plant's state.
+ *
+ * @param {Object} config - Comparison configuration
+ * @param {Array} config.variants - Variants from createVariant
+ * @param {Function} config.createRun - variant => { plant, controller, measure(state) => { setpoint, measurement } }
+ * @param {number} config.duration - Simulated seconds per variant
+ * @param {number} config.dt - Physics timestep in seconds
+ * @param {number} config.recordInterval - Simulated seconds between chart samples
+ * @param {number} config.threshold - Smallest setpoint jump treated as a step (default: 1e-6)
+ * @returns {Object} { telemetry, results: [{ variant, failure, failureTime, step, iae, ise, itae }] }
+ */
+export function runComparison({ variants, createRun, duration, dt, recordInterval, threshold = 1e-6 }) {
+  const telemetry = createTelemetryStore({
+    channels: ['setpointHistory', ...variants.map((_, index) => variantChannel(index))],
+    capacity: Math.ceil(duration / recordInterval) + 2
+  });
+
+  const runs = variants.map((variant) => {
+    const { plant, controller, measure } = createRun(variant);
+    return {
+      variant,
+      measure,
+      engine: createSimulationEngine({ plant, controller, dt }),
+      analyzer: createStepResponseAnalyzer({ threshold }),
+      failureTime: null,
+      iae: 0,
+      ise: 0,
+      itae: 0
+    };
+  });
+
+  const steps = Math.round(duration / dt);
+  let nextRecordTime = 0;
+  for (let i = 0; i <= steps; i++) {
+    const time = i * dt;
+    const readings = runs.map(run => run.measure(run.engine.getState()));
+
+    // Half-step tolerance so floating-point time doesn't skip samples
+    if (time >= nextRecordTime - dt / 2) {
+      const sample = { setpointHistory: readings[0].setpoint };
+      runs.forEach((run, index) => {
+        sample[variantChannel(index)] = run.engine.getFailure() ? NaN : readings[index].measurement;
+      });
+      telemetry.push(time, sample);
+      nextRecordTime += recordInterval;
+    }
+    if (i === steps) break;
+
+    runs.forEach((run, index) => {
+      if (run.engine.getFailure()) return;
+      const { setpoint, measurement } = readings[index];
+      const error = Math.abs(setpoint - measurement);
+      run.analyzer.update(time, setpoint, measurement);
+      run.iae += error * dt;
+      run.ise += error * error * dt;
+      run.itae += time * error * dt;
+      if (run.engine.step().failure) run.failureTime = time + dt;
+    });
+  }
+
+  return {
+    telemetry,
+    results: runs.map(run => ({
+      variant: run.variant,
+      failure: run.engine.getFailure(),
+      failureTime: run.failureTime,
+      step: run.analyzer.getSteps()[0] ?? null,
+      iae: run.iae,
+      ise: run.ise,
+      itae: run.itae
+    }))
+  };
+}
+
+export default {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  COMPARISON_STYLES,
+  variantChannel,
+  createVariant,
+  runComparison
+};
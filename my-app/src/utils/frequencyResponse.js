@@ -0,0 +1,212 @@
+/**
+ * Frequency response analysis
+ * Bode data for a PID loop around a linear plant model G(s): the open loop
+ * L = C·G, the closed loop T = F·G / (1 + L) from setpoint to output (F is the
+ * controller as the setpoint sees it), gain and phase margins, bandwidth and
+ * closed-loop stability. The controller is treated as continuous, so the view
+ * stops at the Nyquist frequency of the simulation timestep.
+ */
+import {
+  complex,
+  complexDiv,
+  complexAbs,
+  complexArg,
+  multiplyPolynomials,
+  originRootCount,
+  removeOriginRoots,
+  evaluatePolynomial,
+  polynomialRoots,
+  realPartSign,
+  pidTransferFunction,
+  closeLoop
+} from './transferFunction';
+
+const DEFAULT_POINTS = 300;
+// Roots closer to the origin than this (rad/s) are integrators, not corners
+const MIN_FREQUENCY = 1e-7;
+// Spans up to this many decades get a tick per decade
+export const MAX_TICKED_DECADES = 6;
+// Magnitudes of exactly zero (all gains 0) are drawn at this floor
+const MIN_DB = -200;
+// A closed loop whose low-frequency gain is below this is not low-pass and has no bandwidth
+const MIN_PASSBAND_DB = -20;
+
+const toDb = (value) => Math.max(MIN_DB, 20 * Math.log10(value));
+
+/**
+ * Log-spaced frequency grid covering the loop's dynamics
+ * Spans whole decades from one below the slowest pole, zero or crossover to
+ * one above the fastest, capped at the Nyquist frequency π/dt.
+ *
+ * @param {Array} frequencies - Characteristic frequencies in rad/s
+ * @param {number} dt - Controller timestep in seconds
+ * @param {number} points - Grid size
+ * @returns {Object} { frequencies, minDecade, maxDecade }
+ */
+export function createFrequencyGrid(frequencies, dt, points = DEFAULT_POINTS) {
+  const corners = frequencies.filter(value => Number.isFinite(value) && value > MIN_FREQUENCY);
+  const nyquistDecade = Math.floor(Math.log10(Math.PI / dt));
+  const maxDecade = Math.min(nyquistDecade, corners.length ? Math.ceil(Math.log10(Math.max(...corners))) + 1 : 2);
+  let minDecade = Math.min(maxDecade - 2, corners.length ? Math.floor(Math.log10(Math.min(...corners))) - 1 : -2);
+  // Wide spans get a tick every other decade, so keep them even
+  if (maxDecade - minDecade > MAX_TICKED_DECADES && (maxDecade - minDecade) % 2 === 1) minDecade -= 1;
+
+  return {
+    minDecade,
+    maxDecade,
+    frequencies: Array.from({ length: points }, (_, i) => 10 ** (minDecade + ((maxDecade - minDecade) * i) / (points - 1)))
+  };
+}
+
+/**
+ * Unwrap phases in degrees; the first sample takes the branch nearest
+ * startPhase so e.g. a triple integrator reads −270° rather than +90°
+ */
+const unwrapPhase = (phases, startPhase) => {
+  const unwrapped = [];
+  let offset = Math.round((startPhase - phases[0]) / 360) * 360;
+  phases.forEach((phase, i) => {
+    if (i > 0) {
+      const jump = phase + offset - unwrapped[i - 1];
+      offset -= Math.round(jump / 360) * 360;
+    }
+    unwrapped.push(phase + offset);
+  });
+  return unwrapped;
+};
+
+/**
+ * Magnitude (dB) and unwrapped phase (°) of a transfer function over a grid
+ * The phase starts near −90° per pole at the origin, read from the
+ * low-frequency magnitude slope.
+ */
+const bode = (num, den, frequencies) => {
+  const values = frequencies.map(omega => {
+    const s = complex(0, omega);
+    return complexDiv(evaluatePolynomial(num, s), evaluatePolynomial(den, s));
+  });
+  const magnitude = values.map(value => toDb(complexAbs(value)));
+  const slope = (magnitude[1] - magnitude[0]) / Math.log10(frequencies[1] / frequencies[0]);
+  const phase = unwrapPhase(values.map(value => complexArg(value) * 180 / Math.PI), -90 * Math.round(-slope / 20));
+  return { magnitude, phase };
+};
+
+// Interpolate between grid points i and i + 1 at fraction t, in log frequency
+const interpolateFrequency = (frequencies, i, t) => frequencies[i] * (frequencies[i + 1] / frequencies[i]) ** t;
+
+/**
+ * Gain and phase margins of an open loop, each taken at the crossover closest
+ * to instability when there are several
+ * A phase crossover above 0 dB (conditionally stable loops, e.g. a double
+ * integrator under PID) is how far the gain may fall, not rise, so it is
+ * reported apart as the lower gain margin, in negative dB.
+ * @returns {Object} { gainMargin, lowerGainMargin, phaseMargin }, each { value, frequency }
+ *   (value Infinity without a crossover)
+ */
+const stabilityMargins = (frequencies, { magnitude, phase }) => {
+  let gainMargin = { value: Infinity, frequency: null };
+  let lowerGainMargin = { value: -Infinity, frequency: null };
+  let phaseMargin = { value: Infinity, frequency: null };
+
+  for (let i = 0; i < frequencies.length - 1; i++) {
+    // Gain crossover: |L| passes 0 dB
+    if ((magnitude[i] > 0) !== (magnitude[i + 1] > 0)) {
+      const t = magnitude[i] / (magnitude[i] - magnitude[i + 1]);
+      const crossingPhase = phase[i] + t * (phase[i + 1] - phase[i]);
+      const margin = ((((crossingPhase + 180) % 360) + 540) % 360) - 180;
+      if (Math.abs(margin) < Math.abs(phaseMargin.value)) {
+        phaseMargin = { value: margin, frequency: interpolateFrequency(frequencies, i, t) };
+      }
+    }
+
+    // Phase crossover: the phase passes −180° (mod 360°)
+    const turnA = Math.floor((phase[i] + 180) / 360);
+    const turnB = Math.floor((phase[i + 1] + 180) / 360);
+    if (turnA !== turnB) {
+      const target = 360 * Math.max(turnA, turnB) - 180;
+      const t = (target - phase[i]) / (phase[i + 1] - phase[i]);
+      const margin = -(magnitude[i] + t * (magnitude[i + 1] - magnitude[i]));
+      if (margin >= 0 && margin < gainMargin.value) {
+        gainMargin = { value: margin, frequency: interpolateFrequency(frequencies, i, t) };
+      } else if (margin < 0 && margin > lowerGainMargin.value) {
+        lowerGainMargin = { value: margin, frequency: interpolateFrequency(frequencies, i, t) };
+      }
+    }
+  }
+
+  return { gainMargin, lowerGainMargin, phaseMargin };
+};
+
+/**
+ * First frequency where the closed loop falls 3 dB below its low-frequency gain
+ * @returns {number|null} rad/s; Infinity if it stays within 3 dB over the grid,
+ * null if the loop does not pass low frequencies at all (no bandwidth to speak of)
+ */
+const closedLoopBandwidth = (frequencies, magnitude) => {
+  if (magnitude[0] < MIN_PASSBAND_DB) return null;
+  const limit = magnitude[0] - 3;
+  const index = magnitude.findIndex(value => value < limit);
+  if (index <= 0) return Infinity;
+  const t = (magnitude[index - 1] - limit) / (magnitude[index - 1] - magnitude[index]);
+  return interpolateFrequency(frequencies, index - 1, t);
+};
+
+const countUnstable = (roots) => roots.filter(root => realPartSign(root) > 0).length;
+
+/**
+ * Analyze a PID loop around a linear plant
+ *
+ * @param {Object} config - Analysis configuration
+ * @param {Object} config.plant - { num, den } plant transfer function
+ * @param {Object} config.gains - { kp, ki, kd, b?, c? }
+ * @param {Object} config.filter - Derivative filter settings (see derivativeLag)
+ * @param {number} config.dt - Controller timestep in seconds
+ * @param {number} config.points - Frequencies in the grid (default: 300)
+ * @returns {Object} { frequencies, minDecade, maxDecade, openLoop, closedLoop, gainMargin, lowerGainMargin, phaseMargin, bandwidth,
+ *   openLoopUnstable, closedLoopUnstable, closedLoopMarginal } (the last three count poles)
+ */
+export function analyzeLoop({ plant, gains, filter = {}, dt, points = DEFAULT_POINTS }) {
+  const controller = pidTransferFunction(gains, { ...filter, dt });
+  const { num: openNum, den: openDen, characteristic, cancelled } = closeLoop(plant, controller);
+  const setpointNum = multiplyPolynomials(controller.setpointNum, plant.num);
+
+  const openPoles = polynomialRoots(plant.den);
+  const closedPoles = polynomialRoots(characteristic);
+  const characteristicFrequencies = [...polynomialRoots(openNum), ...polynomialRoots(openDen), ...closedPoles]
+    .map(root => Math.hypot(root.re, root.im));
+
+  const grid = createFrequencyGrid(characteristicFrequencies, dt, points);
+  const openLoop = bode(openNum, openDen, grid.frequencies);
+  const closedLoop = bode(
+    removeOriginRoots(setpointNum, Math.min(cancelled, originRootCount(setpointNum))),
+    characteristic,
+    grid.frequencies
+  );
+
+  return {
+    ...grid,
+    openLoop,
+    closedLoop,
+    ...stabilityMargins(grid.frequencies, openLoop),
+    bandwidth: closedLoopBandwidth(grid.frequencies, closedLoop.magnitude),
+    openLoopUnstable: countUnstable(openPoles),
+    closedLoopUnstable: countUnstable(closedPoles),
+    closedLoopMarginal: closedPoles.filter(root => realPartSign(root) === 0).length
+  };
+}
+
+/**
+ * Frequency in rad/s with an SI-style precision
+ */
+export function formatFrequency(omega) {
+  if (omega === null || !Number.isFinite(omega)) return '—';
+  if (omega >= 100) return omega.toFixed(0);
+  return String(+omega.toPrecision(2));
+}
+
+export default {
+  MAX_TICKED_DECADES,
+  createFrequencyGrid,
+  analyzeLoop,
+  formatFrequency
+};
@@ -0,0 +1,134 @@
+/**
+ * Gain presets and profiles
+ * Built-in presets ship with each simulator; profiles are gain sets the user
+ * names and saves. Profiles persist in localStorage per simulator and can be
+ * moved between browsers as JSON files.
+ */
+import { getExportFilename, downloadText } from './runExport';
+
+export const PROFILE_FILE_FORMAT = 'pid-profiles';
+export const PROFILE_FILE_VERSION = 1;
+
+const STORAGE_PREFIX = 'pid-demo:profiles:';
+
+const isGain = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * A named gain set
+ * @param {string} name - Display name
+ * @param {Object} gains - { kp, ki, kd }
+ * @returns {Object} { name, kp, ki, kd }
+ */
+export function createProfile(name, gains) {
+  return { name: name.trim(), kp: gains.kp, ki: gains.ki, kd: gains.kd };
+}
+
+/**
+ * Keep only well-formed profiles, last one winning for duplicate names
+ */
+const sanitizeProfiles = (entries) => {
+  const byName = new Map();
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (typeof entry?.name !== 'string' || entry.name.trim() === '') continue;
+    if (![entry.kp, entry.ki, entry.kd].every(isGain)) continue;
+    byName.set(entry.name.trim(), createProfile(entry.name, entry));
+  }
+  return [...byName.values()];
+};
+
+/**
+ * Profiles saved for a simulator
+ * @param {string} simulator - Simulator id
+ * @returns {Array} Profiles (empty when storage is unavailable or corrupt)
+ */
+export function loadProfiles(simulator) {
+  try {
+    return sanitizeProfiles(JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + simulator) || '[]'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist a simulator's profiles
+ * @param {string} simulator - Simulator id
+ * @param {Array} profiles - Profiles to store
+ * @returns {boolean} False when storage is unavailable (private mode, quota)
+ */
+export function saveProfiles(simulator, profiles) {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + simulator, JSON.stringify(profiles));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add profiles to a list, replacing any with the same name
+ * @param {Array} profiles - Existing profiles
+ * @param {Array} additions - Profiles to add
+ * @returns {Array} New list
+ */
+export function mergeProfiles(profiles, additions) {
+  return sanitizeProfiles([...profiles, ...additions]);
+}
+
+/**
+ * First preset or profile whose gains equal the current ones
+ * @param {Array} entries - Presets or profiles
+ * @param {Object} gains - { kp, ki, kd }
+ * @returns {Object|undefined}
+ */
+export function findMatchingProfile(entries, gains) {
+  return entries.find(entry => entry.kp === gains.kp && entry.ki === gains.ki && entry.kd === gains.kd);
+}
+
+/**
+ * JSON document holding a simulator's profiles
+ * @param {string} simulator - Simulator id
+ * @param {Array} profiles - Profiles to export
+ * @returns {string} File contents
+ */
+export function profilesToJson(simulator, profiles) {
+  return JSON.stringify({
+    format: PROFILE_FILE_FORMAT,
+    version: PROFILE_FILE_VERSION,
+    simulator,
+    exportedAt: new Date().toISOString(),
+    profiles
+  }, null, 2);
+}
+
+/**
+ * Read a profile file written by profilesToJson
+ * @param {string} text - File contents
+ * @returns {Object} { simulator, profiles }
+ */
+export function parseProfilesFile(text) {
+  const file = JSON.parse(text);
+  if (file?.format !== PROFILE_FILE_FORMAT || !Array.isArray(file.profiles)) {
+    throw new Error('Not a profile file');
+  }
+  return { simulator: file.simulator ?? null, profiles: sanitizeProfiles(file.profiles) };
+}
+
+/**
+ * Download a simulator's profiles as a JSON file
+ */
+export function exportProfiles(simulator, profiles) {
+  downloadText(getExportFilename(simulator, 'json', 'profiles'), profilesToJson(simulator, profiles), 'application/json');
+}
+
+export default {
+  PROFILE_FILE_FORMAT,
+  PROFILE_FILE_VERSION,
+  createProfile,
+  loadProfiles,
+  saveProfiles,
+  mergeProfiles,
+  findMatchingProfile,
+  profilesToJson,
+  parseProfilesFile,
+  exportProfiles
+};
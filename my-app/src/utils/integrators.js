@@ -0,0 +1,215 @@
+/**
+ * Numerical integrators
+ * Plants are written as state-derivative functions and advanced by a shared
+ * integrator, so the same physics can be stepped with different methods
+ *
+ * A model is { keys, velocityKeys, derivatives(state, input) }:
+ * - keys: state fields to integrate, e.g. ['altitude', 'velocity']
+ * - velocityKeys: fields semi-implicit Euler updates first, e.g. ['velocity']
+ * - derivatives: returns { [key]: rate } for every key; input is held
+ *   constant across the step (zero-order hold)
+ */
+
+/**
+ * Integration methods accepted by createIntegrator
+ * - EULER: explicit Euler, first order
+ * - SEMI_IMPLICIT_EULER: velocities first, positions from the new velocities
+ * - RK4: classic fourth-order Runge–Kutta
+ * - RK45: adaptive Dormand–Prince 5(4) with internal substeps
+ */
+export const INTEGRATORS = {
+  EULER: 'euler',
+  SEMI_IMPLICIT_EULER: 'semiImplicitEuler',
+  RK4: 'rk4',
+  RK45: 'rk45'
+};
+
+// Dormand–Prince tableau: stage nodes folded into A, fifth-order B, fourth-order B_STAR
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const DP_B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const DP_B_STAR = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+// state + h * Σ weights[i] * rates[i], over the model keys only
+function combine(state, keys, h, weights, rates) {
+  const next = { ...state };
+  for (const key of keys) {
+    let sum = 0;
+    for (let i = 0; i < weights.length; i++) {
+      if (weights[i] !== 0) sum += weights[i] * rates[i][key];
+    }
+    next[key] = state[key] + h * sum;
+  }
+  return next;
+}
+
+/**
+ * Explicit Euler step
+ * @returns {Object} State with the model keys advanced by dt
+ */
+export function eulerStep(model, state, input, dt) {
+  return combine(state, model.keys, dt, [1], [model.derivatives(state, input)]);
+}
+
+/**
+ * Semi-implicit (symplectic) Euler step
+ * Falls back to explicit Euler when the model has no velocityKeys
+ * @returns {Object} State with the model keys advanced by dt
+ */
+export function semiImplicitEulerStep(model, state, input, dt) {
+  const velocityKeys = model.velocityKeys || [];
+  if (velocityKeys.length === 0) return eulerStep(model, state, input, dt);
+
+  const afterVelocity = combine(state, velocityKeys, dt, [1], [model.derivatives(state, input)]);
+  const positionKeys = model.keys.filter(key => !velocityKeys.includes(key));
+  return combine(afterVelocity, positionKeys, dt, [1], [model.derivatives(afterVelocity, input)]);
+}
+
+/**
+ * Classic fourth-order Runge–Kutta step
+ * @returns {Object} State with the model keys advanced by dt
+ */
+export function rk4Step(model, state, input, dt) {
+  const { keys } = model;
+  const k1 = model.derivatives(state, input);
+  const k2 = model.derivatives(combine(state, keys, dt / 2, [1], [k1]), input);
+  const k3 = model.derivatives(combine(state, keys, dt / 2, [1], [k2]), input);
+  const k4 = model.derivatives(combine(state, keys, dt, [1], [k3]), input);
+  return combine(state, keys, dt / 6, [1, 2, 2, 1], [k1, k2, k3, k4]);
+}
+
+/**
+ * One Dormand–Prince trial step
+ * @returns {Object} { next, error } where error is the scaled max-norm (accept when <= 1)
+ */
+function dormandPrinceTrial(model, state, input, h, { relativeTolerance, absoluteTolerance }) {
+  const { keys } = model;
+  const rates = [];
+  for (let stage = 0; stage < DP_A.length; stage++) {
+    const stageState = stage === 0 ? state : combine(state, keys, h, DP_A[stage], rates);
+    rates.push(model.derivatives(stageState, input));
+  }
+
+  const next = combine(state, keys, h, DP_B, rates);
+  const errorWeights = DP_B.map((b, i) => b - DP_B_STAR[i]);
+  const estimate = combine(state, keys, h, errorWeights, rates);
+
+  let error = 0;
+  for (const key of keys) {
+    const scale = absoluteTolerance + relativeTolerance * Math.max(Math.abs(state[key]), Math.abs(next[key]));
+    error = Math.max(error, Math.abs(estimate[key] - state[key]) / scale);
+  }
+  return { next, error };
+}
+
+/**
+ * Create an integrator
+ * RK45 keeps its last accepted substep size between calls, so create one
+ * integrator per simulation.
+ *
+ * @param {string} method - One of INTEGRATORS (default: SEMI_IMPLICIT_EULER)
+ * @param {Object} options - Adaptive options
+ * @param {number} options.relativeTolerance - RK45 relative tolerance (default: 1e-6)
+ * @param {number} options.absoluteTolerance - RK45 absolute tolerance (default: 1e-8)
+ * @param {number} options.maxSubsteps - RK45 substep budget per call (default: 1000)
+ * @returns {Object} Integrator with step, reset and getStats
+ */
+export function createIntegrator(method = INTEGRATORS.SEMI_IMPLICIT_EULER, options = {}) {
+  const settings = {
+    relativeTolerance: 1e-6,
+    absoluteTolerance: 1e-8,
+    maxSubsteps: 1000,
+    ...options
+  };
+
+  let adaptiveStep = null;
+  let lastSubsteps = 1;
+
+  const adaptiveStepTo = (model, state, input, dt) => {
+    let current = state;
+    let elapsed = 0;
+    let h = adaptiveStep || dt;
+    let substeps = 0;
+
+    while (dt - elapsed > dt * 1e-9 && substeps < settings.maxSubsteps) {
+      const remaining = dt - elapsed;
+      const truncated = h >= remaining;
+      const trialStep = truncated ? remaining : h;
+      const { next, error } = dormandPrinceTrial(model, current, input, trialStep, settings);
+      substeps += 1;
+
+      // Standard step-size controller, growth limited to [0.2, 5]
+      const factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(error, -0.2)));
+      if (error <= 1 || substeps === settings.maxSubsteps) {
+        current = next;
+        elapsed += trialStep;
+        // Only learn from steps the interval end didn't shorten
+        if (!truncated) {
+          h = trialStep * factor;
+          adaptiveStep = h;
+        }
+      } else {
+        h = trialStep * factor;
+      }
+    }
+
+    lastSubsteps = substeps;
+    return current;
+  };
+
+  return {
+    method,
+
+    /**
+     * Advance the model keys of state in place by dt
+     * @param {Object} model - { keys, velocityKeys, derivatives }
+     * @param {Object} state - Plant state (mutated)
+     * @param {*} input - Control input held across the step
+     * @param {number} dt - Step size in seconds
+     */
+    step(model, state, input, dt) {
+      let next;
+      switch (method) {
+        case INTEGRATORS.EULER:
+          next = eulerStep(model, state, input, dt);
+          break;
+        case INTEGRATORS.RK4:
+          next = rk4Step(model, state, input, dt);
+          break;
+        case INTEGRATORS.RK45:
+          next = adaptiveStepTo(model, state, input, dt);
+          break;
+        default:
+          next = semiImplicitEulerStep(model, state, input, dt);
+      }
+      for (const key of model.keys) {
+        state[key] = next[key];
+      }
+    },
+
+    reset() {
+      adaptiveStep = null;
+      lastSubsteps = 1;
+    },
+
+    /**
+     * @returns {Object} { substeps, stepSize } from the last call (RK45 only varies)
+     */
+    getStats: () => ({ substeps: lastSubsteps, stepSize: adaptiveStep })
+  };
+}
+
+export default {
+  createIntegrator,
+  eulerStep,
+  semiImplicitEulerStep,
+  rk4Step,
+  INTEGRATORS
+};
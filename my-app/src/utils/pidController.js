@@ -3,100 +3,642 @@
  * Shared across all simulators for consistent control logic
  */
 
+/**
+ * Derivative filter types
+ * - NONE: raw backward difference
+ * - LOW_PASS: first-order low-pass with time constant derivativeTimeConstant
+ * - MOVING_AVERAGE: mean of the last derivativeWindowSize raw samples
+ */
+export const DERIVATIVE_FILTERS = {
+  NONE: 'none',
+  LOW_PASS: 'lowpass',
+  MOVING_AVERAGE: 'movingAverage'
+};
+
+/**
+ * Anti-windup strategies (all need outputMin/outputMax to act)
+ * - CLAMP: integral limited to integralMin/Max and to the output range / Ki
+ * - BACK_CALCULATION: integral bled back by trackingGain * (saturated - unsaturated)
+ * - CONDITIONAL: integration paused while saturated and the error pushes further in
+ */
+export const ANTI_WINDUP_MODES = {
+  CLAMP: 'clamp',
+  BACK_CALCULATION: 'backCalculation',
+  CONDITIONAL: 'conditional'
+};
+
+/**
+ * Controller forms accepted by createController
+ * - POSITIONAL: u = P + I + D (createPIDController)
+ * - VELOCITY: u += dP + Ki * e * dt + dD (createVelocityPIDController)
+ */
+export const CONTROLLER_FORMS = {
+  POSITIONAL: 'positional',
+  VELOCITY: 'velocity'
+};
+
+// Saturate, then slew-rate limit against the previous output
+function limitOutput(value, { outputMin, outputMax, maxRate, prevOutput, dt, initialized }) {
+  const saturated = Math.max(outputMin, Math.min(outputMax, value));
+  if (!initialized || !Number.isFinite(maxRate)) return saturated;
+  const maxStep = maxRate * dt;
+  return Math.max(prevOutput - maxStep, Math.min(prevOutput + maxStep, saturated));
+}
+
+// Split setpoint/measurement into 2-DOF errors, rebuilding the previous D error
+// with the current c so toggling c mid-run doesn't kick
+function twoDOFErrors(state, setpoint, measurement, b, c) {
+  state.prevError = c * state.prevSetpoint - state.prevMeasurement;
+  state.prevSetpoint = setpoint;
+  state.prevMeasurement = measurement;
+
+  return {
+    error: setpoint - measurement,
+    proportionalError: b * setpoint - measurement,
+    derivativeError: c * setpoint - measurement
+  };
+}
+
+/**
+ * Create an empty derivative filter state
+ * @returns {Object} { value, history }
+ */
+export function createDerivativeFilterState() {
+  return {
+    value: 0,
+    history: []
+  };
+}
+
+/**
+ * Filter a raw derivative sample
+ * @param {Object} params - Filter parameters
+ * @param {number} params.rawDerivative - Unfiltered derivative sample
+ * @param {Object} params.filterState - State from createDerivativeFilterState or a previous call
+ * @param {number} params.dt - Time step
+ * @param {string} params.filter - One of DERIVATIVE_FILTERS
+ * @param {number} params.timeConstant - Low-pass time constant in seconds
+ * @param {number} params.windowSize - Moving average window in samples
+ * @returns {Object} { derivative, filterState }
+ */
+export function filterDerivative({
+  rawDerivative,
+  filterState,
+  dt,
+  filter = DERIVATIVE_FILTERS.NONE,
+  timeConstant = 0.01,
+  windowSize = 5
+}) {
+  switch (filter) {
+    case DERIVATIVE_FILTERS.LOW_PASS: {
+      const alpha = dt / (timeConstant + dt);
+      const value = filterState.value + alpha * (rawDerivative - filterState.value);
+      return { derivative: value, filterState: { ...filterState, value } };
+    }
+
+    case DERIVATIVE_FILTERS.MOVING_AVERAGE: {
+      const history = [...filterState.history, rawDerivative].slice(-windowSize);
+      const value = history.reduce((sum, v) => sum + v, 0) / history.length;
+      return { derivative: value, filterState: { value, history } };
+    }
+
+    default:
+      return { derivative: rawDerivative, filterState: { ...filterState, value: rawDerivative } };
+  }
+}
+
 /**
  * Compute PID control output
  * @param {Object} params - PID parameters
  * @param {number} params.error - Current error (setpoint - measured)
+ * @param {number} params.proportionalError - Error seen by the P term (default: error)
+ * @param {number} params.derivativeError - Error seen by the D term (default: error)
  * @param {number} params.integral - Accumulated integral term
- * @param {number} params.prevError - Previous error for derivative
+ * @param {number} params.prevError - Previous derivativeError for derivative
+ * @param {boolean} params.initialized - False on the first call (skips the derivative kick)
+ * @param {Object} params.filterState - Derivative filter state
  * @param {number} params.kp - Proportional gain
  * @param {number} params.ki - Integral gain
  * @param {number} params.kd - Derivative gain
  * @param {number} params.dt - Time step
  * @param {number} params.integralMin - Minimum integral value (anti-windup)
  * @param {number} params.integralMax - Maximum integral value (anti-windup)
- * @returns {Object} { output, integral, prevError }
+ * @param {string} params.derivativeFilter - One of DERIVATIVE_FILTERS
+ * @param {number} params.derivativeTimeConstant - Low-pass time constant in seconds
+ * @param {number} params.derivativeWindowSize - Moving average window in samples
+ * @param {number} params.outputMin - Lower actuator limit
+ * @param {number} params.outputMax - Upper actuator limit
+ * @param {number} params.maxRate - Slew-rate limit in output units per second
+ * @param {number} params.prevOutput - Previous limited output (for the slew-rate limit)
+ * @param {string} params.antiWindup - One of ANTI_WINDUP_MODES
+ * @param {number} params.trackingGain - Back-calculation tracking gain Kt (1/s)
+ * @param {number} params.bias - Constant added to the output (manual reset; default: 0)
+ * @returns {Object} { output, unsaturatedOutput, saturated, integral, prevError, derivative, rawDerivative, filterState }
  */
 export function computePID({
   error,
+  proportionalError = error,
+  derivativeError = error,
   integral,
   prevError,
+  initialized = true,
+  filterState = createDerivativeFilterState(),
   kp,
   ki,
   kd,
   dt,
   integralMin = -Infinity,
-  integralMax = Infinity
+  integralMax = Infinity,
+  derivativeFilter = DERIVATIVE_FILTERS.NONE,
+  derivativeTimeConstant = 0.01,
+  derivativeWindowSize = 5,
+  outputMin = -Infinity,
+  outputMax = Infinity,
+  maxRate = Infinity,
+  prevOutput = 0,
+  antiWindup = ANTI_WINDUP_MODES.CLAMP,
+  trackingGain = 1,
+  bias = 0
 }) {
   // Update integral with anti-windup clamping
-  const newIntegral = Math.max(
+  let newIntegral = Math.max(
     integralMin,
     Math.min(integralMax, integral + error * dt)
   );
 
-  // Derivative term
-  const derivative = (error - prevError) / dt;
+  // Clamp mode also keeps Ki * integral inside the actuator range
+  if (antiWindup === ANTI_WINDUP_MODES.CLAMP && ki !== 0) {
+    const low = Math.min(outputMin / ki, outputMax / ki);
+    const high = Math.max(outputMin / ki, outputMax / ki);
+    newIntegral = Math.max(low, Math.min(high, newIntegral));
+  }
+
+  // Derivative term (avoid derivative kick on first call)
+  const rawDerivative = initialized ? (derivativeError - prevError) / dt : 0;
+  const filtered = filterDerivative({
+    rawDerivative,
+    filterState,
+    dt,
+    filter: derivativeFilter,
+    timeConstant: derivativeTimeConstant,
+    windowSize: derivativeWindowSize
+  });
 
   // PID output
-  const output = kp * error + ki * newIntegral + kd * derivative;
+  const limits = { outputMin, outputMax, maxRate, prevOutput, dt, initialized };
+  const pdOutput = kp * proportionalError + kd * filtered.derivative + bias;
+  let unsaturatedOutput = pdOutput + ki * newIntegral;
+  let output = limitOutput(unsaturatedOutput, limits);
+
+  if (output !== unsaturatedOutput) {
+    if (antiWindup === ANTI_WINDUP_MODES.CONDITIONAL && Math.sign(error * ki) === Math.sign(unsaturatedOutput - output)) {
+      // Error would drive further into saturation: hold the integral
+      newIntegral = integral;
+      unsaturatedOutput = pdOutput + ki * newIntegral;
+      output = limitOutput(unsaturatedOutput, limits);
+    } else if (antiWindup === ANTI_WINDUP_MODES.BACK_CALCULATION && ki !== 0) {
+      // Bleed the integral toward the value that would just reach the limit
+      newIntegral += (trackingGain * (output - unsaturatedOutput) / ki) * dt;
+    }
+  }
 
   return {
     output,
+    unsaturatedOutput,
+    saturated: output !== unsaturatedOutput,
     integral: newIntegral,
-    prevError: error
+    prevError: derivativeError,
+    derivative: filtered.derivative,
+    rawDerivative,
+    filterState: filtered.filterState
   };
 }
 
 /**
  * Create a PID controller instance with state management
  * @param {Object} config - Initial configuration
+ * @param {number} config.integralMin - Minimum integral value (anti-windup)
+ * @param {number} config.integralMax - Maximum integral value (anti-windup)
+ * @param {string} config.derivativeFilter - One of DERIVATIVE_FILTERS (default: NONE)
+ * @param {number} config.derivativeTimeConstant - Low-pass time constant in seconds
+ * @param {number} config.derivativeWindowSize - Moving average window in samples
+ * @param {number} config.setpointWeightP - Setpoint weight b on the P term (2-DOF, default: 1)
+ * @param {number} config.setpointWeightD - Setpoint weight c on the D term (2-DOF, default: 1)
+ * @param {number} config.outputMin - Lower actuator limit (default: -Infinity)
+ * @param {number} config.outputMax - Upper actuator limit (default: Infinity)
+ * @param {number} config.maxRate - Slew-rate limit in output units per second (default: Infinity)
+ * @param {string} config.antiWindup - One of ANTI_WINDUP_MODES (default: CLAMP)
+ * @param {number} config.trackingGain - Back-calculation tracking gain Kt in 1/s (default: 1)
  * @returns {Object} PID controller with compute and reset methods
  */
 export function createPIDController(config = {}) {
   let state = {
     integral: 0,
-    prevError: 0
+    prevError: 0,
+    initialized: false,
+    derivative: 0,
+    rawDerivative: 0,
+    filterState: createDerivativeFilterState(),
+    prevSetpoint: 0,
+    prevMeasurement: 0,
+    output: 0,
+    unsaturatedOutput: 0,
+    saturated: false,
+    bias: 0
+  };
+
+  const defaults = {
+    integralMin: -Infinity,
+    integralMax: Infinity,
+    derivativeFilter: DERIVATIVE_FILTERS.NONE,
+    derivativeTimeConstant: 0.01,
+    derivativeWindowSize: 5,
+    setpointWeightP: 1,
+    setpointWeightD: 1,
+    outputMin: -Infinity,
+    outputMax: Infinity,
+    maxRate: Infinity,
+    antiWindup: ANTI_WINDUP_MODES.CLAMP,
+    trackingGain: 1,
+    ...config
+  };
+
+  const step = (errors, gains, dt) => {
+    // Fields listed one by one rather than spread from errors, so every call
+    // passes computePID the same keys in the same order
+    const result = computePID({
+      error: errors.error,
+      proportionalError: errors.proportionalError,
+      derivativeError: errors.derivativeError,
+      integral: state.integral,
+      prevError: state.prevError,
+      initialized: state.initialized,
+      filterState: state.filterState,
+      kp: gains.kp,
+      ki: gains.ki,
+      kd: gains.kd,
+      dt,
+      integralMin: defaults.integralMin,
+      integralMax: defaults.integralMax,
+      derivativeFilter: defaults.derivativeFilter,
+      derivativeTimeConstant: defaults.derivativeTimeConstant,
+      derivativeWindowSize: defaults.derivativeWindowSize,
+      outputMin: defaults.outputMin,
+      outputMax: defaults.outputMax,
+      maxRate: defaults.maxRate,
+      prevOutput: state.output,
+      antiWindup: defaults.antiWindup,
+      trackingGain: defaults.trackingGain,
+      bias: state.bias
+    });
+
+    state.integral = result.integral;
+    state.prevError = result.prevError;
+    state.initialized = true;
+    state.derivative = result.derivative;
+    state.rawDerivative = result.rawDerivative;
+    state.filterState = result.filterState;
+    state.output = result.output;
+    state.unsaturatedOutput = result.unsaturatedOutput;
+    state.saturated = result.saturated;
+
+    return {
+      output: result.output,
+      unsaturatedOutput: result.unsaturatedOutput,
+      saturated: result.saturated,
+      errorP: errors.proportionalError ?? errors.error,
+      errorI: result.integral,
+      errorD: result.derivative,
+      rawDerivative: result.rawDerivative
+    };
+  };
+
+  // Follow an externally applied output: keep the derivative path current and
+  // back-solve the integral so P + I + D reproduces it. With Ki = 0 there is no
+  // integral to carry the difference, so it is held as a constant bias instead
+  const trackStep = (errors, manualOutput, gains, dt) => {
+    const result = step(errors, gains, dt);
+    const remainder = manualOutput - gains.kp * result.errorP - gains.kd * state.derivative;
+    if (gains.ki !== 0) {
+      state.integral = remainder / gains.ki;
+      state.bias = 0;
+    } else {
+      state.bias = remainder;
+    }
+    state.output = manualOutput;
+    state.unsaturatedOutput = manualOutput;
+    state.saturated = false;
+    return { ...result, output: manualOutput, unsaturatedOutput: manualOutput, saturated: false, errorI: state.integral };
+  };
+
+  return {
+    /**
+     * Advance the controller one step
+     * output is saturated and slew-rate limited; unsaturatedOutput is the raw PID sum
+     * @returns {Object} { output, unsaturatedOutput, saturated, errorP, errorI, errorD, rawDerivative }
+     */
+    compute(error, gains, dt) {
+      return step({ error }, gains, dt);
+    },
+
+    /**
+     * Advance a two-degree-of-freedom controller one step
+     * P acts on (b * setpoint - measurement), D on (c * setpoint - measurement)
+     * and I on the full error, so c = 0 gives derivative-on-measurement.
+     * gains.b / gains.c override the configured setpoint weights.
+     * @returns {Object} { output, unsaturatedOutput, saturated, errorP, errorI, errorD, rawDerivative }
+     */
+    computeTwoDOF(setpoint, measurement, gains, dt) {
+      const b = gains.b ?? defaults.setpointWeightP;
+      const c = gains.c ?? defaults.setpointWeightD;
+      return step(twoDOFErrors(state, setpoint, measurement, b, c), gains, dt);
+    },
+
+    /**
+     * Tracking mode for MANUAL control: call every step instead of compute so
+     * switching back to AUTO continues from the manual output without a bump
+     * @param {number} manualOutput - Output currently applied by the operator
+     * @returns {Object} Same shape as compute, with output = manualOutput
+     */
+    track(manualOutput, error, gains, dt) {
+      return trackStep({ error }, manualOutput, gains, dt);
+    },
+
+    /**
+     * Tracking mode for a two-degree-of-freedom loop (see track / computeTwoDOF)
+     */
+    trackTwoDOF(manualOutput, setpoint, measurement, gains, dt) {
+      const b = gains.b ?? defaults.setpointWeightP;
+      const c = gains.c ?? defaults.setpointWeightD;
+      return trackStep(twoDOFErrors(state, setpoint, measurement, b, c), manualOutput, gains, dt);
+    },
+
+    reset() {
+      state.integral = 0;
+      state.prevError = 0;
+      state.initialized = false;
+      state.derivative = 0;
+      state.rawDerivative = 0;
+      state.filterState = createDerivativeFilterState();
+      state.prevSetpoint = 0;
+      state.prevMeasurement = 0;
+      state.output = 0;
+      state.unsaturatedOutput = 0;
+      state.saturated = false;
+      state.bias = 0;
+    },
+
+    // Also drops a bias left by tracking with Ki = 0
+    resetIntegral() {
+      state.integral = 0;
+      state.bias = 0;
+    },
+
+    /**
+     * Update configuration mid-run (e.g. anti-windup mode or output limits)
+     * @param {Object} updates - Any of the createPIDController config keys
+     */
+    configure(updates) {
+      Object.assign(defaults, updates);
+    },
+
+    getConfig() {
+      return { ...defaults };
+    },
+
+    getState() {
+      return { ...state, filterState: { ...state.filterState } };
+    }
+  };
+}
+
+/**
+ * Create a velocity (incremental) form PID controller
+ * Same interface as createPIDController, but each step adds
+ * du = Kp * d(e_P) + Ki * e * dt + Kd * d(e_D) to the previous output.
+ * Gain changes only scale future increments, so dragging a gain mid-run
+ * never makes the output jump. Saturation clamps the output itself, so
+ * no separate anti-windup is needed (antiWindup is ignored).
+ * @param {Object} config - Same keys as createPIDController
+ * @returns {Object} PID controller with compute and reset methods
+ */
+export function createVelocityPIDController(config = {}) {
+  let state = {
+    integral: 0,
+    prevError: 0,
+    prevProportionalError: 0,
+    initialized: false,
+    derivative: 0,
+    rawDerivative: 0,
+    filterState: createDerivativeFilterState(),
+    prevSetpoint: 0,
+    prevMeasurement: 0,
+    output: 0,
+    unsaturatedOutput: 0,
+    saturated: false,
+    delta: 0,
+    lastGains: { kp: 0, ki: 0, kd: 0 }
   };
 
   const defaults = {
     integralMin: -Infinity,
     integralMax: Infinity,
+    derivativeFilter: DERIVATIVE_FILTERS.NONE,
+    derivativeTimeConstant: 0.01,
+    derivativeWindowSize: 5,
+    setpointWeightP: 1,
+    setpointWeightD: 1,
+    outputMin: -Infinity,
+    outputMax: Infinity,
+    maxRate: Infinity,
+    antiWindup: ANTI_WINDUP_MODES.CLAMP,
+    trackingGain: 1,
     ...config
   };
 
+  const step = ({ error, proportionalError = error, derivativeError = error }, gains, dt) => {
+    const rawDerivative = state.initialized ? (derivativeError - state.prevError) / dt : 0;
+    const filtered = filterDerivative({
+      rawDerivative,
+      filterState: state.filterState,
+      dt,
+      filter: defaults.derivativeFilter,
+      timeConstant: defaults.derivativeTimeConstant,
+      windowSize: defaults.derivativeWindowSize
+    });
+
+    // First step starts from the positional value; afterwards only term changes are added
+    const delta = state.initialized
+      ? gains.kp * (proportionalError - state.prevProportionalError) +
+        gains.ki * error * dt +
+        gains.kd * (filtered.derivative - state.derivative)
+      : gains.kp * proportionalError + gains.ki * error * dt + gains.kd * filtered.derivative;
+
+    const unsaturatedOutput = state.output + delta;
+    const output = limitOutput(unsaturatedOutput, {
+      outputMin: defaults.outputMin,
+      outputMax: defaults.outputMax,
+      maxRate: defaults.maxRate,
+      prevOutput: state.output,
+      dt,
+      initialized: state.initialized
+    });
+
+    // Integral kept for display (accumulated error) only
+    state.integral = Math.max(
+      defaults.integralMin,
+      Math.min(defaults.integralMax, state.integral + error * dt)
+    );
+    state.prevError = derivativeError;
+    state.prevProportionalError = proportionalError;
+    state.initialized = true;
+    state.derivative = filtered.derivative;
+    state.rawDerivative = rawDerivative;
+    state.filterState = filtered.filterState;
+    state.output = output;
+    state.unsaturatedOutput = unsaturatedOutput;
+    state.saturated = output !== unsaturatedOutput;
+    state.delta = output - (unsaturatedOutput - delta);
+    state.lastGains = { kp: gains.kp, ki: gains.ki, kd: gains.kd };
+
+    return {
+      output,
+      delta: state.delta,
+      unsaturatedOutput,
+      saturated: state.saturated,
+      errorP: proportionalError,
+      errorI: state.integral,
+      errorD: filtered.derivative,
+      rawDerivative
+    };
+  };
+
+  // 2-DOF errors with the previous P error also rebuilt for the current b, so
+  // changing b mid-run doesn't bump the output either
+  const velocityTwoDOFErrors = (setpoint, measurement, b, c) => {
+    state.prevProportionalError = b * state.prevSetpoint - state.prevMeasurement;
+    return twoDOFErrors(state, setpoint, measurement, b, c);
+  };
+
+  // Follow an externally applied output: increments continue from it on the next AUTO step
+  const trackStep = (errors, manualOutput, gains, dt) => {
+    const result = step(errors, gains, dt);
+    state.output = manualOutput;
+    state.unsaturatedOutput = manualOutput;
+    state.saturated = false;
+    state.delta = 0;
+    return { ...result, output: manualOutput, delta: 0, unsaturatedOutput: manualOutput, saturated: false };
+  };
+
   return {
+    /**
+     * Advance the controller one step
+     * @returns {Object} { output, delta, unsaturatedOutput, saturated, errorP, errorI, errorD, rawDerivative }
+     */
     compute(error, gains, dt) {
-      const result = computePID({
-        error,
-        integral: state.integral,
-        prevError: state.prevError,
-        kp: gains.kp,
-        ki: gains.ki,
-        kd: gains.kd,
-        dt,
-        integralMin: defaults.integralMin,
-        integralMax: defaults.integralMax
-      });
+      return step({ error }, gains, dt);
+    },
 
-      state.integral = result.integral;
-      state.prevError = result.prevError;
+    /**
+     * Advance a two-degree-of-freedom controller one step (see createPIDController)
+     * @returns {Object} { output, delta, unsaturatedOutput, saturated, errorP, errorI, errorD, rawDerivative }
+     */
+    computeTwoDOF(setpoint, measurement, gains, dt) {
+      const b = gains.b ?? defaults.setpointWeightP;
+      const c = gains.c ?? defaults.setpointWeightD;
+      return step(velocityTwoDOFErrors(setpoint, measurement, b, c), gains, dt);
+    },
 
-      return result.output;
+    /**
+     * Tracking mode for MANUAL control (see createPIDController)
+     */
+    track(manualOutput, error, gains, dt) {
+      return trackStep({ error }, manualOutput, gains, dt);
+    },
+
+    trackTwoDOF(manualOutput, setpoint, measurement, gains, dt) {
+      const b = gains.b ?? defaults.setpointWeightP;
+      const c = gains.c ?? defaults.setpointWeightD;
+      return trackStep(velocityTwoDOFErrors(setpoint, measurement, b, c), manualOutput, gains, dt);
     },
 
     reset() {
       state.integral = 0;
       state.prevError = 0;
+      state.prevProportionalError = 0;
+      state.initialized = false;
+      state.derivative = 0;
+      state.rawDerivative = 0;
+      state.filterState = createDerivativeFilterState();
+      state.prevSetpoint = 0;
+      state.prevMeasurement = 0;
+      state.output = 0;
+      state.unsaturatedOutput = 0;
+      state.saturated = false;
+      state.delta = 0;
     },
 
+    /**
+     * Drop the accumulated integral action: the output falls back to
+     * the current P + D contribution
+     */
     resetIntegral() {
+      const { kp, kd } = state.lastGains;
       state.integral = 0;
+      state.output = kp * state.prevProportionalError + kd * state.derivative;
+    },
+
+    configure(updates) {
+      Object.assign(defaults, updates);
+    },
+
+    getConfig() {
+      return { ...defaults };
     },
 
     getState() {
-      return { ...state };
+      return { ...state, filterState: { ...state.filterState }, lastGains: { ...state.lastGains } };
     }
   };
 }
 
-export default { computePID, createPIDController };
+/**
+ * Create a controller of the requested form
+ * @param {string} form - One of CONTROLLER_FORMS
+ * @param {Object} config - createPIDController config
+ * @returns {Object} Controller instance
+ */
+export function createController(form = CONTROLLER_FORMS.POSITIONAL, config = {}) {
+  return form === CONTROLLER_FORMS.VELOCITY
+    ? createVelocityPIDController(config)
+    : createPIDController(config);
+}
+
+/**
+ * Swap a controller for one of another form without bumping the output: the
+ * new controller tracks the old one's last output before it takes over
+ * @param {Object} controller - Controller being replaced
+ * @param {string} form - One of CONTROLLER_FORMS
+ * @param {Function} seed - (newController, output) => void, calls track or
+ *   trackTwoDOF with the current setpoint, measurement, gains and dt
+ * @returns {Object} The new controller (same config as the old one)
+ */
+export function switchControllerForm(controller, form, seed) {
+  const next = createController(form, controller.getConfig());
+  const { initialized, output } = controller.getState();
+  if (initialized) seed(next, output);
+  return next;
+}
+
+export default {
+  computePID,
+  createPIDController,
+  createVelocityPIDController,
+  createController,
+  switchControllerForm,
+  filterDerivative,
+  createDerivativeFilterState,
+  DERIVATIVE_FILTERS,
+  ANTI_WINDUP_MODES,
+  CONTROLLER_FORMS
+};
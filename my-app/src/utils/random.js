@@ -0,0 +1,111 @@
+/**
+ * Seeded random numbers
+ * Every source of randomness (sensor noise, initial conditions, disturbance
+ * generators) draws from a named stream derived from one run seed, so a run
+ * can be reproduced exactly by reusing its seed. Streams are independent:
+ * adding a new consumer never shifts the numbers another one sees.
+ */
+
+export const MAX_SEED = 0xffffffff;
+
+/**
+ * FNV-1a hash of a string, used to give each stream its own seed
+ */
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Pick a fresh seed for a new run
+ * @returns {number} Integer in [0, MAX_SEED]
+ */
+export function generateSeed() {
+  if (globalThis.crypto?.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Read a seed typed by the user
+ * @param {string} text - Input text
+ * @returns {number|null} The seed, or null when text is not an integer in range
+ */
+export function parseSeed(text) {
+  const trimmed = String(text).trim();
+  if (!/^\d+$/.test(trimmed)) return null;
+  const seed = Number(trimmed);
+  return seed <= MAX_SEED ? seed : null;
+}
+
+/**
+ * Seed of a named stream within a run
+ * @param {number} seed - Run seed
+ * @param {string} name - Stream name (e.g. 'noise', 'initialState')
+ * @returns {number} Stream seed
+ */
+export function deriveSeed(seed, name) {
+  return (hashString(name) ^ Math.imul(seed >>> 0, 0x9e3779b1)) >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Object} { seed, next, uniform, reset }
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return {
+    seed: seed >>> 0,
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Next number in [min, max)
+     */
+    uniform(min, max) {
+      return min + this.next() * (max - min);
+    },
+
+    /**
+     * Restart the sequence from the seed
+     */
+    reset() {
+      state = seed >>> 0;
+    }
+  };
+}
+
+/**
+ * Generator for one named stream of a run
+ * @param {number} seed - Run seed
+ * @param {string} name - Stream name
+ * @returns {Object} Generator from createRandom
+ */
+export function createRandomStream(seed, name) {
+  return createRandom(deriveSeed(seed, name));
+}
+
+export default {
+  MAX_SEED,
+  generateSeed,
+  parseSeed,
+  deriveSeed,
+  createRandom,
+  createRandomStream
+};
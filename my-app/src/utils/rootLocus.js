@@ -0,0 +1,141 @@
+/**
+ * Root locus analysis
+ * Closed-loop poles of a PID loop around a linear plant model G(s) as one gain
+ * sweeps from zero to its slider maximum with the other two held, plus the
+ * poles at the current gains. With the swept gain K the characteristic
+ * polynomial is P0(s) + K·P1(s): branches start at the roots of P0 and end at
+ * the roots of P1 or run off to infinity.
+ */
+import {
+  complexAbs,
+  addPolynomials,
+  scalePolynomial,
+  polynomialRoots,
+  realPartSign,
+  pidTransferFunction,
+  closeLoop
+} from './transferFunction';
+
+const DEFAULT_POINTS = 200;
+// The sweep is log-spaced from this fraction of the maximum gain, so the
+// branches leave their start poles smoothly
+const MIN_GAIN_FRACTION = 1e-3;
+
+export const LOCUS_GAINS = [
+  { key: 'kp', label: 'Kp' },
+  { key: 'ki', label: 'Ki' },
+  { key: 'kd', label: 'Kd' }
+];
+
+const characteristicAt = (plant, gains, filter) => closeLoop(plant, pidTransferFunction(gains, filter)).characteristic;
+
+/**
+ * Order roots to continue the branches ending at previous (greedy nearest neighbour)
+ */
+const matchRoots = (previous, roots) => {
+  const unused = [...roots];
+  return previous.map(root => {
+    let best = 0;
+    unused.forEach((candidate, i) => {
+      if (complexAbs({ re: candidate.re - root.re, im: candidate.im - root.im }) <
+          complexAbs({ re: unused[best].re - root.re, im: unused[best].im - root.im })) {
+        best = i;
+      }
+    });
+    return unused.splice(best, 1)[0];
+  });
+};
+
+/**
+ * Closed-loop poles at the given gains
+ *
+ * @param {Object} config - Loop configuration
+ * @param {Object} config.plant - { num, den } plant transfer function
+ * @param {Object} config.gains - { kp, ki, kd, c? }
+ * @param {Object} config.filter - Derivative filter settings (see derivativeLag)
+ * @param {number} config.dt - Controller timestep in seconds
+ * @returns {Array} [{ re, im }]
+ */
+export function closedLoopPoles({ plant, gains, filter = {}, dt }) {
+  return polynomialRoots(characteristicAt(plant, gains, { ...filter, dt }));
+}
+
+/**
+ * Damping ratio ζ = −Re(p) / |p| of a pole: 1 or more for a real stable pole,
+ * 0 on the imaginary axis, negative when unstable
+ */
+export function dampingRatio(pole) {
+  const magnitude = complexAbs(pole);
+  return realPartSign(pole) === 0 ? 0 : -pole.re / magnitude;
+}
+
+/**
+ * Sweep one gain and trace the closed-loop poles
+ *
+ * @param {Object} config - Sweep configuration
+ * @param {Object} config.plant - { num, den } plant transfer function
+ * @param {Object} config.gains - Current { kp, ki, kd, c? }; the swept gain's value only marks the live poles
+ * @param {string} config.gain - Swept gain: 'kp', 'ki' or 'kd'
+ * @param {number} config.maxGain - End of the sweep (raised to the current value if that is larger)
+ * @param {Object} config.filter - Derivative filter settings (see derivativeLag)
+ * @param {number} config.dt - Controller timestep in seconds
+ * @param {number} config.points - Gains in the sweep (default: 200)
+ * @returns {Object} { gain, maxGain, branches, startPoles, endZeros, livePoles, slowestPole, leastDampedPole, unstable, marginal }
+ *   branches: one [{ re, im }] per pole, in sweep order
+ */
+export function computeRootLocus({ plant, gains, gain, maxGain, filter = {}, dt, points = DEFAULT_POINTS }) {
+  const loopFilter = { ...filter, dt };
+  const sweepMax = Math.max(maxGain, gains[gain]);
+
+  // The characteristic polynomial is linear in the swept gain once it is nonzero
+  const atOne = characteristicAt(plant, { ...gains, [gain]: 1 }, loopFilter);
+  const atTwo = characteristicAt(plant, { ...gains, [gain]: 2 }, loopFilter);
+  const slope = addPolynomials(atTwo, scalePolynomial(atOne, -1));
+  const intercept = addPolynomials(atOne, scalePolynomial(slope, -1));
+
+  const branches = [];
+  for (let i = 0; i < points; i++) {
+    const k = sweepMax * MIN_GAIN_FRACTION ** (1 - i / (points - 1));
+    const roots = polynomialRoots(addPolynomials(intercept, scalePolynomial(slope, k)));
+    if (branches.length === 0) {
+      roots.forEach(root => branches.push([root]));
+    } else if (roots.length === branches.length) {
+      matchRoots(branches.map(branch => branch[branch.length - 1]), roots)
+        .forEach((root, j) => branches[j].push(root));
+    }
+  }
+
+  const livePoles = closedLoopPoles({ plant, gains, filter, dt });
+  return {
+    gain,
+    maxGain: sweepMax,
+    branches,
+    startPoles: polynomialRoots(intercept),
+    endZeros: polynomialRoots(slope),
+    livePoles,
+    // The slowest mode sets the settling time; the least damped one the overshoot and ringing
+    slowestPole: livePoles.reduce((slowest, pole) => (pole.re > slowest.re ? pole : slowest), livePoles[0] ?? null),
+    leastDampedPole: livePoles.reduce((least, pole) => (dampingRatio(pole) < dampingRatio(least) ? pole : least), livePoles[0] ?? null),
+    unstable: livePoles.filter(root => realPartSign(root) > 0).length,
+    marginal: livePoles.filter(root => realPartSign(root) === 0).length
+  };
+}
+
+/**
+ * Pole as "a ± bj" with an SI-style precision; parts that are round-off
+ * next to the other part show as 0
+ */
+export function formatPole({ re, im }) {
+  const tolerance = 1e-6 * complexAbs({ re, im }) + 1e-12;
+  const format = (value) => (Math.abs(value) < tolerance ? '0' : String(+value.toPrecision(3)));
+  if (Math.abs(im) < tolerance) return format(re);
+  return `${format(re)} ± ${format(Math.abs(im))}j`;
+}
+
+export default {
+  LOCUS_GAINS,
+  closedLoopPoles,
+  dampingRatio,
+  computeRootLocus,
+  formatPole
+};
@@ -0,0 +1,128 @@
+/**
+ * Run export
+ * Turns a telemetry snapshot plus the settings that produced it into CSV or
+ * JSON files for offline analysis (Python, spreadsheets)
+ */
+
+/**
+ * Version of the JSON layout, bumped when fields change meaning
+ */
+export const RUN_FORMAT_VERSION = 1;
+
+/**
+ * Export columns for a set of chart series, keeping the chart labels (which
+ * carry the units) as column headers
+ * @param {Array} series - Chart series with { channel, label }
+ * @returns {Array} Columns { key, label }
+ */
+export function getExportColumns(series) {
+  return series
+    .filter(item => item.channel)
+    .map(({ channel, label }) => ({ key: channel, label: label || channel }));
+}
+
+const escapeCsv = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+const formatCsvValue = (value) => (Number.isFinite(value) ? String(value) : '');
+
+/**
+ * CSV with a time column followed by one column per channel
+ * Missing samples (NaN) are written as empty cells.
+ *
+ * @param {Object} snapshot - Telemetry snapshot { timeHistory, [channel]: values }
+ * @param {Array} columns - Columns from getExportColumns
+ * @param {number} timeOrigin - Subtracted from every timestamp (default: 0)
+ * @returns {string} CSV text
+ */
+export function runToCsv(snapshot, columns, timeOrigin = 0) {
+  const times = snapshot.timeHistory || [];
+  const lines = [['Time (s)', ...columns.map(column => column.label)].map(escapeCsv).join(',')];
+
+  for (let i = 0; i < times.length; i++) {
+    const row = [formatCsvValue(times[i] - timeOrigin)];
+    for (const { key } of columns) {
+      const values = snapshot[key];
+      row.push(formatCsvValue(values ? values[i] : NaN));
+    }
+    lines.push(row.join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * JSON document for a run: the settings it was recorded with and its data
+ * @param {Object} run - Run description
+ * @param {string} run.simulator - Simulator id
+ * @param {Object} run.settings - Gains, plant parameters, setpoint, disturbance settings and random seed
+ *   (disturbance is null for simulators without one)
+ * @param {Object} run.snapshot - Telemetry snapshot
+ * @param {Array} run.columns - Columns from getExportColumns
+ * @param {number} run.timeOrigin - Subtracted from every timestamp (default: 0)
+ * @returns {string} Pretty-printed JSON (NaN samples become null)
+ */
+export function runToJson({ simulator, settings, snapshot, columns, timeOrigin = 0 }) {
+  const times = Array.from(snapshot.timeHistory || [], time => time - timeOrigin);
+  const data = { time: times };
+  for (const { key } of columns) {
+    data[key] = snapshot[key] ? Array.from(snapshot[key]) : times.map(() => null);
+  }
+
+  return JSON.stringify({
+    format: 'pid-run',
+    version: RUN_FORMAT_VERSION,
+    simulator,
+    exportedAt: new Date().toISOString(),
+    settings,
+    channels: [{ key: 'time', label: 'Time (s)' }, ...columns],
+    data
+  }, null, 2);
+}
+
+/**
+ * File name such as "drone-run-2025-01-31T12-00-00.csv"
+ * kind replaces "run" for other exports (e.g. "profiles")
+ */
+export function getExportFilename(simulator, extension, kind = 'run') {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  return `${simulator}-${kind}-${stamp}.${extension}`;
+}
+
+/**
+ * Offer text to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} mimeType - MIME type (default: text/plain)
+ */
+export function downloadText(filename, text, mimeType = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download a run as CSV or JSON
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} run - Same shape as runToJson's argument
+ */
+export function exportRun(format, run) {
+  if (format === 'csv') {
+    downloadText(getExportFilename(run.simulator, 'csv'), runToCsv(run.snapshot, run.columns, run.timeOrigin), 'text/csv');
+  } else {
+    downloadText(getExportFilename(run.simulator, 'json'), runToJson(run), 'application/json');
+  }
+}
+
+export default {
+  RUN_FORMAT_VERSION,
+  getExportColumns,
+  runToCsv,
+  runToJson,
+  getExportFilename,
+  downloadText,
+  exportRun
+};
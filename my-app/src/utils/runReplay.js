@@ -0,0 +1,123 @@
+/**
+ * Run replay
+ * Reads run files written by runExport back into plotData-shaped arrays and
+ * samples them at arbitrary playback times
+ */
+import { lowerBound } from './chartData';
+
+/**
+ * Split one CSV line, honouring quoted fields with doubled quotes
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+const toNumber = (value) => (value === null || value === '' || value === undefined ? NaN : Number(value));
+
+/**
+ * Shift times so the run starts at 0
+ */
+const finishRun = (simulator, settings, times, channels) => {
+  if (times.length === 0) throw new Error('Run file has no samples');
+  const start = times[0];
+  const timeHistory = Float64Array.from(times, time => time - start);
+  return {
+    simulator,
+    settings,
+    data: { timeHistory, ...channels },
+    duration: timeHistory[timeHistory.length - 1]
+  };
+};
+
+const parseJsonRun = (text) => {
+  const file = JSON.parse(text);
+  if (!file.data || !Array.isArray(file.data.time)) throw new Error('Not a run file');
+  const channels = {};
+  for (const [key, values] of Object.entries(file.data)) {
+    if (key !== 'time') channels[key] = Float64Array.from(values, toNumber);
+  }
+  return finishRun(file.simulator ?? null, file.settings ?? null, file.data.time, channels);
+};
+
+const parseCsvRun = (text, columns) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) throw new Error('Run file has no samples');
+
+  // Headers are column labels; map them back to channel keys where known
+  const keyByLabel = new Map(columns.map(column => [column.label, column.key]));
+  const [timeHeader, ...headers] = splitCsvLine(lines[0]);
+  if (!/^time/i.test(timeHeader)) throw new Error('First CSV column must be time');
+  const keys = headers.map(header => keyByLabel.get(header) || header);
+
+  const rows = lines.slice(1).map(splitCsvLine);
+  const channels = {};
+  keys.forEach((key, index) => {
+    channels[key] = Float64Array.from(rows, row => toNumber(row[index + 1]));
+  });
+  return finishRun(null, null, rows.map(row => toNumber(row[0])), channels);
+};
+
+/**
+ * Parse an exported run (JSON or CSV)
+ * CSV files carry no settings, so simulator and settings are null for them.
+ *
+ * @param {string} text - File contents
+ * @param {Array} columns - Export columns of the current simulator, used to map CSV headers to channels
+ * @returns {Object} { simulator, settings, data: { timeHistory, [channel]: Float64Array }, duration }
+ */
+export function parseRunFile(text, columns = []) {
+  return text.trimStart().startsWith('{') ? parseJsonRun(text) : parseCsvRun(text, columns);
+}
+
+/**
+ * Channel values at a playback time, linearly interpolated between samples
+ * @param {Object} run - Parsed run
+ * @param {number} time - Seconds from the start of the run
+ * @returns {Object} { time, [channel]: value }
+ */
+export function sampleRun(run, time) {
+  const { timeHistory, ...channels } = run.data;
+  const index = Math.min(Math.max(lowerBound(timeHistory, time), 1), timeHistory.length - 1);
+  const t0 = timeHistory[index - 1] ?? timeHistory[0];
+  const t1 = timeHistory[index] ?? t0;
+  const fraction = t1 > t0 ? Math.max(0, Math.min(1, (time - t0) / (t1 - t0))) : 1;
+
+  const sample = { time };
+  for (const [key, values] of Object.entries(channels)) {
+    const a = values[index - 1] ?? values[0];
+    const b = values[index] ?? a;
+    if (Number.isNaN(a)) sample[key] = b;
+    else if (Number.isNaN(b)) sample[key] = a;
+    else sample[key] = a + (b - a) * fraction;
+  }
+  return sample;
+}
+
+export default {
+  parseRunFile,
+  sampleRun
+};
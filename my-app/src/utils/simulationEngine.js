@@ -0,0 +1,166 @@
+/**
+ * Headless simulation engine
+ * Advances a plant under a controller at a fixed timestep with no dependency on
+ * requestAnimationFrame or React, so it can run faster than real time
+ */
+
+/**
+ * Create a simulation engine
+ *
+ * A plant is { initialState, step(state, control, dt) }: step mutates state in
+ * place and returns a failure string (e.g. 'crashed') or null. A controller is
+ * (state, dt) => control; omit it when the plant computes its own input.
+ *
+ * @param {Object} config - Engine configuration
+ * @param {Object} config.plant - Plant definition
+ * @param {Function} config.controller - Control law (default: none)
+ * @param {number} config.dt - Physics timestep in seconds (default: 0.001)
+ * @param {Function} config.record - (state, control) => { key: value } sampled into the trace (default: none)
+ * @param {number} config.recordInterval - Simulated seconds between trace samples, 0 for every step (default: 0)
+ * @param {Object} config.telemetry - Telemetry store to record into instead of unbounded trace arrays (default: none)
+ * @returns {Object} Engine with step, advance, run, reset and trace accessors
+ */
+export function createSimulationEngine(config = {}) {
+  const settings = {
+    plant: null,
+    controller: null,
+    dt: 0.001,
+    record: null,
+    recordInterval: 0,
+    telemetry: null,
+    ...config
+  };
+
+  let state = { time: 0, ...(settings.plant?.initialState || {}) };
+  let failure = null;
+  let trace = { timeHistory: [] };
+  let lastRecordTime = -Infinity;
+
+  const recordSample = (control) => {
+    if (!settings.record) return;
+    // Half-step tolerance so floating-point time doesn't skip samples
+    if (state.time - lastRecordTime < settings.recordInterval - settings.dt / 2) return;
+    lastRecordTime = state.time;
+
+    const sample = settings.record(state, control);
+    if (settings.telemetry) {
+      settings.telemetry.push(state.time, sample);
+      return;
+    }
+    for (const [key, value] of Object.entries(sample)) {
+      if (!trace[key]) trace[key] = [];
+      trace[key].push(value);
+    }
+    trace.timeHistory.push(state.time);
+  };
+
+  /**
+   * Advance one timestep
+   * @returns {Object} { control, failure }
+   */
+  const step = () => {
+    if (failure) return { control: 0, failure };
+
+    const control = settings.controller ? settings.controller(state, settings.dt) : 0;
+    const result = settings.plant.step(state, control, settings.dt);
+    state.time += settings.dt;
+    if (result) failure = result;
+
+    recordSample(control);
+    return { control, failure };
+  };
+
+  /**
+   * Advance a fixed number of timesteps, stopping early on failure
+   * @param {number} steps - Number of timesteps
+   * @returns {Object} { steps, failure } with the steps actually taken
+   */
+  const advance = (steps) => {
+    let taken = 0;
+    while (taken < steps && !failure) {
+      step();
+      taken += 1;
+    }
+    return { steps: taken, failure };
+  };
+
+  /**
+   * Advance by a span of simulated time
+   * @param {number} duration - Simulated seconds
+   * @returns {Object} { steps, failure }
+   */
+  const run = (duration) => advance(Math.round(duration / settings.dt));
+
+  const clearTrace = () => {
+    trace = { timeHistory: [] };
+    lastRecordTime = -Infinity;
+    if (settings.telemetry) settings.telemetry.clear();
+  };
+
+  /**
+   * Restart from an initial state and clear the trace
+   * @param {Object} initialState - Overrides for the plant's initial state
+   */
+  const reset = (initialState = {}) => {
+    state = { time: 0, ...(settings.plant?.initialState || {}), ...initialState };
+    failure = null;
+    clearTrace();
+  };
+
+  return {
+    step,
+    advance,
+    run,
+    reset,
+
+    /**
+     * Live state object (mutations are seen by the next step)
+     */
+    getState: () => state,
+
+    getFailure: () => failure,
+
+    /**
+     * Trace in plotData shape: { timeHistory, ...recorded keys }
+     * (a telemetry snapshot when recording into a store)
+     */
+    getTrace: () => (settings.telemetry ? settings.telemetry.snapshot() : trace),
+
+    clearTrace,
+
+    /**
+     * Swap plant, controller, dt or recording without resetting state
+     * @param {Object} updates - Partial engine config
+     */
+    configure(updates) {
+      Object.assign(settings, updates);
+    },
+
+    getConfig: () => ({ ...settings })
+  };
+}
+
+/**
+ * Run a plant/controller pair over a time horizon in one synchronous call
+ * @param {Object} config - createSimulationEngine config plus:
+ * @param {number} config.duration - Simulated seconds to run
+ * @param {Object} config.initialState - Overrides for the plant's initial state
+ * @returns {Object} { trace, state, failure, steps }
+ */
+export function simulate({ duration, initialState, ...config }) {
+  const engine = createSimulationEngine(config);
+  if (initialState) engine.reset(initialState);
+  const { steps, failure } = engine.run(duration);
+
+  return {
+    trace: engine.getTrace(),
+    state: engine.getState(),
+    failure,
+    steps
+  };
+}
+
+export default {
+  createSimulationEngine,
+  simulate
+};
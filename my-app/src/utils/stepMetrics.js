@@ -0,0 +1,211 @@
+/**
+ * Step-response metrics
+ * Watches (time, setpoint, measurement) samples, detects setpoint steps and
+ * measures each response: rise time, settling time, overshoot, peak time,
+ * steady-state error and the IAE / ISE / ITAE error integrals
+ */
+
+/**
+ * Settling bands measured for every step, as fractions of the step size
+ */
+export const SETTLING_BANDS = [0.02, 0.05];
+
+const createStep = (time, target, measurement, bands) => ({
+  startTime: time,
+  endTime: time,
+  initialValue: measurement,
+  target,
+  size: target - measurement,
+  riseStartTime: null,
+  riseTime: null,
+  peakValue: measurement,
+  peakTime: null,
+  overshoot: 0,
+  // Per band: whether the response is inside now and when it last entered
+  settling: bands.map(band => ({ band, inside: false, enteredAt: null })),
+  steadyStateError: target - measurement,
+  iae: 0,
+  ise: 0,
+  itae: 0
+});
+
+/**
+ * Public view of a step: settling reduced to { [band]: seconds | null }
+ */
+const summarize = (step) => ({
+  startTime: step.startTime,
+  endTime: step.endTime,
+  duration: step.endTime - step.startTime,
+  initialValue: step.initialValue,
+  target: step.target,
+  size: step.size,
+  riseTime: step.riseTime,
+  peakValue: step.peakValue,
+  peakTime: step.peakTime,
+  overshoot: step.overshoot,
+  settlingTimes: Object.fromEntries(step.settling.map(({ band, inside, enteredAt }) => [
+    band,
+    inside ? enteredAt - step.startTime : null
+  ])),
+  steadyStateError: step.steadyStateError,
+  iae: step.iae,
+  ise: step.ise,
+  itae: step.itae
+});
+
+/**
+ * Create a step-response analyzer
+ * A step starts whenever the setpoint jumps by more than threshold between two
+ * samples and runs until the next one. The first sample after a reset also
+ * opens a step when the measurement starts away from the setpoint. Rise time is 10%→90% of the step, the
+ * peak is the furthest excursion in the step direction, and a band counts as
+ * settled once the response enters it and stays inside.
+ *
+ * @param {Object} config - Analyzer configuration
+ * @param {number} config.threshold - Smallest setpoint jump treated as a step (default: 1e-6)
+ * @param {Array} config.bands - Settling bands as fractions of the step (default: SETTLING_BANDS)
+ * @param {number} config.maxSteps - Completed steps kept (default: 50)
+ * @returns {Object} Analyzer with update, getCurrent, getSteps and reset
+ */
+export function createStepResponseAnalyzer(config = {}) {
+  const settings = {
+    threshold: 1e-6,
+    bands: SETTLING_BANDS,
+    maxSteps: 50,
+    ...config
+  };
+
+  let steps = [];
+  let current = null;
+  let lastTime = null;
+  let lastSetpoint = null;
+
+  /**
+   * Feed one sample
+   * @param {number} time - Sample time in seconds
+   * @param {number} setpoint - Reference
+   * @param {number} measurement - Process variable
+   * @returns {boolean} Whether this sample started a new step
+   */
+  const update = (time, setpoint, measurement) => {
+    const stepped = lastSetpoint === null
+      ? Math.abs(setpoint - measurement) > settings.threshold
+      : Math.abs(setpoint - lastSetpoint) > settings.threshold;
+    const dt = lastTime === null ? 0 : time - lastTime;
+    lastTime = time;
+    lastSetpoint = setpoint;
+
+    if (stepped) {
+      if (current) {
+        steps.push(current);
+        if (steps.length > settings.maxSteps) steps = steps.slice(-settings.maxSteps);
+      }
+      current = createStep(time, setpoint, measurement, settings.bands);
+      return true;
+    }
+    if (!current || current.size === 0) return false;
+
+    const step = current;
+    const elapsed = time - step.startTime;
+    const error = setpoint - measurement;
+    const absError = Math.abs(error);
+
+    step.endTime = time;
+    step.iae += absError * dt;
+    step.ise += error * error * dt;
+    step.itae += elapsed * absError * dt;
+    step.steadyStateError = error;
+
+    // Progress 0 → 1 from the initial value to the target
+    const progress = (measurement - step.initialValue) / step.size;
+    if (step.riseStartTime === null && progress >= 0.1) step.riseStartTime = time;
+    if (step.riseTime === null && step.riseStartTime !== null && progress >= 0.9) {
+      step.riseTime = time - step.riseStartTime;
+    }
+
+    const peakProgress = (step.peakValue - step.initialValue) / step.size;
+    if (progress > peakProgress) {
+      step.peakValue = measurement;
+      step.peakTime = elapsed;
+      step.overshoot = Math.max(0, (progress - 1) * 100);
+    }
+
+    for (const band of step.settling) {
+      const inside = absError <= band.band * Math.abs(step.size);
+      if (inside && !band.inside) band.enteredAt = time;
+      band.inside = inside;
+    }
+    return false;
+  };
+
+  const reset = () => {
+    steps = [];
+    current = null;
+    lastTime = null;
+    lastSetpoint = null;
+  };
+
+  return {
+    update,
+    reset,
+
+    /**
+     * @returns {Object|null} Metrics of the step in progress
+     */
+    getCurrent: () => (current ? summarize(current) : null),
+
+    /**
+     * @returns {Array} Completed steps followed by the one in progress
+     */
+    getSteps: () => [...steps, ...(current ? [current] : [])].map(summarize)
+  };
+}
+
+/**
+ * Chart annotations for a step: peak and settling-time markers plus the
+ * settling band around the target
+ * @param {Object} metrics - Summarized step from the analyzer
+ * @param {Object} options - { band (default: 0.02), seriesIndex of the measured series, colors: { peak, settling, band } }
+ * @returns {Object} { markers, bands } for DataChart
+ */
+export function getStepAnnotations(metrics, { band = SETTLING_BANDS[0], seriesIndex = 0, colors = {} } = {}) {
+  if (!metrics || metrics.size === 0) return { markers: [], bands: [] };
+
+  const markers = [];
+  if (metrics.peakTime !== null && metrics.overshoot > 0) {
+    markers.push({
+      time: metrics.startTime + metrics.peakTime,
+      label: `PEAK ${metrics.overshoot.toFixed(1)}%`,
+      color: colors.peak || '#ff6b6b',
+      value: metrics.peakValue,
+      seriesIndex
+    });
+  }
+  const settlingTime = metrics.settlingTimes[band];
+  if (settlingTime !== null && settlingTime !== undefined) {
+    markers.push({
+      time: metrics.startTime + settlingTime,
+      label: `Ts ${band * 100}%`,
+      color: colors.settling || '#68d391'
+    });
+  }
+
+  const halfWidth = band * Math.abs(metrics.size);
+  return {
+    markers,
+    bands: [{
+      seriesIndex,
+      from: metrics.startTime,
+      to: metrics.endTime,
+      min: metrics.target - halfWidth,
+      max: metrics.target + halfWidth,
+      color: colors.band || 'rgba(104, 211, 145, 0.12)'
+    }]
+  };
+}
+
+export default {
+  createStepResponseAnalyzer,
+  getStepAnnotations,
+  SETTLING_BANDS
+};
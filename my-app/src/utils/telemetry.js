@@ -0,0 +1,211 @@
+/**
+ * Telemetry store
+ * Fixed-size typed-array ring buffers, one per channel, sharing a time column.
+ * Pushing a sample is O(1) and memory is bounded by capacity, so long runs
+ * don't slow down as history accumulates.
+ */
+
+/**
+ * Create a ring buffer of numbers
+ * @param {number} capacity - Maximum number of values kept
+ * @returns {Object} Ring buffer with push, get, toArray and clear
+ */
+export function createRingBuffer(capacity) {
+  const values = new Float64Array(capacity);
+  let start = 0;
+  let length = 0;
+
+  return {
+    capacity,
+
+    /**
+     * Append a value, overwriting the oldest when full
+     */
+    push(value) {
+      values[(start + length) % capacity] = value;
+      if (length < capacity) {
+        length += 1;
+      } else {
+        start = (start + 1) % capacity;
+      }
+    },
+
+    /**
+     * @param {number} index - 0 is the oldest value
+     */
+    get: (index) => values[(start + index) % capacity],
+
+    /**
+     * Drop the oldest count values
+     */
+    dropOldest(count) {
+      const dropped = Math.min(count, length);
+      start = (start + dropped) % capacity;
+      length -= dropped;
+    },
+
+    /**
+     * @returns {Float64Array} Copy of the values, oldest first
+     */
+    toArray() {
+      const result = new Float64Array(length);
+      const firstPart = Math.min(length, capacity - start);
+      result.set(values.subarray(start, start + firstPart));
+      result.set(values.subarray(0, length - firstPart), firstPart);
+      return result;
+    },
+
+    clear() {
+      start = 0;
+      length = 0;
+    },
+
+    get length() {
+      return length;
+    }
+  };
+}
+
+/**
+ * Create a telemetry store
+ * Samples are { channel: value } objects pushed with a timestamp. Channels not
+ * declared up front are added on first use and read NaN for earlier samples.
+ *
+ * @param {Object} config - Store configuration
+ * @param {Array} config.channels - Channel names known up front (default: [])
+ * @param {number} config.capacity - Samples kept per channel (default: 20000)
+ * @param {number} config.retention - Seconds of history kept behind the newest sample (default: Infinity)
+ * @returns {Object} Store with push, subscribe, snapshot and clear
+ */
+export function createTelemetryStore(config = {}) {
+  const settings = {
+    channels: [],
+    capacity: 20000,
+    retention: Infinity,
+    ...config
+  };
+
+  let time = createRingBuffer(settings.capacity);
+  let channels = new Map();
+  let version = 0;
+  let cachedSnapshot = null;
+  let cachedVersion = -1;
+  const listeners = new Set();
+
+  const addChannel = (name) => {
+    const buffer = createRingBuffer(settings.capacity);
+    for (let i = 0; i < time.length; i++) buffer.push(NaN);
+    channels.set(name, buffer);
+    return buffer;
+  };
+
+  settings.channels.forEach(addChannel);
+
+  const notify = () => {
+    version += 1;
+    listeners.forEach(listener => listener());
+  };
+
+  // Drop samples older than the retention window
+  const trim = () => {
+    if (!Number.isFinite(settings.retention) || time.length === 0) return;
+    const cutoff = time.get(time.length - 1) - settings.retention;
+    let expired = 0;
+    while (expired < time.length && time.get(expired) < cutoff) expired += 1;
+    if (expired === 0) return;
+    time.dropOldest(expired);
+    channels.forEach(buffer => buffer.dropOldest(expired));
+  };
+
+  /**
+   * Append one sample
+   * @param {number} timestamp - Sample time in seconds
+   * @param {Object} sample - { channel: value }
+   */
+  const push = (timestamp, sample) => {
+    for (const name of Object.keys(sample)) {
+      if (!channels.has(name)) addChannel(name);
+    }
+    time.push(timestamp);
+    channels.forEach((buffer, name) => {
+      const value = sample[name];
+      buffer.push(value === undefined ? NaN : value);
+    });
+    trim();
+    notify();
+  };
+
+  /**
+   * Chronological copy of every channel in plotData shape:
+   * { timeHistory, [channel]: Float64Array }. Cached until the next change,
+   * so it is safe to call on every render.
+   */
+  const snapshot = () => {
+    if (cachedVersion !== version) {
+      cachedSnapshot = { timeHistory: time.toArray() };
+      channels.forEach((buffer, name) => {
+        cachedSnapshot[name] = buffer.toArray();
+      });
+      cachedVersion = version;
+    }
+    return cachedSnapshot;
+  };
+
+  const clear = () => {
+    time.clear();
+    channels.forEach(buffer => buffer.clear());
+    notify();
+  };
+
+  return {
+    push,
+    snapshot,
+    clear,
+
+    /**
+     * @param {Function} listener - Called after every push or clear
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Most recent value of a channel ('timeHistory' for the timestamp)
+     * @returns {number|undefined}
+     */
+    latest(name) {
+      const buffer = name === 'timeHistory' ? time : channels.get(name);
+      return buffer && buffer.length > 0 ? buffer.get(buffer.length - 1) : undefined;
+    },
+
+    /**
+     * Change retention or capacity; a capacity change clears the history
+     * @param {Object} updates - { retention?, capacity? }
+     */
+    configure(updates) {
+      const capacityChanged = updates.capacity !== undefined && updates.capacity !== settings.capacity;
+      Object.assign(settings, updates);
+      if (capacityChanged) {
+        time = createRingBuffer(settings.capacity);
+        const names = [...channels.keys()];
+        channels = new Map();
+        names.forEach(addChannel);
+      }
+      trim();
+      notify();
+    },
+
+    getVersion: () => version,
+
+    get size() {
+      return time.length;
+    }
+  };
+}
+
+export default {
+  createRingBuffer,
+  createTelemetryStore
+};
@@ -0,0 +1,274 @@
+/**
+ * Linear models
+ * Linearizes a simulator's state derivatives about an operating point and
+ * turns the result into a transfer function, so the analysis views work from
+ * the same equations the simulators integrate. Polynomials are coefficient
+ * arrays, highest power first; complex numbers are { re, im }.
+ */
+import { DERIVATIVE_FILTERS } from './pidController';
+
+// Relative size below which a leading coefficient is treated as zero
+const COEFFICIENT_TOLERANCE = 1e-9;
+
+export const complex = (re, im = 0) => ({ re, im });
+export const complexAdd = (a, b) => complex(a.re + b.re, a.im + b.im);
+export const complexMul = (a, b) => complex(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+export const complexDiv = (a, b) => {
+  const denom = b.re * b.re + b.im * b.im;
+  return complex((a.re * b.re + a.im * b.im) / denom, (a.im * b.re - a.re * b.im) / denom);
+};
+export const complexAbs = (a) => Math.hypot(a.re, a.im);
+export const complexArg = (a) => Math.atan2(a.im, a.re);
+
+/**
+ * Drop leading coefficients that are zero relative to the largest one
+ * @param {Array} coefficients - Highest power first
+ * @returns {Array} Trimmed copy (at least one coefficient)
+ */
+export function trimPolynomial(coefficients) {
+  const scale = Math.max(...coefficients.map(Math.abs));
+  const start = coefficients.findIndex(value => Math.abs(value) > scale * COEFFICIENT_TOLERANCE);
+  return start === -1 ? [0] : coefficients.slice(start);
+}
+
+export function addPolynomials(a, b) {
+  const length = Math.max(a.length, b.length);
+  const padded = (p) => [...new Array(length - p.length).fill(0), ...p];
+  const pa = padded(a);
+  const pb = padded(b);
+  return pa.map((value, i) => value + pb[i]);
+}
+
+export function multiplyPolynomials(a, b) {
+  const product = new Array(a.length + b.length - 1).fill(0);
+  a.forEach((x, i) => b.forEach((y, j) => { product[i + j] += x * y; }));
+  return product;
+}
+
+export function scalePolynomial(p, factor) {
+  return p.map(value => value * factor);
+}
+
+/**
+ * Number of roots at s = 0 (trailing coefficients that are zero relative to the largest)
+ */
+export function originRootCount(coefficients) {
+  const scale = Math.max(...coefficients.map(Math.abs));
+  let count = 0;
+  while (count < coefficients.length - 1 && Math.abs(coefficients[coefficients.length - 1 - count]) <= scale * COEFFICIENT_TOLERANCE) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Divide a polynomial by s^count (drops its trailing coefficients)
+ */
+export function removeOriginRoots(coefficients, count) {
+  return count > 0 ? coefficients.slice(0, coefficients.length - count) : coefficients;
+}
+
+/**
+ * Value of a polynomial at a complex point (Horner's rule)
+ * @param {Array} coefficients - Highest power first
+ * @param {Object} s - { re, im }
+ * @returns {Object} { re, im }
+ */
+export function evaluatePolynomial(coefficients, s) {
+  return coefficients.reduce((acc, value) => complexAdd(complexMul(acc, s), complex(value)), complex(0));
+}
+
+/**
+ * All roots of a polynomial (Durand–Kerner iteration)
+ * @param {Array} coefficients - Highest power first
+ * @returns {Array} [{ re, im }], imaginary parts below round-off snapped to 0
+ */
+export function polynomialRoots(coefficients) {
+  const p = trimPolynomial(coefficients);
+  const degree = p.length - 1;
+  if (degree < 1) return [];
+  const monic = p.map(value => value / p[0]);
+
+  // Start on a circle enclosing every root (Cauchy bound)
+  const radius = 1 + Math.max(...monic.slice(1).map(Math.abs));
+  let roots = Array.from({ length: degree }, (_, k) => {
+    const angle = (2 * Math.PI * k) / degree + 0.4;
+    return complex(radius * Math.cos(angle), radius * Math.sin(angle));
+  });
+
+  for (let iteration = 0; iteration < 500; iteration++) {
+    let change = 0;
+    roots = roots.map((root, i) => {
+      let denom = complex(1);
+      roots.forEach((other, j) => {
+        if (j !== i) denom = complexMul(denom, complex(root.re - other.re, root.im - other.im));
+      });
+      const delta = complexDiv(evaluatePolynomial(monic, root), denom);
+      change = Math.max(change, complexAbs(delta) / Math.max(1, complexAbs(root)));
+      return complex(root.re - delta.re, root.im - delta.im);
+    });
+    if (change < 1e-12) break;
+  }
+
+  return roots.map(root => (
+    Math.abs(root.im) < 1e-9 * Math.max(1, complexAbs(root)) ? complex(root.re) : root
+  ));
+}
+
+/**
+ * Side of the imaginary axis a root lies on
+ * @returns {number} 1 right half-plane (unstable), −1 left, 0 on the axis within round-off
+ */
+export function realPartSign(root) {
+  const tolerance = 1e-9 * Math.max(1, complexAbs(root));
+  return Math.abs(root.re) <= tolerance ? 0 : Math.sign(root.re);
+}
+
+/**
+ * Jacobians of a model about an operating point, by central differences
+ *
+ * @param {Object} config - Linearization configuration
+ * @param {Array} config.keys - State keys, in matrix row order
+ * @param {Function} config.derivatives - (state, control) => { [key]: rate }
+ * @param {Function} config.output - state => value the controller measures
+ * @param {Object} config.state - Operating point; fields outside keys are passed through
+ * @param {number} config.control - Controller output at the operating point (default: 0)
+ * @returns {Object} { A, B, C } for x' = A·x + B·u, y = C·x
+ */
+export function linearize({ keys, derivatives, output, state, control = 0 }) {
+  const perturbation = (value) => 1e-6 * Math.max(1, Math.abs(value));
+  const rates = (point, u) => {
+    const result = derivatives(point, u);
+    return keys.map(key => result[key]);
+  };
+
+  const A = keys.map(() => new Array(keys.length).fill(0));
+  const C = keys.map((key, j) => {
+    const h = perturbation(state[key]);
+    const above = { ...state, [key]: state[key] + h };
+    const below = { ...state, [key]: state[key] - h };
+    const up = rates(above, control);
+    const down = rates(below, control);
+    keys.forEach((_, i) => { A[i][j] = (up[i] - down[i]) / (2 * h); });
+    return (output(above) - output(below)) / (2 * h);
+  });
+
+  const h = perturbation(control);
+  const up = rates(state, control + h);
+  const down = rates(state, control - h);
+  const B = up.map((value, i) => (value - down[i]) / (2 * h));
+
+  return { A, B, C };
+}
+
+/**
+ * Transfer function C·(sI − A)⁻¹·B of a single-input single-output
+ * state-space model (Faddeev–LeVerrier)
+ * @param {Object} model - { A, B, C } from linearize
+ * @returns {Object} { num, den }
+ */
+export function toTransferFunction({ A, B, C }) {
+  const n = A.length;
+  const multiply = (X, Y) => X.map(row => Y[0].map((_, j) => row.reduce((sum, value, k) => sum + value * Y[k][j], 0)));
+
+  let M = A.map(row => row.map(() => 0));
+  let coefficient = 1;
+  const num = [];
+  const den = [1];
+  for (let k = 1; k <= n; k++) {
+    // M_k = A·M_(k−1) + c_(n−k+1)·I; the adjugate of (sI − A) is Σ M_k·s^(n−k)
+    M = multiply(A, M).map((row, i) => row.map((value, j) => value + (i === j ? coefficient : 0)));
+    num.push(C.reduce((sum, c, i) => sum + c * M[i].reduce((acc, value, j) => acc + value * B[j], 0), 0));
+    const AM = multiply(A, M);
+    coefficient = -AM.reduce((trace, row, i) => trace + row[i], 0) / k;
+    den.push(coefficient);
+  }
+
+  return { num: trimPolynomial(num), den };
+}
+
+/**
+ * First-order lag standing in for the controller's derivative filter
+ * A moving average of N samples delays the derivative by (N − 1)·dt / 2 on average.
+ * @param {Object} filter - { derivativeFilter, derivativeTimeConstant, derivativeWindowSize, dt }
+ * @returns {number} Time constant in seconds (0 without a filter)
+ */
+export function derivativeLag({ derivativeFilter = DERIVATIVE_FILTERS.NONE, derivativeTimeConstant = 0.01, derivativeWindowSize = 5, dt = 0 } = {}) {
+  switch (derivativeFilter) {
+    case DERIVATIVE_FILTERS.LOW_PASS:
+      return derivativeTimeConstant;
+    case DERIVATIVE_FILTERS.MOVING_AVERAGE:
+      return ((derivativeWindowSize - 1) * dt) / 2;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * PID controller C(s) = Kp + Ki/s + Kd·s / (τ·s + 1) as a transfer function
+ * setpointNum is the numerator seen by the setpoint when the P and D terms
+ * weight it by b and c (2-DOF); both share den.
+ *
+ * @param {Object} gains - { kp, ki, kd, b?, c? }
+ * @param {Object} filter - Derivative filter settings (see derivativeLag)
+ * @returns {Object} { num, den, setpointNum }
+ */
+export function pidTransferFunction({ kp, ki, kd, b = 1, c = 1 }, filter = {}) {
+  const tau = derivativeLag(filter);
+  const lag = kd !== 0 && tau > 0 ? [tau, 1] : [1];
+  // Without integral action the common factor s cancels
+  const integral = ki !== 0;
+  const derivative = integral ? [kd, 0, 0] : [kd, 0];
+  const numerator = (pWeight, dWeight) => trimPolynomial(addPolynomials(
+    multiplyPolynomials(integral ? [pWeight * kp, ki] : [pWeight * kp], lag),
+    scalePolynomial(derivative, dWeight)
+  ));
+
+  return {
+    num: numerator(1, 1),
+    den: integral ? multiplyPolynomials([1, 0], lag) : lag,
+    setpointNum: numerator(b, c)
+  };
+}
+
+/**
+ * Open loop C·G of a PID controller around a plant, and the closed-loop
+ * characteristic polynomial den + num whose roots are the closed-loop poles
+ * Integrators that cancel plant zeros at the origin (the pendulum's angle
+ * ignores a steady push) are removed so they don't show up as marginal poles.
+ *
+ * @param {Object} plant - { num, den } plant transfer function
+ * @param {Object} controller - From pidTransferFunction
+ * @returns {Object} { num, den, characteristic, cancelled } (cancelled: roots at s = 0 removed from num and den)
+ */
+export function closeLoop(plant, controller) {
+  const rawNum = multiplyPolynomials(controller.num, plant.num);
+  const rawDen = multiplyPolynomials(controller.den, plant.den);
+  const cancelled = Math.min(originRootCount(rawNum), originRootCount(rawDen));
+  const num = removeOriginRoots(rawNum, cancelled);
+  const den = removeOriginRoots(rawDen, cancelled);
+  return { num, den, characteristic: addPolynomials(den, num), cancelled };
+}
+
+export default {
+  complex,
+  complexAdd,
+  complexMul,
+  complexDiv,
+  complexAbs,
+  complexArg,
+  trimPolynomial,
+  addPolynomials,
+  multiplyPolynomials,
+  scalePolynomial,
+  originRootCount,
+  removeOriginRoots,
+  evaluatePolynomial,
+  polynomialRoots,
+  realPartSign,
+  linearize,
+  toTransferFunction,
+  derivativeLag,
+  pidTransferFunction,
+  closeLoop
+};
@@ -0,0 +1,93 @@
+/**
+ * Shareable URL state
+ * The app is served from GitHub Pages, so configuration lives in the hash
+ * (#sim=drone&kp=100&...) rather than the path or query. Values are read
+ * back leniently: missing or malformed ones fall back to the simulator's
+ * default and numbers are clamped to the slider ranges.
+ */
+
+/**
+ * Compact text for a number (no trailing float noise); integers such as
+ * seeds are written in full
+ */
+const formatValue = (value) => {
+  if (typeof value !== 'number' || Number.isInteger(value)) return String(value);
+  return String(+value.toPrecision(6));
+};
+
+/**
+ * Serialize a configuration into a URL hash
+ * @param {string} simulator - Simulator id
+ * @param {Object} params - Flat { key: number | string }; null and undefined values are skipped
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeUrlState(simulator, params = {}) {
+  const search = new URLSearchParams({ sim: simulator });
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined) search.set(key, formatValue(value));
+  }
+  return `#${search.toString()}`;
+}
+
+/**
+ * Parse a URL hash written by encodeUrlState
+ * @param {string} hash - window.location.hash
+ * @returns {Object} { simulator, params } with params as raw strings (simulator is null when absent)
+ */
+export function decodeUrlState(hash = '') {
+  const search = new URLSearchParams(hash.replace(/^#/, ''));
+  const params = Object.fromEntries(search.entries());
+  const { sim = null, ...rest } = params;
+  return { simulator: sim, params: rest };
+}
+
+/**
+ * Number from URL params, clamped to a range
+ * @param {Object} params - Raw params from decodeUrlState
+ * @param {string} key - Param name
+ * @param {number} fallback - Used when the param is missing or not a number
+ * @param {Object} range - { min, max } clamp limits
+ * @returns {number}
+ */
+export function readUrlNumber(params, key, fallback, { min = -Infinity, max = Infinity } = {}) {
+  const raw = params?.[key];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+}
+
+/**
+ * One of a fixed set of strings from URL params
+ * @param {Object} params - Raw params from decodeUrlState
+ * @param {string} key - Param name
+ * @param {Array} choices - Allowed values
+ * @param {string} fallback - Used when the param is missing or not allowed
+ * @returns {string}
+ */
+export function readUrlChoice(params, key, choices, fallback) {
+  const raw = params?.[key];
+  return choices.includes(raw) ? raw : fallback;
+}
+
+/**
+ * PID gains from URL params (kp, ki, kd), limited to the slider ranges
+ * @param {Object} params - Raw params from decodeUrlState
+ * @param {Object} fallback - Default { kp, ki, kd }
+ * @param {Object} ranges - { kpMax, kiMax, kdMax }
+ * @returns {Object} { kp, ki, kd }
+ */
+export function readUrlGains(params, fallback, ranges) {
+  return {
+    kp: readUrlNumber(params, 'kp', fallback.kp, { min: 0, max: ranges.kpMax }),
+    ki: readUrlNumber(params, 'ki', fallback.ki, { min: 0, max: ranges.kiMax }),
+    kd: readUrlNumber(params, 'kd', fallback.kd, { min: 0, max: ranges.kdMax })
+  };
+}
+
+export default {
+  encodeUrlState,
+  decodeUrlState,
+  readUrlNumber,
+  readUrlChoice,
+  readUrlGains
+};